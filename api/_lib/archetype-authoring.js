@@ -0,0 +1,472 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// ARCHETYPE AUTHORING — candidate archetypes from completed engagements
+//
+// draftArchetype(state, dashboard) turns a finished discovery session (profile,
+// metrics, the report document stored on state.report) and the 90-day dashboard
+// export (chat.html "Export JSON": tracked metrics, weekly history, quick wins
+// done) into an entry shaped like the ones in archetypes.json:
+//   profile            stage, MRR / team bands around the baseline, motion and
+//                      vertical terms from the library's own vocabulary
+//   constraintPattern  the three constraint types with the most signals in the
+//                      profile and the report findings
+//   intervention       the report's priorities in order, the first quick win done
+//   outcome            baseline → latest tracked value for the metrics that moved
+//
+// Every text goes through anonymizeText(): company name, website, extra terms
+// (people, clients), emails, URLs, phone numbers, and exact money amounts
+// (rounded to "~€15k"). Money is stated in EUR like the rest of the library.
+//
+// Drafts wait in a review queue — one JSON file per candidate in
+// ARCHETYPE_QUEUE_DIR (default <repo>/archetype-queue, outside the deployed
+// api/ bundle and git-ignored — drafts hold client data). A reviewer names the archetype and writes the key lesson;
+// approval re-checks for identifying text and appends the entry to
+// archetypes.json under the next id. scripts/archetype-author.js is the CLI.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync, writeFileSync, readdirSync, renameSync, mkdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { loadArchetypes, matchingConfig, profileMatchFacts, scoreArchetype, motionMatches, verticalMatches } from './archetypes.js';
+import { buildMetrics, parseNumber } from './metrics.js';
+import { convertCurrency, reportingCurrency } from './currency.js';
+
+export const QUEUE_STATUSES = ['pending', 'approved', 'rejected'];
+
+const TRACKED_WEEKS = 12;          // the dashboard runs W0 (baseline) through W12
+const DUPLICATE_CONFIDENCE = 80;   // this close to an existing archetype → refine that one instead
+const BANDS = { mrr: [0.5, 2], teamSize: [0.5, 2] };
+const MONEY_UNITS = ['€', '$', '£', ' CHF'];
+
+function baseDir() {
+  try { return dirname(fileURLToPath(import.meta.url)); } catch { return process.cwd() + '/api/_lib'; }
+}
+
+const libraryPath = () => join(baseDir(), '..', 'benchmarks', 'archetypes.json');
+
+export function queueDir(env = process.env) {
+  return env.ARCHETYPE_QUEUE_DIR || join(baseDir(), '..', '..', 'archetype-queue');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ANONYMIZATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const URL_RE = /\bhttps?:\/\/[^\s)]+|\bwww\.[^\s)]+/gi;
+const PHONE_RE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g;
+const MONEY_PREFIX_RE = /~?(€|\$|£|CHF ?)\s?(\d(?:[\d.,'’]*\d)?)(?:\s?(k|m)\b)?/gi;
+const MONEY_SUFFIX_RE = /~?\b(\d(?:[\d.,'’]*\d)?)\s?(k|m)?\s?(€|eur\b|euros?\b|usd\b|gbp\b|chf\b)/gi;
+const SYMBOL_FOR = { eur: '€', euro: '€', euros: '€', usd: '$', gbp: '£', chf: 'CHF ' };
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 12.340 → "12k", 48.900 → "50k", 1.250.000 → "1.3M"
+export function approxMoney(value) {
+  if (value >= 1e6) return `${Math.round(value / 1e5) / 10}M`;
+  if (value >= 1e4) return `${Math.round(value / 5e3) * 5}k`;
+  if (value >= 1e3) return `${Math.round(value / 1e3)}k`;
+  return String(Math.round(value / 10) * 10);
+}
+
+// Company name and website (plus any extra names) as { term, replacement }, longest first
+export function identifyingTerms(profile = {}, extra = []) {
+  const terms = [];
+  if (profile.companyName) terms.push({ term: profile.companyName, replacement: 'the company' });
+  const host = String(profile.website || '').replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[/?#]/)[0];
+  if (host) {
+    const labels = host.split('.');
+    terms.push({ term: host, replacement: '[website]' });
+    terms.push({ term: labels.length > 1 ? labels[labels.length - 2] : labels[0], replacement: 'the company' });
+  }
+  for (const t of extra) terms.push({ term: t, replacement: '[redacted]' });
+  const seen = new Set();
+  return terms
+    .map(t => ({ ...t, term: String(t.term || '').trim() }))
+    .filter(t => t.term.length >= 3 && !seen.has(t.term.toLowerCase()) && seen.add(t.term.toLowerCase()))
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+const termRe = term => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(term)}(?![\\p{L}\\p{N}])`, 'giu');
+
+// Returns the anonymized text; `tally` counts replacements per kind
+export function anonymizeText(text, terms = [], tally = {}) {
+  if (text == null || text === '') return text;
+  const count = kind => { tally[kind] = (tally[kind] || 0) + 1; };
+  let out = String(text)
+    .replace(EMAIL_RE, () => { count('email'); return '[email]'; })
+    .replace(URL_RE, () => { count('url'); return '[website]'; });
+  for (const { term, replacement } of terms) {
+    out = out.replace(termRe(term), () => { count('name'); return replacement; });
+  }
+  // Money before phone numbers, so "€1.200.000" isn't taken for one
+  out = out
+    .replace(MONEY_PREFIX_RE, (match, symbol, digits, mult) => {
+      const value = parseNumber(digits.replace(/’/g, "'"));
+      if (value == null) return match;
+      count('money');
+      return `~${/^chf/i.test(symbol) ? 'CHF ' : symbol}${approxMoney(value * (/m/i.test(mult || '') ? 1e6 : mult ? 1e3 : 1))}`;
+    })
+    .replace(MONEY_SUFFIX_RE, (match, digits, mult, code) => {
+      const value = parseNumber(digits.replace(/’/g, "'"));
+      if (value == null) return match;
+      count('money');
+      return `~${SYMBOL_FOR[code.toLowerCase()] || code}${approxMoney(value * (/m/i.test(mult || '') ? 1e6 : mult ? 1e3 : 1))}`;
+    })
+    .replace(PHONE_RE, () => { count('phone'); return '[phone]'; });
+  return out;
+}
+
+// Every string in `value` that still carries a term, email, URL or phone number
+export function findIdentifyingText(value, terms = [], path = '') {
+  if (typeof value === 'string') {
+    const hits = [];
+    for (const { term } of terms) if (termRe(term).test(value)) hits.push({ path, kind: 'name', match: term });
+    for (const [kind, re] of [['email', EMAIL_RE], ['url', URL_RE], ['phone', PHONE_RE]]) {
+      for (const match of value.match(re) || []) hits.push({ path, kind, match });
+    }
+    return hits;
+  }
+  if (Array.isArray(value)) return value.flatMap((v, i) => findIdentifyingText(v, terms, `${path}[${i}]`));
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([k, v]) => findIdentifyingText(v, terms, path ? `${path}.${k}` : k));
+  }
+  return [];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRAFTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// A band around the baseline, rounded to `step`
+function band(value, [lo, hi], step) {
+  if (value == null) return null;
+  const min = Math.max(step === 1 ? 1 : 0, Math.floor((value * lo) / step) * step);
+  return { min, max: Math.max(min + step, Math.ceil((value * hi) / step) * step) };
+}
+
+function formatTracked(value, unit, currency) {
+  if (MONEY_UNITS.includes(unit)) return `~€${approxMoney(convertCurrency(value, currency, 'EUR'))}`;
+  if (/days/.test(unit || '')) return `${Math.round(value)} days`;
+  return `${Math.round(value * 10) / 10}${unit || ''}`;
+}
+
+// Baseline vs latest tracked week for every dashboard metric, improvements first
+export function dashboardOutcome(dashboard) {
+  const history = dashboard?.history || {};
+  const weeks = Object.keys(history).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  const moves = [];
+  for (const m of dashboard?.metrics || []) {
+    const before = Number(history['0']?.[m.key] ?? m.current);
+    let after = null;
+    let week = 0;
+    for (const w of weeks) {
+      const v = history[w]?.[m.key];
+      if (w > 0 && v !== null && v !== '' && Number.isFinite(Number(v))) { after = Number(v); week = w; }
+    }
+    if (!Number.isFinite(before) || after === null) continue;
+    const target = Number(m.target90Day);
+    moves.push({
+      key: m.key,
+      label: m.label,
+      unit: m.unit,
+      lowerBetter: !!m.lowerBetter,
+      before,
+      after,
+      week,
+      improved: m.lowerBetter ? after < before : after > before,
+      change: before !== 0 ? (after - before) / Math.abs(before) : null,
+      // Share of the baseline → 90-day target gap closed
+      progress: Number.isFinite(target) && target !== before ? Math.round(((after - before) / (target - before)) * 100) : null
+    });
+  }
+  moves.sort((a, b) => (b.improved - a.improved) || Math.abs(b.change ?? 0) - Math.abs(a.change ?? 0));
+  return {
+    weeksTracked: weeks.length ? weeks[weeks.length - 1] : 0,
+    moves,
+    quickWinsDone: Object.values(dashboard?.doneWins || {}).filter(Boolean).length
+  };
+}
+
+// Session state + dashboard export → { candidate, evidence, warnings, terms }
+//   extraTerms  names to redact that aren't on the profile (founder, clients)
+export function draftArchetype(state, dashboard, { extraTerms = [], name = null, lib = loadArchetypes() } = {}) {
+  const profile = state?.profile || {};
+  const metrics = state?.metrics && Object.keys(state.metrics).length ? state.metrics : buildMetrics(profile);
+  const doc = state?.report?.document || null;
+  const cfg = matchingConfig(lib);
+  const currency = reportingCurrency(metrics);
+  const stageKey = state?.resolvedStage || profile.companyStage || 'seed_startup';
+  const terms = identifyingTerms(profile, extraTerms);
+  const redactions = {};
+  const anon = text => anonymizeText(text, terms, redactions);
+  const warnings = [];
+
+  if (!doc) warnings.push('No report on the session — constraint description and intervention come from the profile only');
+
+  // ── Profile ──
+  const facts = profileMatchFacts(profile, metrics);
+  const vocabulary = key => [...new Set((lib.archetypes || []).flatMap(a => a.profile?.[key] || []))];
+  const gtmText = [profile.salesMotion, profile.channels, profile.bestChannel, profile.leadGenMethod].filter(Boolean).join(' ');
+  const salesText = [profile.salesMotion, profile.whoCloses].filter(Boolean).join(' ');
+  const mrrStep = facts.mrr >= 100000 ? 10000 : facts.mrr >= 20000 ? 5000 : 1000;
+  const archetypeProfile = {
+    stages: [stageKey],
+    teamSize: band(facts.teamSize, BANDS.teamSize, 1),
+    mrrRange: band(facts.mrr, BANDS.mrr, mrrStep),
+    gtmMotion: vocabulary('gtmMotion').filter(m => motionMatches(gtmText, m)),
+    verticals: vocabulary('verticals').filter(v => verticalMatches(profile.industry, v)),
+    salesMotion: vocabulary('salesMotion').filter(m => motionMatches(salesText, m))
+  };
+  if (!archetypeProfile.teamSize) warnings.push('Team size unknown — set profile.teamSize in the queue file');
+  if (!archetypeProfile.mrrRange) warnings.push('MRR unknown — set profile.mrrRange in the queue file');
+  if (!archetypeProfile.gtmMotion.length) warnings.push(`Sales motion "${profile.salesMotion || ''}" matches no library term — set profile.gtmMotion`);
+  if (!archetypeProfile.verticals.length) warnings.push(`Industry "${profile.industry || ''}" matches no library vertical`);
+
+  // ── Constraint pattern ──
+  const findings = doc?.findings || [];
+  const text = [facts.text, ...findings.map(f => [f.name, f.evidence, f.root_cause, f.anti_pattern].filter(Boolean).join(' '))]
+    .join(' ').toLowerCase();
+  const ranked = Object.entries(cfg.constraintSignals)
+    .map(([type, phrases]) => ({ type, hits: phrases.filter(p => text.includes(p)) }))
+    .filter(c => c.hits.length)
+    .sort((a, b) => b.hits.length - a.hits.length);
+  if (ranked.length < 3) warnings.push(`Only ${ranked.length} constraint type(s) evidenced — complete constraintPattern by hand`);
+  const [first, ...rest] = findings;
+  const constraintPattern = {
+    primary: ranked[0]?.type || null,
+    secondary: ranked[1]?.type || null,
+    tertiary: ranked[2]?.type || null,
+    description: anon(first
+      ? [`${first.name}: ${first.root_cause.replace(/[.\s]+$/, '')}`, ...rest.map(f => f.name)].join('; ')
+      : profile.mainBottleneck || '')
+  };
+
+  // ── Intervention ──
+  const recommendations = [...(doc?.recommendations || [])].sort((a, b) => a.priority - b.priority);
+  const sequence = recommendations.length
+    ? recommendations.map(r => `${r.title} (${String(r.weeks).toLowerCase()})`)
+    : (doc?.roadmap || []).flatMap(m => m.rows.map(r => `${r.focus} (week ${r.week})`));
+  const wins = doc?.quick_wins || [];
+  const doneWin = wins.find((_, i) => dashboard?.doneWins?.[i]);
+  const intervention = {
+    sequence: sequence.map(anon),
+    keyAction: anon((doneWin || wins[0])?.action || '')
+  };
+  if (!sequence.length) warnings.push('No priorities or roadmap in the report — write intervention.sequence by hand');
+
+  // ── Outcome ──
+  const tracked = dashboardOutcome(dashboard);
+  if (!tracked.moves.length) warnings.push('The dashboard export has no tracked values after the baseline');
+  else if (tracked.weeksTracked < TRACKED_WEEKS) warnings.push(`Results cover ${tracked.weeksTracked} week(s), not the full ${TRACKED_WEEKS}`);
+  const shown = tracked.moves.filter(m => m.improved).slice(0, 3);
+  const key = shown[0] || tracked.moves[0] || null;
+  const days90 = [
+    ...(shown.length ? shown : tracked.moves.slice(0, 1)).map(m =>
+      `${m.label} ${formatTracked(m.before, m.unit, currency)} → ${formatTracked(m.after, m.unit, currency)}` +
+      (m.progress !== null ? ` (${m.progress}% of the 90-day target)` : '')),
+    wins.length ? `${tracked.quickWinsDone} of ${wins.length} quick wins completed` : null
+  ].filter(Boolean).join('. ');
+  const outcome = {
+    days90: days90 ? `${days90}.` : '',
+    months6: null,
+    keyMetric: key?.key || null,
+    metricBefore: key ? formatTracked(key.before, key.unit, currency) : null,
+    metricAfter: key ? formatTracked(key.after, key.unit, currency) : null
+  };
+
+  const candidate = {
+    name: name || null,
+    profile: archetypeProfile,
+    constraintPattern,
+    intervention,
+    outcome,
+    keyLesson: null,
+    provenance: { type: 'engagement', weeksTracked: tracked.weeksTracked }
+  };
+
+  // ── How close is it to what the library already has? ──
+  const closest = (lib.archetypes || [])
+    .map(a => scoreArchetype(a, facts, stageKey, cfg))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3)
+    .map(({ id, name: archetypeName, confidence }) => ({ id, name: archetypeName, confidence }));
+  if (closest[0]?.confidence >= DUPLICATE_CONFIDENCE) {
+    warnings.push(`${closest[0].confidence}% match with ${closest[0].id} "${closest[0].name}" — consider refining it instead of adding a new archetype`);
+  }
+
+  const leaks = findIdentifyingText(candidate, terms);
+  if (leaks.length) warnings.push(`Identifying text left in ${[...new Set(leaks.map(l => l.path))].join(', ')}`);
+
+  return {
+    candidate,
+    evidence: {
+      stage: stageKey,
+      constraintSignals: ranked.slice(0, 5).map(c => ({ type: c.type, hits: c.hits.length })),
+      tracked: tracked.moves.map(({ key: k, label, before, after, week, improved, progress }) => ({ key: k, label, before, after, week, improved, progress })),
+      closest,
+      redactions
+    },
+    warnings,
+    terms: terms.map(t => t.term)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REVIEW
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Blocking problems for approval (empty array = ready)
+export function validateCandidate(candidate, { lib = loadArchetypes(), terms = [] } = {}) {
+  const errors = [];
+  const c = candidate || {};
+  const signals = matchingConfig(lib).constraintSignals;
+  if (!c.name) errors.push('name is required');
+  else if ((lib.archetypes || []).some(a => a.name.toLowerCase() === c.name.toLowerCase())) errors.push(`name "${c.name}" is already in the library`);
+  if (!c.keyLesson) errors.push('keyLesson is required');
+  if (!c.profile?.stages?.length) errors.push('profile.stages is required');
+  for (const field of ['teamSize', 'mrrRange']) {
+    const r = c.profile?.[field];
+    if (!r || !Number.isFinite(r.min) || !Number.isFinite(r.max) || r.min > r.max) errors.push(`profile.${field} needs { min, max }`);
+  }
+  if (!c.profile?.gtmMotion?.length) errors.push('profile.gtmMotion is required');
+  for (const rank of ['primary', 'secondary', 'tertiary']) {
+    const type = c.constraintPattern?.[rank];
+    if (!type) errors.push(`constraintPattern.${rank} is required`);
+    else if (!signals[type]) errors.push(`constraintPattern.${rank} "${type}" is not a constraint type in matching.constraintSignals`);
+  }
+  if (!c.constraintPattern?.description) errors.push('constraintPattern.description is required');
+  if (!c.intervention?.sequence?.length) errors.push('intervention.sequence is required');
+  if (!c.outcome?.days90) errors.push('outcome.days90 is required');
+  for (const leak of findIdentifyingText(c, terms.map(term => ({ term })))) {
+    errors.push(`${leak.path} contains ${leak.kind} "${leak.match}"`);
+  }
+  return errors;
+}
+
+function queuePath(id, env) {
+  if (!/^C-\d{8}-[a-f0-9]{6}$/.test(id || '')) throw new Error(`Invalid candidate id "${id}"`);
+  return join(queueDir(env), `${id}.json`);
+}
+
+function writeRecord(record, env) {
+  mkdirSync(queueDir(env), { recursive: true });
+  const path = queuePath(record.id, env);
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(record, null, 2) + '\n');
+  renameSync(tmp, path);
+  return path;
+}
+
+// Puts a draft in the queue. The session id is kept only as a hash.
+export function enqueueCandidate(draft, { sessionId = null, now = new Date(), env } = {}) {
+  const source = sessionId ? createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 12) : null;
+  const id = `C-${now.toISOString().slice(0, 10).replace(/-/g, '')}-${createHash('sha256').update(`${source}:${now.getTime()}:${Math.random()}`).digest('hex').slice(0, 6)}`;
+  const record = {
+    id,
+    status: 'pending',
+    createdAt: now.toISOString(),
+    source,
+    candidate: draft.candidate,
+    evidence: draft.evidence,
+    warnings: draft.warnings,
+    // Needed to re-check the reviewer's edits; dropped once the candidate is reviewed
+    redact: draft.terms
+  };
+  return { record, path: writeRecord(record, env) };
+}
+
+export function loadCandidate(id, env) {
+  const path = queuePath(id, env);
+  if (!existsSync(path)) throw new Error(`Candidate ${id} not found in ${queueDir(env)}`);
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+export function listCandidates({ status } = {}, env) {
+  const dir = queueDir(env);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => /^C-.*\.json$/.test(f))
+    .map(f => JSON.parse(readFileSync(join(dir, f), 'utf-8')))
+    .filter(r => !status || r.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// ── Library write-back, in the file's own hand-formatted layout ──
+
+function inlineJson(v) {
+  if (Array.isArray(v)) return `[${v.map(inlineJson).join(', ')}]`;
+  if (v && typeof v === 'object') {
+    const entries = Object.entries(v);
+    return entries.length ? `{ ${entries.map(([k, x]) => `${JSON.stringify(k)}: ${inlineJson(x)}`).join(', ')} }` : '{}';
+  }
+  return JSON.stringify(v);
+}
+
+// Flat objects and arrays of scalars stay on one line when short, like the library does
+function formatJson(v, indent) {
+  const inline = inlineJson(v);
+  if (!v || typeof v !== 'object') return inline;
+  const flat = Object.values(v).every(x => x === null || typeof x !== 'object');
+  if (flat && indent + inline.length <= 100) return inline;
+  const pad = ' '.repeat(indent + 2);
+  const items = Array.isArray(v)
+    ? v.map(x => `${pad}${formatJson(x, indent + 2)}`)
+    : Object.entries(v).map(([k, x]) => `${pad}${JSON.stringify(k)}: ${formatJson(x, indent + 2)}`);
+  const [open, close] = Array.isArray(v) ? ['[', ']'] : ['{', '}'];
+  return `${open}\n${items.join(',\n')}\n${' '.repeat(indent)}${close}`;
+}
+
+const ENGAGEMENT_SOURCE = 'Reviewed Panoramica engagements (anonymized, session + 90-day dashboard)';
+
+// Appends the entry with the next A-number; returns the new id
+function appendToLibrary(candidate, now) {
+  const path = libraryPath();
+  let text = readFileSync(path, 'utf-8');
+  const lib = JSON.parse(text);
+  const next = Math.max(0, ...(lib.archetypes || []).map(a => parseInt(String(a.id).slice(1), 10) || 0)) + 1;
+  const id = `A${String(next).padStart(2, '0')}`;
+  const { name, profile, constraintPattern, intervention, outcome, keyLesson, provenance } = candidate;
+  const entry = { id, name, profile, constraintPattern, intervention, outcome, keyLesson, provenance: { ...provenance, added: now.toISOString().slice(0, 7) } };
+
+  const end = text.lastIndexOf('\n  ]\n}');
+  if (end < 0) throw new Error('archetypes.json: could not find the end of the "archetypes" array');
+  text = `${text.slice(0, end)},\n\n    ${formatJson(entry, 4)}${text.slice(end)}`;
+  text = text
+    .replace(/"count": \d+/, `"count": ${(lib.archetypes || []).length + 1}`)
+    .replace(/"lastUpdated": "[^"]*"/, `"lastUpdated": "${now.toISOString().slice(0, 7)}"`);
+  if (!(lib.meta?.sources || []).includes(ENGAGEMENT_SOURCE)) {
+    text = text.replace(/("sources": \[\n[\s\S]*?)(\n\s*\])/, (m, list, close) => `${list},\n      ${JSON.stringify(ENGAGEMENT_SOURCE)}${close}`);
+  }
+  JSON.parse(text); // never write a library that doesn't parse
+  writeFileSync(path, text);
+  return id;
+}
+
+// Applies reviewer edits ({ name, keyLesson, months6 }), validates and appends
+export function approveCandidate(id, { edits = {}, reviewer = null, now = new Date(), env } = {}) {
+  const record = loadCandidate(id, env);
+  if (record.status !== 'pending') throw new Error(`Candidate ${id} is already ${record.status}`);
+  const candidate = { ...record.candidate, outcome: { ...record.candidate.outcome } };
+  if (edits.name) candidate.name = edits.name;
+  if (edits.keyLesson) candidate.keyLesson = edits.keyLesson;
+  if (edits.months6) candidate.outcome.months6 = edits.months6;
+
+  const errors = validateCandidate(candidate, { terms: record.redact || [] });
+  if (errors.length) return { approved: false, errors, record };
+
+  const archetypeId = appendToLibrary(candidate, now);
+  const { redact, ...rest } = record;
+  const reviewed = { ...rest, status: 'approved', candidate, archetypeId, reviewedAt: now.toISOString(), reviewer };
+  writeRecord(reviewed, env);
+  return { approved: true, archetypeId, record: reviewed };
+}
+
+export function rejectCandidate(id, { reason = null, reviewer = null, now = new Date(), env } = {}) {
+  const record = loadCandidate(id, env);
+  if (record.status !== 'pending') throw new Error(`Candidate ${id} is already ${record.status}`);
+  const { redact, ...rest } = record;
+  const reviewed = { ...rest, status: 'rejected', reason, reviewedAt: now.toISOString(), reviewer };
+  writeRecord(reviewed, env);
+  return reviewed;
+}
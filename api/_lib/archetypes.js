@@ -0,0 +1,226 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// ARCHETYPE MATCHING — which library companies this profile resembles, and why
+//
+// The library (api/benchmarks/archetypes.json) carries its own scoring config
+// under "matching":
+//   weights            stage, size, constraints, motion, vertical (points at full similarity)
+//   stage / size / constraints   partial-credit settings per dimension
+//   constraintSignals  constraint type → phrases that evidence it in the profile
+//   minConfidence      % of the maximum score an archetype needs to be a match
+//   maxMatches         how many matches the report uses
+// An archetype may override weights with "matchWeights" (e.g. stage matters less).
+//
+// Every candidate comes back with a per-dimension breakdown
+//   { dimension, weight, similarity 0-1, points, evidence }
+// so a consultant can see why an archetype was (or wasn't) chosen.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { metricNumber } from './metrics.js';
+
+export const DIMENSIONS = ['stage', 'size', 'constraints', 'motion', 'vertical'];
+const STAGE_ORDER = ['pre_seed_idea', 'seed_startup', 'early_scale', 'expansion_enterprise'];
+
+const DEFAULT_MATCHING = {
+  minConfidence: 25,
+  maxMatches: 3,
+  weights: { stage: 30, size: 35, constraints: 49, motion: 10, vertical: 5 },
+  stage: { adjacent: 0.3333 },
+  size: {
+    mrr: { share: 0.5714, adjacent: 0.4, adjacentBand: [0.5, 1.5] },
+    teamSize: { share: 0.4286, adjacent: 0.3333, adjacentBand: [0.5, 2] }
+  },
+  constraints: { primary: 25, secondary: 12, tertiary: 12, hitsForFullMatch: 2 },
+  constraintSignals: {}
+};
+
+let LIBRARY = null;
+
+export function loadArchetypes() {
+  if (LIBRARY) return LIBRARY;
+  try {
+    let base;
+    try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api/_lib'; }
+    LIBRARY = JSON.parse(readFileSync(join(base, '..', 'benchmarks', 'archetypes.json'), 'utf-8'));
+  } catch (e) {
+    console.warn('[Report] Could not load archetypes:', e.message);
+    LIBRARY = { archetypes: [] };
+  }
+  return LIBRARY;
+}
+
+// Library config over the defaults; `overrides` lets a caller try other weights
+export function matchingConfig(lib = loadArchetypes(), overrides = {}) {
+  const cfg = lib.matching || {};
+  return {
+    ...DEFAULT_MATCHING,
+    ...cfg,
+    ...overrides,
+    weights: { ...DEFAULT_MATCHING.weights, ...cfg.weights, ...overrides.weights },
+    size: { ...DEFAULT_MATCHING.size, ...cfg.size },
+    constraints: { ...DEFAULT_MATCHING.constraints, ...cfg.constraints },
+    constraintSignals: { ...DEFAULT_MATCHING.constraintSignals, ...cfg.constraintSignals }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DIMENSIONS — each returns { similarity, evidence }
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function stageFit(arch, stageKey, cfg) {
+  const stages = arch.profile.stages || [];
+  if (stages.includes(stageKey)) return { similarity: 1, evidence: `${stageKey} is one of ${stages.join('/')}` };
+  const userIdx = STAGE_ORDER.indexOf(stageKey);
+  if (stages.some(s => Math.abs(STAGE_ORDER.indexOf(s) - userIdx) === 1)) {
+    return { similarity: cfg.stage.adjacent, evidence: `${stageKey} is adjacent to ${stages.join('/')}` };
+  }
+  return { similarity: 0, evidence: `${stageKey} is outside ${stages.join('/')}` };
+}
+
+function bandFit(value, range, spec, label, format) {
+  if (value === null) return { similarity: 0, evidence: `${label} unknown` };
+  if (!range) return { similarity: 0, evidence: `no ${label} band` };
+  const { min, max } = range;
+  const band = `${format(min)}–${format(max)}`;
+  if (value >= min && value <= max) return { similarity: 1, evidence: `${label} ${format(value)} within ${band}` };
+  const [lo, hi] = spec.adjacentBand;
+  if (value >= min * lo && value <= max * hi) return { similarity: spec.adjacent, evidence: `${label} ${format(value)} near ${band}` };
+  return { similarity: 0, evidence: `${label} ${format(value)} outside ${band}` };
+}
+
+// MRR and team size, blended by their shares
+function sizeFit(arch, mrr, teamSize, cfg) {
+  const money = v => `€${Math.round(v).toLocaleString('de-DE')}`;
+  const m = bandFit(mrr, arch.profile.mrrRange, cfg.size.mrr, 'MRR', money);
+  const t = bandFit(teamSize, arch.profile.teamSize, cfg.size.teamSize, 'team', v => String(v));
+  return {
+    similarity: m.similarity * cfg.size.mrr.share + t.similarity * cfg.size.teamSize.share,
+    evidence: `${m.evidence}; ${t.evidence}`
+  };
+}
+
+// Primary/secondary/tertiary constraints, each fully matched at hitsForFullMatch phrases
+function constraintFit(arch, text, cfg) {
+  const c = cfg.constraints;
+  const total = c.primary + c.secondary + c.tertiary;
+  let points = 0;
+  const evidence = [];
+  for (const rank of ['primary', 'secondary', 'tertiary']) {
+    const type = arch.constraintPattern?.[rank];
+    if (!type) continue;
+    const hits = (cfg.constraintSignals[type] || []).filter(kw => text.includes(kw));
+    if (!hits.length) continue;
+    points += c[rank] * Math.min(1, hits.length / c.hitsForFullMatch);
+    evidence.push(`${type} (${rank}): ${hits.map(h => `"${h}"`).join(', ')}`);
+  }
+  return {
+    similarity: total > 0 ? points / total : 0,
+    evidence: evidence.length ? evidence.join('; ') : 'no constraint signals in the profile'
+  };
+}
+
+// Library vocabulary ("founder-led", "b2b_saas") against what the user said
+export function motionMatches(salesMotion, motion) {
+  const user = String(salesMotion || '').toLowerCase();
+  return user.includes(motion) || (motion === 'founder-led' && user.includes('founder'));
+}
+
+export function verticalMatches(industry, vertical) {
+  const user = String(industry || '').toLowerCase();
+  return user.includes(vertical.replace(/_/g, ' ')) || (vertical === 'b2b_saas' && user.includes('saas'));
+}
+
+function motionFit(arch, salesMotion) {
+  if (!salesMotion) return { similarity: 0, evidence: 'sales motion unknown' };
+  const motions = [...(arch.profile.gtmMotion || []), ...(arch.profile.salesMotion || [])];
+  const hit = motions.find(m => motionMatches(salesMotion, m));
+  return hit
+    ? { similarity: 1, evidence: `"${salesMotion}" matches ${hit}` }
+    : { similarity: 0, evidence: `"${salesMotion}" not in ${[...new Set(motions)].join('/')}` };
+}
+
+function verticalFit(arch, industry) {
+  if (!industry) return { similarity: 0, evidence: 'industry unknown' };
+  const hit = (arch.profile.verticals || []).find(v => verticalMatches(industry, v));
+  return hit
+    ? { similarity: 1, evidence: `"${industry}" matches ${hit}` }
+    : { similarity: 0, evidence: `"${industry}" not in ${(arch.profile.verticals || []).join('/')}` };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function profileMatchFacts(profile, metrics) {
+  const p = profile || {};
+  return {
+    // Archetype revenue bands are EUR
+    mrr: metricNumber(metrics, 'revenue', { period: 'monthly', currency: 'EUR' }),
+    teamSize: metricNumber(metrics, 'teamSize'),
+    text: [
+      p.mainBottleneck, p.secondaryBottleneck, p.salesMotion, p.whoCloses,
+      p.founderInvolvement, p.salesProcess, p.channels, p.leadGenMethod,
+      p.churnReasons, p.lostDealReasons, p.mainObjections, p.crm, p.tools,
+      p.automationLevel, p.currentSituation, p.keyDependencies,
+      ...(p.diagnosedProblems || []),
+      ...(p.rootCauses || [])
+    ].filter(Boolean).join(' ').toLowerCase(),
+    salesMotion: p.salesMotion || '',
+    industry: p.industry || ''
+  };
+}
+
+// One archetype → { id, name, score, maxScore, confidence, breakdown, reasons }
+export function scoreArchetype(arch, facts, stageKey, cfg = matchingConfig()) {
+  const weights = { ...cfg.weights, ...arch.matchWeights };
+  const fits = {
+    stage: stageFit(arch, stageKey, cfg),
+    size: sizeFit(arch, facts.mrr, facts.teamSize, cfg),
+    constraints: constraintFit(arch, facts.text, cfg),
+    motion: motionFit(arch, facts.salesMotion),
+    vertical: verticalFit(arch, facts.industry)
+  };
+  const breakdown = DIMENSIONS.map(dimension => ({
+    dimension,
+    weight: weights[dimension] || 0,
+    similarity: Math.round(fits[dimension].similarity * 100) / 100,
+    points: Math.round((weights[dimension] || 0) * fits[dimension].similarity * 10) / 10,
+    evidence: fits[dimension].evidence
+  }));
+  const score = Math.round(breakdown.reduce((s, b) => s + b.points, 0) * 10) / 10;
+  const maxScore = breakdown.reduce((s, b) => s + b.weight, 0);
+  return {
+    id: arch.id,
+    name: arch.name,
+    score,
+    maxScore,
+    confidence: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+    breakdown,
+    reasons: breakdown.filter(b => b.similarity > 0).map(b => b.dimension)
+  };
+}
+
+// Every archetype scored and sorted; matches = those above minConfidence, capped at maxMatches
+export function rankArchetypes(profile, metrics, stageKey, { overrides } = {}) {
+  const lib = loadArchetypes();
+  const cfg = matchingConfig(lib, overrides);
+  const facts = profileMatchFacts(profile, metrics);
+  const stage = stageKey || 'seed_startup';
+  const candidates = (lib.archetypes || [])
+    .map(arch => ({ archetype: arch, ...scoreArchetype(arch, facts, stage, cfg) }))
+    .sort((a, b) => b.score - a.score);
+  return {
+    candidates,
+    matches: candidates.filter(c => c.confidence >= cfg.minConfidence).slice(0, cfg.maxMatches),
+    config: cfg,
+    libraryVersion: lib.meta?.version || null,
+    librarySize: candidates.length
+  };
+}
+
+// "stage 30/30 · size 20/35 · constraints 12.3/49 · motion 10/10 · vertical 0/5"
+export function formatBreakdown(breakdown) {
+  return breakdown.map(b => `${b.dimension} ${b.points}/${b.weight}`).join(' · ');
+}
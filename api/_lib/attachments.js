@@ -0,0 +1,552 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// ATTACHMENT INGESTION — turns uploaded files into profile data
+//
+// chat.html sends { name, type, size, data(base64) } per file. We extract:
+//   CSV / XLSX  → tables → metrics (key-value sheets, metric columns,
+//                 CRM pipeline exports → win rate / deal size / cycle)
+//   PDF         → text (FlateDecode content streams, Tj/TJ operators)
+//   DOCX / PPTX → text (document.xml / slide XML)
+//   TXT / MD    → text
+// Text sources are scanned for "metric label … number" lines.
+//
+// Extracted values are formatted like answers a user would type
+// ("€30000 MRR", "3.5%", "45 days") so they merge into S.profile as-is.
+// Images and legacy binary Office files (.doc/.xls) are listed but not parsed.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { inflateSync } from 'zlib';
+import { readZip } from './zip.js';
+import { parseNumber } from './metrics.js';
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;   // matches the chat.html upload limit
+const MAX_ROWS = 5000;
+const MAX_EXCERPT_CHARS = 4000;
+
+// Ordered: more specific labels first ("revenue growth" before "revenue")
+const METRIC_LABELS = [
+  { field: 'revenueGrowth', kind: 'percent', re: /growth|crescita|crecimiento|wachstum|croissance|\bmom\b|\byoy\b/i },
+  { field: 'nrr', kind: 'percent', re: /\bnrr\b|\bndr\b|net (?:revenue|dollar) retention/i },
+  { field: 'churnRate', kind: 'percent', re: /churn|cancellation rate|tasso di abbandono/i },
+  { field: 'winRate', kind: 'percent', re: /win rate|close rate|closing rate|tasso di chiusura/i },
+  { field: 'revenue', kind: 'money', period: 'annual', re: /\barr\b|annual recurring revenue|annual revenue|fatturato annuo|ricavi annui/i },
+  { field: 'revenue', kind: 'money', period: 'monthly', re: /\bmrr\b|monthly recurring revenue|monthly revenue|fatturato mensile|ricavi mensili|\brevenue\b|fatturato/i },
+  { field: 'avgDealSize', kind: 'money', re: /deal size|\bacv\b|average contract|avg\.? contract|avg\.? deal|\baov\b|ticket medio/i },
+  { field: 'cac', kind: 'money', re: /\bcac\b|customer acquisition cost|costo di acquisizione/i },
+  { field: 'ltv', kind: 'money', re: /\bltv\b|\bclv\b|lifetime value/i },
+  { field: 'salesCycle', kind: 'days', re: /sales cycle|ciclo di vendita|days to close|time to close/i },
+  { field: 'teamSize', kind: 'count', re: /headcount|employees|team size|\bftes?\b|dipendenti/i },
+  { field: 'runway', kind: 'months', re: /\brunway\b/i },
+  { field: 'burnRate', kind: 'money', re: /net burn|cash burn|burn rate|monthly burn|\bburn\b(?! multiple)/i },
+  { field: 'salesMarketingSpend', kind: 'money', re: /s&m|sales (?:and|&) marketing|marketing spend|spesa (?:commerciale|marketing)/i }
+];
+
+// Plans and targets are not actuals — never read them as current metrics
+const NON_ACTUAL_RE = /target|forecast|budget|\bplan\b|goal|obiettivo|per (?:employee|head|fte|customer|user)/i;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC ENTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function ingestAttachments(attachments = []) {
+  const files = [];
+  const profileUpdates = {};
+  const sources = {};
+
+  for (const file of attachments) {
+    const result = ingestFile(file);
+    files.push(result);
+    // Table-derived metrics were collected first per file and win over text
+    for (const [field, m] of Object.entries(result.metrics)) {
+      if (profileUpdates[field]) continue;
+      profileUpdates[field] = m.value;
+      sources[field] = `${result.name}: ${m.source}`;
+    }
+  }
+
+  return { files, profileUpdates, sources, block: buildAttachmentBlock(files) };
+}
+
+function ingestFile(file) {
+  const name = String(file?.name || 'file');
+  const type = String(file?.type || '');
+  const ext = (name.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+  const out = { name, type, kind: detectKind(ext, type), sizeKB: Math.round((file?.size || 0) / 1024), metrics: {}, excerpt: '', tables: 0, error: null };
+
+  if (out.kind === 'image' || out.kind === 'unsupported') return out;
+  if (!file?.data) { out.error = 'no file content received'; return out; }
+
+  try {
+    const buf = Buffer.from(String(file.data), 'base64');
+    if (buf.length > MAX_FILE_BYTES) { out.error = 'file too large to parse'; return out; }
+
+    let tables = [];
+    let text = '';
+    if (out.kind === 'csv') tables = [parseCSV(buf.toString('utf-8'))];
+    else if (out.kind === 'xlsx') tables = parseXLSX(buf);
+    else if (out.kind === 'pdf') text = extractPdfText(buf);
+    else if (out.kind === 'docx') text = extractDocxText(buf);
+    else if (out.kind === 'pptx') text = extractPptxText(buf);
+    else if (out.kind === 'text') text = buf.toString('utf-8');
+
+    out.tables = tables.length;
+    for (const rows of tables) mergeMetrics(out.metrics, extractTableMetrics(rows));
+    if (text) mergeMetrics(out.metrics, extractTextMetrics(text));
+
+    out.excerpt = (text || tables.map(t => t.slice(0, 40).map(r => r.join(' | ')).join('\n')).join('\n\n'))
+      .replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_EXCERPT_CHARS);
+    if (!out.excerpt && !Object.keys(out.metrics).length) out.error = 'no readable content found';
+  } catch (e) {
+    out.error = e.message;
+  }
+  return out;
+}
+
+function detectKind(ext, type) {
+  if (type.startsWith('image/')) return 'image';
+  if (ext === 'csv' || type === 'text/csv') return 'csv';
+  if (ext === 'xlsx' || type.includes('spreadsheetml')) return 'xlsx';
+  if (ext === 'pdf' || type.includes('pdf')) return 'pdf';
+  if (ext === 'docx' || type.includes('wordprocessingml')) return 'docx';
+  if (ext === 'pptx' || type.includes('presentationml')) return 'pptx';
+  if (['txt', 'md'].includes(ext) || type.startsWith('text/')) return 'text';
+  return 'unsupported';
+}
+
+function mergeMetrics(target, found) {
+  for (const [field, m] of Object.entries(found)) if (!target[field]) target[field] = m;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROMPT BLOCK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function buildAttachmentBlock(files) {
+  if (!files.length) return '';
+  let block = '\n\n═══ USER ATTACHED FILES ═══\n';
+  files.forEach((f, idx) => {
+    block += `File ${idx + 1}: "${f.name}" (${f.type || f.kind}, ${f.sizeKB} KB)\n`;
+    if (f.kind === 'image') {
+      block += '  → Image file: User may be sharing visual context (screenshots, diagrams, analytics, etc.)\n';
+      return;
+    }
+    if (f.kind === 'unsupported' || f.error) {
+      block += `  → Could not read contents${f.error ? ` (${f.error})` : ''}. Ask the user what the file contains.\n`;
+      return;
+    }
+    const metrics = Object.entries(f.metrics);
+    if (metrics.length) {
+      block += '  → Metrics extracted (already saved to the profile unless the user stated a different value):\n';
+      block += metrics.map(([field, m]) => `     • ${field}: ${m.value} (${m.source})`).join('\n') + '\n';
+    }
+    if (f.excerpt) block += `  → Content excerpt:\n"""\n${f.excerpt}\n"""\n`;
+  });
+  block += 'NOTE: Acknowledge the files and state the 1-3 most important numbers you read from them. Do NOT ask for data the files already answer; ask the user to correct anything that looks wrong. Extract any further facts from the excerpts into profile_updates.\n';
+  return block;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NUMBER PARSING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// "€30.000,50" / "$1,200" / "3.5%" / "30k" / "1.2M" → number (null if none)
+function parseNumberCell(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  const s = String(raw ?? '').trim();
+  const m = s.match(/-?\d[\d.,']*\d|-?\d/);
+  if (!m) return null;
+  let n = parseNumber(m[0]);
+  if (n == null) return null;
+  const rest = s.slice(m.index + m[0].length).trim().toLowerCase();
+  if (/^(k|thousand|mila)\b/.test(rest)) n *= 1e3;
+  else if (/^(m|mn|mm|million|mln|milioni)\b/.test(rest)) n *= 1e6;
+  return n;
+}
+
+function currencySymbol(...texts) {
+  const s = texts.join(' ');
+  if (/\$|usd/i.test(s)) return '$';
+  if (/£|gbp/i.test(s)) return '£';
+  if (/\bchf\b/i.test(s)) return 'CHF ';
+  return '€';
+}
+
+const round1 = v => Math.round(v * 10) / 10;
+
+// Formats a parsed value the way a user would state it for that field
+function formatMetric(label, value, context) {
+  if (value == null) return null;
+  switch (label.kind) {
+    case 'percent': {
+      // Spreadsheet percent cells arrive as fractions (0.035 → 3.5%)
+      const pct = !/%/.test(context) && Math.abs(value) <= 1 && label.field !== 'nrr' ? value * 100 : value;
+      if (label.field === 'nrr' && pct <= 2) return `${round1(pct * 100)}%`;
+      return `${round1(pct)}%`;
+    }
+    case 'money': {
+      const sym = currencySymbol(context);
+      if (label.field === 'revenue') {
+        const mrr = label.period === 'annual' ? value / 12 : value;
+        return `${sym}${Math.round(mrr)} MRR`;
+      }
+      return `${sym}${Math.round(value)}`;
+    }
+    case 'days': return `${Math.round(/month|mesi/i.test(context) ? value * 30 : value)} days`;
+    case 'months': return `${round1(value)} months`;
+    case 'count': return `${Math.round(value)}`;
+    default: return String(value);
+  }
+}
+
+function matchLabel(text) {
+  const t = String(text || '').trim();
+  if (!t || t.length > 80 || NON_ACTUAL_RE.test(t)) return null;
+  return METRIC_LABELS.find(l => l.re.test(t)) || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TABLE METRICS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function extractTableMetrics(rows) {
+  const found = {};
+  if (!rows?.length) return found;
+
+  // 1. CRM pipeline export: one deal per row with a status/stage and an amount.
+  //    A deal list is not a metrics sheet, so stop here when one is detected.
+  const pipeline = extractPipelineMetrics(rows);
+  if (Object.keys(pipeline).length) return pipeline;
+
+  // 2. Metric columns: header row names the metric, latest non-empty value wins
+  const header = rows[0] || [];
+  header.forEach((h, col) => {
+    const label = matchLabel(h);
+    if (!label || found[label.field]) return;
+    for (let r = rows.length - 1; r >= 1; r--) {
+      const v = parseNumberCell(rows[r][col]);
+      if (v == null) continue;
+      const value = formatMetric(label, v, `${h} ${rows[r][col]}`);
+      if (value) found[label.field] = { value, source: `column "${String(h).trim()}", row ${r + 1}` };
+      return;
+    }
+  });
+
+  // 3. Key-value rows: label in the first non-empty cell, latest numeric cell to its right
+  rows.forEach((row, r) => {
+    const first = row.findIndex(c => String(c ?? '').trim() !== '');
+    if (first < 0) return;
+    const label = matchLabel(row[first]);
+    if (!label || found[label.field]) return;
+    for (let c = row.length - 1; c > first; c--) {
+      const v = parseNumberCell(row[c]);
+      if (v == null) continue;
+      const value = formatMetric(label, v, `${row[first]} ${row[c]}`);
+      if (value) found[label.field] = { value, source: `row "${String(row[first]).trim()}"` };
+      return;
+    }
+  });
+
+  return found;
+}
+
+function extractPipelineMetrics(rows) {
+  const header = (rows[0] || []).map(h => String(h ?? '').toLowerCase().trim());
+  const statusCol = header.findIndex(h => /^(deal )?(stage|status|outcome)$|deal stage|esito|stato/.test(h));
+  const amountCol = header.findIndex(h => /amount|deal value|value|importo|valore|acv/.test(h) && !/probability|weighted/.test(h));
+  if (statusCol < 0 || amountCol < 0 || rows.length < 4) return {};
+
+  const createdCol = header.findIndex(h => /create|opened|creat/.test(h));
+  const closedCol = header.findIndex(h => /close ?date|closed|won date|data chiusura/.test(h));
+  const sym = currencySymbol(rows.slice(0, 5).map(r => r[amountCol]).join(' '), header[amountCol]);
+
+  let won = 0, lost = 0, wonAmount = 0;
+  const cycles = [];
+  for (const row of rows.slice(1, MAX_ROWS)) {
+    const status = String(row[statusCol] ?? '').toLowerCase();
+    const isWon = /\bwon\b|vinto|chiuso vinto|closed won/.test(status);
+    const isLost = /\blost\b|perso|chiuso perso|closed lost/.test(status);
+    if (isWon) {
+      won++;
+      wonAmount += parseNumberCell(row[amountCol]) || 0;
+      if (createdCol >= 0 && closedCol >= 0) {
+        const days = (toDate(row[closedCol]) - toDate(row[createdCol])) / 86400000;
+        if (Number.isFinite(days) && days >= 0) cycles.push(days);
+      }
+    } else if (isLost) lost++;
+  }
+  if (won + lost < 3) return {};
+
+  const src = `pipeline export, ${won} won / ${lost} lost deals`;
+  const found = { winRate: { value: `${round1(won / (won + lost) * 100)}%`, source: src } };
+  if (won > 0 && wonAmount > 0) found.avgDealSize = { value: `${sym}${Math.round(wonAmount / won)}`, source: src };
+  if (cycles.length >= 3) {
+    cycles.sort((a, b) => a - b);
+    found.salesCycle = { value: `${Math.round(cycles[Math.floor(cycles.length / 2)])} days`, source: `${src}, median create→close` };
+  }
+  return found;
+}
+
+// Spreadsheet dates arrive as Excel serials (days since 1899-12-30) or strings
+function toDate(v) {
+  const n = typeof v === 'number' ? v : (/^\d{5}(\.\d+)?$/.test(String(v).trim()) ? parseFloat(v) : null);
+  if (n != null) return new Date(Date.UTC(1899, 11, 30) + n * 86400000).getTime();
+  const s = String(v ?? '').trim();
+  const eu = s.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})/);
+  if (eu) return Date.UTC(+eu[3], +eu[2] - 1, +eu[1]);
+  return Date.parse(s);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEXT METRICS — "MRR: €30K", "Churn 3.5% monthly", "Sales cycle ~45 days"
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function extractTextMetrics(text) {
+  const found = {};
+  for (const rawLine of text.split(/\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.length > 300 || NON_ACTUAL_RE.test(line)) continue;
+    for (const label of METRIC_LABELS) {
+      if (found[label.field]) continue;
+      const m = line.match(label.re);
+      if (!m) continue;
+      const after = line.slice(m.index + m[0].length, m.index + m[0].length + 60);
+      const numMatch = after.match(/(?:[€$£]|chf\s?)?\s?\d[\d.,']*\s?(?:k|m|mn|million|thousand|%|days|giorni|months|mesi)?/i);
+      if (!numMatch) continue;
+      if (label.kind === 'percent' && !/%|percent/i.test(numMatch[0] + after)) continue;
+      const v = parseNumberCell(numMatch[0]);
+      const value = formatMetric(label, v, `${m[0]} ${numMatch[0]} ${after}`);
+      if (value) found[label.field] = { value, source: `"${line.slice(0, 80)}"` };
+      break; // one metric per line keeps "MRR growth 8%" from also setting revenue
+    }
+  }
+  return found;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CSV
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function parseCSV(text) {
+  text = text.replace(/^﻿/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delim = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length && rows.length < MAX_ROWS; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OFFICE OPEN XML (XLSX / DOCX / PPTX)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function decodeXml(s) {
+  return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(+d))
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function colIndex(ref) {
+  const letters = (ref.match(/^[A-Z]+/) || ['A'])[0];
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function parseXLSX(buf) {
+  const zip = readZip(buf, n => n.startsWith('xl/'));
+  const shared = [];
+  const sst = zip.get('xl/sharedStrings.xml')?.toString('utf-8') || '';
+  for (const si of sst.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+    shared.push(decodeXml([...si[1].matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => t[1]).join('')));
+  }
+
+  const sheetNames = [...zip.keys()]
+    .filter(n => /^xl\/worksheets\/sheet\d+\.xml$/.test(n))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+  return sheetNames.map(name => {
+    const xml = zip.get(name).toString('utf-8');
+    const rows = [];
+    for (const rm of xml.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)) {
+      if (rows.length >= MAX_ROWS) break;
+      const row = [];
+      for (const cm of rm[1].matchAll(/<c ([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = cm[1];
+        const body = cm[2] || '';
+        const ref = attrs.match(/r="([A-Z]+)\d+"/)?.[1];
+        const t = attrs.match(/t="(\w+)"/)?.[1];
+        const v = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+        let value = '';
+        if (t === 's') value = shared[parseInt(v)] ?? '';
+        else if (t === 'inlineStr') value = decodeXml([...body.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(x => x[1]).join(''));
+        else if (t === 'str' || t === 'e') value = decodeXml(v || '');
+        else if (t === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+        else if (v != null) value = parseFloat(v);
+        row[ref ? colIndex(ref) : row.length] = value;
+      }
+      rows.push(Array.from(row, c => c ?? ''));
+    }
+    return rows.filter(r => r.some(c => String(c).trim() !== ''));
+  }).filter(rows => rows.length);
+}
+
+function extractDocxText(buf) {
+  const zip = readZip(buf, n => n === 'word/document.xml');
+  const xml = zip.get('word/document.xml')?.toString('utf-8');
+  if (!xml) throw new Error('word/document.xml missing');
+  return decodeXml(xml
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br[^>]*\/>/g, '\n')
+    .replace(/<\/w:tc>/g, '\t')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<(?!\/?w:t[ >])[^>]+>/g, '')
+    .replace(/<\/?w:t[^>]*>/g, ''));
+}
+
+function extractPptxText(buf) {
+  const zip = readZip(buf, n => /^ppt\/slides\/slide\d+\.xml$/.test(n));
+  return [...zip.keys()]
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]))
+    .map((name, i) => {
+      const xml = zip.get(name).toString('utf-8').replace(/<\/a:p>/g, '\n');
+      const text = decodeXml([...xml.matchAll(/<a:t>([\s\S]*?)<\/a:t>|(\n)/g)].map(m => m[1] ?? '\n').join(''));
+      return `--- Slide ${i + 1} ---\n${text.trim()}`;
+    }).join('\n\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PDF — heuristic text extraction from content streams
+// Handles uncompressed and FlateDecode streams with standard-encoded fonts,
+// which covers exports from Google Docs/Slides, PowerPoint, Word and most BI tools.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function extractPdfText(buf) {
+  if (buf.subarray(0, 5).toString('latin1') !== '%PDF-') throw new Error('Not a PDF');
+  const src = buf.toString('latin1');
+  const parts = [];
+  const re = /\bstream\r?\n/g;
+  let m;
+  while ((m = re.exec(src))) {
+    // The stream dictionary is everything between "N 0 obj" and "stream"
+    const dict = src.slice(Math.max(0, src.lastIndexOf(' obj', m.index)), m.index);
+    const start = m.index + m[0].length;
+    const end = src.indexOf('endstream', start);
+    if (end < 0) break;
+    re.lastIndex = end + 9;
+    if (/\/Subtype\s*\/Image|\/DCTDecode|\/JPXDecode|\/Type\s*\/XRef|\/Type\s*\/ObjStm/.test(dict)) continue;
+
+    let data = buf.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try { data = inflateSync(data); } catch { continue; }
+    } else if (/\/Filter/.test(dict)) continue;
+
+    const content = data.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+    const text = pdfContentText(content);
+    if (text.trim()) parts.push(text);
+  }
+  return parts.join('\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function pdfContentText(content) {
+  let out = '';
+  let operands = [];
+  let i = 0;
+  const n = content.length;
+
+  while (i < n) {
+    const ch = content[i];
+    if (ch === '(') {
+      const [str, next] = readPdfLiteral(content, i);
+      operands.push(str); i = next;
+    } else if (ch === '<' && content[i + 1] !== '<') {
+      const close = content.indexOf('>', i);
+      operands.push(decodePdfHex(content.slice(i + 1, close < 0 ? n : close)));
+      i = close < 0 ? n : close + 1;
+    } else if (ch === '[') {
+      operands.push('['); i++;
+    } else if (ch === ']') {
+      // Collapse the TJ array; large negative kerning means a word gap
+      const idx = operands.lastIndexOf('[');
+      const items = idx >= 0 ? operands.slice(idx + 1) : operands;
+      const joined = items.map(x => (typeof x === 'number' ? (x < -200 ? ' ' : '') : x)).join('');
+      operands = idx >= 0 ? operands.slice(0, idx) : [];
+      operands.push(joined); i++;
+    } else if (/[-+.\d]/.test(ch)) {
+      const num = content.slice(i).match(/^[-+]?\d*\.?\d+/);
+      if (num) { operands.push(parseFloat(num[0])); i += num[0].length; } else i++;
+    } else if (/[A-Za-z'"*]/.test(ch)) {
+      const op = content.slice(i).match(/^[A-Za-z'"*]+/)[0];
+      i += op.length;
+      const lastStr = [...operands].reverse().find(x => typeof x === 'string' && x !== '[');
+      if (op === 'Tj' || op === 'TJ') out += lastStr || '';
+      else if (op === "'" || op === '"') out += '\n' + (lastStr || '');
+      else if (op === 'T*' || op === 'ET') out += '\n';
+      else if (op === 'Td' || op === 'TD') {
+        const ty = operands[operands.length - 1];
+        out += typeof ty === 'number' && ty !== 0 ? '\n' : ' ';
+      } else if (op === 'Tm') out += '\n';
+      operands = [];
+    } else if (ch === '%') {
+      const nl = content.indexOf('\n', i);
+      i = nl < 0 ? n : nl + 1;
+    } else i++;
+  }
+  return out.replace(/ {2,}/g, ' ');
+}
+
+function readPdfLiteral(s, start) {
+  let depth = 0, out = '', i = start;
+  for (; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '\\') {
+      const nx = s[++i];
+      if (nx === 'n') out += '\n';
+      else if (nx === 'r') out += '';
+      else if (nx === 't') out += '\t';
+      else if (nx === 'b' || nx === 'f') out += '';
+      else if (/[0-7]/.test(nx)) {
+        const oct = s.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+        out += String.fromCharCode(parseInt(oct, 8));
+        i += oct.length - 1;
+      } else if (nx === '\r' || nx === '\n') { if (nx === '\r' && s[i + 1] === '\n') i++; }
+      else out += nx;
+    } else if (ch === '(') {
+      if (depth++ > 0) out += ch;
+    } else if (ch === ')') {
+      if (--depth === 0) return [out, i + 1];
+      out += ch;
+    } else out += ch;
+  }
+  return [out, i];
+}
+
+function decodePdfHex(hex) {
+  const clean = hex.replace(/\s+/g, '');
+  const bytes = Buffer.from(clean.length % 2 ? clean + '0' : clean, 'hex');
+  // UTF-16BE (BOM or mostly-zero high bytes) vs single-byte
+  if (bytes.length >= 2 && ((bytes[0] === 0xfe && bytes[1] === 0xff) || bytes.filter((b, i) => i % 2 === 0 && b === 0).length > bytes.length / 4)) {
+    const body = bytes[0] === 0xfe ? bytes.subarray(2) : bytes;
+    let s = '';
+    for (let i = 0; i + 1 < body.length; i += 2) s += String.fromCharCode((body[i] << 8) | body[i + 1]);
+    return s;
+  }
+  const s = bytes.toString('latin1');
+  // Identity-encoded CID fonts decode to control characters — drop them
+  return /^[\x20-\x7e\xa0-\xff\s]*$/.test(s) ? s : '';
+}
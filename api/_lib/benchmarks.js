@@ -0,0 +1,197 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// BENCHMARK PACKS — one per business model, selected by profile.businessModel
+//
+// The library is versioned: api/benchmarks/versions/<version>/ holds a full
+// snapshot of every pack and api/benchmarks/versions.json names the current
+// one (BENCHMARK_VERSION pins another). Sessions record the version they
+// started on, so a report generated later still reads the same numbers.
+//
+//   saas        <version>/saas-stages.json (default)
+//   agency      <version>/models/agency-services.json
+//   marketplace <version>/models/marketplace.json
+//   ecommerce   <version>/models/ecommerce-d2c.json
+//   usage_api   <version>/models/usage-api.json
+//
+// Each benchmark entry carries its provenance next to the numbers:
+//   { median, good?, bad?, source, year, sampleSize, effectiveDate }
+//
+// Every pack uses the same four stage keys (resolveStage stays model-agnostic)
+// and declares its own scorecard metrics and the financial levers that apply:
+//   scorecard[]      { key, label, shortLabel?, longLabel?, field, period?,
+//                      unit: percent | money | days | multiple, lowerBetter, charts? }
+//   financialLevers  ids understood by report.js buildFinancialImpact
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const BUSINESS_MODELS = {
+  saas:        { file: 'saas-stages.json', label: 'B2B SaaS' },
+  agency:      { file: 'models/agency-services.json', label: 'Agencies & Professional Services' },
+  marketplace: { file: 'models/marketplace.json', label: 'Marketplaces' },
+  ecommerce:   { file: 'models/ecommerce-d2c.json', label: 'E-commerce & D2C Brands' },
+  usage_api:   { file: 'models/usage-api.json', label: 'Usage-Based & API Businesses' }
+};
+
+// Checked in order: "usage-based SaaS" is usage_api, "services marketplace" is a
+// marketplace, "SaaS + onboarding services" stays SaaS
+const MODEL_PATTERNS = [
+  ['marketplace', /marketplace|two[\s-]?sided|multi[\s-]?sided|take[\s-]?rate|commission[\s-]based/],
+  ['usage_api',   /usage[\s-]?based|pay[\s-]?as[\s-]?you[\s-]?go|consumption|metered|\bapi\b|per[\s-](call|request|transaction)|credits?[\s-]based|infrastructure/],
+  ['saas',        /\bsaas\b/],
+  ['ecommerce',   /e-?commerce|\bd2c\b|\bdtc\b|direct[\s-]to[\s-]consumer|online (shop|store)|retail|webshop|shopify|consumer brand|negozio/],
+  ['agency',      /agenc|agenzia|services?\b|servizi|consult|studio|professional|freelanc|outsourc|implementation|dev shop|system integrator/],
+  ['saas',        /subscription|software|platform|abbonamento/]
+];
+
+const PACKS = {};
+let MANIFEST = null;
+
+function benchmarksDir() {
+  // Vercel: __dirname not available in ESM, use import.meta.url
+  let base;
+  try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api/_lib'; }
+  return join(base, '..', 'benchmarks');
+}
+
+// Free-text business model → pack key. Unknown or empty → 'saas'.
+export function resolveBusinessModel(raw) {
+  if (!raw) return 'saas';
+  const s = String(raw).toLowerCase().trim();
+  if (BUSINESS_MODELS[s]) return s;
+  for (const [key, re] of MODEL_PATTERNS) {
+    if (re.test(s)) return key;
+  }
+  return 'saas';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERSIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function loadManifest() {
+  if (MANIFEST) return MANIFEST;
+  try {
+    MANIFEST = JSON.parse(readFileSync(join(benchmarksDir(), 'versions.json'), 'utf-8'));
+  } catch (e) {
+    console.warn('[Benchmarks] Could not load versions.json:', e.message);
+    MANIFEST = { current: null, versions: [] };
+  }
+  return MANIFEST;
+}
+
+export function listBenchmarkVersions() {
+  return loadManifest().versions || [];
+}
+
+export function currentBenchmarkVersion(env = process.env) {
+  const pinned = env.BENCHMARK_VERSION?.trim();
+  if (pinned && listBenchmarkVersions().some(v => v.id === pinned)) return pinned;
+  if (pinned) console.warn(`[Benchmarks] BENCHMARK_VERSION "${pinned}" not in versions.json, using current`);
+  return loadManifest().current;
+}
+
+// Known version id, or the current one (old sessions whose version was removed)
+export function resolveBenchmarkVersion(version) {
+  if (version && listBenchmarkVersions().some(v => v.id === version)) return version;
+  if (version) console.warn(`[Benchmarks] Unknown benchmark version "${version}", using current`);
+  return currentBenchmarkVersion();
+}
+
+// { version, effectiveDate, notes } — recorded in reports
+export function benchmarkVersionInfo(version) {
+  const id = resolveBenchmarkVersion(version);
+  const v = listBenchmarkVersions().find(x => x.id === id) || {};
+  return { version: id, effectiveDate: v.effectiveDate || null, notes: v.notes || '' };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PACKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function loadBenchmarkPack(model = 'saas', version) {
+  const key = BUSINESS_MODELS[model] ? model : 'saas';
+  const ver = resolveBenchmarkVersion(version);
+  const cacheKey = `${ver}/${key}`;
+  if (PACKS[cacheKey]) return PACKS[cacheKey];
+  const file = join('versions', String(ver), BUSINESS_MODELS[key].file);
+  try {
+    PACKS[cacheKey] = JSON.parse(readFileSync(join(benchmarksDir(), file), 'utf-8'));
+  } catch (e) {
+    console.warn(`[Benchmarks] Could not load ${file}:`, e.message);
+    if (key !== 'saas') return loadBenchmarkPack('saas', ver);
+    PACKS[cacheKey] = { stages: {}, marketContext2026: {} };
+  }
+  return PACKS[cacheKey];
+}
+
+// The SaaS pack also carries the market context used by the report prompt
+export function loadBenchmarks(version) {
+  return loadBenchmarkPack('saas', version);
+}
+
+// Stage benchmarks + playbook for a model, with the pack's scorecard and
+// financial levers attached so calculators only need the one object.
+export function getStageData(stageKey, model = 'saas', version) {
+  const key = BUSINESS_MODELS[model] ? model : 'saas';
+  const pack = loadBenchmarkPack(key, version);
+  const stage = pack.stages?.[stageKey] || pack.stages?.seed_startup;
+  if (!stage) return null;
+  return {
+    ...stage,
+    model: key,
+    modelLabel: pack.meta?.label || BUSINESS_MODELS[key].label,
+    version: resolveBenchmarkVersion(version),
+    scorecard: pack.scorecard || [],
+    financialLevers: pack.financialLevers || []
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DIFF — which benchmarks moved between two versions (scripts/diff-benchmarks.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DIFF_FIELDS = ['median', 'good', 'bad', 'p10', 'p25', 'p50', 'p75', 'p90', 'percentileBasis', 'currency', 'unit'];
+const PROVENANCE_FIELDS = ['source', 'year', 'sampleSize', 'effectiveDate'];
+
+function readPack(version, model) {
+  try {
+    return JSON.parse(readFileSync(join(benchmarksDir(), 'versions', version, BUSINESS_MODELS[model].file), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Returns [{ model, stage, metric, change: added|removed|changed, values, provenance }]
+// where values/provenance map each changed field to [from, to].
+export function diffBenchmarkVersions(from, to, models = Object.keys(BUSINESS_MODELS)) {
+  const changes = [];
+  for (const model of models) {
+    const a = readPack(from, model);
+    const b = readPack(to, model);
+    if (!a && !b) continue;
+    const stages = new Set([...Object.keys(a?.stages || {}), ...Object.keys(b?.stages || {})]);
+    for (const stage of stages) {
+      const bmA = a?.stages?.[stage]?.benchmarks || {};
+      const bmB = b?.stages?.[stage]?.benchmarks || {};
+      for (const metric of new Set([...Object.keys(bmA), ...Object.keys(bmB)])) {
+        const x = bmA[metric];
+        const y = bmB[metric];
+        if (!x || !y) {
+          changes.push({ model, stage, metric, change: x ? 'removed' : 'added', values: {}, provenance: {} });
+          continue;
+        }
+        const pick = fields => Object.fromEntries(fields
+          .filter(f => JSON.stringify(x[f] ?? null) !== JSON.stringify(y[f] ?? null))
+          .map(f => [f, [x[f] ?? null, y[f] ?? null]]));
+        const values = pick(DIFF_FIELDS);
+        const provenance = pick(PROVENANCE_FIELDS);
+        if (Object.keys(values).length || Object.keys(provenance).length) {
+          changes.push({ model, stage, metric, change: 'changed', values, provenance });
+        }
+      }
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,253 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUYER PSYCHOLOGY — one classifier for the chat persona and the report
+//
+// Scores a transcript against four archetypes (operator, visionary, pragmatist,
+// validator) from: response length, number density, archetype keywords, blame
+// attribution, time horizon, risk language, question style and the profile's
+// priority/constraints fields.
+//
+// Language-specific words live in api/lexicons/<lang>.json:
+//   stopwords                     language detection
+//   keywords { <archetype>: [] }  whole-word matches, DEFAULT_WEIGHTS.keyword each
+//   blame { external, internal }, time { short, long }, risk { averse, tolerant },
+//   priority { urgent, strategic }, constraints { risk }   phrases (substring)
+//   questions { data, opinion, examples }                  regular expressions
+// The user's dominant language is detected from stopwords and always combined
+// with English (founders mix in English business jargon).
+//
+// Weights are data too: classifyBuyer(..., { weights }) lets
+// scripts/buyer-calibration.js score alternatives against the labelled corpus
+// in api/lexicons/calibration.json before DEFAULT_WEIGHTS change.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const ARCHETYPES = ['operator', 'visionary', 'pragmatist', 'validator'];
+export const LANGUAGES = ['en', 'it', 'es', 'de', 'fr'];
+
+// Below either bar the classification is too weak to adapt to
+export const MIN_CONFIDENCE = 20;
+export const MIN_SIGNAL = 10;
+
+export const DEFAULT_WEIGHTS = {
+  shortResponses: { pragmatist: 15 },              // average answer < 15 words
+  longResponses: { operator: 10, validator: 5 },   // average answer > 40 words
+  highNumberDensity: { operator: 20 },             // > 8% of words are numbers
+  midNumberDensity: { operator: 8, pragmatist: 5 },// > 4%
+  lowNumberDensity: { visionary: 10 },             // otherwise, past 50 words
+  keyword: 3,                                      // per archetype keyword hit
+  externalBlame: { visionary: 5 },
+  internalBlame: { operator: 5 },
+  shortHorizon: { pragmatist: 10 },
+  longHorizon: { visionary: 8, operator: 3 },
+  riskAverse: { validator: 12 },
+  riskTolerant: { pragmatist: 6, visionary: 4 },
+  asksData: { operator: 5 },                       // per question
+  asksOpinion: { visionary: 4 },
+  asksExamples: { validator: 5 },
+  priorityUrgent: { pragmatist: 8 },
+  priorityStrategic: { visionary: 8 },
+  constraintsRisk: { validator: 8 },
+  runningProfile: 0.3                              // share of an earlier profile blended in
+};
+
+const LEXICONS = {};
+
+function lexiconDir() {
+  let base;
+  try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api/_lib'; }
+  return join(base, '..', 'lexicons');
+}
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compiles one lexicon file; a missing language is logged and skipped
+export function loadLexicon(lang) {
+  if (lang in LEXICONS) return LEXICONS[lang];
+  LEXICONS[lang] = null;
+  let def;
+  try {
+    def = JSON.parse(readFileSync(join(lexiconDir(), `${lang}.json`), 'utf-8'));
+  } catch (e) {
+    console.error(`[Buyer] Could not load lexicon ${lang}:`, e.message);
+    return null;
+  }
+  const list = v => (Array.isArray(v) ? v.map(s => String(s).toLowerCase()) : []);
+  const patterns = v => (Array.isArray(v) ? v : v ? [v] : []).map(p => new RegExp(p, 'giu'));
+  LEXICONS[lang] = {
+    lang,
+    label: def.label || lang,
+    stopwords: new Set(list(def.stopwords)),
+    // Unicode-aware word boundaries, so "opportunità" or "größer" match as whole words
+    keywords: Object.fromEntries(ARCHETYPES.map(a => [a, list(def.keywords?.[a]).map(kw =>
+      new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(kw)}(?![\\p{L}\\p{N}])`, 'giu'))])),
+    blame: { external: list(def.blame?.external), internal: list(def.blame?.internal) },
+    time: { short: list(def.time?.short), long: list(def.time?.long) },
+    risk: { averse: list(def.risk?.averse), tolerant: list(def.risk?.tolerant) },
+    priority: { urgent: list(def.priority?.urgent), strategic: list(def.priority?.strategic) },
+    constraints: { risk: list(def.constraints?.risk) },
+    questions: {
+      data: patterns(def.questions?.data),
+      opinion: patterns(def.questions?.opinion),
+      examples: patterns(def.questions?.examples)
+    }
+  };
+  return LEXICONS[lang];
+}
+
+const normalizeText = s => String(s || '').toLowerCase().replace(/[’`]/g, "'");
+const words = s => s.split(/\s+/).filter(Boolean);
+
+// Dominant language by stopword hits, plus English
+export function detectLanguages(text) {
+  const tokens = normalizeText(text).split(/[^\p{L}']+/u).filter(Boolean);
+  let best = null;
+  let bestHits = 0;
+  for (const lang of LANGUAGES) {
+    const lex = loadLexicon(lang);
+    if (!lex) continue;
+    const hits = tokens.reduce((c, t) => c + (lex.stopwords.has(t) ? 1 : 0), 0);
+    if (hits > bestHits) { best = lang; bestHits = hits; }
+  }
+  return [...new Set([best || 'en', 'en'])];
+}
+
+const countPhrases = (text, phrases) => phrases.reduce((c, p) => c + (text.includes(p) ? 1 : 0), 0);
+const countMatches = (text, patterns) => patterns.reduce((c, re) => c + (text.match(re) || []).length, 0);
+
+function add(scores, weight, times = 1) {
+  for (const [archetype, points] of Object.entries(weight || {})) scores[archetype] += points * times;
+}
+
+// Transcript [{ role, text }] → { scores, primary, secondary, confidence, total, signals, languages }
+//   profile         confirmed profile (userPriority, constraints)
+//   runningProfile  an earlier classification to blend in (the chat's, at report time)
+//   langs           force the lexicons instead of detecting them
+export function classifyBuyer(transcript, { profile = {}, runningProfile = null, weights = DEFAULT_WEIGHTS, langs } = {}) {
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  const userMessages = (transcript || []).filter(t => t.role === 'user').map(t => normalizeText(t.text));
+  const text = userMessages.join(' ');
+  const wordCount = words(text).length;
+  const languages = langs?.length ? langs : detectLanguages(text);
+  const lexicons = languages.map(loadLexicon).filter(Boolean);
+  const merged = key => sub => lexicons.flatMap(l => l[key][sub]);
+  const signals = [];
+  const scores = Object.fromEntries(ARCHETYPES.map(a => [a, 0]));
+
+  // ── A. Response length ──
+  if (userMessages.length > 0) {
+    const avgLen = userMessages.reduce((s, m) => s + words(m).length, 0) / userMessages.length;
+    if (avgLen < 15) {
+      add(scores, w.shortResponses);
+      signals.push(`Short avg response (${Math.round(avgLen)} words) → action-oriented`);
+    } else if (avgLen > 40) {
+      add(scores, w.longResponses);
+      signals.push(`Long avg response (${Math.round(avgLen)} words) → detail-oriented`);
+    }
+  }
+
+  // ── B. Number density ──
+  if (wordCount > 0) {
+    const density = (text.match(/\d+[%€$kKmM]?|\b\d+[.,]\d+/g) || []).length / wordCount;
+    if (density > 0.08) {
+      add(scores, w.highNumberDensity);
+      signals.push(`High number density (${(density * 100).toFixed(1)}%) → data-driven`);
+    } else if (density > 0.04) {
+      add(scores, w.midNumberDensity);
+    } else if (wordCount > 50) {
+      add(scores, w.lowNumberDensity);
+      signals.push('Low number density → narrative-oriented');
+    }
+  }
+
+  // ── C. Archetype keywords ──
+  for (const archetype of ARCHETYPES) {
+    const hits = countMatches(text, lexicons.flatMap(l => l.keywords[archetype]));
+    if (hits > 0) {
+      scores[archetype] += hits * w.keyword;
+      if (hits >= 3) signals.push(`${hits} ${archetype} keywords detected`);
+    }
+  }
+
+  // ── D. Blame attribution ──
+  const blame = merged('blame');
+  const ext = countPhrases(text, blame('external'));
+  const int = countPhrases(text, blame('internal'));
+  if (ext > int && ext >= 2) {
+    add(scores, w.externalBlame);
+    signals.push('External blame attribution → big-picture thinker');
+  } else if (int > ext && int >= 2) {
+    add(scores, w.internalBlame);
+    signals.push('Internal blame attribution → process-focused');
+  }
+
+  // ── E. Time horizon ──
+  const time = merged('time');
+  const short = countPhrases(text, time('short'));
+  const long = countPhrases(text, time('long'));
+  if (short > long && short >= 2) {
+    add(scores, w.shortHorizon);
+    signals.push('Short time horizon → action-oriented');
+  } else if (long > short && long >= 2) {
+    add(scores, w.longHorizon);
+    signals.push('Long time horizon → strategic thinker');
+  }
+
+  // ── F. Risk language ──
+  const risk = merged('risk');
+  const averse = countPhrases(text, risk('averse'));
+  const tolerant = countPhrases(text, risk('tolerant'));
+  if (averse > tolerant && averse >= 2) {
+    add(scores, w.riskAverse);
+    signals.push('Risk-averse language → consensus-seeker');
+  } else if (tolerant > averse && tolerant >= 2) {
+    add(scores, w.riskTolerant);
+    signals.push('Risk-tolerant language → bias to action');
+  }
+
+  // ── G. Question style ──
+  const questions = merged('questions');
+  const askData = countMatches(text, questions('data'));
+  const askOpinion = countMatches(text, questions('opinion'));
+  const askExamples = countMatches(text, questions('examples'));
+  if (askData > 0) { add(scores, w.asksData, askData); signals.push(`Asks for data (${askData}x)`); }
+  if (askOpinion > 0) add(scores, w.asksOpinion, askOpinion);
+  if (askExamples > 0) { add(scores, w.asksExamples, askExamples); signals.push(`Asks for examples/precedent (${askExamples}x)`); }
+
+  // ── H. Profile fields ──
+  const priority = normalizeText(profile.userPriority);
+  const constraints = normalizeText(profile.constraints);
+  if (countPhrases(priority, merged('priority')('urgent'))) add(scores, w.priorityUrgent);
+  if (countPhrases(priority, merged('priority')('strategic'))) add(scores, w.priorityStrategic);
+  if (countPhrases(constraints, merged('constraints')('risk'))) add(scores, w.constraintsRisk);
+
+  // ── I. Earlier classification ──
+  if (runningProfile?.scores && w.runningProfile > 0) {
+    const runMax = Math.max(...Object.values(runningProfile.scores), 1);
+    const curMax = Math.max(...Object.values(scores), 1);
+    for (const archetype of ARCHETYPES) {
+      scores[archetype] += Math.round(((runningProfile.scores[archetype] || 0) / runMax) * curMax * w.runningProfile);
+    }
+  }
+
+  const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = sorted.reduce((s, [, v]) => s + v, 0);
+  return {
+    scores,
+    primary: sorted[0][0],
+    secondary: sorted[1][0],
+    confidence: total > 0 ? Math.round(((sorted[0][1] - sorted[1][1]) / total) * 100) : 0,
+    total,
+    signals,
+    languages
+  };
+}
+
+// Strong enough to adapt the conversation or the report to the primary type
+export function isConfidentProfile(result) {
+  if (!result?.primary) return false;
+  const total = result.total ?? Object.values(result.scores || {}).reduce((s, v) => s + v, 0);
+  return (result.confidence || 0) >= MIN_CONFIDENCE && total >= MIN_SIGNAL;
+}
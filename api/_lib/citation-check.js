@@ -0,0 +1,303 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// CITATION CHECK — benchmark citations vs the benchmark library
+//
+// The prompt asks for a full source on every benchmark number ("€5.000 (KBCM
+// 2024 SaaS Survey, n=400, Seed cohort)"). A citation is a parenthetical with a
+// year or sample size that names a survey, study, index or library source
+// family — or a cell of a "Source" table column. It is verified when a library
+// entry of the stage pack
+// (or the market context) matches it — source family, year, sample size and
+// cohort where the citation states them — and the number it is attached to
+// (the nearest one before it in the sentence, or any figure in the table row)
+// is one of that entry's values. Anything else is rewritten as a Panoramica
+// estimate: the number stays, the invented provenance goes.
+//
+// library: {
+//   meta:    { version, effectiveDate, model, label, lastUpdated, percentileMethod, sources },
+//   entries: [{ key, label, source, year, sampleSize, effectiveDate, percentileBasis, values: [number] }]
+// }
+// Percentile points of a derived distribution (percentileBasis: "derived") are
+// not the source's figures: only its median and good/bad thresholds verify.
+// Entries whose source is itself a Panoramica estimate verify nothing — a
+// citation naming a publication for them is rewritten like any other.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { parseNumber } from './metrics.js';
+import { benchmarkInCurrency } from './currency.js';
+
+const VALUE_FIELDS = ['median', 'good', 'bad', 'p10', 'p25', 'p50', 'p75', 'p90'];
+const PUBLISHED_FIELDS = ['median', 'good', 'bad'];
+
+// Words that never identify a source on their own
+const GENERIC = new Set([
+  'the', 'and', 'of', 'for', 'annual', 'state', 'saas', 'b2b', 'survey', 'report', 'benchmark', 'benchmarks',
+  'data', 'market', 'index', 'cloud', 'research', 'study', 'guide', 'metrics', 'cohort', 'technology', 'group',
+  'partners', 'framework', 'projection', 'usage-based', 'pricing', 'agency', 'one'
+]);
+
+const CITATION_HINT = /\b(survey|report|index|benchmarks?|study|studies|research|census|framework|projection|guide|trends|sondaggio|rapporto|ricerca|indagine)\b/i;
+const ESTIMATE = /^\s*(panoramica|stima panoramica)/i;
+const FIGURE = /[€$£%]|\d\s?(k|K|M)\b/;
+const SOURCE_HEADER = /^\s*(source|sources|fonte|fonti)\s*$/i;
+const YEAR = /\b(19|20)\d{2}\b/g;
+const SAMPLE = /\bn\s?=\s?(\d[\d.,]*)/i;
+const COHORT = /([\w+][\w+ -]*?)\s+cohort/i;
+
+const REWRITE = {
+  en: { inline: 'Panoramica estimate', cell: 'Panoramica estimate' },
+  it: { inline: 'stima Panoramica', cell: 'Stima Panoramica' }
+};
+
+const APPENDIX = {
+  en: {
+    title: 'Appendix — Benchmark Sources',
+    intro: (m) => `Benchmark library v${m.version}${m.effectiveDate ? ` (effective ${m.effectiveDate})` : ''} · ${m.label || 'Benchmark'} pack${m.lastUpdated ? `, data as of ${m.lastUpdated}` : ''}.`,
+    header: ['Source', 'Year', 'Sample', 'Effective', 'Metrics'],
+    method: 'Percentiles',
+    derived: 'Metrics marked ~ are positioned against the median and good/bad thresholds only: the source publishes no percentiles.',
+    estimate: 'Figures marked "Panoramica estimate" are composites or could not be matched to an entry in this library.',
+    none: 'n/d'
+  },
+  it: {
+    title: 'Appendice — Fonti dei benchmark',
+    intro: (m) => `Libreria benchmark v${m.version}${m.effectiveDate ? ` (in vigore dal ${m.effectiveDate})` : ''} · pacchetto ${m.label || 'benchmark'}${m.lastUpdated ? `, dati aggiornati a ${m.lastUpdated}` : ''}.`,
+    header: ['Fonte', 'Anno', 'Campione', 'In vigore', 'Metriche'],
+    method: 'Percentili',
+    derived: 'Le metriche indicate con ~ sono posizionate solo rispetto a mediana e soglie: la fonte non pubblica percentili.',
+    estimate: 'Le cifre indicate come "stima Panoramica" sono composite o non corrispondono a una voce di questa libreria.',
+    none: 'n/d'
+  }
+};
+
+const humanize = key => key.replace(/([a-z])([A-Z]|\d+)/g, '$1 $2').replace(/^./, c => c.toUpperCase());
+
+// Market context keys are not metric names
+const MARKET_LABELS = {
+  globalSaaSMarket: 'Global SaaS Market',
+  b2bBuyingBehavior: 'B2B Buying Behavior',
+  revOpsAdoption: 'RevOps Adoption',
+  aiImpact: 'AI in Sales',
+  strategicConsultingDayRate: 'Consulting Day Rate'
+};
+
+// All numbers in a market-context item ("$340B+", "12-14% CAGR", 11)
+function numbersIn(obj) {
+  const out = [];
+  for (const [k, v] of Object.entries(obj)) {
+    if (k === 'source' || k === 'note' || k === 'currency') continue;
+    if (typeof v === 'number') out.push(v);
+    else if (typeof v === 'string') out.push(...(v.match(/\d+(?:\.\d+)?/g) || []).map(Number));
+    else if (v && typeof v === 'object') out.push(...numbersIn(v));
+  }
+  return out;
+}
+
+// Stage pack + market context → library (benchmark values in the reporting currency)
+export function buildCitationLibrary({ stageData, packMeta = {}, marketContext = {}, currency, versionInfo = {} }) {
+  const labels = Object.fromEntries((stageData?.scorecard || []).map(m => [m.key, m.label]));
+  const entries = [];
+  for (const [key, raw] of Object.entries(stageData?.benchmarks || {})) {
+    const data = benchmarkInCurrency(raw, currency);
+    if (!data?.source || data.median === null || data.median === undefined) continue;
+    entries.push({
+      key,
+      label: labels[key] || humanize(key),
+      source: data.source,
+      year: data.year ?? null,
+      sampleSize: data.sampleSize ?? null,
+      effectiveDate: data.effectiveDate ?? null,
+      percentileBasis: data.percentileBasis ?? null,
+      values: (data.percentileBasis === 'derived' ? PUBLISHED_FIELDS : VALUE_FIELDS).map(f => data[f]).filter(v => typeof v === 'number')
+    });
+  }
+  for (const [key, item] of Object.entries(marketContext || {})) {
+    const parts = item?.source ? [[key, item]] : Object.entries(item || {}).filter(([, v]) => v?.source);
+    for (const [k, v] of parts) {
+      const year = String(v.source).match(/\b(?:19|20)\d{2}(?:[–-](?:19|20)\d{2})?\b/)?.[0] || null;
+      entries.push({ key: k, label: MARKET_LABELS[k] || humanize(k), source: v.source, year, sampleSize: null, effectiveDate: null, percentileBasis: null, values: numbersIn(v) });
+    }
+  }
+  return {
+    meta: {
+      version: versionInfo.version || packMeta.version || stageData?.version || null,
+      effectiveDate: versionInfo.effectiveDate || packMeta.effectiveDate || null,
+      model: packMeta.model || stageData?.model || null,
+      label: packMeta.label || stageData?.modelLabel || null,
+      lastUpdated: packMeta.lastUpdated || null,
+      percentileMethod: packMeta.percentileMethod || null,
+      sources: packMeta.sources || []
+    },
+    entries
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const yearsIn = text => new Set((String(text).match(YEAR) || []).map(Number));
+const sampleIn = text => { const m = String(text).match(SAMPLE); return m ? parseNumber(m[1]) : null; };
+const cohortIn = text => String(text).match(COHORT)?.[1].trim().toLowerCase() || null;
+
+// First distinctive word(s) of a source ("Pavilion/BenchSights 2025" → pavilion, benchsights)
+function familyOf(source) {
+  const words = String(source).split(/[\s,()]+/).flatMap(w => w.split('/')).map(w => w.toLowerCase().replace(/[^a-z0-9+-]/g, ''));
+  const lead = words.filter(w => w.length >= 3 && !/^\d+$/.test(w) && !GENERIC.has(w));
+  const slash = String(source).match(/^\s*([\w-]+)\/([\w-]+)/);
+  return slash ? [slash[1].toLowerCase(), slash[2].toLowerCase()] : lead.slice(0, 1);
+}
+
+function sourceMatches(citation, entry) {
+  const text = citation.toLowerCase();
+  if (!familyOf(entry.source).some(f => new RegExp(`(^|[^a-z0-9])${f.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z0-9]|$)`).test(text))) return false;
+  const cited = yearsIn(citation);
+  if (cited.size) {
+    const known = yearsIn(entry.source);
+    if (entry.year) known.add(entry.year);
+    if (known.size && ![...cited].some(y => known.has(y))) return false;
+  }
+  const n = sampleIn(citation);
+  if (n !== null) {
+    const known = entry.sampleSize ?? sampleIn(entry.source);
+    if (known !== null && known !== n) return false;
+  }
+  const cohort = cohortIn(citation);
+  const entryCohort = cohortIn(entry.source);
+  return !(cohort && entryCohort && cohort !== entryCohort);
+}
+
+// Figures a citation can be attached to: money, percentages, multiples, days
+const NUMBER = /(?<![\w.,])(\d[\d.,']*\d|\d)(?:\s?(k|K|M|mln|B)(?![A-Za-z]))?/g;
+const FACTORS = { k: 1e3, K: 1e3, M: 1e6, mln: 1e6, B: 1e9 };
+
+function figuresIn(text) {
+  const out = [];
+  for (const m of text.matchAll(NUMBER)) {
+    const base = parseNumber(m[1]);
+    if (base === null) continue;
+    const rest = text.slice(m.index + m[0].length, m.index + m[0].length + 2);
+    const before = text.slice(Math.max(0, m.index - 3), m.index);
+    if (/^(19|20)\d{2}$/.test(m[1]) && !/[€$£]/.test(before) && !/^\s?%/.test(rest)) continue; // a year
+    if (/n\s?=\s?$/i.test(before)) continue;
+    const factor = FACTORS[m[2]] || 1;
+    out.push({ start: m.index, value: base * factor, precision: factor > 1 && !Number.isInteger(base) ? factor / 10 : factor });
+  }
+  return out;
+}
+
+const figureOk = (fig, v) => Math.abs(fig.value - v) <= Math.max(Math.abs(v) * 0.02, fig.precision / 2, 0.05);
+
+// → { entry } when verified, { reason } when not
+function verify(citation, figures, library) {
+  const candidates = library.entries.filter(e => !ESTIMATE.test(e.source) && sourceMatches(citation, e));
+  if (!candidates.length) return { reason: 'no library entry matches this source' };
+  if (!figures.length) return { entry: candidates[0] };
+  const entry = candidates.find(e => figures.some(fig => e.values.some(v => figureOk(fig, v))));
+  if (entry) return { entry };
+  return { reason: `not a value of ${[...new Set(candidates.map(e => `${e.label} (${e.source})`))].slice(0, 3).join(', ')}` };
+}
+
+function looksLikeCitation(inner, library) {
+  if (ESTIMATE.test(inner) || FIGURE.test(inner) || !/[A-Za-z]{3}/.test(inner)) return false;
+  if (!/\b(19|20)\d{2}\b/.test(inner) && !SAMPLE.test(inner)) return false;
+  return CITATION_HINT.test(inner) || library.entries.some(e => !ESTIMATE.test(e.source) && familyOf(e.source).some(f => inner.toLowerCase().includes(f)));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CHECK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// One markdown string → { text, verified, rewritten }
+function checkText(path, markdown, library, words) {
+  const verified = [];
+  const rewritten = [];
+  let header = null;
+  const lines = String(markdown).split('\n').map(line => {
+    if (/^\s*\|/.test(line)) {
+      const cells = line.replace(/^\s*\|/, '').replace(/\|\s*$/, '').split(/(?<!\\)\|/);
+      if (cells.every(c => /^\s*:?-{2,}:?\s*$/.test(c))) return line;
+      if (!header) { header = cells.map(c => c.trim()); return line; }
+      const col = header.findIndex(h => SOURCE_HEADER.test(h));
+      const cell = cells[col]?.trim();
+      if (col < 0 || !cell || /^[—–-]+$/.test(cell) || ESTIMATE.test(cell)) return line;
+      const figures = cells.filter((_, i) => i !== col).flatMap(c => figuresIn(c));
+      const result = verify(cell, figures, library);
+      if (result.entry) { verified.push({ path, citation: cell, source: result.entry.source }); return line; }
+      rewritten.push({ path, citation: cell, reason: result.reason });
+      cells[col] = ` ${words.cell} `;
+      return `|${cells.join('|')}|`;
+    }
+    header = null;
+    return line.replace(/\(([^()]{3,200})\)/g, (whole, inner, at) => {
+      if (!looksLikeCitation(inner, library)) return whole;
+      const start = Math.max(line.lastIndexOf('. ', at) + 1, line.lastIndexOf(')', at - 1) + 1, 0);
+      const nearest = figuresIn(line.slice(start, at)).pop();
+      const result = verify(inner, nearest ? [nearest] : [], library);
+      if (result.entry) { verified.push({ path, citation: inner, source: result.entry.source }); return whole; }
+      rewritten.push({ path, citation: inner, reason: result.reason });
+      return `(${words.inline})`;
+    });
+  });
+  return { text: lines.join('\n'), verified, rewritten };
+}
+
+// → { value, verified: [{ path, citation, source }], rewritten: [{ path, citation, reason }] }
+// `value` is a copy of doc with unverifiable citations rewritten. Top-level
+// prose and the string fields of records (finding benchmark comparisons) are checked.
+export function checkCitations(doc, library, { lang = 'en' } = {}) {
+  const value = { ...doc };
+  const verified = [];
+  const rewritten = [];
+  if (!library?.entries) return { value, verified, rewritten };
+  const words = REWRITE[lang] || REWRITE.en;
+  const run = (path, text) => {
+    const r = checkText(path, text, library, words);
+    verified.push(...r.verified);
+    rewritten.push(...r.rewritten);
+    return r.text;
+  };
+
+  for (const [key, field] of Object.entries(doc)) {
+    if (typeof field === 'string') {
+      value[key] = run(key, field);
+    } else if (Array.isArray(field)) {
+      value[key] = field.map((item, i) => {
+        if (!item || typeof item !== 'object') return item;
+        const copy = { ...item };
+        for (const [k, v] of Object.entries(item)) if (typeof v === 'string') copy[k] = run(`${key}[${i}].${k}`, v);
+        return copy;
+      });
+    }
+  }
+  return { value, verified, rewritten };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// APPENDIX — one row per library source, with the metrics it backs
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function renderCitationAppendix(library, lang = 'en') {
+  if (!library?.entries?.length) return '';
+  const L = APPENDIX[lang] || APPENDIX.en;
+  const bySource = new Map();
+  for (const e of library.entries) {
+    const row = bySource.get(e.source) || { ...e, metrics: [] };
+    row.metrics.push(e.percentileBasis === 'derived' ? `${e.label} ~` : e.label);
+    bySource.set(e.source, row);
+  }
+  const cell = v => (v === null || v === undefined || v === '' ? L.none : String(v).replace(/\|/g, '/'));
+  const lines = [
+    `## ${L.title}`,
+    '',
+    L.intro(library.meta),
+    '',
+    `| ${L.header.join(' | ')} |`,
+    `|${L.header.map(() => '---').join('|')}|`,
+    ...[...bySource.values()].map(r => `| ${cell(r.source)} | ${cell(r.year)} | ${r.sampleSize ? `n=${r.sampleSize}` : L.none} | ${cell(r.effectiveDate)} | ${r.metrics.join(', ')} |`),
+    ''
+  ];
+  if (library.meta.percentileMethod) lines.push(`*${L.method}: ${library.meta.percentileMethod}.*`, '');
+  if (library.entries.some(e => e.percentileBasis === 'derived')) lines.push(`*${L.derived}*`, '');
+  lines.push(`*${L.estimate}*`);
+  return lines.join('\n');
+}
@@ -0,0 +1,78 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// CURRENCY — reporting currency, FX conversion and money formatting
+//
+// Benchmarks in benchmarks/saas-stages.json are EUR. A company that reports in
+// USD/GBP/CHF is analysed in its own currency: its numbers stay as stated and
+// money benchmarks are converted with the local table in benchmarks/fx-rates.json
+// (no network lookups, so reports are reproducible).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const SUPPORTED_CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF'];
+
+const SYMBOLS = { EUR: '€', USD: '$', GBP: '£', CHF: 'CHF ' };
+const SUFFIXES = { EUR: '€', USD: '$', GBP: '£', CHF: ' CHF' };
+const LOCALES = { EUR: 'de-DE', USD: 'en-US', GBP: 'en-GB', CHF: 'de-CH' };
+
+// Money fields in the metrics layer, in the order that decides the reporting currency
+const MONEY_FIELDS = ['revenue', 'avgDealSize', 'cac', 'ltv', 'burnRate', 'salesMarketingSpend'];
+
+let FX = null;
+export function loadFxRates() {
+  if (FX) return FX;
+  try {
+    let base;
+    try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api/_lib'; }
+    FX = JSON.parse(readFileSync(join(base, '..', 'benchmarks', 'fx-rates.json'), 'utf-8'));
+  } catch (e) {
+    console.warn('[FX] Could not load fx-rates.json, using parity:', e.message);
+    FX = { base: 'EUR', asOf: null, rates: { EUR: 1 } };
+  }
+  return FX;
+}
+
+// Converts between any two currencies in the table (via the EUR base).
+// Unknown currencies are left unconverted rather than guessed.
+export function convertCurrency(value, from, to) {
+  if (value == null || !from || !to || from === to) return value;
+  const { rates } = loadFxRates();
+  if (!rates[from] || !rates[to]) return value;
+  return value / rates[from] * rates[to];
+}
+
+// The currency the user reported in: first money metric with an explicit
+// currency, revenue first. Defaults to EUR (the benchmarks' currency).
+export function reportingCurrency(metrics) {
+  for (const field of MONEY_FIELDS) {
+    const code = metrics?.[field]?.currency;
+    if (SUPPORTED_CURRENCIES.includes(code)) return code;
+  }
+  return 'EUR';
+}
+
+export function currencySymbol(code) {
+  return SYMBOLS[code] || SYMBOLS.EUR;
+}
+
+// Unit suffix for tables and charts that print `${value}${unit}`
+export function currencyUnit(code) {
+  return SUFFIXES[code] || SUFFIXES.EUR;
+}
+
+// "€30.000" / "$30,000" / "£30,000" / "CHF 30’000"
+export function formatMoney(value, code = 'EUR') {
+  const n = Math.round(value || 0);
+  return `${currencySymbol(code)}${n.toLocaleString(LOCALES[code] || LOCALES.EUR)}`;
+}
+
+// A benchmark entry expressed in `code`. Non-money entries pass through untouched.
+export function benchmarkInCurrency(entry, code) {
+  if (!entry?.currency || entry.currency === code) return entry;
+  const fx = v => (typeof v === 'number' ? Math.round(convertCurrency(v, entry.currency, code)) : v);
+  const out = { ...entry, currency: code };
+  for (const k of ['median', 'good', 'bad', 'min', 'max', 'p10', 'p25', 'p50', 'p75', 'p90']) if (k in entry) out[k] = fx(entry[k]);
+  return out;
+}
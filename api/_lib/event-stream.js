@@ -0,0 +1,43 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVENT STREAM — progressive responses for long-running handlers
+//
+// Two wire formats, chosen per request:
+//   sse    — `Accept: text/event-stream` or body.stream === 'sse'
+//            event: <name>\ndata: <json>\n\n
+//   ndjson — body.stream === true | 'ndjson'
+//            {"event":"<name>", ...data}\n
+// Requests that ask for neither get the handler's normal JSON response.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function streamFormat(req) {
+  const mode = req.body?.stream;
+  if (mode === 'sse' || /text\/event-stream/.test(req.headers?.accept || '')) return 'sse';
+  if (mode === true || mode === 'ndjson') return 'ndjson';
+  return null;
+}
+
+// Sends headers immediately and returns { emit(event, data), end() }.
+// emit() is a no-op once the stream has ended or the client disconnected.
+export function openEventStream(res, format) {
+  let closed = false;
+  res.on?.('close', () => { closed = true; });
+
+  res.status(200);
+  res.setHeader('Content-Type', format === 'sse' ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering so events arrive live
+  res.flushHeaders?.();
+
+  return {
+    emit(event, data = {}) {
+      if (closed) return;
+      if (format === 'sse') res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      else res.write(JSON.stringify({ event, ...data }) + '\n');
+    },
+    end() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
@@ -0,0 +1,269 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCX EXPORT — editable Word version of the Strategic Growth Plan
+//
+// Plain WordprocessingML zipped with writeZip: built-in Heading styles (so the
+// navigation pane and TOC work), real numbered/bulleted lists, tables with a
+// repeating header row. The benchmark chart becomes a scorecard table with
+// text bars, which stays editable where an image would not.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { writeZip } from './zip.js';
+import { parseInline } from './report-markdown.js';
+
+const LIME = 'CDFF00';
+const DARK = '111111';
+
+export const xmlEscape = s => String(s ?? '')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const esc = xmlEscape;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RUNS + PARAGRAPHS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// rPr children must follow the schema order: rStyle, b, i, color, u
+function runXml(run, bold = false) {
+  const props = [
+    run.code ? '<w:rStyle w:val="CodeChar"/>' : '',
+    run.bold || bold ? '<w:b/>' : '',
+    run.italic ? '<w:i/>' : '',
+    run.link ? '<w:color w:val="0066CC"/><w:u w:val="single"/>' : ''
+  ].join('');
+  return run.text.split('\n').map((part, i) =>
+    `${i ? '<w:r><w:br/></w:r>' : ''}<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${esc(part)}</w:t></w:r>`
+  ).join('');
+}
+
+const runsXml = (text, bold) => parseInline(text).map(r => runXml(r, bold)).join('');
+
+function paragraph(content, { style, numId, level = 0, pPr = '' } = {}) {
+  const props = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    numId ? `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>` : '',
+    pPr
+  ].join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TABLES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TABLE_WIDTH = 9638; // A4 minus 12mm side margins, in twips
+
+function tableXml(header, rows, align = []) {
+  const width = Math.floor(TABLE_WIDTH / header.length);
+  const cell = (content, c, head) => {
+    const jc = align[c] && align[c] !== 'left' ? `<w:jc w:val="${align[c]}"/>` : '';
+    const shade = head ? `<w:shd w:val="clear" w:color="auto" w:fill="F5F5F5"/>` : '';
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shade}</w:tcPr>`
+      + `<w:p><w:pPr><w:pStyle w:val="TableText"/>${jc}</w:pPr>${content}</w:p></w:tc>`;
+  };
+  const headRow = `<w:tr><w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>${header.map((h, c) => cell(runsXml(h, true), c, true)).join('')}</w:tr>`;
+  const bodyRows = rows.map(r => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${r.map((t, c) => cell(runsXml(t), c, false)).join('')}</w:tr>`).join('');
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="ReportTable"/><w:tblW w:w="5000" w:type="pct"/><w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>`
+    + `<w:tblGrid>${header.map(() => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>${headRow}${bodyRows}</w:tbl>`
+    + paragraph('', { pPr: '<w:spacing w:after="0"/>' }); // Word needs a paragraph between adjacent tables
+}
+
+// chart_data.bar → Metric | Score bar | Score | Median | Peer position
+function scorecardXml(chart) {
+  const bar = chart?.bar;
+  if (!bar?.labels?.length) return '';
+  const blocks = n => (n === null || n === undefined ? '' : '█'.repeat(Math.round(n / 10)) + '░'.repeat(10 - Math.round(n / 10)));
+  const rows = bar.labels.map((label, i) => {
+    const user = bar.datasets.user[i];
+    const standing = bar.standing?.[i];
+    return [
+      `${label} (${bar.units?.[i] ?? ''})`,
+      blocks(user),
+      user === null || user === undefined ? 'Not disclosed' : `${user}/100`,
+      bar.datasets.median[i] === null || bar.datasets.median[i] === undefined ? '—' : `${bar.datasets.median[i]}/100`,
+      standing !== null && standing !== undefined ? `Beats ${standing}%` : bar.position?.[i] || '—'
+    ];
+  });
+  return paragraph(runsXml('Benchmark Scorecard — Visual Overview'), { style: 'Heading2' })
+    + paragraph(runsXml(`Health score by metric (0–100) vs ${chart.stageLabel || 'stage'} benchmarks`), { style: 'Caption' })
+    + tableXml(['Metric', 'Health score', 'Score', 'Stage median', 'Peer position'], rows, ['left', 'left', 'right', 'right', 'right']);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function bodyXml(doc, numbering) {
+  const out = [
+    paragraph(runXml({ text: doc.title }), { style: 'Title' }),
+    paragraph(runXml({ text: doc.company }), { style: 'Subtitle' }),
+    paragraph(runXml({ text: doc.meta }), { style: 'Caption' }),
+    scorecardXml(doc.chartData)
+  ];
+  let section = '';
+
+  for (const b of doc.blocks) {
+    switch (b.type) {
+      case 'heading': {
+        const breakBefore = b.level === 2 && /executive summary/i.test(section) ? '<w:pageBreakBefore/>' : '';
+        if (b.level === 2) section = b.text;
+        out.push(paragraph(runsXml(b.text), { style: `Heading${Math.min(b.level, 4)}`, pPr: breakBefore }));
+        break;
+      }
+      case 'paragraph':
+        out.push(paragraph(runsXml(b.lines.join('\n'))));
+        break;
+      case 'quote':
+        out.push(paragraph(runsXml(b.lines.join('\n')), { style: 'Quote' }));
+        break;
+      case 'code':
+        out.push(...b.text.split('\n').map(l => paragraph(runXml({ text: l }), { style: 'Code' })));
+        break;
+      case 'hr':
+        out.push(paragraph('', { pPr: '<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="DDDDDD"/></w:pBdr>' }));
+        break;
+      case 'table':
+        out.push(tableXml(b.header, b.rows, b.align));
+        break;
+      case 'list': {
+        // Each list gets its own num so ordered lists restart at their first number
+        const numId = numbering.add(b.items[0].ordered, b.items[0].number);
+        out.push(...b.items.map(item => paragraph(runsXml(item.text), { style: 'ListParagraph', numId, level: item.level })));
+        break;
+      }
+    }
+  }
+  return out.join('');
+}
+
+function documentXml(doc, numbering) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>${bodyXml(doc, numbering)}<w:sectPr>
+<w:footerReference w:type="default" r:id="rId3"/>
+<w:pgSz w:w="11906" w:h="16838"/>
+<w:pgMar w:top="850" w:right="680" w:bottom="850" w:left="680" w:header="425" w:footer="425" w:gutter="0"/>
+</w:sectPr></w:body></w:document>`;
+}
+
+function footerXml(doc) {
+  const field = instr => `<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> ${instr} </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>`;
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:p><w:pPr><w:pStyle w:val="Footer"/><w:tabs><w:tab w:val="right" w:pos="10546"/></w:tabs></w:pPr>
+${runXml({ text: doc.footer })}<w:r><w:tab/></w:r><w:r><w:t xml:space="preserve">Page </w:t></w:r>${field('PAGE')}<w:r><w:t xml:space="preserve"> of </w:t></w:r>${field('NUMPAGES')}</w:p>
+</w:ftr>`;
+}
+
+function createNumbering() {
+  const nums = [];
+  return {
+    add(ordered, start) {
+      nums.push({ ordered, start: start ?? 1 });
+      return nums.length;
+    },
+    xml() {
+      const levels = ordered => [0, 1, 2].map(l => `<w:lvl w:ilvl="${l}"><w:start w:val="1"/>`
+        + (ordered
+          ? `<w:numFmt w:val="${['decimal', 'lowerLetter', 'lowerRoman'][l]}"/><w:lvlText w:val="%${l + 1}."/>`
+          : `<w:numFmt w:val="bullet"/><w:lvlText w:val="${['•', '–', '·'][l]}"/>`)
+        + `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${360 * (l + 1)}" w:hanging="360"/></w:pPr></w:lvl>`).join('');
+      return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>
+${nums.map((n, i) => `<w:num w:numId="${i + 1}"><w:abstractNumId w:val="${n.ordered ? 1 : 0}"/>${n.ordered
+    ? `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="${n.start}"/></w:lvlOverride>` : ''}</w:num>`).join('\n')}
+</w:numbering>`;
+    }
+  };
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:eastAsia="Arial" w:cs="Arial"/><w:color w:val="1A1A1A"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:pBdr><w:top w:val="single" w:sz="24" w:space="8" w:color="${LIME}"/></w:pBdr><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:color w:val="${DARK}"/><w:sz w:val="44"/><w:szCs w:val="44"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:color w:val="444444"/><w:sz w:val="26"/><w:szCs w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:qFormat/>
+<w:rPr><w:color w:val="999999"/><w:sz w:val="17"/><w:szCs w:val="17"/></w:rPr></w:style>
+${[[1, 32, LIME, 12], [2, 26, 'DDDDDD', 6], [3, 22, null], [4, 21, null]].map(([l, sz, rule, ruleSz]) =>
+  `<w:style w:type="paragraph" w:styleId="Heading${l}"><w:name w:val="heading ${l}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+<w:pPr><w:keepNext/><w:keepLines/>${rule ? `<w:pBdr><w:bottom w:val="single" w:sz="${ruleSz}" w:space="2" w:color="${rule}"/></w:pBdr>` : ''}<w:spacing w:before="${[0, 360, 320, 240, 200][l]}" w:after="${l <= 2 ? 120 : 80}"/><w:outlineLvl w:val="${l - 1}"/></w:pPr>
+<w:rPr><w:b/><w:color w:val="${l <= 2 ? DARK : '333333'}"/><w:sz w:val="${sz}"/><w:szCs w:val="${sz}"/></w:rPr></w:style>`).join('\n')}
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+<w:pPr><w:pBdr><w:left w:val="single" w:sz="24" w:space="8" w:color="${LIME}"/></w:pBdr><w:shd w:val="clear" w:color="auto" w:fill="F9F9F9"/><w:spacing w:before="120" w:after="200"/><w:ind w:left="227" w:right="113"/></w:pPr>
+<w:rPr><w:i/><w:color w:val="555555"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/><w:sz w:val="17"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:before="40" w:after="40" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/><w:rPr><w:color w:val="999999"/><w:sz w:val="15"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/><w:sz w:val="18"/><w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/></w:rPr></w:style>
+<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+<w:style w:type="table" w:styleId="ReportTable"><w:name w:val="Report Table"/><w:basedOn w:val="TableNormal"/><w:tblPr><w:tblBorders>
+${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(s => `<w:${s} w:val="single" w:sz="4" w:space="0" w:color="DDDDDD"/>`).join('')}
+</w:tblBorders><w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:left w:w="100" w:type="dxa"/><w:bottom w:w="40" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>
+</Relationships>`;
+
+// docProps shared with the PPTX writer
+export function corePropsXml(doc) {
+  const when = doc.generatedAt.toISOString().replace(/\.\d+Z$/, 'Z');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${esc(`${doc.title} — ${doc.company}`)}</dc:title><dc:creator>${esc(doc.author)}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${when}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${when}</dcterms:modified>
+</cp:coreProperties>`;
+}
+
+export function appPropsXml(application = 'Panoramica') {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>${esc(application)}</Application></Properties>`;
+}
+
+// doc: see buildExportDocument() in export.js. Returns the .docx as a Buffer.
+export function renderDocx(doc) {
+  const numbering = createNumbering();
+  const document = documentXml(doc, numbering);
+  return writeZip([
+    ['[Content_Types].xml', CONTENT_TYPES],
+    ['_rels/.rels', ROOT_RELS],
+    ['word/document.xml', document],
+    ['word/_rels/document.xml.rels', DOCUMENT_RELS],
+    ['word/styles.xml', STYLES_XML],
+    ['word/numbering.xml', numbering.xml()],
+    ['word/footer1.xml', footerXml(doc)],
+    ['docProps/core.xml', corePropsXml(doc)],
+    ['docProps/app.xml', appPropsXml()]
+  ], doc.generatedAt);
+}
@@ -0,0 +1,549 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// PDF EXPORT — A4 PDF of the Strategic Growth Plan, no browser involved
+//
+// Writes PDF 1.4 by hand with the 14 standard fonts (Helvetica family +
+// Courier, WinAnsi encoding), so nothing is embedded and no rendering library
+// is needed. Layout mirrors the browser print view in chat.html: dark cover
+// band, benchmark bar chart from chart_data, then the report blocks with
+// wrapped paragraphs, lists, tables and callouts.
+//
+// Glyphs outside WinAnsi are transliterated (→ becomes ->). Severity emojis
+// (🟢🟡🔴⚪) are drawn as coloured dots; other emojis are dropped.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { deflateSync } from 'zlib';
+import { parseInline } from './report-markdown.js';
+
+const PAGE = { w: 595.28, h: 841.89, top: 48, bottom: 54, left: 40, right: 40 };
+const CONTENT_W = PAGE.w - PAGE.left - PAGE.right;
+
+const COLORS = {
+  ink: [0.1, 0.1, 0.1], dark: [0.067, 0.067, 0.067], muted: [0.6, 0.6, 0.6], grey: [0.53, 0.53, 0.53],
+  rule: [0.867, 0.867, 0.867], shade: [0.96, 0.96, 0.96], stripe: [0.98, 0.98, 0.98],
+  lime: [0.804, 1, 0], quote: [0.333, 0.333, 0.333], link: [0, 0.4, 0.8],
+  green: [0.13, 0.77, 0.37], yellow: [0.92, 0.7, 0.03], red: [0.94, 0.27, 0.27], white: [1, 1, 1], orange: [0.98, 0.45, 0.09]
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FONTS — AFM advance widths (1/1000 em) for ASCII 32–126
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FONTS = {
+  F1: 'Helvetica', F2: 'Helvetica-Bold', F3: 'Helvetica-Oblique', F4: 'Helvetica-BoldOblique', F5: 'Courier'
+};
+
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// WinAnsi bytes 0x80+ that differ from the Latin-1 fallbacks below
+const HIGH_WIDTHS = { 0x80: 556, 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000, 0x99: 1000, 0xa0: 278, 0xb0: 400, 0xb7: 278, 0xd7: 584, 0xf7: 584 };
+
+function glyphWidth(byte, font) {
+  if (font === 'F5') return 600;
+  const bold = font === 'F2' || font === 'F4';
+  if (byte >= 32 && byte <= 126) return (bold ? HELVETICA_BOLD : HELVETICA)[byte - 32];
+  if (HIGH_WIDTHS[byte]) return HIGH_WIDTHS[byte];
+  if (byte >= 0xc0 && byte <= 0xdf) return 722;
+  return 556;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEXT ENCODING — Unicode → WinAnsi bytes
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const WIN_ANSI_HIGH = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+const TRANSLITERATE = {
+  '→': '->', '←': '<-', '↔': '<->', '⇒': '=>', '↑': '^', '↓': 'v', '≈': '~', '≠': '!=', '≥': '>=', '≤': '<=',
+  '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x', '−': '-', '═': '=', '─': '-', '│': '|', '█': '#', '░': '.',
+  '\u2009': ' ', '\u202f': ' ', '\u200b': ''
+};
+const STATUS_DOTS = { '🟢': 'green', '🟡': 'yellow', '🔴': 'red', '⚪': 'white', '🟠': 'orange', '✅': 'green', '⛔': 'red' };
+const EMOJI_RE = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\uFE0F\u200D]/gu;
+
+function winAnsiByte(ch) {
+  const code = ch.codePointAt(0);
+  if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) return code;
+  return WIN_ANSI_HIGH[ch] ?? null;
+}
+
+// Plain string → WinAnsi-safe string (every char maps to one byte)
+function toWinAnsi(text) {
+  let out = '';
+  for (const ch of text.replace(EMOJI_RE, '')) {
+    if (winAnsiByte(ch) !== null) { out += ch; continue; }
+    if (ch in TRANSLITERATE) { out += TRANSLITERATE[ch]; continue; }
+    const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    out += [...base].every(c => winAnsiByte(c) !== null) ? base : '?';
+  }
+  return out;
+}
+
+function encodeBytes(text) {
+  return Buffer.from([...text].map(ch => winAnsiByte(ch) ?? 63));
+}
+
+function textWidth(text, font, size) {
+  let w = 0;
+  for (const b of encodeBytes(text)) w += glyphWidth(b, font);
+  return (w * size) / 1000;
+}
+
+function pdfString(text) {
+  const bytes = encodeBytes(text);
+  let s = '';
+  for (const b of bytes) {
+    if (b === 0x28 || b === 0x29 || b === 0x5c) s += '\\' + String.fromCharCode(b);
+    else if (b < 32 || b > 126) s += '\\' + b.toString(8).padStart(3, '0');
+    else s += String.fromCharCode(b);
+  }
+  return `(${s})`;
+}
+
+const rgb = c => c.map(v => +v.toFixed(3)).join(' ');
+const num = v => +v.toFixed(2);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INLINE LAYOUT — styled runs → wrapped lines of pieces
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function fontFor(run, base) {
+  if (run.code) return 'F5';
+  const bold = run.bold || base.bold;
+  const italic = run.italic || base.italic;
+  return bold && italic ? 'F4' : bold ? 'F2' : italic ? 'F3' : 'F1';
+}
+
+// Splits runs into word / space / break / dot tokens with measured widths
+function tokenize(runs, base) {
+  const tokens = [];
+  for (const run of runs) {
+    const font = fontFor(run, base);
+    const size = run.code ? base.size * 0.9 : base.size;
+    const color = run.link ? COLORS.link : base.color;
+    for (const part of run.text.split(/(\n|[ \t]+|🟢|🟡|🔴|⚪|🟠|✅|⛔)/u)) {
+      if (!part) continue;
+      if (part === '\n') tokens.push({ br: true });
+      else if (STATUS_DOTS[part]) tokens.push({ dot: COLORS[STATUS_DOTS[part]], width: size * 0.95, size });
+      else {
+        const text = /^[ \t]+$/.test(part) ? ' ' : toWinAnsi(part);
+        if (!text) continue;
+        tokens.push({ text, space: text === ' ', font, size, color, width: textWidth(text, font, size) });
+      }
+    }
+  }
+  return tokens;
+}
+
+// Long words are cut so they never overflow the box
+function splitLongToken(tok, maxWidth) {
+  const parts = [];
+  let cur = '';
+  for (const ch of tok.text) {
+    if (cur && textWidth(cur + ch, tok.font, tok.size) > maxWidth) {
+      parts.push({ ...tok, text: cur, width: textWidth(cur, tok.font, tok.size) });
+      cur = '';
+    }
+    cur += ch;
+  }
+  if (cur) parts.push({ ...tok, text: cur, width: textWidth(cur, tok.font, tok.size) });
+  return parts;
+}
+
+function wrap(runs, maxWidth, base) {
+  const lines = [];
+  let line = [];
+  let width = 0;
+  const flush = () => {
+    while (line.length && line[line.length - 1].space) width -= line.pop().width;
+    lines.push({ pieces: line, width });
+    line = [];
+    width = 0;
+  };
+
+  for (const tok of tokenize(runs, base)) {
+    if (tok.br) { flush(); continue; }
+    if (tok.space && !line.length) continue;
+    const pieces = !tok.space && tok.text && tok.width > maxWidth ? splitLongToken(tok, maxWidth) : [tok];
+    for (const piece of pieces) {
+      if (!piece.space && width + piece.width > maxWidth && line.length) flush();
+      if (piece.space && !line.length) continue;
+      line.push(piece);
+      width += piece.width;
+    }
+  }
+  if (line.length || !lines.length) flush();
+  return lines;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENT — pages of drawing operators, cursor measured from the top
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class PdfLayout {
+  constructor() {
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    this.y = PAGE.top;
+  }
+
+  // Starts a new page unless `height` still fits
+  ensure(height) {
+    if (this.y + height > PAGE.h - PAGE.bottom && this.y > PAGE.top) this.newPage();
+  }
+
+  rect(x, y, w, h, fill) {
+    this.ops.push(`${rgb(fill)} rg ${num(x)} ${num(PAGE.h - y - h)} ${num(w)} ${num(h)} re f`);
+  }
+
+  strokeRect(x, y, w, h, color, lw = 0.5) {
+    this.ops.push(`${rgb(color)} RG ${lw} w ${num(x)} ${num(PAGE.h - y - h)} ${num(w)} ${num(h)} re S`);
+  }
+
+  line(x1, y1, x2, y2, color, lw = 0.5) {
+    this.ops.push(`${rgb(color)} RG ${lw} w ${num(x1)} ${num(PAGE.h - y1)} m ${num(x2)} ${num(PAGE.h - y2)} l S`);
+  }
+
+  dot(cx, cy, r, fill) {
+    const k = 0.5523 * r;
+    const x = cx, y = PAGE.h - cy;
+    this.ops.push(`${rgb(fill)} rg ${rgb(COLORS.grey)} RG 0.4 w ${num(x + r)} ${num(y)} m `
+      + `${num(x + r)} ${num(y + k)} ${num(x + k)} ${num(y + r)} ${num(x)} ${num(y + r)} c `
+      + `${num(x - k)} ${num(y + r)} ${num(x - r)} ${num(y + k)} ${num(x - r)} ${num(y)} c `
+      + `${num(x - r)} ${num(y - k)} ${num(x - k)} ${num(y - r)} ${num(x)} ${num(y - r)} c `
+      + `${num(x + k)} ${num(y - r)} ${num(x + r)} ${num(y - k)} ${num(x + r)} ${num(y)} c b`);
+  }
+
+  text(str, x, y, font, size, color) {
+    this.ops.push(`BT /${font} ${size} Tf ${rgb(color)} rg ${num(x)} ${num(PAGE.h - y)} Td ${pdfString(str)} Tj ET`);
+  }
+
+  // Draws wrapped lines with their baseline `ascent` below this.y, advancing the cursor
+  drawLines(lines, x, lineHeight, { align = 'left', width = 0, breakPages = true } = {}) {
+    for (const l of lines) {
+      if (breakPages) this.ensure(lineHeight);
+      let cx = align === 'right' ? x + width - l.width : align === 'center' ? x + (width - l.width) / 2 : x;
+      const baseline = this.y + lineHeight * 0.75;
+      for (const p of l.pieces) {
+        if (p.dot) this.dot(cx + p.width / 2, baseline - p.size * 0.33, p.size * 0.36, p.dot);
+        else if (!p.space) this.text(p.text, cx, baseline, p.font, p.size, p.color);
+        cx += p.width;
+      }
+      this.y += lineHeight;
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BLOCKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const BODY = { size: 10, lineHeight: 14, color: COLORS.ink };
+const HEADINGS = {
+  1: { size: 16, before: 18, after: 8, rule: COLORS.lime, ruleWidth: 2 },
+  2: { size: 13, before: 16, after: 7, rule: COLORS.rule, ruleWidth: 0.75 },
+  3: { size: 11, before: 12, after: 5 },
+  4: { size: 10.5, before: 10, after: 4 },
+  5: { size: 10, before: 8, after: 3 },
+  6: { size: 10, before: 8, after: 3 }
+};
+
+function drawHeading(L, block) {
+  const h = HEADINGS[block.level] || HEADINGS[6];
+  const base = { size: h.size, color: block.level <= 2 ? COLORS.dark : [0.2, 0.2, 0.2], bold: true };
+  const lines = wrap(parseInline(block.text), CONTENT_W, base);
+  const lh = h.size * 1.3;
+  // keep the heading with at least two lines of what follows
+  L.ensure(h.before + lines.length * lh + h.after + BODY.lineHeight * 2);
+  if (L.y > PAGE.top) L.y += h.before;
+  L.drawLines(lines, PAGE.left, lh, { breakPages: false });
+  if (h.rule) {
+    L.y += 2;
+    L.line(PAGE.left, L.y, PAGE.left + CONTENT_W, L.y, h.rule, h.ruleWidth);
+  }
+  L.y += h.after;
+}
+
+function drawParagraph(L, lines, { indent = 0, base = BODY } = {}) {
+  const wrapped = wrap(parseInline(lines.join('\n')), CONTENT_W - indent, base);
+  L.drawLines(wrapped, PAGE.left + indent, base.lineHeight);
+  L.y += 6;
+}
+
+function drawList(L, block) {
+  const counters = [0, 0, 0];
+  for (const item of block.items) {
+    counters[item.level] = item.ordered ? (item.number ?? counters[item.level] + 1) : 0;
+    counters.fill(0, item.level + 1);
+    const indent = 14 + item.level * 14;
+    const marker = item.ordered ? `${counters[item.level]}.` : item.level ? '-' : '•';
+    const lines = wrap(parseInline(item.text), CONTENT_W - indent - 4, BODY);
+    L.ensure(BODY.lineHeight);
+    const markerX = PAGE.left + indent - 4 - textWidth(marker, 'F1', BODY.size);
+    L.text(marker, markerX, L.y + BODY.lineHeight * 0.75, 'F1', BODY.size, BODY.color);
+    L.drawLines(lines, PAGE.left + indent + 2, BODY.lineHeight);
+    L.y += 2;
+  }
+  L.y += 5;
+}
+
+function drawQuote(L, block) {
+  const base = { ...BODY, italic: true, color: COLORS.quote };
+  const lines = wrap(parseInline(block.lines.join('\n')), CONTENT_W - 24, base);
+  const pad = 7;
+  const lh = BODY.lineHeight;
+  L.y += 3;
+  // Callouts are short — keep them on one page when they fit
+  L.ensure(Math.min(lines.length * lh + pad * 2, PAGE.h - PAGE.top - PAGE.bottom));
+  let i = 0;
+  while (i < lines.length) {
+    const room = Math.floor((PAGE.h - PAGE.bottom - L.y - pad * 2) / lh);
+    if (room < 1) { L.newPage(); continue; }
+    const chunk = lines.slice(i, i + room);
+    const height = chunk.length * lh + pad * 2;
+    L.rect(PAGE.left, L.y, CONTENT_W, height, COLORS.stripe);
+    L.rect(PAGE.left, L.y, 3, height, COLORS.lime);
+    L.y += pad;
+    L.drawLines(chunk, PAGE.left + 14, lh, { breakPages: false });
+    L.y += pad;
+    i += chunk.length;
+  }
+  L.y += 9;
+}
+
+function drawCode(L, block) {
+  const base = { size: 8.5, lineHeight: 11, color: COLORS.ink };
+  // code runs are set at 90% of the base size
+  const lines = block.text.split('\n').flatMap(t => wrap([{ text: t || ' ', code: true }], CONTENT_W - 16, { ...base, size: base.size / 0.9 }));
+  for (const l of lines) {
+    L.ensure(base.lineHeight);
+    L.rect(PAGE.left, L.y, CONTENT_W, base.lineHeight, [0.94, 0.94, 0.94]);
+    L.drawLines([l], PAGE.left + 8, base.lineHeight, { breakPages: false });
+  }
+  L.y += 8;
+}
+
+function drawTable(L, block) {
+  const cols = block.header.length;
+  const size = 8.5;
+  const pad = 5;
+  const lh = size * 1.35;
+  const headBase = { size, color: COLORS.ink, bold: true };
+  const cellBase = { size, color: COLORS.ink };
+
+  // Column widths: proportional to content, each at least half an even split
+  const natural = block.header.map((h, c) => {
+    const texts = [h, ...block.rows.map(r => r[c])];
+    return Math.max(...texts.map(t => wrap(parseInline(t), 1e6, cellBase)[0]?.width || 0)) + pad * 2;
+  });
+  const total = natural.reduce((a, b) => a + b, 0) || 1;
+  const floor = CONTENT_W / cols / 2;
+  let widths = natural.map(w => Math.max(floor, (w / total) * CONTENT_W));
+  if (total <= CONTENT_W) widths = natural.map(w => w + (CONTENT_W - total) / cols);
+  const scale = CONTENT_W / widths.reduce((a, b) => a + b, 0);
+  widths = widths.map(w => w * scale);
+
+  const layoutRow = (cells, base) => {
+    const wrapped = cells.map((t, c) => wrap(parseInline(t), widths[c] - pad * 2, base));
+    return { wrapped, height: Math.max(...wrapped.map(w => w.length)) * lh + pad * 2 };
+  };
+  const header = layoutRow(block.header, headBase);
+
+  const drawRow = (row, fill) => {
+    let x = PAGE.left;
+    const top = L.y;
+    if (fill) L.rect(PAGE.left, top, CONTENT_W, row.height, fill);
+    row.wrapped.forEach((lines, c) => {
+      L.y = top + pad;
+      L.drawLines(lines, x + pad, lh, { align: block.align[c], width: widths[c] - pad * 2, breakPages: false });
+      L.strokeRect(x, top, widths[c], row.height, COLORS.rule);
+      x += widths[c];
+    });
+    L.y = top + row.height;
+  };
+
+  L.y += 4;
+  L.ensure(header.height + lh * 2 + pad * 2);
+  drawRow(header, COLORS.shade);
+  block.rows.forEach((cells, r) => {
+    const row = layoutRow(cells, cellBase);
+    if (L.y + row.height > PAGE.h - PAGE.bottom) {
+      L.newPage();
+      drawRow(header, COLORS.shade); // repeat header on the new page
+    }
+    drawRow(row, r % 2 ? COLORS.stripe : null);
+  });
+  L.y += 10;
+}
+
+function drawBlock(L, block) {
+  switch (block.type) {
+    case 'heading': return drawHeading(L, block);
+    case 'paragraph': return drawParagraph(L, block.lines);
+    case 'list': return drawList(L, block);
+    case 'quote': return drawQuote(L, block);
+    case 'code': return drawCode(L, block);
+    case 'table': return drawTable(L, block);
+    case 'hr':
+      L.ensure(20);
+      L.y += 8;
+      L.line(PAGE.left, L.y, PAGE.left + CONTENT_W, L.y, COLORS.rule, 0.75);
+      L.y += 10;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COVER + CHART
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function drawCover(L, doc) {
+  const h = 104;
+  L.rect(0, 0, PAGE.w, h, COLORS.dark);
+  L.rect(PAGE.left, 28, 40, 3, COLORS.lime);
+  L.text(toWinAnsi(doc.title), PAGE.left, 58, 'F2', 22, COLORS.white);
+  L.text(toWinAnsi(doc.company), PAGE.left, 76, 'F1', 11, COLORS.lime);
+  L.text(toWinAnsi(doc.meta), PAGE.left, 92, 'F1', 8.5, COLORS.muted);
+  L.y = h + 20;
+}
+
+// Horizontal bars of chart_data.bar: normalized 0–100 score per metric, stage
+// median marker, and the share of peers beaten when a distribution exists
+function drawChart(L, chart) {
+  const bar = chart?.bar;
+  if (!bar?.labels?.length) return;
+  const rowH = 20;
+  const labelW = 150;
+  const trackX = PAGE.left + labelW;
+  const trackW = CONTENT_W - labelW - 70;
+  L.ensure(60 + bar.labels.length * rowH);
+
+  L.line(PAGE.left, L.y, PAGE.left + CONTENT_W, L.y, COLORS.lime, 2);
+  L.y += 18;
+  L.text('Benchmark Scorecard - Visual Overview', PAGE.left, L.y, 'F2', 13, COLORS.dark);
+  L.y += 14;
+  L.text(toWinAnsi(`Health score by metric (0-100) vs ${chart.stageLabel || 'stage'} benchmarks`), PAGE.left, L.y, 'F1', 8.5, COLORS.muted);
+  L.y += 12;
+
+  bar.labels.forEach((label, i) => {
+    const user = bar.datasets.user[i];
+    const median = bar.datasets.median[i];
+    const mid = L.y + rowH / 2;
+    L.text(toWinAnsi(`${label} (${bar.units?.[i] ?? ''})`).slice(0, 34), PAGE.left, mid + 3, 'F1', 8.5, COLORS.ink);
+    L.rect(trackX, mid - 5, trackW, 10, COLORS.shade);
+    if (user !== null && user !== undefined) {
+      L.rect(trackX, mid - 5, Math.max(1, (trackW * user) / 100), 10, COLORS.lime);
+      L.strokeRect(trackX, mid - 5, Math.max(1, (trackW * user) / 100), 10, COLORS.dark, 0.4);
+    }
+    if (median !== null && median !== undefined) {
+      const mx = trackX + (trackW * median) / 100;
+      L.line(mx, mid - 8, mx, mid + 8, COLORS.grey, 1.5);
+    }
+    const standing = bar.standing?.[i];
+    const note = user === null || user === undefined ? 'not disclosed'
+      : standing !== null && standing !== undefined ? `${user}/100 - beats ${standing}%`
+        : bar.position?.[i] ? `${user}/100 - ${bar.position[i]}` : `${user}/100`;
+    L.text(note, trackX + trackW + 6, mid + 3, 'F1', 7.5, COLORS.grey);
+    L.y += rowH;
+  });
+
+  L.y += 4;
+  L.rect(trackX, L.y, 10, 6, COLORS.lime);
+  L.text('Your score', trackX + 14, L.y + 6, 'F1', 7.5, COLORS.grey);
+  L.line(trackX + 80, L.y - 1, trackX + 80, L.y + 7, COLORS.grey, 1.5);
+  L.text('Stage median', trackX + 85, L.y + 6, 'F1', 7.5, COLORS.grey);
+  L.y += 24;
+}
+
+function drawFooters(pages, doc) {
+  pages.forEach((ops, i) => {
+    const y = PAGE.h - 26;
+    ops.push(`${rgb(COLORS.rule)} RG 0.5 w ${PAGE.left} ${num(PAGE.h - y + 10)} m ${num(PAGE.w - PAGE.right)} ${num(PAGE.h - y + 10)} l S`);
+    const left = toWinAnsi(`${doc.footer}`);
+    const right = `Page ${i + 1} of ${pages.length}`;
+    ops.push(`BT /F1 7.5 Tf ${rgb(COLORS.muted)} rg ${PAGE.left} ${num(PAGE.h - y)} Td ${pdfString(left)} Tj ET`);
+    ops.push(`BT /F1 7.5 Tf ${rgb(COLORS.muted)} rg ${num(PAGE.w - PAGE.right - textWidth(right, 'F1', 7.5))} ${num(PAGE.h - y)} Td ${pdfString(right)} Tj ET`);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SERIALIZATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function pdfDate(d) {
+  const p = n => String(n).padStart(2, '0');
+  return `D:${d.getUTCFullYear()}${p(d.getUTCMonth() + 1)}${p(d.getUTCDate())}${p(d.getUTCHours())}${p(d.getUTCMinutes())}${p(d.getUTCSeconds())}Z`;
+}
+
+function serialize(pages, doc) {
+  const objects = []; // index = object number - 1
+  const add = body => { objects.push(body); return objects.length; };
+
+  const catalog = add(null);
+  const pagesObj = add(null);
+  const fontRefs = Object.entries(FONTS).map(([name, base]) =>
+    `/${name} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base}${base === 'Courier' ? '' : ' /Encoding /WinAnsiEncoding'} >>`)} 0 R`);
+  const resources = `<< /Font << ${fontRefs.join(' ')} >> >>`;
+
+  const kids = pages.map(ops => {
+    const data = deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+    const content = add({ dict: `<< /Length ${data.length} /Filter /FlateDecode >>`, stream: data });
+    return add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${PAGE.w} ${PAGE.h}] /Resources ${resources} /Contents ${content} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+  objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const info = add(`<< /Title ${pdfString(toWinAnsi(`${doc.title} - ${doc.company}`))} /Author ${pdfString(toWinAnsi(doc.author))} /Producer (Panoramica) /CreationDate (${pdfDate(doc.generatedAt)}) >>`);
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(offset);
+    const parts = typeof obj === 'string'
+      ? [Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, 'latin1')]
+      : [Buffer.from(`${i + 1} 0 obj\n${obj.dict}\nstream\n`, 'latin1'), obj.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')];
+    for (const p of parts) { chunks.push(p); offset += p.length; }
+  });
+
+  const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`)].join('');
+  chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+// doc: see buildExportDocument() in export.js. Returns the PDF as a Buffer.
+export function renderPdf(doc) {
+  const L = new PdfLayout();
+  drawCover(L, doc);
+  drawChart(L, doc.chartData);
+  let section = '';
+  for (const block of doc.blocks) {
+    if (block.type === 'heading' && block.level === 2) {
+      // The executive summary stands alone on its page, as in the print view
+      if (/executive summary/i.test(section)) L.newPage();
+      section = block.text;
+    }
+    drawBlock(L, block);
+  }
+  drawFooters(L.pages, doc);
+  return serialize(L.pages, doc);
+}
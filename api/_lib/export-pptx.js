@@ -0,0 +1,372 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// PPTX EXPORT — board deck of the Strategic Growth Plan (16:9)
+//
+// PresentationML zipped with writeZip, one blank layout, every element a
+// native shape so the deck stays editable:
+//   1. Title
+//   2. Executive Summary
+//   3. Cost of constraints (financial_impact)
+//   4. Benchmark scorecard — bars drawn from chart_data
+//   5+ one slide per report section: its table when it has one (findings and
+//      recommendations use the document's record tables), otherwise up to
+//      seven bullets (sub-headings, list items, lead sentences)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { writeZip } from './zip.js';
+import { parseInline, plainText, splitSections } from './report-markdown.js';
+import { xmlEscape as esc, corePropsXml, appPropsXml } from './export-docx.js';
+import { formatMoney } from './currency.js';
+
+const IN = 914400; // EMU per inch
+const emu = inches => Math.round(inches * IN);
+const SLIDE = { w: 12192000, h: 6858000 };
+const MARGIN = 0.6 * IN;
+const BODY_W = SLIDE.w - MARGIN * 2;
+
+const LIME = 'CDFF00';
+const DARK = '111111';
+const GREY = '888888';
+const INK = '1A1A1A';
+
+const MAX_BULLETS = 7;
+const MAX_TABLE_ROWS = 7;
+const MAX_TABLE_COLS = 6;
+
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SHAPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fill = color => (color ? `<a:solidFill><a:srgbClr val="${color}"/></a:solidFill>` : '<a:noFill/>');
+
+function runXml(run, { size = 16, color = INK, bold = false } = {}) {
+  const attrs = `lang="en-US" sz="${Math.round(size * 100)}"${run.bold || bold ? ' b="1"' : ''}${run.italic ? ' i="1"' : ''} dirty="0"`;
+  const font = run.code ? '<a:latin typeface="Courier New"/>' : '';
+  return `<a:r><a:rPr ${attrs}>${fill(run.link ? '0066CC' : color)}${font}</a:rPr><a:t>${esc(run.text.replace(/\n/g, ' '))}</a:t></a:r>`;
+}
+
+// paragraphs: [{ runs | text, level?, bullet?, align?, size?, color?, bold?, spaceBefore? }]
+function paragraphsXml(paragraphs) {
+  return paragraphs.map(p => {
+    const runs = p.runs || (p.markdown ? parseInline(p.markdown) : [{ text: p.text ?? '' }]);
+    const style = { size: p.size, color: p.color, bold: p.bold };
+    const bullet = p.bullet
+      ? (p.level ? `marL="${emu(0.65)}" indent="-${emu(0.25)}" lvl="1"` : `marL="${emu(0.3)}" indent="-${emu(0.3)}"`)
+      : 'marL="0" indent="0"';
+    const bu = p.bullet
+      ? `<a:buClr><a:srgbClr val="${p.level ? GREY : DARK}"/></a:buClr><a:buFont typeface="Arial"/><a:buChar char="${p.level ? '–' : '•'}"/>`
+      : '<a:buNone/>';
+    const spc = `<a:spcBef><a:spcPts val="${(p.spaceBefore ?? (p.bullet ? 8 : 0)) * 100}"/></a:spcBef>`;
+    return `<a:p><a:pPr ${bullet}${p.align ? ` algn="${p.align}"` : ''}>${spc}${bu}</a:pPr>${runs.map(r => runXml(r, style)).join('')}`
+      + `<a:endParaRPr lang="en-US" sz="${Math.round((p.size || 16) * 100)}" dirty="0"/></a:p>`;
+  }).join('') || '<a:p><a:endParaRPr lang="en-US" dirty="0"/></a:p>';
+}
+
+class Slide {
+  constructor(background = null) {
+    this.background = background;
+    this.shapes = [];
+    this.nextId = 2;
+  }
+
+  box(x, y, w, h, { fill: bg = null, line = null, paragraphs = null, anchor = 't', inset = 0, autofit = false, geom = 'rect' } = {}) {
+    const id = this.nextId++;
+    const ln = line ? `<a:ln w="9525">${fill(line)}</a:ln>` : '<a:ln><a:noFill/></a:ln>';
+    const ins = emu(inset);
+    const tx = paragraphs
+      ? `<p:txBody><a:bodyPr wrap="square" lIns="${ins}" tIns="${ins}" rIns="${ins}" bIns="${ins}" anchor="${anchor}" rtlCol="0">${autofit ? '<a:normAutofit/>' : '<a:noAutofit/>'}</a:bodyPr><a:lstStyle/>${paragraphsXml(paragraphs)}</p:txBody>`
+      : '';
+    this.shapes.push(`<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${paragraphs ? 'TextBox' : 'Shape'} ${id}"/><p:cNvSpPr${paragraphs ? ' txBox="1"' : ''}/><p:nvPr/></p:nvSpPr>`
+      + `<p:spPr><a:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${Math.max(1, Math.round(w))}" cy="${Math.max(1, Math.round(h))}"/></a:xfrm>`
+      + `<a:prstGeom prst="${geom}"><a:avLst/></a:prstGeom>${fill(bg)}${ln}</p:spPr>${tx}</p:sp>`);
+  }
+
+  text(x, y, w, h, paragraphs, opts = {}) {
+    this.box(x, y, w, h, { ...opts, paragraphs });
+  }
+
+  table(x, y, w, header, rows, { size = 12 } = {}) {
+    const id = this.nextId++;
+    const colW = Math.floor(w / header.length);
+    const rowH = emu(0.42);
+    const cell = (text, head, stripe) => `<a:tc><a:txBody><a:bodyPr/><a:lstStyle/>${paragraphsXml([{ markdown: text, size, bold: head }])}</a:txBody>`
+      + `<a:tcPr marL="${emu(0.08)}" marR="${emu(0.08)}" marT="${emu(0.05)}" marB="${emu(0.05)}">`
+      + ['lnL', 'lnR', 'lnT', 'lnB'].map(side => `<a:${side} w="9525">${fill('DDDDDD')}</a:${side}>`).join('')
+      + `${fill(head ? 'F2F2F2' : stripe ? 'FAFAFA' : 'FFFFFF')}</a:tcPr></a:tc>`;
+    const tr = (cells, head, stripe) => `<a:tr h="${rowH}">${cells.map(c => cell(c, head, stripe)).join('')}</a:tr>`;
+    this.shapes.push(`<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="Table ${id}"/><p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>`
+      + `<p:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${colW * header.length}" cy="${rowH * (rows.length + 1)}"/></p:xfrm>`
+      + `<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table"><a:tbl><a:tblPr firstRow="1" bandRow="1"/>`
+      + `<a:tblGrid>${header.map(() => `<a:gridCol w="${colW}"/>`).join('')}</a:tblGrid>`
+      + tr(header, true, false) + rows.map((r, i) => tr(r, false, i % 2 === 1)).join('')
+      + `</a:tbl></a:graphicData></a:graphic></p:graphicFrame>`);
+  }
+
+  xml() {
+    const bg = this.background
+      ? `<p:bg><p:bgPr>${fill(this.background)}<a:effectLst/></p:bgPr></p:bg>` : '';
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld ${NS}><p:cSld>${bg}<p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>`
+      + `<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>`
+      + `${this.shapes.join('')}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SLIDES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Lime accent + title + footer; returns the slide for the body to be added
+function contentSlide(doc, title, number) {
+  const s = new Slide();
+  s.box(MARGIN, 0.5 * IN, 0.6 * IN, 0.07 * IN, { fill: LIME });
+  s.text(MARGIN, 0.62 * IN, BODY_W, 0.85 * IN, [{ markdown: title, size: 28, bold: true, color: DARK }], { anchor: 'ctr' });
+  s.text(MARGIN, 7.0 * IN, BODY_W * 0.8, 0.3 * IN, [{ text: `${doc.company} | ${doc.title}`, size: 10, color: GREY }]);
+  s.text(MARGIN + BODY_W * 0.8, 7.0 * IN, BODY_W * 0.2, 0.3 * IN, [{ text: String(number), size: 10, color: GREY, align: 'r' }]);
+  return s;
+}
+
+function titleSlide(doc) {
+  const s = new Slide(DARK);
+  s.box(MARGIN, 2.3 * IN, 0.9 * IN, 0.09 * IN, { fill: LIME });
+  s.text(MARGIN, 2.5 * IN, BODY_W, 1.0 * IN, [{ text: doc.title, size: 44, bold: true, color: 'FFFFFF' }], { anchor: 'b' });
+  s.text(MARGIN, 3.55 * IN, BODY_W, 0.6 * IN, [{ text: doc.company, size: 24, color: LIME }]);
+  s.text(MARGIN, 4.2 * IN, BODY_W, 0.4 * IN, [{ text: doc.meta, size: 12, color: '999999' }]);
+  return s;
+}
+
+// Lead sentence of a markdown line, kept under `max` characters. Markup is
+// only dropped when the text has to be cut (a cut could split a ** pair).
+function lead(md, max = 180) {
+  const firstSentence = md.match(/^.*?[.!?](?=\s|$)/)?.[0] || md;
+  if (firstSentence.length <= max) return firstSentence;
+  const plain = plainText(firstSentence);
+  return plain.length <= max ? plain : plain.slice(0, max - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+function sectionBullets(blocks) {
+  const bullets = [];
+  let underHeading = false;
+  let leadPending = false;
+  for (const b of blocks) {
+    if (b.type === 'heading' && b.level >= 3) {
+      bullets.push({ markdown: plainText(b.text), bullet: true, bold: true });
+      underHeading = leadPending = true;
+    } else if (b.type === 'paragraph' || b.type === 'quote') {
+      if (underHeading && !leadPending) continue;
+      for (const line of b.lines.filter(l => l.trim())) {
+        bullets.push({ markdown: lead(line), bullet: true, level: underHeading ? 1 : 0 });
+        if (underHeading) break;
+      }
+      leadPending = false;
+    } else if (b.type === 'list') {
+      for (const item of b.items) {
+        if (underHeading && !leadPending) break;
+        bullets.push({ markdown: lead(item.text), bullet: true, level: underHeading || item.level ? 1 : 0 });
+        if (underHeading) break;
+      }
+      leadPending = false;
+    }
+  }
+  return bullets;
+}
+
+function bulletSlide(doc, title, bullets, number) {
+  const s = contentSlide(doc, title, number);
+  const shown = bullets.slice(0, MAX_BULLETS);
+  const size = shown.length > 5 || shown.some(b => b.markdown.length > 140) ? 15 : 17;
+  s.text(MARGIN, 1.65 * IN, BODY_W, 5.2 * IN, shown.map(b => ({ ...b, size })), { autofit: true });
+  return s;
+}
+
+function tableSlide(doc, title, table, number) {
+  const s = contentSlide(doc, title, number);
+  const cols = Math.min(table.header.length, MAX_TABLE_COLS);
+  const clip = t => lead(t, 70);
+  const rows = table.rows.slice(0, MAX_TABLE_ROWS).map(r => r.slice(0, cols).map(clip));
+  s.table(MARGIN, 1.7 * IN, BODY_W, table.header.slice(0, cols).map(clip), rows, { size: cols > 4 ? 11 : 13 });
+  if (table.rows.length > MAX_TABLE_ROWS) {
+    s.text(MARGIN, 6.55 * IN, BODY_W, 0.3 * IN, [{ text: `+${table.rows.length - MAX_TABLE_ROWS} more rows in the full report`, size: 10, color: GREY }]);
+  }
+  return s;
+}
+
+function impactSlide(doc, impact, number) {
+  const s = contentSlide(doc, 'Cost of Identified Constraints', number);
+  const cur = impact.currency || 'EUR';
+  s.text(MARGIN, 1.7 * IN, BODY_W, 1.0 * IN, [{ text: `${formatMoney(impact.total_monthly, cur)}/month`, size: 40, bold: true, color: DARK }]);
+  s.text(MARGIN, 2.65 * IN, BODY_W, 0.5 * IN, [{ text: `${formatMoney(impact.total_annual, cur)}/year in unrealized revenue`, size: 18, color: GREY }]);
+
+  const constraints = (impact.constraints || []).slice(0, 6);
+  const max = Math.max(...constraints.map(c => c.monthly || 0), 1);
+  const barX = MARGIN + 4.2 * IN;
+  const barW = BODY_W - 4.2 * IN - 1.8 * IN;
+  constraints.forEach((c, i) => {
+    const y = 3.5 * IN + i * 0.52 * IN;
+    s.text(MARGIN, y, 4.1 * IN, 0.4 * IN, [{ text: c.label, size: 14, color: INK }], { anchor: 'ctr' });
+    s.box(barX, y + 0.08 * IN, barW, 0.24 * IN, { fill: 'F2F2F2' });
+    s.box(barX, y + 0.08 * IN, (barW * (c.monthly || 0)) / max, 0.24 * IN, { fill: LIME, line: DARK });
+    s.text(barX + barW + 0.1 * IN, y, 1.7 * IN, 0.4 * IN, [{ text: `${formatMoney(c.monthly, cur)}/mo`, size: 13, color: GREY }], { anchor: 'ctr' });
+  });
+  return s;
+}
+
+function scorecardSlide(doc, chart, number) {
+  const s = contentSlide(doc, 'Benchmark Scorecard', number);
+  const bar = chart.bar;
+  const n = Math.min(bar.labels.length, 9);
+  const rowH = Math.min(0.55, 4.6 / n) * IN;
+  const labelW = 3.4 * IN;
+  const noteW = 2.2 * IN;
+  const trackX = MARGIN + labelW;
+  const trackW = BODY_W - labelW - noteW;
+
+  s.text(MARGIN, 1.45 * IN, BODY_W, 0.35 * IN, [{ text: `Health score by metric (0–100) vs ${chart.stageLabel || 'stage'} benchmarks`, size: 12, color: GREY }]);
+  for (let i = 0; i < n; i++) {
+    const y = 1.95 * IN + i * rowH;
+    const user = bar.datasets.user[i];
+    const median = bar.datasets.median[i];
+    const standing = bar.standing?.[i];
+    s.text(MARGIN, y, labelW - 0.1 * IN, rowH, [{ text: `${bar.labels[i]} (${bar.units?.[i] ?? ''})`, size: 13, color: INK }], { anchor: 'ctr' });
+    s.box(trackX, y + rowH * 0.3, trackW, rowH * 0.4, { fill: 'F2F2F2' });
+    if (user !== null && user !== undefined) s.box(trackX, y + rowH * 0.3, Math.max(1, (trackW * user) / 100), rowH * 0.4, { fill: LIME, line: DARK });
+    if (median !== null && median !== undefined) s.box(trackX + (trackW * median) / 100 - 0.015 * IN, y + rowH * 0.15, 0.03 * IN, rowH * 0.7, { fill: GREY });
+    const note = user === null || user === undefined ? 'Not disclosed'
+      : standing !== null && standing !== undefined ? `${user}/100 · beats ${standing}%`
+        : bar.position?.[i] ? `${user}/100 · ${bar.position[i]}` : `${user}/100`;
+    s.text(trackX + trackW + 0.15 * IN, y, noteW - 0.15 * IN, rowH, [{ text: note, size: 12, color: GREY }], { anchor: 'ctr' });
+  }
+  const ly = 1.95 * IN + n * rowH + 0.15 * IN;
+  s.box(trackX, ly + 0.08 * IN, 0.25 * IN, 0.16 * IN, { fill: LIME, line: DARK });
+  s.text(trackX + 0.3 * IN, ly, 1.5 * IN, 0.32 * IN, [{ text: 'Your score', size: 11, color: GREY }], { anchor: 'ctr' });
+  s.box(trackX + 1.9 * IN, ly + 0.04 * IN, 0.03 * IN, 0.24 * IN, { fill: GREY });
+  s.text(trackX + 2.0 * IN, ly, 1.5 * IN, 0.32 * IN, [{ text: 'Stage median', size: 11, color: GREY }], { anchor: 'ctr' });
+  return s;
+}
+
+function buildSlides(doc) {
+  const slides = [titleSlide(doc)];
+  const sections = splitSections(doc.blocks).filter(sec => sec.title);
+  const isSummary = sec => /executive summary/i.test(sec.title);
+
+  const summary = sections.find(isSummary);
+  if (summary) slides.push(bulletSlide(doc, 'Executive Summary', sectionBullets(summary.blocks), slides.length + 1));
+  if (doc.financialImpact?.total_monthly > 0) slides.push(impactSlide(doc, doc.financialImpact, slides.length + 1));
+  if (doc.chartData?.bar?.labels?.length) slides.push(scorecardSlide(doc, doc.chartData, slides.length + 1));
+
+  for (const sec of sections) {
+    if (isSummary(sec)) continue;
+    if (doc.chartData && /benchmark scorecard/i.test(sec.title)) continue; // replaced by the chart slide
+    const table = doc.recordTables?.[sec.title] || sec.blocks.find(b => b.type === 'table');
+    const bullets = sectionBullets(sec.blocks);
+    if (table) slides.push(tableSlide(doc, sec.title, table, slides.length + 1));
+    else if (bullets.length) slides.push(bulletSlide(doc, sec.title, bullets, slides.length + 1));
+  }
+  return slides;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PACKAGE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const rels = list => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${list.map(([id, type, target]) =>
+  `<Relationship Id="${id}" Type="${type.startsWith('http') ? type : `${REL}/${type}`}" Target="${target}"/>`).join('')}</Relationships>`;
+
+const EMPTY_TREE = '<p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr></p:spTree>';
+
+const SLIDE_MASTER = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldMaster ${NS}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>${EMPTY_TREE}</p:cSld>
+<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>
+<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>
+<p:txStyles><p:titleStyle/><p:bodyStyle/><p:otherStyle/></p:txStyles></p:sldMaster>`;
+
+const SLIDE_LAYOUT = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldLayout ${NS} type="blank" preserve="1"><p:cSld name="Blank">${EMPTY_TREE}</p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`;
+
+const THEME = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Panoramica"><a:themeElements>
+<a:clrScheme name="Panoramica"><a:dk1><a:srgbClr val="${INK}"/></a:dk1><a:lt1><a:srgbClr val="FFFFFF"/></a:lt1><a:dk2><a:srgbClr val="${DARK}"/></a:dk2><a:lt2><a:srgbClr val="F2F2F2"/></a:lt2>
+<a:accent1><a:srgbClr val="${LIME}"/></a:accent1><a:accent2><a:srgbClr val="${GREY}"/></a:accent2><a:accent3><a:srgbClr val="22C55E"/></a:accent3><a:accent4><a:srgbClr val="EAB308"/></a:accent4><a:accent5><a:srgbClr val="EF4444"/></a:accent5><a:accent6><a:srgbClr val="0066CC"/></a:accent6>
+<a:hlink><a:srgbClr val="0066CC"/></a:hlink><a:folHlink><a:srgbClr val="551A8B"/></a:folHlink></a:clrScheme>
+<a:fontScheme name="Panoramica"><a:majorFont><a:latin typeface="Arial"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont><a:minorFont><a:latin typeface="Arial"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont></a:fontScheme>
+<a:fmtScheme name="Panoramica">
+<a:fillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill><a:solidFill><a:schemeClr val="phClr"/></a:solidFill><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:fillStyleLst>
+<a:lnStyleLst><a:ln w="6350"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln><a:ln w="12700"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln><a:ln w="19050"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln></a:lnStyleLst>
+<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>
+<a:bgFillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill><a:solidFill><a:schemeClr val="phClr"/></a:solidFill><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:bgFillStyleLst>
+</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>`;
+
+const CT = 'application/vnd.openxmlformats-officedocument.presentationml';
+
+function contentTypes(count) {
+  const overrides = [
+    ['/ppt/presentation.xml', `${CT}.presentation.main+xml`],
+    ['/ppt/presProps.xml', `${CT}.presProps+xml`],
+    ['/ppt/viewProps.xml', `${CT}.viewProps+xml`],
+    ['/ppt/tableStyles.xml', `${CT}.tableStyles+xml`],
+    ['/ppt/slideMasters/slideMaster1.xml', `${CT}.slideMaster+xml`],
+    ['/ppt/slideLayouts/slideLayout1.xml', `${CT}.slideLayout+xml`],
+    ['/ppt/theme/theme1.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ...Array.from({ length: count }, (_, i) => [`/ppt/slides/slide${i + 1}.xml`, `${CT}.slide+xml`]),
+    ['/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml'],
+    ['/docProps/app.xml', 'application/vnd.openxmlformats-officedocument.extended-properties+xml']
+  ];
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('\n')}
+</Types>`;
+}
+
+function presentationXml(count) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:presentation ${NS} saveSubsetFonts="1">
+<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>
+<p:sldIdLst>${Array.from({ length: count }, (_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 6}"/>`).join('')}</p:sldIdLst>
+<p:sldSz cx="${SLIDE.w}" cy="${SLIDE.h}"/><p:notesSz cx="6858000" cy="9144000"/>
+</p:presentation>`;
+}
+
+// doc: see buildExportDocument() in export.js. Returns the .pptx as a Buffer.
+export function renderPptx(doc) {
+  const slides = buildSlides(doc);
+  const entries = [
+    ['[Content_Types].xml', contentTypes(slides.length)],
+    ['_rels/.rels', rels([
+      ['rId1', 'officeDocument', 'ppt/presentation.xml'],
+      ['rId2', 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', 'docProps/core.xml'],
+      ['rId3', 'extended-properties', 'docProps/app.xml']
+    ])],
+    ['ppt/presentation.xml', presentationXml(slides.length)],
+    ['ppt/_rels/presentation.xml.rels', rels([
+      ['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml'],
+      ['rId2', 'theme', 'theme/theme1.xml'],
+      ['rId3', 'presProps', 'presProps.xml'],
+      ['rId4', 'viewProps', 'viewProps.xml'],
+      ['rId5', 'tableStyles', 'tableStyles.xml'],
+      ...slides.map((_, i) => [`rId${i + 6}`, 'slide', `slides/slide${i + 1}.xml`])
+    ])],
+    ['ppt/presProps.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<p:presentationPr ${NS}/>`],
+    ['ppt/viewProps.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<p:viewPr ${NS}><p:gridSpacing cx="76200" cy="76200"/></p:viewPr>`],
+    ['ppt/tableStyles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>'],
+    ['ppt/slideMasters/slideMaster1.xml', SLIDE_MASTER],
+    ['ppt/slideMasters/_rels/slideMaster1.xml.rels', rels([
+      ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+      ['rId2', 'theme', '../theme/theme1.xml']
+    ])],
+    ['ppt/slideLayouts/slideLayout1.xml', SLIDE_LAYOUT],
+    ['ppt/slideLayouts/_rels/slideLayout1.xml.rels', rels([['rId1', 'slideMaster', '../slideMasters/slideMaster1.xml']])],
+    ['ppt/theme/theme1.xml', THEME],
+    ...slides.flatMap((s, i) => [
+      [`ppt/slides/slide${i + 1}.xml`, s.xml()],
+      [`ppt/slides/_rels/slide${i + 1}.xml.rels`, rels([['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml']])]
+    ]),
+    ['docProps/core.xml', corePropsXml(doc)],
+    ['docProps/app.xml', appPropsXml()]
+  ];
+  return writeZip(entries, doc.generatedAt);
+}
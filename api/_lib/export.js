@@ -0,0 +1,63 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT EXPORT — Strategic Growth Plan as PDF, DOCX or PPTX
+//
+// report.js stores the finished report on the session (state.report); the
+// export endpoint and the report payload's pdf_base64 both render from that
+// record, so every format carries the same markdown and chart_data. Reports
+// with a structured document also hand the renderers its finding and
+// recommendation records as tables.
+//
+//   pdf   export-pdf.js   print-ready A4
+//   docx  export-docx.js  editable Word document
+//   pptx  export-pptx.js  board deck (summary, scorecard chart, one slide per section)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { parseMarkdownBlocks } from './report-markdown.js';
+import { summarizeReportRecords } from './report-render.js';
+import { renderPdf } from './export-pdf.js';
+import { renderDocx } from './export-docx.js';
+import { renderPptx } from './export-pptx.js';
+
+export const EXPORT_FORMATS = {
+  pdf:  { mime: 'application/pdf', render: renderPdf },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: renderDocx },
+  pptx: { mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', render: renderPptx }
+};
+
+// The cover already shows title, company and date — drop the report's own
+// "# Strategic Growth Plan / ## Company | date / ---" opening
+function stripTitleBlocks(blocks) {
+  let i = 0;
+  if (blocks[i]?.type === 'heading' && blocks[i].level === 1) i++;
+  if (i && blocks[i]?.type === 'heading' && blocks[i].level === 2 && blocks[i].text.includes('|')) i++;
+  while (blocks[i]?.type === 'hr') i++;
+  return blocks.slice(i);
+}
+
+// Session record → the layout-neutral document every renderer takes
+export function buildExportDocument(report) {
+  const generatedAt = report.generatedAt ? new Date(report.generatedAt) : new Date();
+  const date = generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  const version = report.benchmark_version?.version;
+  return {
+    title: 'Strategic Growth Plan',
+    company: report.company || 'Company',
+    date,
+    meta: `Revenue Architect by Panoramica | ${date} | Validated Market Audit | Confidential`,
+    footer: `Revenue Architect by Panoramica - Confidential${version ? ` | Benchmarks ${version}` : ''}`,
+    author: 'Revenue Architect by Panoramica',
+    generatedAt,
+    blocks: stripTitleBlocks(parseMarkdownBlocks(report.markdown)),
+    recordTables: report.document ? summarizeReportRecords(report.document, report.render_context || {}) : {},
+    chartData: report.chart_data || null,
+    financialImpact: report.financial_impact || null
+  };
+}
+
+// → { buffer, mime, filename }. Throws on unknown formats.
+export function renderExport(format, report) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}"`);
+  const buffer = spec.render(buildExportDocument(report));
+  return { buffer, mime: spec.mime, filename: `${report.filename || 'Growth_Plan'}.${format}` };
+}
@@ -0,0 +1,226 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEASIBILITY RULES — the pre-analysis guardrail as data (api/rules/feasibility.json)
+//
+// Each rule declares:
+//   id, type (contradiction | anti_pattern | risk | structural), severity (high | medium | low)
+//   stages?, models?   — applicability (stage keys / business models; omitted = all)
+//   live?              — also raised during the discovery chat (api/chat.js), as
+//                        soon as the profile contradicts itself
+//   when               — condition tree over the facts (below)
+//   issue, detail, recommendation — flows.js templates over the facts ({{metrics.teamSize|0}})
+//
+// Conditions: { all: [...] } | { any: [...] } | { not: cond } | a comparison
+//   { fact: "metrics.churnRate", gt: 5 }           gt gte lt lte eq ne in matches exists
+//   { fact: "metrics.ltv", lt: { fact: "metrics.cac", times: 3 } }   compare to another fact
+//                                                   (times, then plus)
+//   default            — value used when the fact is missing (otherwise a comparison fails)
+//   matches            — case-insensitive regular expression on the profile text
+//
+// Facts (buildFeasibilityFacts):
+//   profile     the confirmed profile as the user stated it
+//   metrics     normalized numbers: money in EUR, revenue and churn monthly (metrics.js)
+//   derived     annualChurn (compounded from monthly), nrrFromChurn (100 − annualChurn:
+//               the NRR churn alone leaves with no expansion or contraction),
+//               netRevenueLoss (100 − NRR), expansionNeeded (NRR − nrrFromChurn)
+//   benchmarks  { key: { median, good, bad } } for the stage, in EUR
+//   stage       { key, label, maxToolSpend, maxMarketingSpend }, model
+//
+// A broken rule is skipped with an error at load time; evaluateRule() takes one
+// rule and a facts object, so every rule can be exercised on its own.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { METRIC_FIELDS, metricNumber } from './metrics.js';
+import { benchmarkInCurrency } from './currency.js';
+import { renderTemplate } from './flows.js';
+
+const TYPES = ['contradiction', 'anti_pattern', 'risk', 'structural'];
+const SEVERITIES = ['high', 'medium', 'low'];
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'ne', 'in', 'matches', 'exists'];
+const MESSAGES = ['issue', 'detail', 'recommendation'];
+
+let RULES = null;
+
+function rulesFile() {
+  let base;
+  try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api/_lib'; }
+  return join(base, '..', 'rules', 'feasibility.json');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function normalizeCondition(cond, where) {
+  if (!cond || typeof cond !== 'object' || Array.isArray(cond)) throw new Error(`${where}: condition must be an object`);
+  for (const group of ['all', 'any']) {
+    if (group in cond) {
+      if (!Array.isArray(cond[group]) || !cond[group].length) throw new Error(`${where}: "${group}" must be a non-empty array`);
+      return { [group]: cond[group].map((c, i) => normalizeCondition(c, `${where}.${group}[${i}]`)) };
+    }
+  }
+  if ('not' in cond) return { not: normalizeCondition(cond.not, `${where}.not`) };
+
+  if (typeof cond.fact !== 'string' || !cond.fact) throw new Error(`${where}: missing "fact"`);
+  const ops = OPERATORS.filter(op => op in cond);
+  if (ops.length !== 1) throw new Error(`${where}: needs exactly one of ${OPERATORS.join(', ')}`);
+  const [op] = ops;
+  const out = { fact: cond.fact, op, value: cond[op] };
+  if ('default' in cond) out.default = cond.default;
+  if (op === 'matches') {
+    try { out.re = new RegExp(cond.matches, 'i'); } catch (e) { throw new Error(`${where}: invalid pattern (${e.message})`); }
+  }
+  if (op === 'in' && !Array.isArray(cond.in)) throw new Error(`${where}: "in" must be an array`);
+  const ref = cond[op];
+  if (ref && typeof ref === 'object' && !Array.isArray(ref) && typeof ref.fact !== 'string') {
+    throw new Error(`${where}: a fact reference needs "fact"`);
+  }
+  return out;
+}
+
+// JSON definition → rule. Throws with the rule id so a broken rule fails loudly.
+export function normalizeRule(def) {
+  const id = def?.id;
+  if (!id || typeof id !== 'string') throw new Error('Feasibility rule is missing an "id"');
+  const where = `Rule ${id}`;
+  if (!TYPES.includes(def.type)) throw new Error(`${where}: type must be one of ${TYPES.join(', ')}`);
+  if (!SEVERITIES.includes(def.severity)) throw new Error(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+  for (const key of ['stages', 'models']) {
+    if (def[key] !== undefined && !Array.isArray(def[key])) throw new Error(`${where}: "${key}" must be an array`);
+  }
+  const messages = {};
+  for (const key of MESSAGES) {
+    const text = Array.isArray(def[key]) ? def[key].join('\n') : def[key];
+    if (typeof text !== 'string' || !text) throw new Error(`${where}: missing "${key}"`);
+    messages[key] = text;
+  }
+  return {
+    id,
+    type: def.type,
+    severity: def.severity,
+    stages: def.stages || null,
+    models: def.models || null,
+    live: def.live === true,
+    when: normalizeCondition(def.when, `${where} when`),
+    ...messages
+  };
+}
+
+export function loadFeasibilityRules() {
+  if (RULES) return RULES;
+  RULES = [];
+  let defs = [];
+  try {
+    defs = JSON.parse(readFileSync(rulesFile(), 'utf-8')).rules || [];
+  } catch (e) {
+    console.error('[Feasibility] Could not load rules:', e.message);
+  }
+  const seen = new Set();
+  for (const def of defs) {
+    try {
+      const rule = normalizeRule(def);
+      if (seen.has(rule.id)) throw new Error(`Rule ${rule.id}: duplicate id`);
+      seen.add(rule.id);
+      RULES.push(rule);
+    } catch (e) {
+      console.error(`[Feasibility] Skipping rule: ${e.message}`);
+    }
+  }
+  return RULES;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FACTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function buildFeasibilityFacts(profile = {}, metrics = {}, stageData = null, { stageKey, model } = {}) {
+  const normalized = {};
+  for (const [field, spec] of Object.entries(METRIC_FIELDS)) {
+    normalized[field] = metricNumber(metrics, field, { period: spec.period === 'monthly' ? 'monthly' : undefined, currency: 'EUR' });
+  }
+  const benchmarks = {};
+  for (const [key, entry] of Object.entries(stageData?.benchmarks || {})) {
+    const b = benchmarkInCurrency(entry, 'EUR');
+    if (b?.median !== null && b?.median !== undefined) benchmarks[key] = { median: b.median, good: b.good ?? null, bad: b.bad ?? null };
+  }
+  const budget = stageData?.playbook?.budgetGuidance || {};
+  const churn = normalized.churnRate;
+  const annualChurn = churn === null ? null : Math.round((1 - Math.pow(1 - Math.min(churn, 100) / 100, 12)) * 1000) / 10;
+  const nrrFromChurn = annualChurn === null ? null : Math.round((100 - annualChurn) * 10) / 10;
+  const nrr = normalized.nrr;
+  return {
+    profile,
+    metrics: normalized,
+    derived: {
+      annualChurn,
+      nrrFromChurn,
+      netRevenueLoss: nrr === null ? null : Math.round((100 - nrr) * 10) / 10,
+      expansionNeeded: nrr === null || nrrFromChurn === null ? null : Math.round((nrr - nrrFromChurn) * 10) / 10
+    },
+    benchmarks,
+    stage: {
+      key: stageKey || null,
+      label: stageData?.label || null,
+      maxToolSpend: budget.toolSpend?.max ?? null,
+      maxMarketingSpend: budget.marketingSpend?.max ?? null
+    },
+    model: model || stageData?.model || null
+  };
+}
+
+const lookup = (facts, path) => path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), facts);
+const missing = v => v === null || v === undefined || v === '' || (typeof v === 'number' && !Number.isFinite(v));
+
+function operand(value, facts) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const v = lookup(facts, value.fact);
+    if (missing(v)) return undefined;
+    return typeof v === 'number' ? v * (value.times ?? 1) + (value.plus ?? 0) : v;
+  }
+  return value;
+}
+
+const same = (a, b) => (typeof a === 'string' && typeof b === 'string' ? a.trim().toLowerCase() === b.trim().toLowerCase() : a === b);
+
+export function evaluateCondition(cond, facts) {
+  if (cond.all) return cond.all.every(c => evaluateCondition(c, facts));
+  if (cond.any) return cond.any.some(c => evaluateCondition(c, facts));
+  if (cond.not) return !evaluateCondition(cond.not, facts);
+
+  let actual = lookup(facts, cond.fact);
+  if (missing(actual) && cond.default !== undefined) actual = cond.default;
+  if (cond.op === 'exists') return missing(actual) !== Boolean(cond.value);
+  if (missing(actual)) return false;
+  const expected = operand(cond.value, facts);
+  if (expected === undefined) return false;
+  switch (cond.op) {
+    case 'matches': return cond.re.test(String(actual));
+    case 'eq': return same(actual, expected);
+    case 'ne': return !same(actual, expected);
+    case 'in': return expected.some(v => same(actual, v));
+    default: {
+      const a = Number(actual);
+      const b = Number(expected);
+      if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+      return cond.op === 'gt' ? a > b : cond.op === 'gte' ? a >= b : cond.op === 'lt' ? a < b : a <= b;
+    }
+  }
+}
+
+// One rule → flag { id, type, severity, issue, detail, recommendation } or null
+export function evaluateRule(rule, facts) {
+  if (rule.stages && !rule.stages.includes(facts.stage?.key)) return null;
+  if (rule.models && !rule.models.includes(facts.model)) return null;
+  if (!evaluateCondition(rule.when, facts)) return null;
+  const flag = { id: rule.id, type: rule.type, severity: rule.severity };
+  for (const key of MESSAGES) flag[key] = renderTemplate(rule[key], facts);
+  return flag;
+}
+
+// live: only the rules marked for the discovery chat
+export function runFeasibilityChecks(profile, metrics, stageData, { stageKey, model, live = false, rules = loadFeasibilityRules() } = {}) {
+  const facts = buildFeasibilityFacts(profile, metrics, stageData, { stageKey, model });
+  return rules.filter(rule => !live || rule.live).map(rule => evaluateRule(rule, facts)).filter(Boolean);
+}
@@ -0,0 +1,191 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISCOVERY FLOWS — phase definitions loaded from api/flows/*.json
+//
+// A flow is an ordered list of phases. Each phase declares:
+//   key, display        — id in the session / tracker slot shown by the client
+//                         (welcome | company | gtm | sales | diagnosis | pre_finish)
+//   gate                — how the phase is left:
+//                           welcome   → after the user replies to the welcome
+//                           checklist → every checklist field is filled (default)
+//                           diagnosis → diagnosis presented + validated + userPriority
+//                           final     → never (report generation ends the flow)
+//   minTurns, checklist, depthTopics, progress [min, max] (diagnostic depth %)
+//   prompt              — instruction template (string or array of lines)
+// and the flow itself carries fallbackQuestions, fieldLabels and any extra
+// profileFields its phases collect.
+//
+// Templates: {{path}} / {{path|fallback}} and {{#if name}}…{{else}}…{{/if}}
+// (`!name` negates, blocks nest). Unknown paths render as the fallback or ''.
+//
+// The default flow is chosen by DISCOVERY_FLOW (default "revenue-architect");
+// a session can pick another one at SNAPSHOT_INIT with contextData.flow.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const GATES = ['welcome', 'checklist', 'diagnosis', 'final'];
+const DISPLAY_SLOTS = ['welcome', 'company', 'gtm', 'sales', 'diagnosis', 'pre_finish'];
+
+let FLOWS = null;
+
+function flowsDir() {
+  let base;
+  try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api/_lib'; }
+  return join(base, '..', 'flows');
+}
+
+// Turns the JSON definition into { id, label, order, phases: { key → phase }, ... }.
+// Throws with the flow id and the offending phase so a broken file fails loudly.
+export function normalizeFlow(def) {
+  const id = def?.id;
+  if (!id || typeof id !== 'string') throw new Error('Flow definition is missing an "id"');
+  if (!Array.isArray(def.phases) || def.phases.length === 0) throw new Error(`Flow ${id}: "phases" must be a non-empty array`);
+
+  const phases = {};
+  const order = [];
+  def.phases.forEach((ph, i) => {
+    const where = `Flow ${id}, phase ${ph?.key || i}`;
+    if (!ph?.key) throw new Error(`${where}: missing "key"`);
+    if (phases[ph.key]) throw new Error(`${where}: duplicate key`);
+    const gate = ph.gate || 'checklist';
+    if (!GATES.includes(gate)) throw new Error(`${where}: unknown gate "${gate}"`);
+    const display = ph.display || ph.key;
+    if (!DISPLAY_SLOTS.includes(display)) throw new Error(`${where}: display must be one of ${DISPLAY_SLOTS.join(', ')}`);
+    const [min, max] = ph.progress || [];
+    if (!(min >= 0 && max <= 100 && min <= max)) throw new Error(`${where}: progress must be [min, max] within 0-100`);
+    if (!ph.prompt) throw new Error(`${where}: missing "prompt"`);
+
+    phases[ph.key] = {
+      key: ph.key,
+      display,
+      gate,
+      minTurns: ph.minTurns ?? 1,
+      checklist: ph.checklist || [],
+      depthTopics: ph.depthTopics || [],
+      progress: { min, max },
+      description: ph.description || '',
+      checklistPending: ph.checklistPending || 'NEEDED',
+      prompt: Array.isArray(ph.prompt) ? ph.prompt.join('\n') : ph.prompt,
+      next: def.phases[i + 1]?.key || null
+    };
+    order.push(ph.key);
+  });
+
+  if (phases[order[order.length - 1]].gate !== 'final') throw new Error(`Flow ${id}: the last phase must use gate "final"`);
+
+  return {
+    id,
+    label: def.label || id,
+    description: def.description || '',
+    questionSequencing: def.questionSequencing === true,
+    order,
+    phases,
+    profileFields: def.profileFields || {},
+    fieldLabels: def.fieldLabels || {},
+    fallbackQuestions: def.fallbackQuestions || {}
+  };
+}
+
+function loadAllFlows() {
+  if (FLOWS) return FLOWS;
+  FLOWS = new Map();
+  const dir = flowsDir();
+  let files = [];
+  try { files = readdirSync(dir).filter(f => f.endsWith('.json')); } catch (e) {
+    console.warn('[Flows] Could not read flows directory:', e.message);
+  }
+  for (const file of files) {
+    try {
+      const flow = normalizeFlow(JSON.parse(readFileSync(join(dir, file), 'utf-8')));
+      FLOWS.set(flow.id, flow);
+    } catch (e) {
+      console.error(`[Flows] Skipping ${file}: ${e.message}`);
+    }
+  }
+  return FLOWS;
+}
+
+export function defaultFlowId(env = process.env) {
+  return (env.DISCOVERY_FLOW || 'revenue-architect').trim();
+}
+
+export function listFlows() {
+  return [...loadAllFlows().values()].map(f => ({ id: f.id, label: f.label, description: f.description }));
+}
+
+// Unknown or missing ids fall back to the default flow
+export function resolveFlowId(requested) {
+  const flows = loadAllFlows();
+  if (requested && flows.has(requested)) return requested;
+  if (requested) console.warn(`[Flows] Unknown flow "${requested}", using default`);
+  return defaultFlowId();
+}
+
+export function getFlow(id) {
+  const flows = loadAllFlows();
+  const flow = flows.get(id || defaultFlowId()) || flows.get(defaultFlowId());
+  if (!flow) throw new Error(`Discovery flow "${id || defaultFlowId()}" is not defined in api/flows`);
+  return flow;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEMPLATES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function lookup(ctx, path) {
+  return path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), ctx);
+}
+
+function isEmpty(v) {
+  return v == null || v === '' || v === false || v === 0 || (Array.isArray(v) && v.length === 0);
+}
+
+const TOKEN_RE = /{{\s*(#if\s+!?[\w.]+|else|\/if|[\w.]+(?:\|[^}]*)?)\s*}}/g;
+
+export function renderTemplate(template, ctx) {
+  // Parse into a tree of text / value / if-nodes, then render
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let m;
+  TOKEN_RE.lastIndex = 0;
+  while ((m = TOKEN_RE.exec(template))) {
+    const node = stack[stack.length - 1];
+    const target = node.inElse ? node.otherwise : node.children;
+    if (m.index > last) target.push(template.slice(last, m.index));
+    last = TOKEN_RE.lastIndex;
+    const tok = m[1];
+    if (tok.startsWith('#if')) {
+      const cond = tok.slice(3).trim();
+      const ifNode = { negate: cond.startsWith('!'), name: cond.replace(/^!/, ''), children: [], otherwise: [], inElse: false };
+      target.push(ifNode);
+      stack.push(ifNode);
+    } else if (tok === 'else') {
+      if (stack.length === 1) throw new Error('Template: {{else}} outside {{#if}}');
+      node.inElse = true;
+    } else if (tok === '/if') {
+      if (stack.length === 1) throw new Error('Template: unmatched {{/if}}');
+      stack.pop();
+    } else {
+      const [path, fallback = ''] = tok.split('|');
+      target.push({ path: path.trim(), fallback });
+    }
+  }
+  if (stack.length > 1) throw new Error('Template: unclosed {{#if}}');
+  const tail = template.slice(last);
+  if (tail) root.children.push(tail);
+
+  const render = nodes => nodes.map(n => {
+    if (typeof n === 'string') return n;
+    if (n.path) {
+      const v = lookup(ctx, n.path);
+      return isEmpty(v) && v !== 0 ? n.fallback : String(v);
+    }
+    const truthy = !isEmpty(lookup(ctx, n.name));
+    return render((n.negate ? !truthy : truthy) ? n.children : n.otherwise);
+  }).join('');
+
+  return render(root.children);
+}
@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// GOLDEN THREAD — post-generation checks on the report document
+//
+// report-schema.js guarantees the document's shape; these rules check that the
+// plan hangs together the way the report prompt demands:
+//   orphaned_item         recommendation / risk / quick win with an unknown parent_finding_id
+//   unaddressed_finding   finding no recommendation traces back to
+//   missing_trade_off     priority without a real negative externality
+//   missing_second_order  priorities or months that do not hand off to the next
+//   missing_section       required section or record count below the prompt's
+//   under_length          prose section or whole report below its word minimum
+//
+// Each violation names the document `keys` a targeted repair rewrites (empty
+// when only a full regeneration could fix it).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const MIN_REPORT_WORDS = 3000;
+
+// Prose sections → minimum words (the prompt caps the executive summary at 150)
+const MIN_SECTION_WORDS = {
+  executive_summary: 60,
+  strategic_narrative: 200,
+  icp_gtm: 80,
+  root_cause: 50,
+  cost_of_inaction: 60,
+  scenario_modeling: 80,
+  benchmark_narrative: 40,
+  operating_model: 80,
+  next_steps: 40
+};
+
+// Record arrays → minimum count (3 priorities and months, 4-5 risks, 5 quick wins, 3-4 workflows)
+const MIN_RECORDS = { recommendations: 3, roadmap: 3, risks: 3, quick_wins: 3, workflows: 2 };
+
+const NARRATIVE_SUBSECTIONS = 4;
+const MIN_TRADE_OFF_WORDS = 4;
+const NO_TRADE_OFF = /^(none|n\/?a|no (real )?(trade-?offs?|downsides?)|nessun[oa]?)\b/i;
+
+const THREADED = ['recommendations', 'risks', 'quick_wins'];
+
+export function countWords(text) {
+  return (String(text || '').match(/[\p{L}\p{N}][\p{L}\p{N}'’.,%€$£-]*/gu) || []).length;
+}
+
+const violation = (rule, path, message, keys) => ({ rule, path, message, keys });
+
+// doc: validated report document. opts.markdown: the rendered report;
+// opts.findingCount: diagnosed problems the findings should cover.
+// → [{ rule, path, message, keys }]
+export function checkGoldenThread(doc, { markdown, findingCount } = {}) {
+  const out = [];
+  const ids = new Set((doc.findings || []).map(f => f.id));
+
+  for (const key of THREADED) {
+    (doc[key] || []).forEach((item, i) => {
+      if (!ids.has(item.parent_finding_id)) {
+        out.push(violation('orphaned_item', `${key}[${i}]`, `parent_finding_id ${item.parent_finding_id} is not a defined finding`, [key]));
+      }
+    });
+  }
+
+  const addressed = new Set((doc.recommendations || []).map(r => r.parent_finding_id));
+  for (const f of doc.findings || []) {
+    if (!addressed.has(f.id)) {
+      out.push(violation('unaddressed_finding', `findings.${f.id}`, `no recommendation traces back to ${f.id} (${f.name})`, ['recommendations']));
+    }
+  }
+
+  const recs = doc.recommendations || [];
+  recs.forEach((r, i) => {
+    const path = `recommendations[${i}]`;
+    if (countWords(r.trade_off) < MIN_TRADE_OFF_WORDS || NO_TRADE_OFF.test(r.trade_off)) {
+      out.push(violation('missing_trade_off', `${path}.trade_off`, `Priority ${r.priority} has no real negative externality ("${r.trade_off}")`, ['recommendations']));
+    }
+    if (i > 0 && !r.depends_on) {
+      out.push(violation('missing_second_order', `${path}.depends_on`, `Priority ${r.priority} does not say what it needs from Priority ${recs[i - 1].priority}`, ['recommendations']));
+    }
+    if (i < recs.length - 1 && !r.prerequisite_for) {
+      out.push(violation('missing_second_order', `${path}.prerequisite_for`, `Priority ${r.priority} does not say what it enables in Priority ${recs[i + 1].priority}`, ['recommendations']));
+    }
+  });
+  const months = doc.roadmap || [];
+  months.slice(0, -1).forEach((m, i) => {
+    if (!m.handoff) {
+      out.push(violation('missing_second_order', `roadmap[${i}].handoff`, `Month ${m.month} does not hand off to Month ${months[i + 1].month}`, ['roadmap']));
+    }
+  });
+
+  // A missing finding also needs a recommendation that traces back to it
+  if (findingCount && (doc.findings || []).length < findingCount) {
+    out.push(violation('missing_section', 'findings', `${doc.findings.length} finding(s) for ${findingCount} diagnosed problems`, ['findings', 'recommendations']));
+  }
+  for (const [key, min] of Object.entries(MIN_RECORDS)) {
+    const n = (doc[key] || []).length;
+    if (n < min) out.push(violation('missing_section', key, `${n} item(s), at least ${min} expected`, [key]));
+  }
+  const subsections = (String(doc.strategic_narrative || '').match(/^###\s+\S/gm) || []).length;
+  if (subsections < NARRATIVE_SUBSECTIONS) {
+    out.push(violation('missing_section', 'strategic_narrative', `${subsections} of the ${NARRATIVE_SUBSECTIONS} subsections (Current State, Hard Truth, Unlock, Risk of Inaction)`, ['strategic_narrative']));
+  }
+
+  for (const [key, min] of Object.entries(MIN_SECTION_WORDS)) {
+    const words = countWords(doc[key]);
+    if (words < min) out.push(violation('under_length', key, `${words} words, at least ${min} expected`, [key]));
+  }
+  if (markdown !== undefined) {
+    const words = countWords(markdown);
+    if (words < MIN_REPORT_WORDS) out.push(violation('under_length', 'report', `${words} words, at least ${MIN_REPORT_WORDS} expected`, []));
+  }
+  return out;
+}
+
+// Violations → the document keys a targeted repair should rewrite
+export function repairKeys(violations) {
+  return [...new Set(violations.flatMap(v => v.keys))];
+}
+
+export const formatViolation = v => `[${v.rule}] ${v.path}: ${v.message}`;
@@ -0,0 +1,288 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// LLM PROVIDER LAYER — single entry point for every model call
+//
+// Provider is selected by env var so the discovery chat and the report
+// generator never hard-code a vendor:
+//   LLM_PROVIDER = gemini (default) | openai | anthropic | mock
+//   LLM_MODEL    = optional model override for the selected provider
+//
+// Keys: GEMINI_API_KEY, OPENAI_API_KEY (+ OPENAI_BASE_URL for any
+// OpenAI-compatible endpoint), ANTHROPIC_API_KEY.
+// The mock provider is deterministic and reads fixture files from
+// LLM_MOCK_DIR (default: api/_fixtures/llm) — no network, no key.
+// callLLM returns the full completion; streamLLM yields text deltas.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-pro',
+  openai: 'gpt-4o',
+  anthropic: 'claude-sonnet-4-20250514',
+  mock: 'mock-fixtures'
+};
+
+const KEY_VARS = {
+  gemini: 'GEMINI_API_KEY',
+  openai: 'OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  mock: null
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROVIDER RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function resolveProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase().trim();
+  if (!DEFAULT_MODELS[name]) throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+  const keyVar = KEY_VARS[name];
+  return {
+    name,
+    model: env.LLM_MODEL || DEFAULT_MODELS[name],
+    keyVar,
+    apiKey: keyVar ? env[keyVar] || '' : '',
+    baseUrl: name === 'openai' ? (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '') : null,
+    mockDir: name === 'mock' ? (env.LLM_MOCK_DIR || defaultMockDir()) : null
+  };
+}
+
+// Returns null when the provider can be called, otherwise a human-readable reason
+export function providerMissingConfig(env = process.env) {
+  let provider;
+  try { provider = resolveProvider(env); } catch (e) { return e.message; }
+  if (provider.keyVar && !provider.apiKey) return `${provider.keyVar} missing`;
+  return null;
+}
+
+function defaultMockDir() {
+  let base;
+  try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api/_lib'; }
+  return join(base, '..', '_fixtures', 'llm');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC CALL
+// opts.task        — 'chat' | 'report' (drives mock fixture selection)
+// opts.json        — parse the response as JSON
+// opts.temperature — sampling temperature
+// opts.maxTokens   — output token cap
+// opts.fixture     — extra key for mock fixture lookup (e.g. current phase)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function callLLM(prompt, opts = {}) {
+  const provider = resolveProvider();
+  if (provider.keyVar && !provider.apiKey) throw new Error(`${provider.keyVar} missing`);
+
+  const call = CALLERS[provider.name];
+  let text = await call(prompt, provider, opts);
+  if (!text) throw new Error(`Empty response from ${provider.name}`);
+
+  if (!opts.json) return text;
+  text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  return JSON.parse(text);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STREAMING CALL — async generator of text deltas (same opts as callLLM; with
+// opts.json the provider is asked for JSON but the deltas stay raw text)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function* streamLLM(prompt, opts = {}) {
+  const provider = resolveProvider();
+  if (provider.keyVar && !provider.apiKey) throw new Error(`${provider.keyVar} missing`);
+  yield* STREAMERS[provider.name](prompt, provider, opts);
+}
+
+// Parses a text/event-stream body into { event, data } records
+async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let idx;
+    while ((idx = buf.search(/\r?\n\r?\n/)) !== -1) {
+      const raw = buf.slice(0, idx);
+      buf = buf.slice(idx).replace(/^\r?\n\r?\n/, '');
+      let event = 'message';
+      const data = [];
+      for (const line of raw.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length) yield { event, data: data.join('\n') };
+    }
+  }
+}
+
+function parseData(data) {
+  try { return JSON.parse(data); } catch { return null; }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function callGeminiProvider(prompt, provider, opts) {
+  // Single-turn call with full context in the prompt itself
+  const generationConfig = { temperature: opts.temperature ?? 0.7, maxOutputTokens: opts.maxTokens || 4000 };
+  if (opts.json) generationConfig.responseMimeType = 'application/json';
+  const r = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${provider.model}:generateContent?key=${provider.apiKey}`,
+    {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig
+      })
+    }
+  );
+  if (!r.ok) throw new Error(`Gemini ${r.status}: ${await r.text().catch(() => '?')}`);
+  const d = await r.json();
+  return d.candidates?.[0]?.content?.parts?.[0]?.text || '';
+}
+
+async function callOpenAIProvider(prompt, provider, opts) {
+  const body = {
+    model: provider.model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: opts.temperature ?? 0.7,
+    max_tokens: opts.maxTokens || 4000
+  };
+  if (opts.json) body.response_format = { type: 'json_object' };
+  const r = await fetch(`${provider.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${provider.apiKey}` },
+    body: JSON.stringify(body)
+  });
+  if (!r.ok) throw new Error(`OpenAI ${r.status}: ${await r.text().catch(() => '?')}`);
+  const d = await r.json();
+  return d.choices?.[0]?.message?.content || '';
+}
+
+async function callAnthropicProvider(prompt, provider, opts) {
+  const r = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': provider.apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: provider.model,
+      max_tokens: opts.maxTokens || 4000,
+      temperature: opts.temperature ?? 0.7,
+      messages: [{ role: 'user', content: prompt }]
+    })
+  });
+  if (!r.ok) throw new Error(`Anthropic ${r.status}: ${await r.text().catch(() => '?')}`);
+  const d = await r.json();
+  return (d.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+}
+
+// Mock: looks up "<task>.<fixture>.<ext>" then "<task>.<ext>" in the fixture dir.
+// JSON tasks read .json fixtures, text tasks read .md fixtures.
+async function callMockProvider(prompt, provider, opts) {
+  const task = opts.task || 'default';
+  const ext = opts.json ? 'json' : 'md';
+  const candidates = [];
+  if (opts.fixture) candidates.push(`${task}.${opts.fixture}.${ext}`);
+  candidates.push(`${task}.${ext}`);
+  for (const file of candidates) {
+    const path = join(provider.mockDir, file);
+    if (existsSync(path)) return readFileSync(path, 'utf-8');
+  }
+  throw new Error(`No mock fixture for task "${task}" in ${provider.mockDir}`);
+}
+
+// ── Streaming variants ──
+
+async function* streamGeminiProvider(prompt, provider, opts) {
+  const generationConfig = { temperature: opts.temperature ?? 0.7, maxOutputTokens: opts.maxTokens || 4000 };
+  if (opts.json) generationConfig.responseMimeType = 'application/json';
+  const r = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${provider.model}:streamGenerateContent?alt=sse&key=${provider.apiKey}`,
+    {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig
+      })
+    }
+  );
+  if (!r.ok) throw new Error(`Gemini ${r.status}: ${await r.text().catch(() => '?')}`);
+  for await (const { data } of readSSE(r.body)) {
+    const text = parseData(data)?.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('');
+    if (text) yield text;
+  }
+}
+
+async function* streamOpenAIProvider(prompt, provider, opts) {
+  const body = {
+    model: provider.model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: opts.temperature ?? 0.7,
+    max_tokens: opts.maxTokens || 4000,
+    stream: true
+  };
+  if (opts.json) body.response_format = { type: 'json_object' };
+  const r = await fetch(`${provider.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${provider.apiKey}` },
+    body: JSON.stringify(body)
+  });
+  if (!r.ok) throw new Error(`OpenAI ${r.status}: ${await r.text().catch(() => '?')}`);
+  for await (const { data } of readSSE(r.body)) {
+    if (data === '[DONE]') break;
+    const text = parseData(data)?.choices?.[0]?.delta?.content;
+    if (text) yield text;
+  }
+}
+
+async function* streamAnthropicProvider(prompt, provider, opts) {
+  const r = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': provider.apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: provider.model,
+      max_tokens: opts.maxTokens || 4000,
+      temperature: opts.temperature ?? 0.7,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true
+    })
+  });
+  if (!r.ok) throw new Error(`Anthropic ${r.status}: ${await r.text().catch(() => '?')}`);
+  for await (const { event, data } of readSSE(r.body)) {
+    if (event === 'error') throw new Error(`Anthropic stream: ${data}`);
+    if (event !== 'content_block_delta') continue;
+    const text = parseData(data)?.delta?.text;
+    if (text) yield text;
+  }
+}
+
+// Mock streams the fixture a few lines at a time so consumers see real chunking
+async function* streamMockProvider(prompt, provider, opts) {
+  const text = await callMockProvider(prompt, provider, opts);
+  const lines = text.split(/(?<=\n)/);
+  for (let i = 0; i < lines.length; i += 4) yield lines.slice(i, i + 4).join('');
+}
+
+const STREAMERS = {
+  gemini: streamGeminiProvider,
+  openai: streamOpenAIProvider,
+  anthropic: streamAnthropicProvider,
+  mock: streamMockProvider
+};
+
+const CALLERS = {
+  gemini: callGeminiProvider,
+  openai: callOpenAIProvider,
+  anthropic: callAnthropicProvider,
+  mock: callMockProvider
+};
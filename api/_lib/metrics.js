@@ -0,0 +1,275 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// METRICS — one parser for every numeric profile field
+//
+// The profile keeps what the user said ("€30K MRR", "3-5%", "about 40 days",
+// "1.2M ARR"). This module turns those strings into typed values:
+//   { value, low, high, unit, period, currency, confidence, raw }
+// The session stores the result in S.metrics and every calculator (scorecard,
+// chart/dashboard data, financial impact, scenarios, archetype matching,
+// feasibility checks) reads numbers from here instead of re-parsing text.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { convertCurrency, reportingCurrency } from './currency.js';
+
+// unit: the canonical unit of the field; period: assumed when the user doesn't
+// state one (discovery asks for MRR, deal size is an annual contract value)
+export const METRIC_FIELDS = {
+  revenue:       { unit: 'currency', period: 'monthly' },
+  revenueGrowth: { unit: 'percent' },
+  teamSize:      { unit: 'count' },
+  avgDealSize:   { unit: 'currency', period: 'annual' },
+  salesCycle:    { unit: 'days' },
+  cac:           { unit: 'currency', period: 'one_off' },
+  ltv:           { unit: 'currency', period: 'one_off' },
+  winRate:       { unit: 'percent' },
+  churnRate:     { unit: 'percent', period: 'monthly' },
+  nrr:           { unit: 'percent' },
+  growthTarget:  { unit: 'percent' },
+  runway:        { unit: 'months' },
+  burnRate:            { unit: 'currency', period: 'monthly' },   // net burn
+  salesMarketingSpend: { unit: 'currency', period: 'monthly' },
+  // Business-model metrics (see _lib/benchmarks.js packs)
+  grossMargin:         { unit: 'percent' },
+  utilization:         { unit: 'percent' },
+  clientConcentration: { unit: 'percent' },
+  retainerShare:       { unit: 'percent' },
+  takeRate:            { unit: 'percent' },
+  liquidity:           { unit: 'percent' },
+  gmv:                 { unit: 'currency', period: 'monthly' },
+  conversionRate:      { unit: 'percent' },
+  aov:                 { unit: 'currency', period: 'one_off' },
+  repeatRate:          { unit: 'percent' },
+  returnRate:          { unit: 'percent' }
+};
+
+const APPROX_RE = /\b(about|approx(?:imately)?|around|roughly|circa|nearly|almost|more or less|ish|estimated|più o meno|intorno|quasi|circa|environ|ungefähr|aproximadamente)\b|~|≈|±/i;
+
+const CURRENCIES = [
+  { code: 'EUR', re: /€|\beur\b|\beuros?\b/i },
+  { code: 'USD', re: /\$|\busd\b|\bdollars?\b/i },
+  { code: 'GBP', re: /£|\bgbp\b|\bpounds?\b/i },
+  { code: 'CHF', re: /\bchf\b|\bfr\.|\bfranchi\b|\bfrancs?\b/i }
+];
+
+const PERIODS = [
+  { period: 'monthly', re: /\bmrr\b|\/\s*mo(nth)?\b|per month|a month|monthly|\bmensil[ei]\b|\bmese\b|\bpm\b|\bp\.m\./i },
+  { period: 'annual',  re: /\barr\b|\/\s*y(ea)?r\b|per year|a year|annual(ly)?|yearly|\bannu[oia]\b|all'anno|\bpa\b|\bp\.a\./i },
+  { period: 'one_off', re: /one[- ]?(off|time)|una tantum|setup fee|lump sum/i }
+];
+
+const MULTIPLIERS = [
+  { re: /^(k|thousand|mila|tsd|mille)\b/i, factor: 1e3 },
+  { re: /^(m|mm|mn|mio|mln|million[si]?|milioni|millions?)\b/i, factor: 1e6 },
+  { re: /^(b|bn|billion[s]?|miliardi)\b/i, factor: 1e9 }
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NUMBER TOKENS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// "30.000,50" / "30,000.50" / "12.000" / "3,5" → number. A lone separator
+// followed by exactly three digits is a thousands mark; otherwise a decimal.
+export function parseNumber(digits) {
+  let d = String(digits).replace(/['\s]/g, '');
+  const lastDot = d.lastIndexOf('.');
+  const lastComma = d.lastIndexOf(',');
+  if (lastDot >= 0 && lastComma >= 0) {
+    d = lastComma > lastDot ? d.replace(/\./g, '').replace(',', '.') : d.replace(/,/g, '');
+  } else if (lastComma >= 0 || lastDot >= 0) {
+    const sep = lastComma >= 0 ? ',' : '.';
+    const groups = d.split(sep);
+    const thousands = groups.length > 2 || (groups[1].length === 3 && !/^-?0$/.test(groups[0]));
+    d = thousands ? groups.join('') : groups.join('.');
+  }
+  const n = parseFloat(d);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Every number in the text with its suffix multiplier and trailing unit hints
+function numberTokens(text) {
+  const tokens = [];
+  const re = /\d[\d.,']*\d|\d/g;
+  let m;
+  while ((m = re.exec(text))) {
+    // Skip digits glued to letters on the left ("Q3", "H1", "B2B")
+    if (m.index > 0 && /[A-Za-z]/.test(text[m.index - 1])) continue;
+    let value = parseNumber(m[0]);
+    if (value == null) continue;
+    // A minus is a sign only when it doesn't sit between two values ("-10%" vs "3-5%")
+    if (text[m.index - 1] === '-' && !/[\d%kKmM€$£]\s*$/.test(text.slice(0, m.index - 1))) value = -value;
+    const after = text.slice(m.index + m[0].length).replace(/^\s+/, '');
+    const mult = MULTIPLIERS.find(x => x.re.test(after));
+    if (mult) value *= mult.factor;
+    const before = text.slice(Math.max(0, m.index - 6), m.index);
+    tokens.push({
+      value,
+      index: m.index,
+      end: m.index + m[0].length,
+      hasPercent: /^(%|percent|per cent|pct|per ?cento)/i.test(after),
+      isMultiple: /^x\b/i.test(after),
+      hasCurrency: /[€$£]\s*$|chf\s*$/i.test(before) || /^(k|m|mn)?\s*(€|eur|usd|gbp|chf|\$|£)/i.test(after),
+      hasMultiplier: !!mult,
+      after: after.slice(0, 20).toLowerCase()
+    });
+  }
+  return tokens;
+}
+
+function durationFactor(after, unit) {
+  // Convert a stated duration into the field's canonical unit
+  const toDays = { day: 1, week: 7, month: 30, quarter: 91, year: 365 };
+  const match = after.match(/^(d|days?|giorni|gg|tage|días|jours)\b|^(w|wks?|weeks?|settimane|wochen|semanas|semaines)\b|^(mo|mos|months?|mesi|monate|meses|mois)\b|^(q|quarters?|trimestri)\b|^(y|yrs?|years?|anni|jahre|años|ans)\b/i);
+  if (!match) return 1;
+  const stated = match[1] ? 'day' : match[2] ? 'week' : match[3] ? 'month' : match[4] ? 'quarter' : 'year';
+  if (unit === 'days') return toDays[stated];
+  if (unit === 'months') return toDays[stated] / 30;
+  return 1;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSE ONE FIELD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function parseMetric(raw, spec = {}) {
+  if (raw == null) return null;
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw)
+      ? { value: raw, low: raw, high: raw, unit: spec.unit || 'number', period: spec.period || null, periodAssumed: !!spec.period, currency: null, confidence: 1, raw: String(raw) }
+      : null;
+  }
+  const text = String(raw).trim();
+  if (!text) return null;
+
+  const tokens = numberTokens(text);
+  if (!tokens.length) return null;
+  const unit = spec.unit || 'number';
+
+  // Prefer the token that carries the field's unit ("5 people, €30K MRR" → 30K for revenue)
+  const fits = t => unit === 'percent' ? (t.hasPercent || t.isMultiple)
+    : unit === 'currency' ? (t.hasCurrency || t.hasMultiplier)
+    : unit === 'count' ? !t.hasPercent && !t.hasCurrency
+    : !t.hasPercent;
+  let primaryIdx = Math.max(0, tokens.findIndex(fits));
+
+  // Range: "3-5%", "3 to 5", "between 10 and 20", "10–15k". The unit is often
+  // written once on the upper end, so the fitting token may be the second one.
+  const isRangeGap = (a, b) => /^\s*(%|k|m)?\s*(-|–|—|to|a|and|e|y|bis|à)\s*[€$£]?\s*$/i.test(text.slice(a.end, b.index));
+  if (primaryIdx > 0 && isRangeGap(tokens[primaryIdx - 1], tokens[primaryIdx])) primaryIdx--;
+  const primary = tokens[primaryIdx];
+
+  let low = primary.value, high = primary.value, isRange = false;
+  const next = tokens[primaryIdx + 1];
+  if (next && isRangeGap(primary, next)) {
+    let a = Math.abs(primary.value), b = Math.abs(next.value);
+    // "10-15k": the multiplier written once applies to both ends
+    if (next.hasMultiplier && !primary.hasMultiplier) {
+      const mult = MULTIPLIERS.find(x => x.re.test(next.after));
+      if (mult && a * mult.factor <= b) a *= mult.factor;
+    }
+    low = Math.min(a, b); high = Math.max(a, b); isRange = true;
+  }
+
+  // Bounds: "<5%", "under 10", "more than 20", "10+"
+  const lead = text.slice(Math.max(0, primary.index - 14), primary.index);
+  let bound = null;
+  if (/(<|≤|under|below|less than|fewer than|up to|max(imum)?|meno di|sotto)\s*[€$£]?\s*$/i.test(lead)) bound = 'upper';
+  else if (/(>|≥|over|above|more than|at least|min(imum)?|oltre|più di)\s*[€$£]?\s*$/i.test(lead) || /^\+/.test(text.slice(primary.end))) bound = 'lower';
+  if (bound === 'upper') low = 0;
+  if (bound === 'lower') high = null;
+
+  // "2x" / "3x" growth → +100% / +200%
+  if (unit === 'percent' && primary.isMultiple && !isRange) {
+    low = high = (primary.value - 1) * 100;
+  }
+
+  let value = isRange ? (low + high) / 2 : low;
+  if (bound === 'upper') value = high;
+
+  // Durations stated in another unit ("6 weeks" sales cycle → 42 days)
+  if (unit === 'days' || unit === 'months') {
+    const tail = (isRange ? next : primary).after;
+    const f = durationFactor(tail, unit);
+    value *= f; low *= f; if (high != null) high *= f;
+  }
+
+  const currency = unit === 'currency' ? (CURRENCIES.find(c => c.re.test(text))?.code || null) : null;
+  const statedPeriod = PERIODS.find(p => p.re.test(text))?.period || null;
+
+  // Confidence: exact + unit-bearing is best; ranges, bounds and hedges lower it
+  let confidence = fits(primary) ? 1 : 0.85;
+  if (APPROX_RE.test(text)) confidence -= 0.25;
+  if (isRange) confidence -= 0.3;
+  if (bound) confidence -= 0.4;
+  if (tokens.length > (isRange ? 2 : 1)) confidence -= 0.1;
+
+  return {
+    value: round(value),
+    low: round(low),
+    high: high == null ? null : round(high),
+    unit,
+    period: statedPeriod || spec.period || null,
+    periodAssumed: !statedPeriod && !!spec.period,
+    currency,
+    confidence: Math.max(0.1, Math.round(confidence * 100) / 100),
+    raw: text
+  };
+}
+
+const round = v => Math.round(v * 1000) / 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROFILE → METRICS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function buildMetrics(profile = {}) {
+  const metrics = {};
+  for (const [field, spec] of Object.entries(METRIC_FIELDS)) {
+    const m = parseMetric(profile[field], spec);
+    if (m) metrics[field] = m;
+  }
+  return metrics;
+}
+
+// What-if values over parsed metrics ({ churnRate: 2 }). Numbers are in the
+// field's canonical unit and period; money is in the reporting currency.
+export function withMetricOverrides(metrics, overrides = {}) {
+  const currency = reportingCurrency(metrics);
+  const next = { ...metrics };
+  for (const [field, value] of Object.entries(overrides)) {
+    const m = parseMetric(value, METRIC_FIELDS[field]);
+    if (m) next[field] = { ...m, currency: m.unit === 'currency' ? currency : null, raw: `${value} (what-if)` };
+  }
+  return next;
+}
+
+// Numeric value of a field, or null.
+//   period   — 'monthly' | 'annual': "1.2M ARR" read as monthly → 100000;
+//              "15% annual churn" read as monthly → compounded 1.35%.
+//              One-off amounts are never spread over a period.
+//   currency — convert from the currency the user stated. Amounts without an
+//              explicit currency are in the company's reporting currency.
+export function metricNumber(metrics, field, { period, currency } = {}) {
+  const m = metrics?.[field];
+  if (!m || m.value == null) return null;
+  let v = m.value;
+  if (period && m.period && m.period !== period && m.period !== 'one_off' && period !== 'one_off') {
+    if (m.unit === 'percent') {
+      const r = v / 100;
+      v = period === 'monthly' ? (1 - Math.pow(1 - r, 1 / 12)) * 100 : (1 - Math.pow(1 - r, 12)) * 100;
+      v = Math.round(v * 100) / 100;
+    } else {
+      v = period === 'monthly' ? v / 12 : v * 12;
+    }
+  }
+  if (currency && m.unit === 'currency') v = convertCurrency(v, m.currency || reportingCurrency(metrics), currency);
+  return m.unit === 'currency' ? Math.round(v * 100) / 100 : v;
+}
+
+// Short human label used in prompts and flags: "3–5% (range)", "~40 days"
+export function describeMetric(m) {
+  if (!m) return 'n/a';
+  const fmt = v => (m.unit === 'percent' ? `${v}%` : m.unit === 'days' ? `${v} days` : m.unit === 'months' ? `${v} months` : `${v}`);
+  if (m.high != null && m.low !== m.high) return `${fmt(m.low)}–${fmt(m.high)}`;
+  if (m.high == null) return `≥${fmt(m.low)}`;
+  return `${m.confidence < 0.8 ? '~' : ''}${fmt(m.value)}`;
+}
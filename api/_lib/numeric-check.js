@@ -0,0 +1,412 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// NUMERIC CONSISTENCY — report text vs the pre-computed figures
+//
+// The prompt hands the model exact numbers (FINANCIAL IMPACT ANALYSIS,
+// SCENARIO MODELING DATA, BENCHMARK POSITIONS); this reads them back out of the
+// document's text fields (top-level sections and the strings nested in
+// findings, recommendations, quick wins, risks...) and reconciles them.
+//
+// A figure is only corrected when the claim is attached to it: "cost of
+// constraints: €6,000/month", "30 days of inaction: €6,000", a constraint
+// label followed by its impact, or a table cell whose row or column says so.
+// A figure that merely shares a sentence with "total" or a label is flagged,
+// and budgets, hires, targets and MRR figures are left alone. Corrections keep
+// the figure's own format (symbol, separators, "K").
+//
+// A lone projection outside its range is only flagged, and so is any peer
+// percentile quoted for a metric whose source publishes no distribution.
+//
+// facts: {
+//   currency, totalMonthly,
+//   constraints: [{ label, monthly }],
+//   scenarios:   [{ name, mrrCurrent, mrrLow, mrrHigh, pctLow, pctHigh, probability }],
+//   probabilityDelta,
+//   benchmarks:  [{ label, unit, median, basis, percentile, standing }]
+// }
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { parseNumber } from './metrics.js';
+import { formatMoney, currencySymbol } from './currency.js';
+
+const SCENARIO_ALIASES = {
+  Conservative: /\bconservati(ve|vo)\b/i,
+  'Base Case': /\bbase[- ]case\b|\bscenario base\b|\bprojected 90-day outcome\b|\brisultato previsto\b/i,
+  Aggressive: /\baggressiv[eo]\b/i
+};
+
+const TOTAL = /\btotal[ei]?\b/i;
+const COST_OF_CONSTRAINTS = /\b(?:total[ei]?\s+)?(?:(?:estimated|financial|monthly|annual)\s+)*cost\s+of\s+(?:the\s+)?(?:identified\s+)?constraints\b|\bcosto\s+(?:totale\s+)?(?:(?:stimato|mensile|annuo)\s+)*dei\s+vincoli(?:\s+identificati)?\b/i;
+const NOT_A_COST = /budget|target|goal|salar|hire|hiring|invest|obiettivo|stipend|assun/i;
+const COST_WORD = /cost|impact|loss|lose|lost|leak|drain|unrealized|missed|costa|impatto|perdit|non realizzat|mancat/i;
+const AFTER_COLUMN = /\bafter\b|\bdopo\b|target|goal|obiettivo/i;
+// What may sit between a claim and its figure: "constraints: €6,000", "of inaction:** €6,000", "costs ~€2,100"
+const LINK = /^[\s*_:;,=→(–—-]*(?:(?:of\s+inaction|di\s+inazione|is|are|was|comes\s+to|amounts\s+to|equals|costs?|loses?|leaks?|drains?|impact|è|ammonta\s+a|pari\s+a|costa(?:no)?|impatto|pesa)[\s*_:;,=→(–—-]+)*(?:~|≈|about\s|roughly\s|approximately\s|an\s+estimated\s|circa\s)?\s*$/i;
+// "€6,000/month (€72,000/year)" — a second period of the same claim
+const SECOND = /^\s*(?:\/\s*\w+|per\s+\w+|a\s+(?:month|year)|al\s+mese|all'anno)?\s*[(\[,;]?\s*(?:or|and|i\.e\.|ovvero|cioè|o|e)?\s*$/i;
+const PER_MONTH = /^\s*(\/\s*(month|mo|mese)\b|per month|a month|al mese|monthly|mensili)/i;
+const PER_YEAR = /^\s*(\/\s*(year|yr|anno)\b|per year|a year|all'anno|annual|annui)/i;
+const HORIZON = /\b(30|60|90)\s*(days|giorni)\b/i;
+const REVENUE = /\bMRR\b|revenue|ricavi|fatturato|projection|proiezione/i;
+const PROBABILITY = /probab|likelihood|success|successo/i;
+const CHANGE = /\bMRR\b|growth|change|crescita|variazione|revenue|ricavi/i;
+const POINTS = /(\d+(?:[.,]\d+)?)\s*(percentage points|pp\b|punti percentuali)/gi;
+const RANGE_GAP = /^\s*(–|—|-|to|a|fino a)\s*\+?\s*$/i;
+
+const MONEY = /(€|\$|£|CHF ?)\s?(\d[\d.,']*\d|\d)(?: ?(k|K|M|mln|mio)(?![A-Za-z]))?|(\d[\d.,']*\d|\d)(?: ?(k|K|M)(?![A-Za-z]))? ?(€|EUR|USD|GBP|CHF)(?![A-Za-z])/g;
+// "12%", "+12%", and the first half of "12–18%"
+const PERCENT = /([+±-]?)(\d+(?:[.,]\d+)?)(?=\s?%|\s?(?:–|—|-)\s?\+?\d+(?:[.,]\d+)?\s?%)/g;
+
+const FACTORS = { k: 1e3, K: 1e3, M: 1e6, mln: 1e6, mio: 1e6 };
+const CODES = { '€': 'EUR', $: 'USD', '£': 'GBP', CHF: 'CHF', EUR: 'EUR', USD: 'USD', GBP: 'GBP' };
+
+function moneyTokens(text) {
+  return [...text.matchAll(MONEY)].map(m => {
+    const digits = m[2] || m[4];
+    const factor = FACTORS[m[3] || m[5]] || 1;
+    const base = parseNumber(digits);
+    return {
+      kind: 'money',
+      start: m.index,
+      end: m.index + m[0].length,
+      text: m[0],
+      digits,
+      factor,
+      currency: CODES[(m[1] || m[6]).trim()],
+      value: base * factor,
+      precision: factor > 1 && !Number.isInteger(base) ? factor / 10 : factor
+    };
+  }).filter(t => Number.isFinite(t.value));
+}
+
+function percentTokens(text) {
+  return [...text.matchAll(PERCENT)].map(m => ({
+    kind: 'percent',
+    start: m.index + m[1].length,
+    end: m.index + m[1].length + m[2].length, // the digits only — "%" and sign stay
+    text: m[2],
+    signed: m[1] === '+',
+    value: parseNumber(m[2])
+  }));
+}
+
+const moneyOk = (t, expected) => Math.abs(t.value - expected) <= Math.max(expected * 0.02, t.precision / 2, 1);
+const percentOk = (t, expected) => Math.abs(t.value - expected) <= Math.max(/[.,]/.test(t.text) ? 0.05 : 0.5, expected * 0.02);
+const ok = (t, expected) => (t.kind === 'money' ? moneyOk(t, expected) : percentOk(t, expected));
+
+// Adjacent tokens of one kind joined by a dash / "to" → [[a, b], ...]
+function ranges(text, tokens) {
+  const out = [];
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    const gap = text.slice(tokens[i].end, tokens[i + 1].start).replace(/%/, '');
+    if (RANGE_GAP.test(gap)) { out.push([tokens[i], tokens[i + 1]]); i++; }
+  }
+  return out;
+}
+
+const allOf = re => new RegExp(re.source, `${re.flags}g`);
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function labelPattern(label) {
+  const core = label.replace(/\s*\(.*?\)\s*/g, ' ').trim();
+  const short = core.replace(/^monthly\s+/i, '');
+  return new RegExp(`\\b(${[core, short].map(escapeRe).join('|')})\\b`, 'i');
+}
+
+function scenarioIn(text) {
+  const hits = Object.entries(SCENARIO_ALIASES).filter(([, re]) => re.test(text)).map(([name]) => name);
+  return hits.length === 1 ? hits[0] : hits.length ? null : undefined;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLAIMS — one line or table cell at a time
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// unit: { text, context, label, header, key, scenario } → pushes { token, expected, claim, correct }
+function claimsIn(unit, facts, out) {
+  const { text, context } = unit;
+  const money = moneyTokens(text);
+  const percent = percentTokens(text);
+  const claimed = new Set();
+  const claim = (token, expected, label, correct = true) => {
+    if (claimed.has(token)) return;
+    claimed.add(token);
+    out.push({ token, expected, claim: label, correct });
+  };
+  const after = t => text.slice(t.end, t.end + 16);
+
+  const period = t => (PER_MONTH.test(after(t)) ? 1 : PER_YEAR.test(after(t)) ? 12 : 0);
+  const mrr = t => /^\s*MRR\b/.test(after(t));
+  // The figure a claim ending at `end` points to, plus "(€72,000/year)" right after it
+  const attached = end => {
+    const first = money.find(t => t.start >= end);
+    if (!first || first.start - end > 60 || !LINK.test(text.slice(end, first.start))) return [];
+    const next = money[money.indexOf(first) + 1];
+    return next && SECOND.test(text.slice(first.end, next.start)) ? [first, next] : [first];
+  };
+  // In a table the row label or column header is the claim; the figure opens the cell
+  const cellFigure = () => (unit.label && !AFTER_COLUMN.test(unit.header || '') && money[0] && /^[\s*_~≈]*$/.test(text.slice(0, money[0].start)) ? attached(0) : []);
+  const notACost = NOT_A_COST.test(text);
+
+  // Total cost of constraints: "cost of constraints: €6,000/month (€72,000/year)"
+  if (facts.totalMonthly > 0 && !notACost) {
+    const targets = [...text.matchAll(allOf(COST_OF_CONSTRAINTS))].flatMap(m => attached(m.index + m[0].length));
+    if (unit.label && COST_OF_CONSTRAINTS.test(unit.label)) targets.push(...cellFigure());
+    for (const t of targets) {
+      const p = period(t);
+      if (p) claim(t, facts.totalMonthly * p, `total ${p === 1 ? 'monthly' : 'annual'} cost of constraints`);
+    }
+  }
+
+  // Cost of Inaction: "30 days of inaction: €6,000"
+  if (facts.totalMonthly > 0 && unit.key === 'cost_of_inaction' && !notACost) {
+    const horizons = [...text.matchAll(allOf(HORIZON))].map(m => [m[1], attached(m.index + m[0].length)[0]]);
+    const rowHorizon = unit.label && unit.label.match(HORIZON);
+    if (rowHorizon) horizons.push([rowHorizon[1], cellFigure()[0]]);
+    for (const [days, t] of horizons) {
+      if (t && !mrr(t) && !period(t)) claim(t, facts.totalMonthly * Number(days) / 30, `${days}-day cost of inaction`);
+    }
+  }
+
+  // Individual constraints: "<label> costs €2,100/month", or a row labelled with it
+  for (const c of facts.constraints || []) {
+    if (notACost) break;
+    const label = labelPattern(c.label);
+    const m = text.match(label);
+    const targets = m ? attached(m.index + m[0].length) : label.test(unit.label || '') ? cellFigure() : [];
+    for (const t of targets) {
+      const p = period(t);
+      if (p) claim(t, c.monthly * p, `${c.label} impact`);
+    }
+    if (!m) continue;
+    for (const t of money) {
+      const p = period(t);
+      if (p && !claimed.has(t) && !mrr(t) && COST_WORD.test(text)) claim(t, c.monthly * p, `${c.label} impact`, false);
+    }
+  }
+
+  // "total" near a figure it isn't attached to: worth a look, not a rewrite
+  if (facts.totalMonthly > 0 && !notACost && TOTAL.test(text) && COST_WORD.test(text)) {
+    for (const t of money) {
+      const p = period(t);
+      if (p && !claimed.has(t) && !mrr(t)) claim(t, facts.totalMonthly * p, `total ${p === 1 ? 'monthly' : 'annual'} cost of constraints`, false);
+    }
+  }
+
+  // Scenario projections and probabilities
+  const scenario = facts.scenarios?.find(s => s.name === unit.scenario);
+  if (scenario) {
+    if (REVENUE.test(context)) {
+      // "from €40K to €45K" is current → projection, not a range
+      for (const [a, b] of ranges(text, money).filter(([a]) => !moneyOk(a, scenario.mrrCurrent))) {
+        claim(a, scenario.mrrLow, `${scenario.name} MRR projection (low)`);
+        claim(b, scenario.mrrHigh, `${scenario.name} MRR projection (high)`);
+      }
+      for (const t of money) {
+        if (claimed.has(t) || moneyOk(t, scenario.mrrCurrent)) continue;
+        if (t.value < scenario.mrrLow * 0.98 || t.value > scenario.mrrHigh * 1.02) {
+          claim(t, [scenario.mrrLow, scenario.mrrHigh], `${scenario.name} MRR projection`, false);
+        }
+      }
+    }
+    if (PROBABILITY.test(context)) {
+      const single = percent.filter(t => !t.signed);
+      if (single.length === 1) claim(single[0], scenario.probability, `${scenario.name} success probability`);
+    } else if (CHANGE.test(context)) {
+      for (const [a, b] of ranges(text, percent)) {
+        claim(a, scenario.pctLow, `${scenario.name} MRR change (low)`);
+        claim(b, scenario.pctHigh, `${scenario.name} MRR change (high)`);
+      }
+      for (const t of percent) {
+        if (claimed.has(t) || !t.signed) continue;
+        if (t.value < scenario.pctLow - 1 || t.value > scenario.pctHigh + 1) {
+          claim(t, [scenario.pctLow, scenario.pctHigh], `${scenario.name} MRR change`, false);
+        }
+      }
+    }
+  }
+
+  // Sequential vs parallel probability gap
+  if (facts.probabilityDelta !== undefined && facts.probabilityDelta !== null) {
+    for (const m of text.matchAll(POINTS)) {
+      const t = { kind: 'percent', start: m.index, end: m.index + m[1].length, text: m[1], value: parseNumber(m[1]) };
+      claim(t, facts.probabilityDelta, 'sequential vs parallel probability gap');
+    }
+  }
+
+  // Benchmark scorecard: peer standing, percentile, stage median
+  const metrics = (facts.benchmarks || []).filter(b => labelPattern(b.label).test(context));
+  if (metrics.length === 1) {
+    const [b] = metrics;
+    const at = (re, group = 1) => [...text.matchAll(re)].map(m => {
+      const start = m.index + m[0].indexOf(m[group]);
+      return { kind: 'percent', start, end: start + m[group].length, text: m[group], value: Number(m[group]) };
+    });
+    // No published distribution (basis "thresholds"): there is no right percentile to correct to
+    const none = b.basis === 'thresholds';
+    if (b.standing !== undefined) for (const t of at(/\b(?:beats|outperforms|supera)\s+(?:il\s+)?(?:an estimated\s+|circa\s+|~\s?)?(\d{1,3})\s?%/gi)) claim(t, b.standing, `${b.label} peer standing`, !none);
+    if (b.percentile !== undefined) {
+      for (const t of [...at(/\bp(\d{1,2})\b/g), ...at(/\b(\d{1,2})(?:st|nd|rd|th|°)\s+percentile/gi)]) claim(t, b.percentile, `${b.label} percentile`, !none);
+    }
+    if (b.median !== undefined && b.median !== null) {
+      const word = text.search(/\bmedian[a]?\b/i);
+      if (word >= 0) {
+        const pool = b.unit === '%' ? percent : b.unit && /[€$£]|CHF/.test(b.unit) ? money : [];
+        const next = pool.find(t => t.start > word && t.start - word < 40 && !claimed.has(t));
+        if (next) claim(next, b.median, `${b.label} stage median`);
+      }
+    }
+  }
+}
+
+// Prose line → sentences with their offset in the line
+function sentences(line) {
+  const out = [];
+  const re = /(?:[^.!?]|[.!?](?!\s|$))+[.!?]*/g; // "." inside "€6.000" does not end a sentence
+  let m;
+  while ((m = re.exec(line)) && m[0]) out.push({ text: m[0], offset: m.index });
+  return out;
+}
+
+// Markdown → units (prose sentences; table cells carry their column header and row label)
+function unitsOf(key, markdown) {
+  const units = [];
+  let header = null;
+  let heading;
+  String(markdown).split('\n').forEach((line, index) => {
+    if (/^#{1,6}\s/.test(line)) {
+      heading = scenarioIn(line);
+      header = null;
+      units.push({ key, text: line, context: line, scenario: heading, index, offset: 0 });
+      return;
+    }
+    if (/^\s*\|/.test(line)) {
+      const cells = line.replace(/^\s*\|/, '').replace(/\|\s*$/, '').split(/(?<!\\)\|/);
+      if (cells.every(c => /^\s*:?-{2,}:?\s*$/.test(c))) return;
+      if (!header) { header = cells.map(c => c.trim()); return; }
+      const rowScenario = scenarioIn(cells[0]);
+      const scenario = rowScenario === undefined ? heading : rowScenario;
+      let pos = line.indexOf('|') + 1;
+      cells.forEach((cell, i) => {
+        const label = i > 0 ? `${header[i] || ''} ${cells[0]}` : '';
+        units.push({ key, text: cell, context: `${header[i] || ''} ${cells[0]} ${cell}`, label, header: header[i] || '', scenario, index, offset: pos });
+        pos += cell.length + 1;
+      });
+      return;
+    }
+    header = null;
+    const own = scenarioIn(line);
+    const lineScenario = own === undefined ? heading : own;
+    for (const part of sentences(line)) {
+      const mine = scenarioIn(part.text);
+      units.push({ key, text: part.text, context: part.text, scenario: mine === undefined ? lineScenario : mine, index, offset: part.offset });
+    }
+  });
+  return units;
+}
+
+// Thousands separator a figure was written with: "€6,000" → ",", "6.000 €" → ".", "€6000" → "", "€40K" → unknown
+function separatorOf(digits) {
+  const m = digits.match(/^\d{1,3}([,.'’])\d{3}(?:\1\d{3})*$/);
+  if (m) return m[1];
+  return /^\d{4,}$/.test(digits) ? '' : null;
+}
+
+// `value` written the way `token` was — same symbol and placement, separators and "K"/"M".
+// `style` is the field's own thousands separator for figures that don't show one.
+// A figure in the wrong currency gets the report currency's symbol.
+function formatLike(token, value, style, currency) {
+  const sep = separatorOf(token.digits) ?? style;
+  const decimal = token.digits.match(/^\d+([.,])\d{1,2}$/)?.[1] || (sep === ',' || sep === "'" || sep === '’' ? '.' : sep === '.' ? ',' : '.');
+  const scaled = token.factor > 1 && value >= token.factor;
+  const n = scaled ? value / token.factor : Math.round(value);
+  const number = scaled
+    ? String(n >= 100 ? Math.round(n) : Math.round(n * 10) / 10).replace('.', decimal)
+    : String(n).replace(/\B(?=(\d{3})+(?!\d))/g, sep);
+  const suffix = scaled ? token.text.match(/\d ?(k|K|M|mln|mio)/)[1] : '';
+  if (currency && token.currency !== currency) return `${currencySymbol(currency)}${number}${suffix}`;
+  const at = token.text.indexOf(token.digits);
+  let tail = token.text.slice(at + token.digits.length);
+  if (token.factor > 1 && !scaled) tail = tail.replace(/^ ?(k|K|M|mln|mio)/, '');
+  return token.text.slice(0, at) + number + tail;
+}
+
+const display = (token, v, style, currency) => (token.kind === 'money' ? formatLike(token, v, style, currency) : String(Math.round(v * 10) / 10));
+const expectedText = (token, expected, style, currency) => (Array.isArray(expected)
+  ? `${display(token, expected[0], style, currency)} – ${display(token, expected[1], style, currency)}${token.kind === 'percent' ? '%' : ''}`
+  : `${display(token, expected, style, currency)}${token.kind === 'percent' ? '%' : ''}`);
+
+// Every string under `parent[prop]`: top-level sections and the text nested in
+// findings, recommendations, quick wins, risks... (`key` stays the section)
+function textFields(parent, prop, path, key, out = []) {
+  const v = parent[prop];
+  if (typeof v === 'string') out.push({ parent, prop, path, key, text: v });
+  else if (Array.isArray(v)) v.forEach((_, i) => textFields(v, i, `${path}[${i}]`, key, out));
+  else if (v && typeof v === 'object') for (const k of Object.keys(v)) textFields(v, k, `${path}.${k}`, key, out);
+  return out;
+}
+
+// → { value, corrections: [{ path, found, expected, claim }], flags: [...] }
+// `value` is a copy of doc with the corrections applied.
+export function checkReportNumbers(doc, facts) {
+  const value = JSON.parse(JSON.stringify(doc));
+  const corrections = [];
+  const flags = [];
+  if (!facts) return { value, corrections, flags };
+
+  const fallback = separatorOf(formatMoney(10000, facts.currency).replace(/[^\d.,'’]/g, '')) ?? ',';
+  const fields = Object.keys(value).flatMap(key => textFields(value, key, key, key));
+  for (const { parent, prop, path, key, text } of fields) {
+    const style = moneyTokens(text).map(t => separatorOf(t.digits)).find(sep => sep) ?? fallback;
+    const lines = text.split('\n');
+    const edits = new Map(); // line index → [{ start, end, replacement }]
+    for (const unit of unitsOf(key, text)) {
+      const found = [];
+      claimsIn(unit, facts, found);
+      for (const c of found) {
+        if (typeof c.expected === 'number' && ok(c.token, c.expected)) continue;
+        const entry = {
+          path,
+          found: c.token.kind === 'percent' ? `${c.token.text}%` : c.token.text.trim(),
+          expected: c.expected === null ? 'no percentile — the source publishes only the median and thresholds' : expectedText(c.token, c.expected, style, facts.currency),
+          claim: c.claim
+        };
+        if (!c.correct) { flags.push(entry); continue; }
+        corrections.push(entry);
+        const list = edits.get(unit.index) || [];
+        list.push({
+          start: unit.offset + c.token.start,
+          end: unit.offset + c.token.end,
+          replacement: display(c.token, c.expected, style, facts.currency)
+        });
+        edits.set(unit.index, list);
+      }
+    }
+    if (!edits.size) continue;
+    for (const [i, list] of edits) {
+      let line = lines[i];
+      for (const e of list.sort((a, b) => b.start - a.start)) line = line.slice(0, e.start) + e.replacement + line.slice(e.end);
+      lines[i] = line;
+    }
+    parent[prop] = lines.join('\n');
+  }
+
+  // Finding impacts: each should be one computed constraint or a sum of several
+  const amounts = (facts.constraints || []).map(c => c.monthly).filter(v => v > 0);
+  if (amounts.length) {
+    const sums = new Set([0]);
+    for (const a of amounts) for (const s of [...sums]) sums.add(s + a);
+    (doc.findings || []).forEach((f, i) => {
+      if (!(f.monthly_impact > 0)) return;
+      const near = [...sums].some(s => s > 0 && Math.abs(s - f.monthly_impact) <= Math.max(s * 0.02, 1));
+      if (!near) {
+        flags.push({
+          path: `findings[${i}].monthly_impact`,
+          found: formatMoney(f.monthly_impact, facts.currency),
+          expected: `one of the computed constraint impacts (${amounts.map(a => formatMoney(a, facts.currency)).join(', ')}) or a sum of them`,
+          claim: `${f.id} monthly impact`
+        });
+      }
+    });
+  }
+  return { value, corrections, flags };
+}
@@ -0,0 +1,93 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// PERCENTILES — where a company's value sits in a benchmark distribution
+//
+// Benchmark entries (library 2026.10+) carry p10/p25/p50/p75/p90. A value is
+// placed by linear interpolation between the two surrounding points; outside
+// p10–p90 the nearest segment's slope is extended and the result clamped to
+// 1–99. Same inputs → same percentile, so the report quotes computed positions
+// instead of letting the model guess them.
+//
+// Entries with percentileBasis: "derived" have points estimated from the
+// source's median and good/bad thresholds, not published by it. No rank is
+// computed on them: the position is stated against the median and thresholds
+// instead ("below median, past the good threshold"), as it is for entries
+// without a distribution.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const PERCENTILE_POINTS = [10, 25, 50, 75, 90];
+
+// [[10, v], [25, v], ...] sorted by value, or null when the entry has no distribution
+export function distributionOf(entry) {
+  if (!entry) return null;
+  const pts = PERCENTILE_POINTS
+    .map(p => [p, entry[`p${p}`] ?? (p === 50 ? entry.median : undefined)])
+    .filter(([, v]) => typeof v === 'number' && Number.isFinite(v));
+  if (pts.length < 3) return null;
+  for (let i = 1; i < pts.length; i++) if (pts[i][1] < pts[i - 1][1]) return null; // malformed
+  return pts;
+}
+
+// Percentile rank (1-99) of `value` in the benchmark distribution
+export function percentileRank(value, entry) {
+  const pts = distributionOf(entry);
+  if (!pts || typeof value !== 'number' || !Number.isFinite(value)) return null;
+
+  const interp = ([p1, v1], [p2, v2]) => (v2 === v1 ? (p1 + p2) / 2 : p1 + (p2 - p1) * (value - v1) / (v2 - v1));
+  let rank;
+  if (value <= pts[0][1]) rank = interp(pts[0], pts[1]);
+  else if (value >= pts[pts.length - 1][1]) rank = interp(pts[pts.length - 2], pts[pts.length - 1]);
+  else {
+    const i = pts.findIndex(([, v]) => v >= value);
+    rank = interp(pts[i - 1], pts[i]);
+  }
+  return Math.max(1, Math.min(99, Math.round(rank)));
+}
+
+function band(standing) {
+  if (standing >= 90) return 'top 10%';
+  if (standing >= 75) return 'top quartile';
+  if (standing > 50) return 'above median';
+  if (standing === 50) return 'at median';
+  if (standing > 25) return 'below median';
+  if (standing > 10) return 'bottom quartile';
+  return 'bottom 10%';
+}
+
+// Where `value` sits against the median and good/bad thresholds, direction-aware.
+//   vsMedian — 'above' | 'at' | 'below' (raw value, within 2% counts as at)
+//   zone     — 'good' (at or past the good threshold) | 'better' | 'median' | 'worse' | 'bad'
+export function thresholdPosition(value, entry, lowerBetter = false) {
+  const median = entry?.median ?? entry?.p50;
+  if (typeof median !== 'number' || typeof value !== 'number' || !Number.isFinite(value)) return null;
+  const better = (a, b) => (lowerBetter ? a < b : a > b);
+  const at = Math.abs(value - median) <= Math.abs(median) * 0.02;
+  const vsMedian = at ? 'at' : value > median ? 'above' : 'below';
+  let zone;
+  if (typeof entry.good === 'number' && !better(entry.good, value)) zone = 'good';
+  else if (typeof entry.bad === 'number' && !better(value, entry.bad)) zone = 'bad';
+  else zone = at ? 'median' : better(value, median) ? 'better' : 'worse';
+  const past = zone === 'good' ? ', past the good threshold' : zone === 'bad' ? ', past the bad threshold' : '';
+  return { vsMedian, zone, band: at && !past ? 'at median' : `${vsMedian} median${past}` };
+}
+
+// Position of a company value against a benchmark entry.
+//   basis      — 'percentile' on a published distribution, 'thresholds' otherwise
+//   percentile — rank of the raw value (a 2% churn can be p20); null on thresholds
+//   standing   — share of peers the company beats, direction-aware (that churn beats 80%); null on thresholds
+//   band       — "top quartile" / "below median, past the good threshold"
+// Returns null when the entry has no median either.
+export function benchmarkPosition(value, entry, lowerBetter = false) {
+  const percentile = entry?.percentileBasis === 'derived' ? null : percentileRank(value, entry);
+  if (percentile === null) {
+    const pos = thresholdPosition(value, entry, lowerBetter);
+    return pos && { basis: 'thresholds', percentile: null, standing: null, rank: null, ...pos };
+  }
+  const standing = lowerBetter ? 100 - percentile : percentile;
+  return {
+    basis: 'percentile',
+    percentile,
+    standing,
+    band: band(standing),
+    rank: standing >= 50 ? `top ${100 - standing}%` : `bottom ${standing}%`
+  };
+}
@@ -0,0 +1,165 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT MARKDOWN — the subset of GFM the report prompt produces, as blocks
+//
+// The PDF, DOCX and PPTX writers all lay out the same structure, so the
+// markdown is parsed once here:
+//   { type: 'heading', level, text }
+//   { type: 'paragraph', lines[] }          (line breaks kept, like marked's breaks: true)
+//   { type: 'list', items: [{ text, level, ordered, number }] }
+//   { type: 'table', header[], rows[][], align[] }
+//   { type: 'quote', lines[] }
+//   { type: 'code', text }
+//   { type: 'hr' }
+// Inline text stays markdown; parseInline() turns it into styled runs.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_RE = /^\s*(?:(?:[-*_]\s*){3,}|[═─]{3,})\s*$/;
+const LIST_RE = /^(\s*)([-*+•]|\d+[.)])\s+(.*)$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+
+function splitRow(line) {
+  let s = line.trim();
+  if (s.startsWith('|')) s = s.slice(1);
+  if (s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+  return s.split(/(?<!\\)\|/).map(c => c.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes('-');
+}
+
+function startsBlock(lines, i) {
+  const l = lines[i];
+  return !l.trim() || HEADING_RE.test(l) || HR_RE.test(l) || LIST_RE.test(l)
+    || l.trimStart().startsWith('>') || FENCE_RE.test(l) || isTableStart(lines, i);
+}
+
+export function parseMarkdownBlocks(md) {
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    if (FENCE_RE.test(line)) {
+      const fence = line.trim().slice(0, 3);
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', text: body.join('\n') });
+      continue;
+    }
+
+    const h = line.match(HEADING_RE);
+    if (h) {
+      blocks.push({ type: 'heading', level: h[1].length, text: h[2] });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(c =>
+        c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : 'left');
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        const cells = splitRow(lines[i++]);
+        rows.push(header.map((_, c) => cells[c] ?? ''));
+      }
+      blocks.push({ type: 'table', header, rows, align: header.map((_, c) => align[c] || 'left') });
+      continue;
+    }
+
+    if (line.trimStart().startsWith('>')) {
+      const body = [];
+      while (i < lines.length && lines[i].trimStart().startsWith('>')) {
+        body.push(lines[i++].trimStart().replace(/^>\s?/, ''));
+      }
+      blocks.push({ type: 'quote', lines: body.filter(l => l.trim()) });
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const items = [];
+      while (i < lines.length) {
+        const m = lines[i].match(LIST_RE);
+        if (m) {
+          const ordered = /\d/.test(m[2]);
+          items.push({
+            text: m[3],
+            level: Math.min(2, Math.floor(m[1].replace(/\t/g, '  ').length / 2)),
+            ordered,
+            number: ordered ? parseInt(m[2], 10) : null
+          });
+          i++;
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+          items[items.length - 1].text += ' ' + lines[i++].trim(); // continuation line
+        } else break;
+      }
+      blocks.push({ type: 'list', items });
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && (para.length === 0 || !startsBlock(lines, i))) para.push(lines[i++].trim());
+    blocks.push({ type: 'paragraph', lines: para });
+  }
+  return blocks;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INLINE — **bold**, *italic*, `code`, [links](url), <br>
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const INLINE_RE = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|(?<![\w*])\*(?!\s)(.+?)(?<!\s)\*(?![\w*])|(?<!\w)_(?!\s)(.+?)(?<!\s)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g;
+
+// Escaped punctuation is swapped for private-use code points while matching
+const ESCAPE_BASE = 0xe000;
+const hideEscapes = s => s.replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, (_, c) => String.fromCharCode(ESCAPE_BASE + c.charCodeAt(0)));
+const unescape = s => s.replace(/[\ue000-\ue07f]/g, c => String.fromCharCode(c.charCodeAt(0) - ESCAPE_BASE));
+
+// → [{ text, bold?, italic?, code?, link? }]; '\n' runs mark hard line breaks
+export function parseInline(text, style = {}) {
+  const runs = [];
+  const src = hideEscapes(String(text || '')).replace(/<br\s*\/?>/gi, '\n').replace(/<\/?[a-z][^>]*>/gi, '');
+  let last = 0;
+  const push = (t, s) => { if (t) runs.push({ text: unescape(t), ...s }); };
+
+  for (const m of src.matchAll(INLINE_RE)) {
+    push(src.slice(last, m.index), style);
+    if (m[1] !== undefined) runs.push({ text: unescape(m[1]), ...style, code: true });
+    else if (m[2] !== undefined || m[3] !== undefined) runs.push(...parseInline(m[2] ?? m[3], { ...style, bold: true }));
+    else if (m[4] !== undefined || m[5] !== undefined) runs.push(...parseInline(m[4] ?? m[5], { ...style, italic: true }));
+    else runs.push(...parseInline(m[6], { ...style, link: m[7] }));
+    last = m.index + m[0].length;
+  }
+  push(src.slice(last), style);
+  return runs;
+}
+
+export function plainText(text) {
+  return parseInline(text).map(r => r.text).join('');
+}
+
+// Top-level sections: [{ title, blocks[] }] split on H2 (the report's section
+// level); anything before the first H2 lands in a section with title null.
+export function splitSections(blocks) {
+  const sections = [{ title: null, blocks: [] }];
+  for (const b of blocks) {
+    if (b.type === 'heading' && b.level === 2) sections.push({ title: b.text, blocks: [] });
+    else sections[sections.length - 1].blocks.push(b);
+  }
+  return sections.filter(s => s.title !== null || s.blocks.length);
+}
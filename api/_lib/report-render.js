@@ -0,0 +1,298 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT RENDER — report document (report-schema.js) → report markdown
+//
+// Headings, tables, the 💰 impact boxes, the pre-computed benchmark scorecard
+// and the feasibility flags are written here, so their layout no longer
+// depends on the model. Every H2 section has a stable id; a section is
+// re-rendered from the document whenever one of its keys changes.
+//
+// ctx: { company, stageLabel, currency, lang, scorecard, feasibilityFlags }
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { formatMoney } from './currency.js';
+
+const LABELS = {
+  en: {
+    executive_summary: 'Executive Summary',
+    before_after: 'Before/After Transformation Summary',
+    strategic_narrative: 'Strategic Narrative',
+    company_profile: 'Company Profile',
+    icp_gtm: 'ICP & Go-to-Market',
+    diagnostic_findings: 'Diagnostic Findings',
+    root_cause: 'Root Cause Analysis — Causal Chain',
+    recommendations: 'Strategic Recommendations',
+    cost_of_inaction: 'Cost of Inaction (30/60/90 Days)',
+    roadmap: '90-Day Roadmap — Sequential with Second-Order Effects',
+    scenario_modeling: 'Scenario Modeling — 3 Paths Forward',
+    benchmark_scorecard: (company, stage) => `Benchmark Scorecard — ${company} vs. ${stage} Median`,
+    operating_model: 'Operating Model Design',
+    metrics_dashboard: 'Metrics Dashboard',
+    risk_mitigation: 'Risk Mitigation',
+    tools: 'Recommended Tools — Stage-Calibrated',
+    quick_wins: 'Quick Wins',
+    next_steps: 'Next Steps',
+    finding: 'Finding',
+    severity: 'Severity',
+    evidence: 'Evidence',
+    rootCause: 'Root Cause',
+    benchmarkComparison: 'Stage Benchmark Comparison',
+    revenueImpact: 'Revenue Impact',
+    antiPattern: 'Anti-Pattern Check',
+    impactBox: (monthly, annual) => `> 💰 **Estimated Monthly Impact: ${monthly}/month** in unrealized revenue. Over 12 months, this constraint costs approximately **${annual}** if unresolved.`,
+    flags: '⚠️ Feasibility Flags (System-Detected Contradictions)',
+    flag: 'Flag',
+    priority: 'Priority',
+    plan: 'Week-by-week plan',
+    patternMatch: 'Pattern Match',
+    month: 'Month',
+    weeks: 'Weeks',
+    handoff: (from, to) => `Month ${from} → Month ${to} Handoff`,
+    roadmapHeader: ['Week', 'Focus', 'Actions', 'Deliverable', 'KPI', 'Depends On (←)', 'Enables (→)'],
+    marketContext: 'Market Context Illustration',
+    riskHeader: ['Risk', 'Probability', 'Impact', 'Mitigation', 'parent_finding_id'],
+    toolHeader: ['Category', 'Tool', '~Cost/mo', 'Why', 'Stage Fit'],
+    workflows: 'Workflow Architecture',
+    workflow: 'Workflow',
+    workflowFields: ['Trigger', 'Action Chain', 'Owner', 'Outcome', 'Connects To'],
+    quickWinHeader: ['#', 'Action', 'parent_finding_id', 'Expected Impact', 'Effort', 'Creative Angle'],
+    findingSummaryHeader: ['ID', 'Finding', 'Severity', 'Monthly Impact'],
+    recommendationSummaryHeader: ['Priority', 'Weeks', 'Finding', 'Play'],
+    levels: { low: 'Low', medium: 'Medium', high: 'High' },
+    footer: '*Generated by Revenue Architect by Panoramica — Validated Market Audit*',
+    footerSources: '*Benchmark Sources: KBCM SaaS Survey, Statista, Pavilion/BenchSights, OpenView, Bessemer Cloud Index*'
+  },
+  it: {
+    executive_summary: 'Sintesi Esecutiva',
+    before_after: 'Trasformazione Prima/Dopo',
+    strategic_narrative: 'Narrativa Strategica',
+    company_profile: 'Profilo Aziendale',
+    icp_gtm: 'ICP e Go-to-Market',
+    diagnostic_findings: 'Risultati Diagnostici',
+    root_cause: 'Analisi delle Cause — Catena Causale',
+    recommendations: 'Raccomandazioni Strategiche',
+    cost_of_inaction: "Costo dell'Inazione (30/60/90 Giorni)",
+    roadmap: 'Roadmap a 90 Giorni — Sequenziale con Effetti di Secondo Ordine',
+    scenario_modeling: 'Modellazione degli Scenari — 3 Percorsi',
+    benchmark_scorecard: (company, stage) => `Scorecard Benchmark — ${company} vs. Mediana ${stage}`,
+    operating_model: 'Design del Modello Operativo',
+    metrics_dashboard: 'Dashboard delle Metriche',
+    risk_mitigation: 'Mitigazione dei Rischi',
+    tools: 'Strumenti Consigliati — Calibrati per Stadio',
+    quick_wins: 'Quick Win',
+    next_steps: 'Prossimi Passi',
+    finding: 'Finding',
+    severity: 'Gravità',
+    evidence: 'Evidenze',
+    rootCause: 'Causa Principale',
+    benchmarkComparison: 'Confronto con il Benchmark di Stadio',
+    revenueImpact: 'Impatto sui Ricavi',
+    antiPattern: 'Verifica Anti-Pattern',
+    impactBox: (monthly, annual) => `> 💰 **Impatto Mensile Stimato: ${monthly}/mese** di ricavi non realizzati. In 12 mesi questo vincolo costa circa **${annual}** se non risolto.`,
+    flags: '⚠️ Segnalazioni di Fattibilità (Contraddizioni Rilevate dal Sistema)',
+    flag: 'Segnalazione',
+    priority: 'Priorità',
+    plan: 'Piano settimana per settimana',
+    patternMatch: 'Pattern Match',
+    month: 'Mese',
+    weeks: 'Settimane',
+    handoff: (from, to) => `Passaggio Mese ${from} → Mese ${to}`,
+    roadmapHeader: ['Settimana', 'Focus', 'Azioni', 'Deliverable', 'KPI', 'Dipende da (←)', 'Abilita (→)'],
+    marketContext: 'Contesto di Mercato',
+    riskHeader: ['Rischio', 'Probabilità', 'Impatto', 'Mitigazione', 'parent_finding_id'],
+    toolHeader: ['Categoria', 'Strumento', '~Costo/mese', 'Perché', 'Adatto allo Stadio'],
+    workflows: 'Architettura dei Workflow',
+    workflow: 'Workflow',
+    workflowFields: ['Trigger', 'Catena di Azioni', 'Responsabile', 'Risultato', 'Collegato a'],
+    quickWinHeader: ['#', 'Azione', 'parent_finding_id', 'Impatto Atteso', 'Sforzo', 'Angolo Creativo'],
+    findingSummaryHeader: ['ID', 'Finding', 'Gravità', 'Impatto Mensile'],
+    recommendationSummaryHeader: ['Priorità', 'Settimane', 'Finding', 'Azione'],
+    levels: { low: 'Basso', medium: 'Medio', high: 'Alto' },
+    footer: '*Generato da Revenue Architect by Panoramica — Validated Market Audit*',
+    footerSources: '*Fonti dei benchmark: KBCM SaaS Survey, Statista, Pavilion/BenchSights, OpenView, Bessemer Cloud Index*'
+  }
+};
+
+const SEVERITY = { red: '🔴', yellow: '🟡', green: '🟢' };
+
+// Table cells: no raw pipes or newlines
+const cell = v => String(v ?? '—').replace(/\|/g, '\\|').replace(/\n+/g, '<br>') || '—';
+
+function table(header, rows) {
+  return [
+    `| ${header.map(cell).join(' | ')} |`,
+    `|${header.map(() => '---').join('|')}|`,
+    ...rows.map(r => `| ${r.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+const field = (label, value) => (value ? `- **${label}:** ${value}` : null);
+const lines = (...parts) => parts.filter(p => p !== null && p !== undefined && p !== '').join('\n');
+const blocks = (...parts) => parts.filter(Boolean).join('\n\n');
+
+function renderFindings(doc, ctx, L) {
+  const findings = doc.findings.map(f => blocks(
+    `### ${L.finding} ${f.id}: ${f.name}`,
+    lines(
+      field('finding_id', f.id),
+      field(L.severity, SEVERITY[f.severity] || f.severity),
+      field(L.evidence, f.evidence),
+      field(L.rootCause, f.root_cause),
+      field(L.benchmarkComparison, f.benchmark_comparison),
+      field(L.revenueImpact, f.revenue_impact),
+      field(L.antiPattern, f.anti_pattern)
+    ),
+    f.monthly_impact > 0 ? L.impactBox(formatMoney(f.monthly_impact, ctx.currency), formatMoney(f.monthly_impact * 12, ctx.currency)) : null
+  ));
+  const flags = ctx.feasibilityFlags || [];
+  const flagBlock = flags.length
+    ? blocks(`### ${L.flags}`, ...flags.map((f, i) => `**${L.flag} ${i + 1}: ${f.issue}** [${f.severity.toUpperCase()}]\n${f.detail}\n→ ${f.recommendation}`))
+    : null;
+  return blocks(...findings, flagBlock);
+}
+
+function renderRecommendations(doc, ctx, L) {
+  return blocks(...doc.recommendations.map(r => blocks(
+    `### ${L.priority} ${r.priority}: ${r.title} — ${r.weeks}`,
+    lines(
+      field('parent_finding_id', r.parent_finding_id),
+      field('the_obvious_play', r.obvious_play),
+      field('the_creative_edge', r.creative_edge),
+      field('trade_off / negative_externality', r.trade_off),
+      field('resources_required', r.resources_required),
+      field('success_metric', r.success_metric),
+      field('depends_on', r.depends_on),
+      field('prerequisite_for', r.prerequisite_for)
+    ),
+    r.plan?.length ? `**${L.plan}:**\n${r.plan.map((step, i) => `${i + 1}. ${step}`).join('\n')}` : null,
+    r.pattern_match ? `> 📊 **${L.patternMatch}:** ${r.pattern_match}` : null
+  )));
+}
+
+function renderRoadmap(doc, ctx, L) {
+  const months = doc.roadmap;
+  return blocks(...months.map((m, i) => {
+    const span = `${L.weeks} ${(m.month - 1) * 4 + 1}-${m.month * 4}`;
+    const cols = [0, 1, 2, 3, 4];
+    if (m.rows.some(r => r.depends_on)) cols.push(5);
+    if (m.rows.some(r => r.enables)) cols.push(6);
+    const rows = m.rows.map(r => {
+      const all = [r.week, r.focus, r.actions, r.deliverable, r.kpi, r.depends_on, r.enables];
+      return cols.map(c => all[c]);
+    });
+    const next = months[i + 1];
+    return blocks(
+      `### ${L.month} ${m.month}: ${m.name} (${span})`,
+      table(cols.map(c => L.roadmapHeader[c]), rows),
+      m.handoff && next ? `**${L.handoff(m.month, next.month)}:** ${m.handoff}` : m.handoff || null
+    );
+  }));
+}
+
+function renderScorecard(doc, ctx, L) {
+  // The pre-computed scorecard carries its own "## Benchmark Scorecard" heading
+  const scorecard = (ctx.scorecard || '').replace(/^##\s+.*\n+/, '').trim();
+  return blocks(
+    scorecard,
+    doc.benchmark_narrative,
+    doc.market_context ? blocks(`### ${L.marketContext}`, doc.market_context) : null
+  );
+}
+
+function renderTools(doc, ctx, L) {
+  const toolRows = doc.tools.map(t => [
+    t.category, t.tool,
+    t.monthly_cost === null || t.monthly_cost === undefined ? '—' : formatMoney(t.monthly_cost, ctx.currency),
+    t.why, t.stage_fit
+  ]);
+  const [trigger, chain, owner, outcome, connects] = L.workflowFields;
+  const workflows = doc.workflows.map(w => lines(
+    `**${L.workflow}: ${w.name}**`,
+    `→ ${trigger}: ${w.trigger}`,
+    `→ ${chain}: ${w.action_chain}`,
+    `→ ${owner}: ${w.owner}`,
+    `→ ${outcome}: ${w.outcome}`,
+    w.connects_to ? `→ ${connects}: ${w.connects_to}` : null
+  ));
+  return blocks(
+    toolRows.length ? table(L.toolHeader, toolRows) : null,
+    workflows.length ? blocks(`### ${L.workflows}`, ...workflows) : null
+  );
+}
+
+const level = (L, v) => L.levels[v] || v;
+
+// Report order. `keys` are the document properties each section renders from.
+export const REPORT_SECTIONS = [
+  { id: 'executive_summary', keys: ['executive_summary'] },
+  { id: 'before_after', keys: ['before_after'] },
+  { id: 'strategic_narrative', keys: ['strategic_narrative'] },
+  { id: 'company_profile', keys: ['company_profile'] },
+  { id: 'icp_gtm', keys: ['icp_gtm'] },
+  { id: 'diagnostic_findings', keys: ['findings'], render: renderFindings },
+  { id: 'root_cause', keys: ['root_cause'] },
+  { id: 'recommendations', keys: ['recommendations'], render: renderRecommendations },
+  { id: 'cost_of_inaction', keys: ['cost_of_inaction'] },
+  { id: 'roadmap', keys: ['roadmap'], render: renderRoadmap },
+  { id: 'scenario_modeling', keys: ['scenario_modeling'] },
+  { id: 'benchmark_scorecard', keys: ['benchmark_narrative', 'market_context'], render: renderScorecard },
+  { id: 'operating_model', keys: ['operating_model'] },
+  { id: 'metrics_dashboard', keys: ['metrics_dashboard'] },
+  {
+    id: 'risk_mitigation', keys: ['risks'],
+    render: (doc, ctx, L) => table(L.riskHeader, doc.risks.map(r => [r.risk, level(L, r.probability), level(L, r.impact), r.mitigation, r.parent_finding_id]))
+  },
+  { id: 'tools', keys: ['tools', 'workflows'], render: renderTools },
+  {
+    id: 'quick_wins', keys: ['quick_wins'],
+    render: (doc, ctx, L) => table(L.quickWinHeader, doc.quick_wins.map((q, i) => [i + 1, q.action, q.parent_finding_id, q.expected_impact, level(L, q.effort), q.creative_angle]))
+  },
+  { id: 'next_steps', keys: ['next_steps'] }
+];
+
+function sectionTitle(id, ctx, L) {
+  const title = L[id];
+  return typeof title === 'function' ? title(ctx.company || 'Company', ctx.stageLabel || 'Stage') : title;
+}
+
+// One section → { id, title, markdown }
+export function renderReportSection(section, doc, ctx) {
+  const L = LABELS[ctx.lang] || LABELS.en;
+  const title = sectionTitle(section.id, ctx, L);
+  const body = section.render ? section.render(doc, ctx, L) : doc[section.keys[0]];
+  return { id: section.id, title, markdown: `## ${title}\n\n${body || ''}`.trim() };
+}
+
+// → [{ id, title, markdown }] in report order
+export function renderReportSections(doc, ctx) {
+  return REPORT_SECTIONS.map(s => renderReportSection(s, doc, ctx));
+}
+
+// ctx.citationAppendix (citation-check.js) replaces the generic source list
+export function renderReportMarkdown(doc, ctx) {
+  const L = LABELS[ctx.lang] || LABELS.en;
+  const footer = ctx.citationAppendix ? [ctx.citationAppendix, L.footer] : [`${L.footer}\n${L.footerSources}`];
+  return [...renderReportSections(doc, ctx).map(s => s.markdown), ...footer].join('\n\n---\n\n');
+}
+
+// [{ id, title }] — what clients can address
+export function listRenderedSections(ctx) {
+  const L = LABELS[ctx.lang] || LABELS.en;
+  return REPORT_SECTIONS.map(s => ({ id: s.id, title: sectionTitle(s.id, ctx, L) }));
+}
+
+// Compact { header, rows } tables of the finding and recommendation records,
+// keyed by section title — the deck shows these instead of the prose sections
+export function summarizeReportRecords(doc, ctx) {
+  const L = LABELS[ctx.lang] || LABELS.en;
+  const money = v => (v > 0 ? `${formatMoney(v, ctx.currency)}/mo` : '—');
+  return {
+    [sectionTitle('diagnostic_findings', ctx, L)]: {
+      header: L.findingSummaryHeader,
+      rows: doc.findings.map(f => [f.id, f.name, SEVERITY[f.severity] || f.severity, money(f.monthly_impact)])
+    },
+    [sectionTitle('recommendations', ctx, L)]: {
+      header: L.recommendationSummaryHeader,
+      rows: doc.recommendations.map(r => [String(r.priority), r.weeks, r.parent_finding_id, r.title])
+    }
+  };
+}
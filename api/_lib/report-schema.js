@@ -0,0 +1,247 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT DOCUMENT — the Strategic Growth Plan as validated JSON
+//
+// The report model returns one JSON object shaped by REPORT_SCHEMA: findings,
+// recommendations, roadmap months, risks, tools, workflows and quick wins are
+// typed records; the prose sections are Markdown strings. The document is the
+// source of truth — report-render.js turns it into the report markdown, and
+// the frontend, dashboard and exports read the records directly.
+//
+// Property order is report order (the stream renders sections as their
+// properties complete).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const markdown = description => ({ type: 'string', format: 'markdown', minLength: 1, description });
+const text = description => ({ type: 'string', minLength: 1, description });
+const findingRef = { type: 'string', pattern: /^F\d+$/, description: 'id of the parent finding (F1, F2, ...)' };
+const level = { type: 'string', enum: ['low', 'medium', 'high'] };
+
+const object = (properties, optional = []) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties).filter(k => !optional.includes(k))
+});
+
+const FINDING = object({
+  id: { type: 'string', pattern: /^F\d+$/, description: 'F1, F2, F3 in order' },
+  name: text('short problem name'),
+  severity: { type: 'string', enum: ['red', 'yellow', 'green'] },
+  evidence: text('what the user actually said in the conversation'),
+  root_cause: text('why the problem exists, from confirmed data'),
+  benchmark_comparison: text('comparison to the stage benchmarks'),
+  revenue_impact: text('only when the data supports it'),
+  anti_pattern: text('known stage anti-pattern this maps to'),
+  monthly_impact: { type: 'number', nullable: true, minimum: 0, description: 'monthly cost in the reporting currency from the FINANCIAL IMPACT ANALYSIS, null if not computed' }
+}, ['benchmark_comparison', 'revenue_impact', 'anti_pattern']);
+
+const RECOMMENDATION = object({
+  priority: { type: 'integer', minimum: 1 },
+  title: text('name of the priority'),
+  weeks: text('execution window, e.g. "Weeks 1-4"'),
+  parent_finding_id: findingRef,
+  obvious_play: text('what the standard playbook says'),
+  creative_edge: text('the non-obvious twist for THIS company'),
+  trade_off: text('the negative externality / tension'),
+  resources_required: text('people (FTE or h/week), tools with monthly cost, budget range'),
+  success_metric: text('one measurable KPI for the end of the window'),
+  depends_on: text('what from the previous priority must be done first'),
+  prerequisite_for: text('what this enables in the next priority'),
+  plan: { type: 'array', items: text('one week-by-week action') },
+  pattern_match: text('cohort pattern match callout, omitted when no strong match')
+}, ['depends_on', 'prerequisite_for', 'plan', 'pattern_match']);
+
+const ROADMAP_MONTH = object({
+  month: { type: 'integer', minimum: 1, maximum: 3 },
+  name: text('Foundation, Acceleration, Scale, ...'),
+  rows: {
+    type: 'array',
+    minItems: 1,
+    items: object({
+      week: { type: 'integer', minimum: 1, maximum: 12 },
+      focus: text(),
+      actions: text(),
+      deliverable: text(),
+      kpi: text(),
+      depends_on: text('what from the previous month this builds on'),
+      enables: text('what this sets up for the next month')
+    }, ['depends_on', 'enables'])
+  },
+  handoff: text('what completed work makes the next month possible')
+}, ['handoff']);
+
+const RISK = object({
+  risk: text(),
+  probability: level,
+  impact: level,
+  mitigation: text(),
+  parent_finding_id: findingRef
+});
+
+const TOOL = object({
+  category: text(),
+  tool: text(),
+  monthly_cost: { type: 'number', nullable: true, minimum: 0, description: 'approximate monthly cost in the reporting currency' },
+  why: text(),
+  stage_fit: text()
+});
+
+const WORKFLOW = object({
+  name: text('e.g. "Signal-to-Meeting Pipeline"'),
+  trigger: text(),
+  action_chain: text('what happens automatically and what needs a human'),
+  owner: text(),
+  outcome: text(),
+  connects_to: text('next workflow in the chain')
+}, ['connects_to']);
+
+const QUICK_WIN = object({
+  action: text(),
+  parent_finding_id: findingRef,
+  expected_impact: text(),
+  effort: level,
+  creative_angle: text('why this is smarter than the standard approach')
+});
+
+export const REPORT_SCHEMA = object({
+  executive_summary: markdown('one-page brief, max 150 words'),
+  before_after: markdown('the Today / In 90 Days comparison table'),
+  strategic_narrative: markdown('Current State, Hard Truth, Unlock, Risk of Inaction as ### subsections'),
+  company_profile: markdown('profile vs stage benchmark table'),
+  icp_gtm: markdown('ICP, positioning and channel analysis'),
+  findings: { type: 'array', minItems: 1, maxItems: 5, items: FINDING },
+  root_cause: markdown('causal chain F1 → F2 → F3'),
+  recommendations: { type: 'array', minItems: 1, maxItems: 5, items: RECOMMENDATION },
+  cost_of_inaction: markdown('opens with the total cost, then 30/60/90 days'),
+  roadmap: { type: 'array', minItems: 1, maxItems: 3, items: ROADMAP_MONTH },
+  scenario_modeling: markdown('three paths and the comparison table'),
+  benchmark_narrative: markdown('interpretation of the benchmark scorecard'),
+  market_context: markdown('market context illustration, 3-4 sentences'),
+  operating_model: markdown('current assessment table and target operating model'),
+  metrics_dashboard: markdown('metrics table: current, stage median, 90-day target, tracking, source'),
+  risks: { type: 'array', minItems: 1, maxItems: 8, items: RISK },
+  tools: { type: 'array', maxItems: 12, items: TOOL },
+  workflows: { type: 'array', maxItems: 6, items: WORKFLOW },
+  quick_wins: { type: 'array', minItems: 1, maxItems: 7, items: QUICK_WIN },
+  next_steps: markdown('immediate, short-term, medium-term, ongoing cadence')
+}, ['market_context']);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const at = (path, key) => (path ? `${path}.${key}` : key);
+
+// Returns the normalized value (trimmed strings, numeric strings as numbers,
+// lower-cased enums, unknown properties dropped) and appends to `errors`
+function check(schema, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (schema.nullable) return null;
+    errors.push(`${path}: required`);
+    return undefined;
+  }
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') { errors.push(`${path}: expected a string`); return undefined; }
+      value = value.trim();
+      if (schema.enum) {
+        value = value.toLowerCase();
+        if (!schema.enum.includes(value)) errors.push(`${path}: expected one of ${schema.enum.join(', ')}`);
+        return value;
+      }
+      if (schema.format === 'markdown') value = value.replace(/^#{1,2}\s+.*\n+/, ''); // headings come from the renderer
+      if (schema.minLength && value.length < schema.minLength) errors.push(`${path}: empty`);
+      if (schema.pattern && !schema.pattern.test(value)) errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+      return value;
+    }
+    case 'number':
+    case 'integer': {
+      const n = typeof value === 'string' && /\d/.test(value) ? Number(value.replace(/[^\d.-]/g, '')) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n)) { errors.push(`${path}: expected a number`); return undefined; }
+      if (schema.type === 'integer' && !Number.isInteger(n)) errors.push(`${path}: expected an integer`);
+      if (schema.minimum !== undefined && n < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+      if (schema.maximum !== undefined && n > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+      return n;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) { errors.push(`${path}: expected an array`); return undefined; }
+      if (schema.minItems && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+      if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path}: at most ${schema.maxItems} items`);
+      return value.map((v, i) => check(schema.items, v, `${path}[${i}]`, errors));
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) { errors.push(`${path || 'document'}: expected an object`); return undefined; }
+      const out = {};
+      for (const [key, prop] of Object.entries(schema.properties)) {
+        const v = value[key];
+        if ((v === undefined || v === null || v === '') && !schema.required.includes(key)) continue;
+        const normalized = check(prop, v, at(path, key), errors);
+        if (normalized !== undefined) out[key] = normalized;
+      }
+      return out;
+    }
+  }
+  return value;
+}
+
+// Record ids and ordering the renderer relies on. Whether items trace back to
+// real findings is a golden-thread rule (golden-thread.js), repaired separately.
+function checkRecordOrder(doc, errors) {
+  (doc.findings || []).forEach((f, i) => {
+    if (f?.id && f.id !== `F${i + 1}`) errors.push(`findings[${i}].id: expected F${i + 1} (ids are sequential)`);
+  });
+  const priorities = (doc.recommendations || []).map(r => r?.priority);
+  if (new Set(priorities).size !== priorities.length) errors.push('recommendations: priorities must be unique');
+  const months = (doc.roadmap || []).map(m => m?.month);
+  if (months.some((m, i) => i && m <= months[i - 1])) errors.push('roadmap: months must be in ascending order');
+}
+
+// → { value, errors }. `value` is only safe to render when errors is empty.
+export function validateReportDocument(doc) {
+  const errors = [];
+  const value = check(REPORT_SCHEMA, doc, '', errors);
+  if (value) {
+    checkRecordOrder(value, errors);
+    value.recommendations?.sort((a, b) => a.priority - b.priority);
+  }
+  return { value, errors };
+}
+
+// Raw model text → { value, errors }
+export function parseReportDocument(raw) {
+  if (raw && typeof raw === 'object') return validateReportDocument(raw);
+  const body = String(raw || '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+  try {
+    return validateReportDocument(JSON.parse(body));
+  } catch (e) {
+    return { value: null, errors: [`response is not valid JSON (${e.message})`] };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROMPT — the schema as an annotated skeleton the model can follow
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function describe(schema, indent = '') {
+  if (schema.type === 'object') {
+    const inner = indent + '  ';
+    const lines = Object.entries(schema.properties).map(([key, prop]) =>
+      `${inner}"${key}": ${describe(prop, inner)}${schema.required.includes(key) ? '' : ' (optional)'}`);
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+  }
+  if (schema.type === 'array') return `[ ${describe(schema.items, indent)} ]`;
+  const kind = schema.enum
+    ? schema.enum.map(v => `"${v}"`).join(' | ')
+    : `${schema.format === 'markdown' ? 'markdown string' : schema.type}${schema.nullable ? ' | null' : ''}`;
+  return schema.description ? `${kind} — ${schema.description}` : kind;
+}
+
+export function describeReportSchema(schema = REPORT_SCHEMA) {
+  return describe(schema);
+}
+
+// The part of REPORT_SCHEMA holding the given top-level keys
+export function subSchema(keys) {
+  const properties = Object.fromEntries(keys.map(k => [k, REPORT_SCHEMA.properties[k]]));
+  return { type: 'object', properties, required: keys.filter(k => REPORT_SCHEMA.required.includes(k)) };
+}
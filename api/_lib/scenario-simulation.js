@@ -0,0 +1,238 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCENARIO SIMULATION — Monte Carlo MRR trajectories for the scenario paths
+//
+// Every run draws, per path:
+//   recovery  share of the constraint impact the path wins back (churn and win
+//             rate excluded — they are modelled below). PERT over the path's
+//             band; the mode sits where the matched archetypes' key metrics
+//             landed. A "stall" draw (stallRisk: feasibility flags, team,
+//             funding) recovers at most half the band's floor.
+//   churn     monthly churn after the fix: closes a PERT-sampled share of the
+//             gap to the stage benchmark's p25 (a negative share = it worsened)
+//   win rate  the same toward the benchmark's p75; new bookings scale with it
+//   hires     productivity of planned hires (25–125% of their nominal bookings)
+// and steps MRR month by month:
+//   organic   = organic × (1 − churn) + (bookings + hire bookings) × (winRate / winRate₀)
+//   MRR       = organic + impact × recovery × ramp
+// What-if targets for churn and win rate replace the benchmark targets and
+// apply in either direction.
+// Baseline bookings replace baseline churn plus any stated growth; every change
+// ramps in over the path's rampMonths. A path succeeds when, by day 90, it adds
+// at least its target gain over the same run's do-nothing trajectory — so
+// growth the company would have had anyway doesn't count as the plan working.
+//
+// The generator is seeded from the inputs: the same profile gives the same
+// percentiles, so the report and the numeric check agree on every rerun.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { metricNumber } from './metrics.js';
+import { monthlyGrowthRate } from './unit-economics.js';
+
+export const DEFAULT_RUNS = 2000;
+export const HORIZON_MONTHS = 12;
+export const DAY_90_MONTH = 3;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RANDOMNESS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// FNV-1a → mulberry32: small, fast and reproducible across Node versions
+export function seedFrom(value) {
+  let h = 2166136261;
+  for (const ch of String(value)) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return h >>> 0;
+}
+
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normal(rng) {
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Marsaglia–Tsang; shape ≥ 1 is all PERT needs
+function gamma(rng, shape) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do { x = normal(rng); v = 1 + c * x; } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// Beta-PERT: bounded like a triangle, but most of the mass near the mode
+export function samplePert(rng, min, mode, max) {
+  if (max <= min) return min;
+  const m = Math.min(max, Math.max(min, mode));
+  const alpha = 1 + (4 * (m - min)) / (max - min);
+  const beta = 1 + (4 * (max - m)) / (max - min);
+  const x = gamma(rng, alpha);
+  return min + (max - min) * (x / (x + gamma(rng, beta)));
+}
+
+function quantile(sorted, p) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (i - lo);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INPUTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const firstNumber = s => {
+  const m = String(s ?? '').replace(/,(?=\d{3}\b)/g, '').match(/\d+(?:\.\d+)?/);
+  return m ? parseFloat(m[0]) : null;
+};
+
+// Relative move of each matched archetype's key metric (70% → 25% = 0.64),
+// averaged by match confidence; null when no outcome has two numbers
+export function archetypeImprovement(matches = []) {
+  let sum = 0;
+  let weight = 0;
+  for (const m of matches) {
+    const before = firstNumber(m.outcome?.metricBefore);
+    const after = firstNumber(m.outcome?.metricAfter);
+    if (before === null || after === null || Math.max(before, after) === 0) continue;
+    const w = (m.confidence || 0) / 100;
+    sum += Math.min(1, Math.abs(after - before) / Math.max(before, after)) * w;
+    weight += w;
+  }
+  return weight > 0 ? { improvement: sum / weight, weight: Math.min(1, weight) } : null;
+}
+
+// Current value and target for one driver. The benchmark target only counts
+// while the company is behind it; a what-if target always does.
+function driver(metrics, field, entry, targetKey, lowerBetter, whatIf) {
+  const stated = metricNumber(metrics, field);
+  const current = stated ?? entry?.median ?? null;
+  if (whatIf != null) return { current, target: whatIf, known: true, whatIf: true };
+  const benchmark = entry?.[targetKey] ?? entry?.good ?? null;
+  const behind = benchmark !== null && current !== null && (lowerBetter ? current > benchmark : current < benchmark);
+  return { current, target: behind ? benchmark : null, known: stated !== null };
+}
+
+// Planned hires → new MRR each books per month once ramped
+//   hires  [{ count, month, rampMonths?, dealsPerMonth?, role? }]; a ramped hire
+//          closes dealsPerMonth (default 1) deals worth dealValue a month
+function hirePlan(hires = [], dealValue = 0) {
+  return hires.map(h => ({
+    role: h.role || null,
+    count: h.count,
+    month: h.month,
+    rampMonths: h.rampMonths || DAY_90_MONTH,
+    monthlyBookings: Math.round(h.count * (h.dealsPerMonth ?? 1) * dealValue)
+  }));
+}
+
+// Everything the simulation needs from the report's computed data
+//   impacts        financial impact items ({ metric, monthlyImpact }); churn and win
+//                  rate items are left to their own drivers
+//   fallbackImpact used when no constraint-level impact was computed
+//   targets        { churnRate, winRate } what-if values the plan moves toward
+//   hires, dealValue  see hirePlan
+export function simulationInputs({ mrr, metrics, benchmarks = {}, impacts = [], fallbackImpact = 0, matches = [], targets = {}, hires = [], dealValue = 0 }) {
+  const churn = driver(metrics, 'churnRate', benchmarks.churnMonthly, 'p25', true, targets.churnRate);
+  const winRate = driver(metrics, 'winRate', benchmarks.winRate, 'p75', false, targets.winRate);
+  const recoverable = impacts
+    .filter(i => i.monthlyImpact > 0 && i.metric !== 'churnRate' && i.metric !== 'winRate')
+    .reduce((s, i) => s + i.monthlyImpact, 0);
+  // Churn/win-rate impacts are simulated through their drivers, so they don't fall back
+  const modelled = impacts.some(i => i.monthlyImpact > 0 && (i.metric === 'churnRate' || i.metric === 'winRate'));
+  return {
+    mrr,
+    recoverableImpact: recoverable > 0 || modelled ? recoverable : fallbackImpact,
+    churn,
+    winRate,
+    growth: monthlyGrowthRate(metrics) ?? 0,
+    archetypes: archetypeImprovement(matches),
+    hires: hirePlan(hires, dealValue)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIMULATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// paths: [{ name, band: { low, high }, targetGain, stallRisk, rampMonths }]
+//   targetGain  MRR the path must add over doing nothing by day 90 to succeed
+export function simulateScenarios(inputs, paths, { runs = DEFAULT_RUNS, months = HORIZON_MONTHS, seed } = {}) {
+  const { mrr, recoverableImpact, churn, winRate, growth, archetypes, hires = [] } = inputs;
+  const rng = createRng(seed ?? seedFrom(JSON.stringify({ inputs, paths, runs, months })));
+  const c0 = Math.max(0, churn.current ?? 0) / 100;
+  const w0 = winRate.current > 0 ? winRate.current : null;
+  const baselineBookings = mrr * (c0 + growth);
+  // New bookings from planned hires in month m, before productivity
+  const hireBookings = m => hires.reduce((s, h) => s + h.monthlyBookings * Math.max(0, Math.min(1, (m - h.month + 1) / h.rampMonths)), 0);
+
+  return paths.map(path => {
+    const { low, high } = path.band;
+    // Where in the band the matched archetypes' results would put a typical run
+    const position = archetypes ? (1 - archetypes.weight) * 0.5 + archetypes.weight * archetypes.improvement : 0.5;
+    const recoveryMode = low + (high - low) * position;
+    const gapMode = Math.min(1, Math.max(0, (low + high) / 2));
+    const ramp = m => Math.min(1, m / (path.rampMonths || DAY_90_MONTH));
+
+    const byMonth = Array.from({ length: months }, () => new Float64Array(runs));
+    let successes = 0;
+    for (let r = 0; r < runs; r++) {
+      const stalled = rng() < (path.stallRisk || 0);
+      const recovery = stalled ? rng() * low * 0.5 : samplePert(rng, low * 0.5, recoveryMode, Math.min(1.5, high * 1.25));
+      const churnShare = churn.known && churn.target !== null
+        ? samplePert(rng, stalled ? -0.3 : -0.15, stalled ? 0 : gapMode, 1)
+        : 0;
+      const winShare = w0 !== null && winRate.known && winRate.target !== null
+        ? samplePert(rng, stalled ? -0.3 : -0.15, stalled ? 0 : gapMode, 1)
+        : 0;
+      const productivity = hires.length ? samplePert(rng, 0.25, 0.75, 1.25) : 0;
+      const c1 = churn.known && churn.target !== null ? c0 - (c0 - churn.target / 100) * churnShare : c0;
+      const w1 = w0 !== null && winRate.target !== null ? w0 + (winRate.target - w0) * winShare : w0;
+
+      let organic = mrr;
+      let untouched = mrr;
+      for (let m = 1; m <= months; m++) {
+        const k = ramp(m);
+        const churnM = Math.max(0, c0 + (c1 - c0) * k);
+        const winFactor = w0 ? (w0 + (w1 - w0) * k) / w0 : 1;
+        // Month-to-month noise in new bookings, shared with the do-nothing path
+        const noise = Math.max(0, 1 + 0.15 * normal(rng));
+        organic = organic * (1 - churnM) + (baselineBookings + hireBookings(m) * productivity) * winFactor * noise;
+        untouched = untouched * (1 - c0) + baselineBookings * noise;
+        const value = Math.max(0, organic + recoverableImpact * recovery * k);
+        byMonth[m - 1][r] = value;
+        if (m === DAY_90_MONTH && value - untouched >= path.targetGain) successes++;
+      }
+    }
+
+    const trajectory = byMonth.map((values, i) => {
+      const sorted = Array.from(values).sort((a, b) => a - b);
+      return {
+        month: i + 1,
+        p10: Math.round(quantile(sorted, 0.1)),
+        p50: Math.round(quantile(sorted, 0.5)),
+        p90: Math.round(quantile(sorted, 0.9))
+      };
+    });
+    return {
+      name: path.name,
+      trajectory,
+      day90: trajectory[Math.min(DAY_90_MONTH, months) - 1],
+      month12: trajectory[months - 1],
+      targetGain: Math.round(path.targetGain),
+      successProbability: Math.round((successes / runs) * 100)
+    };
+  });
+}
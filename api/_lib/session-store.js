@@ -0,0 +1,259 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION STORE — server-side discovery state keyed by an opaque session id
+//
+// The client only ever holds { session_id, session_revision }. The full
+// session (transcript, phase gates, profile) lives here, so it can't be
+// forged from the browser and the request payload stays small.
+//
+// Adapter is selected by env var:
+//   SESSION_STORE = kv | memory | file | sqlite
+//                   (default: kv when KV is configured, memory otherwise; required on Vercel)
+//   KV_REST_API_URL / KV_REST_API_TOKEN = Vercel KV or Upstash Redis REST endpoint
+//                   (UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN also work)
+//   SESSION_DIR   = directory for the file adapter (default: <tmpdir>/panoramica-sessions)
+//   SESSION_DB    = database path for the sqlite adapter (default: <tmpdir>/panoramica-sessions.db)
+//   SESSION_TTL_HOURS = inactivity expiry (default 24)
+//
+// On Vercel every function (chat, report, export, report-section, scenario)
+// runs in its own instances with its own memory and /tmp, so only kv shares a
+// session between them; without it a deployment refuses to start a session
+// rather than lose it on the next request. memory, file and sqlite are for
+// local dev and single long-running servers.
+//
+// Every save creates a new revision and keeps the last MAX_REVISIONS
+// snapshots, so the chat "go back" button can resume from an earlier turn
+// without the client re-uploading state.
+//
+// The finished report (state.report: prompt, document, markdown, render
+// context — tens of KB) is kept once per session, not in every snapshot.
+// Revisions from the one that stored it onward load it back; going back past
+// it and saving drops it, as the branch never had a report.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { randomBytes } from 'crypto';
+import { readFileSync, writeFileSync, renameSync, unlinkSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const MAX_REVISIONS = 30;
+const MAX_MEMORY_SESSIONS = 500;
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{20,64}$/;
+
+// Fields that drive phase gating and the report — a client-supplied copy must
+// match the stored one exactly, otherwise the request is treated as tampered.
+const PROTECTED_FIELDS = [
+  'flowId', 'currentPhase', 'phaseTurns', 'totalTurns', 'welcomeDone',
+  'diagnosisPresented', 'diagnosisValidated', 'resolvedStage', 'benchmarkVersion', 'profile'
+];
+
+export class SessionError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADAPTERS — all expose async get(id) / set(id, record) / delete(id)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function createMemoryAdapter() {
+  const map = new Map();
+  return {
+    name: 'memory',
+    async get(id) { return map.get(id) || null; },
+    async set(id, record) {
+      map.delete(id); // re-insert so Map order doubles as LRU order
+      map.set(id, record);
+      while (map.size > MAX_MEMORY_SESSIONS) map.delete(map.keys().next().value);
+    },
+    async delete(id) { map.delete(id); }
+  };
+}
+
+function createFileAdapter(dir) {
+  mkdirSync(dir, { recursive: true });
+  const pathFor = id => join(dir, `${id}.json`);
+  return {
+    name: 'file',
+    async get(id) {
+      const path = pathFor(id);
+      if (!existsSync(path)) return null;
+      try { return JSON.parse(readFileSync(path, 'utf-8')); } catch { return null; }
+    },
+    async set(id, record) {
+      // Write-then-rename so a concurrent reader never sees a half-written file
+      const tmp = `${pathFor(id)}.${process.pid}.tmp`;
+      writeFileSync(tmp, JSON.stringify(record));
+      renameSync(tmp, pathFor(id));
+    },
+    async delete(id) {
+      try { unlinkSync(pathFor(id)); } catch { /* already gone */ }
+    }
+  };
+}
+
+async function createSqliteAdapter(path) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error('SESSION_STORE=sqlite requires Node 22.5+ (node:sqlite)');
+  }
+  const db = new DatabaseSync(path);
+  db.exec('CREATE TABLE IF NOT EXISTS sessions (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)');
+  const getStmt = db.prepare('SELECT data FROM sessions WHERE id = ?');
+  const setStmt = db.prepare('INSERT INTO sessions (id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at');
+  const delStmt = db.prepare('DELETE FROM sessions WHERE id = ?');
+  return {
+    name: 'sqlite',
+    async get(id) {
+      const row = getStmt.get(id);
+      if (!row) return null;
+      try { return JSON.parse(row.data); } catch { return null; }
+    },
+    async set(id, record) { setStmt.run(id, JSON.stringify(record), record.updatedAt); },
+    async delete(id) { delStmt.run(id); }
+  };
+}
+
+// Vercel KV / Upstash Redis over the REST API: one JSON command per request,
+// records expire with the session TTL
+function createKvAdapter(url, token, ttlSeconds) {
+  const endpoint = url.replace(/\/+$/, '');
+  const key = id => `panoramica:session:${id}`;
+  const command = async (...args) => {
+    const r = await fetch(endpoint, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const d = await r.json().catch(() => ({}));
+    if (!r.ok || d.error) throw new Error(`Session KV ${args[0]} ${r.status}: ${d.error || '?'}`);
+    return d.result;
+  };
+  return {
+    name: 'kv',
+    async get(id) {
+      const raw = await command('GET', key(id));
+      if (raw == null) return null;
+      try { return JSON.parse(raw); } catch { return null; }
+    },
+    async set(id, record) { await command('SET', key(id), JSON.stringify(record), 'EX', ttlSeconds); },
+    async delete(id) { await command('DEL', key(id)); }
+  };
+}
+
+let STORE = null;
+
+export async function getSessionStore(env = process.env) {
+  if (STORE) return STORE;
+  const kvUrl = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+  const kvToken = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+  const kind = (env.SESSION_STORE || (kvUrl ? 'kv' : env.VERCEL ? '' : 'memory')).toLowerCase().trim();
+  if (!kind) {
+    throw new Error('No shared session store: Vercel functions do not share memory or /tmp. Connect Vercel KV (KV_REST_API_URL, KV_REST_API_TOKEN) or set SESSION_STORE');
+  }
+  if (env.VERCEL && kind !== 'kv') console.warn(`[Session] SESSION_STORE=${kind} on Vercel: sessions are not shared between functions`);
+  if (kind === 'kv') {
+    if (!kvUrl || !kvToken) throw new Error('SESSION_STORE=kv requires KV_REST_API_URL and KV_REST_API_TOKEN');
+    STORE = createKvAdapter(kvUrl, kvToken, Math.ceil(ttlMs(env) / 1000));
+  } else if (kind === 'memory') STORE = createMemoryAdapter();
+  else if (kind === 'file') STORE = createFileAdapter(env.SESSION_DIR || join(tmpdir(), 'panoramica-sessions'));
+  else if (kind === 'sqlite') STORE = await createSqliteAdapter(env.SESSION_DB || join(tmpdir(), 'panoramica-sessions.db'));
+  else throw new Error(`Unknown SESSION_STORE "${kind}"`);
+  return STORE;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function newSessionId() {
+  return randomBytes(24).toString('base64url');
+}
+
+function ttlMs(env = process.env) {
+  const hours = parseFloat(env.SESSION_TTL_HOURS);
+  return (hours > 0 ? hours : 24) * 3600 * 1000;
+}
+
+// Loads the state at `revision` (latest when omitted).
+// Throws SessionError for unknown/expired ids and unknown revisions.
+export async function loadSession(id, revision) {
+  if (typeof id !== 'string' || !SESSION_ID_RE.test(id)) {
+    throw new SessionError('session_invalid', 'Invalid session id', 400);
+  }
+  const store = await getSessionStore();
+  const record = await store.get(id);
+  if (!record) throw new SessionError('session_not_found', 'Session not found or expired', 404);
+  if (Date.now() - record.updatedAt > ttlMs()) {
+    await store.delete(id);
+    throw new SessionError('session_not_found', 'Session not found or expired', 404);
+  }
+
+  const wanted = revision == null ? record.revision : Number(revision);
+  const snap = record.history.find(h => h.revision === wanted);
+  if (!snap) throw new SessionError('session_revision_unknown', `Unknown session revision ${revision}`, 409);
+
+  // Deep copy so handlers can mutate freely before saving
+  const state = JSON.parse(JSON.stringify(snap.state));
+  if (record.report && wanted >= record.reportRevision) state.report = JSON.parse(JSON.stringify(record.report));
+  return { id, revision: snap.revision, state };
+}
+
+// Saves `state` as the next revision after `baseRevision`. Revisions newer than
+// the base are discarded (the user went back and took a different branch).
+export async function saveSession(id, state, baseRevision = null) {
+  const store = await getSessionStore();
+  const now = Date.now();
+  const record = (await store.get(id)) || { id, revision: 0, createdAt: now, updatedAt: now, history: [] };
+
+  let history = record.history;
+  if (baseRevision != null) history = history.filter(h => h.revision <= baseRevision);
+  const revision = record.revision + 1;
+  const { report: stateReport, ...snapshot } = state || {};
+  history = [...history, { revision, state: snapshot }].slice(-MAX_REVISIONS);
+
+  // One report per session: a new or edited one is stored from this revision;
+  // the one already stored stays unless this save branches from before it
+  let report = record.report || null;
+  let reportRevision = record.reportRevision ?? null;
+  if (stateReport && (!report || JSON.stringify(stateReport) !== JSON.stringify(report))) {
+    report = stateReport;
+    reportRevision = revision;
+  } else if (!stateReport && report && baseRevision != null && reportRevision > baseRevision) {
+    report = null;
+    reportRevision = null;
+  }
+
+  await store.set(id, { ...record, revision, updatedAt: now, history, report, reportRevision });
+  return revision;
+}
+
+export async function deleteSession(id) {
+  if (typeof id !== 'string' || !SESSION_ID_RE.test(id)) return;
+  const store = await getSessionStore();
+  await store.delete(id);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TAMPER CHECK — compare a client-claimed state against the stored one
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Returns the list of protected fields that differ (empty array = untampered)
+export function diffProtectedState(claimed, stored) {
+  if (!claimed || typeof claimed !== 'object') return [];
+  return PROTECTED_FIELDS.filter(f =>
+    f in claimed && stableStringify(claimed[f]) !== stableStringify(stored?.[f])
+  );
+}
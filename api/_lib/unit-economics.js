@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// UNIT ECONOMICS — ratios derived from the collected metrics
+//
+// Nobody is asked for a burn multiple; it follows from burn, revenue and
+// growth. Each derived metric comes with the formula and the inputs it used:
+//   cacPayback          CAC ÷ (monthly deal value × gross margin)     months
+//   ltv                 monthly deal value × gross margin ÷ churn      money (only when not stated)
+//   ltvCac              LTV ÷ CAC                                      multiple
+//   burnMultiple        net burn ÷ net new ARR                         multiple
+//   magicNumber         net new ARR ÷ S&M spend                        multiple
+//   ruleOf40            annual growth % + profit margin %              percent
+//   revenuePerEmployee  ARR ÷ team size                                money / year
+// Net new MRR is revenue × monthly growth; without a stated gross margin the
+// payback and LTV are computed on revenue and say so.
+//
+// withUnitEconomics() adds them to a metrics object as metric records
+// (derived: true), so the scorecard, chart and dashboard read them through
+// metricNumber like any stated field. Benchmark packs that have no scorecard
+// row for them get one (withDerivedScorecard).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { metricNumber } from './metrics.js';
+import { reportingCurrency, formatMoney } from './currency.js';
+
+// key: metrics field; benchmark: the stage benchmark it is scored against
+export const UNIT_ECONOMICS = [
+  { key: 'cacPayback', benchmark: 'paybackMonths', label: 'CAC Payback', unit: 'months', lowerBetter: true },
+  { key: 'ltv', benchmark: 'ltv', label: 'LTV', unit: 'money', lowerBetter: false },
+  { key: 'ltvCac', benchmark: null, label: 'LTV:CAC', unit: 'multiple', lowerBetter: false },
+  { key: 'burnMultiple', benchmark: 'burnMultiple', label: 'Burn Multiple', unit: 'multiple', lowerBetter: true },
+  { key: 'magicNumber', benchmark: 'magicNumber', label: 'Magic Number', unit: 'multiple', lowerBetter: false },
+  { key: 'ruleOf40', benchmark: 'ruleOf40', label: 'Rule of 40', unit: 'percent', lowerBetter: false },
+  { key: 'revenuePerEmployee', benchmark: 'revenuePerEmployee', label: 'Revenue per Employee', shortLabel: 'Rev / Employee', unit: 'money', period: 'annual', lowerBetter: false }
+];
+
+const METRIC_UNITS = { months: 'months', money: 'currency', multiple: 'multiple', percent: 'percent' };
+const PRECISION = { months: 10, money: 1, multiple: 100, percent: 10 };
+
+// Monthly growth from the stated revenue growth, when its period is clear
+export function monthlyGrowthRate(metrics) {
+  const g = metricNumber(metrics, 'revenueGrowth');
+  const raw = String(metrics?.revenueGrowth?.raw || '');
+  if (g === null || g <= 0) return null;
+  if (/\bmom\b|month|mese|mensil|mois|monat|mes\b/i.test(raw)) return Math.min(g, 30) / 100;
+  if (/\byoy\b|year|annu|anno|jahr|año|an\b/i.test(raw)) return Math.pow(1 + Math.min(g, 500) / 100, 1 / 12) - 1;
+  return null;
+}
+
+// Every derivation whose inputs are known →
+//   [{ key, label, unit, value, formula, inputs: { name: value }, fields, note? }]
+// fields: the profile metrics it was computed from
+export function deriveUnitEconomics(metrics) {
+  const currency = reportingCurrency(metrics);
+  const money = v => formatMoney(v, currency);
+  const num = (field, opts) => metricNumber(metrics, field, { currency, ...opts });
+  const pct = v => `${Math.round(v * 10) / 10}%`;
+
+  const mrr = num('revenue', { period: 'monthly' });
+  const dealValue = num('avgDealSize', { period: 'monthly' });
+  const cac = num('cac');
+  const churn = num('churnRate', { period: 'monthly' });
+  const margin = num('grossMargin');
+  const team = num('teamSize');
+  const burn = num('burnRate', { period: 'monthly' });
+  const smSpend = num('salesMarketingSpend', { period: 'monthly' });
+  const growth = monthlyGrowthRate(metrics);
+  const netNewMrr = mrr && growth !== null ? mrr * growth : null;
+  // Without a gross margin, payback and LTV are on revenue
+  const marginShare = margin ? margin / 100 : 1;
+  const marginTerm = margin ? ` × ${margin}% gross margin` : '';
+  const marginNote = margin ? null : 'gross margin not stated — computed on revenue';
+
+  const out = [];
+  const add = (key, value, formula, inputs, fields, note = null) => {
+    if (value === null || !Number.isFinite(value)) return;
+    const def = UNIT_ECONOMICS.find(d => d.key === key);
+    const p = PRECISION[def.unit];
+    out.push({ key, label: def.label, unit: def.unit, value: Math.round(value * p) / p, formula, inputs, fields: fields.filter(f => metrics[f]), ...(note && { note }) });
+  };
+
+  if (cac && dealValue) {
+    add('cacPayback', cac / (dealValue * marginShare),
+      `CAC ${money(cac)} ÷ (${money(dealValue)}/mo per customer${marginTerm})`,
+      { cac, monthlyDealValue: dealValue, grossMargin: margin }, ['cac', 'avgDealSize', 'grossMargin'], marginNote);
+  }
+
+  let ltv = num('ltv');
+  if (ltv === null && dealValue && churn) {
+    ltv = (dealValue * marginShare) / (churn / 100);
+    add('ltv', ltv, `${money(dealValue)}/mo per customer${marginTerm} ÷ ${churn}% monthly churn`,
+      { monthlyDealValue: dealValue, grossMargin: margin, churnRate: churn }, ['avgDealSize', 'grossMargin', 'churnRate'], marginNote);
+  }
+  if (ltv && cac) {
+    add('ltvCac', ltv / cac, `LTV ${money(ltv)} ÷ CAC ${money(cac)}`, { ltv, cac },
+      metrics.ltv ? ['ltv', 'cac'] : ['avgDealSize', 'grossMargin', 'churnRate', 'cac']);
+  }
+
+  if (burn !== null && netNewMrr) {
+    add('burnMultiple', Math.max(0, burn) / (netNewMrr * 12),
+      `Net burn ${money(burn)}/mo ÷ (net new MRR ${money(netNewMrr)}/mo × 12)`,
+      { burnRate: burn, netNewArr: Math.round(netNewMrr * 12) }, ['burnRate', 'revenue', 'revenueGrowth'], burn <= 0 ? 'not burning cash' : null);
+  }
+
+  if (smSpend && netNewMrr) {
+    add('magicNumber', (netNewMrr * 12) / smSpend,
+      `(Net new MRR ${money(netNewMrr)}/mo × 12) ÷ S&M spend ${money(smSpend)}/mo`,
+      { netNewArr: Math.round(netNewMrr * 12), salesMarketingSpend: smSpend }, ['revenue', 'revenueGrowth', 'salesMarketingSpend']);
+  }
+
+  if (burn !== null && mrr && growth !== null) {
+    const annualGrowth = (Math.pow(1 + growth, 12) - 1) * 100;
+    const profitMargin = (-burn / mrr) * 100;
+    add('ruleOf40', annualGrowth + profitMargin,
+      `${pct(annualGrowth)} annual growth ${profitMargin < 0 ? '−' : '+'} ${pct(Math.abs(profitMargin))} ${profitMargin < 0 ? 'burn' : 'profit'} margin (net burn ${money(burn)} on ${money(mrr)} MRR)`,
+      { annualGrowth: Math.round(annualGrowth * 10) / 10, profitMargin: Math.round(profitMargin * 10) / 10 }, ['revenueGrowth', 'burnRate', 'revenue']);
+  }
+
+  if (mrr && team) {
+    add('revenuePerEmployee', (mrr * 12) / team, `ARR ${money(mrr * 12)} ÷ ${team} people`, { arr: mrr * 12, teamSize: team }, ['revenue', 'teamSize']);
+  }
+
+  return out;
+}
+
+// Metrics plus the derived ones as metric records; stated fields always win
+export function withUnitEconomics(metrics) {
+  const currency = reportingCurrency(metrics);
+  const base = Object.fromEntries(Object.entries(metrics || {}).filter(([, m]) => !m?.derived));
+  const next = { ...base };
+  for (const d of deriveUnitEconomics(base)) {
+    if (base[d.key]) continue;
+    const def = UNIT_ECONOMICS.find(x => x.key === d.key);
+    next[d.key] = {
+      value: d.value,
+      low: d.value,
+      high: d.value,
+      unit: METRIC_UNITS[d.unit],
+      period: def.period || null,
+      periodAssumed: false,
+      currency: d.unit === 'money' ? currency : null,
+      // As sure as the least certain input
+      confidence: Math.min(1, ...d.fields.map(f => base[f].confidence)),
+      raw: d.formula,
+      derived: true,
+      formula: d.formula,
+      inputs: d.inputs,
+      ...(d.note && { note: d.note })
+    };
+  }
+  return next;
+}
+
+// A pack's scorecard with the derived metrics wired in: rows without an input
+// field get the derived one, benchmarks without a row get a row
+export function withDerivedScorecard(scorecard = [], benchmarks = {}) {
+  const rows = scorecard.map(row => {
+    if (row.field) return row;
+    const def = UNIT_ECONOMICS.find(d => d.benchmark === row.key);
+    return def ? { ...row, field: def.key } : row;
+  });
+  for (const def of UNIT_ECONOMICS) {
+    if (!def.benchmark || rows.some(r => r.key === def.benchmark)) continue;
+    const bm = benchmarks[def.benchmark];
+    if (bm?.median === null || bm?.median === undefined) continue;
+    rows.push({
+      key: def.benchmark,
+      label: def.label,
+      ...(def.shortLabel && { shortLabel: def.shortLabel }),
+      field: def.key,
+      ...(def.period && { period: def.period }),
+      unit: def.unit,
+      lowerBetter: def.lowerBetter
+    });
+  }
+  return rows;
+}
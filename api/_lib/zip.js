@@ -0,0 +1,133 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// ZIP — minimal reader/writer for Office Open XML containers (XLSX, DOCX, PPTX)
+//
+// Reads the central directory and inflates entries with node's zlib, so no
+// third-party unzip library is needed. Supports stored (0) and deflate (8)
+// entries, which is all Office ever writes. No ZIP64, no encryption.
+// writeZip produces the same subset for the report exports.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { inflateRawSync, deflateRawSync } from 'zlib';
+
+const EOCD_SIG = 0x06054b50;
+const CDIR_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+// Returns Map<entryName, Buffer>. Only entries accepted by `filter` are inflated.
+export function readZip(buf, filter = () => true) {
+  // End-of-central-directory record sits in the last 64KB (+22 bytes fixed part)
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let ptr = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(ptr) !== CDIR_SIG) throw new Error('Corrupt zip central directory');
+    const method = buf.readUInt16LE(ptr + 10);
+    const compSize = buf.readUInt32LE(ptr + 20);
+    const nameLen = buf.readUInt16LE(ptr + 28);
+    const extraLen = buf.readUInt16LE(ptr + 30);
+    const commentLen = buf.readUInt16LE(ptr + 32);
+    const localOffset = buf.readUInt32LE(ptr + 42);
+    const name = buf.toString('utf-8', ptr + 46, ptr + 46 + nameLen);
+    ptr += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+    if (buf.readUInt32LE(localOffset) !== LOCAL_SIG) throw new Error(`Corrupt zip entry ${name}`);
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compSize);
+
+    if (method === 0) entries.set(name, Buffer.from(raw));
+    else if (method === 8) entries.set(name, inflateRawSync(raw));
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+  }
+  return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WRITER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let CRC_TABLE = null;
+function crc32(buf) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// DOS date/time of `date` (local fields, 2-second resolution)
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// entries: [[name, string | Buffer], ...] in archive order (OOXML wants
+// [Content_Types].xml first). Returns the archive as a Buffer.
+export function writeZip(entries, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of entries) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf-8');
+    const deflated = deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const nameBuf = Buffer.from(name, 'utf-8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIG, 0);
+    local.writeUInt16LE(20, 4);              // version needed
+    local.writeUInt16LE(0x0800, 6);          // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, body);
+
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(CDIR_SIG, 0);
+    dir.writeUInt16LE(20, 4);                // version made by
+    dir.writeUInt16LE(20, 6);
+    dir.writeUInt16LE(0x0800, 8);
+    dir.writeUInt16LE(stored ? 0 : 8, 10);
+    dir.writeUInt16LE(time, 12);
+    dir.writeUInt16LE(day, 14);
+    dir.writeUInt32LE(crc, 16);
+    dir.writeUInt32LE(body.length, 20);
+    dir.writeUInt32LE(data.length, 24);
+    dir.writeUInt16LE(nameBuf.length, 28);
+    dir.writeUInt32LE(offset, 42);
+    central.push(dir, nameBuf);
+
+    offset += 30 + nameBuf.length + body.length;
+  }
+
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIG, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralSize, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...central, eocd]);
+}
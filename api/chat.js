@@ -16,34 +16,31 @@
 // - session.transcript[] = clean array of {role, text} pairs
 // - Each LLM call gets the FULL transcript as readable text
 // - Phase advancement: ALL checklist items + min turns + explicit gate
+// - Phases, checklists, prompts and fallback questions come from a discovery
+//   flow in api/flows/*.json (api/_lib/flows.js); sessions pin their flow id
 // - LLM generates buttons but system validates them
 // - Profile updates extracted by LLM, validated by system
-// - Benchmark data loaded from api/benchmarks/saas-stages.json
+// - Benchmark packs per business model loaded by api/_lib/benchmarks.js; the
+//   session pins the benchmark library version it started on
+// - Model provider resolved by api/_lib/llm.js (LLM_PROVIDER env var)
+// - Session state lives server-side (api/_lib/session-store.js); the client
+//   only sends session_id + session_revision and gets a slim view back
+// - The running buyer profile picks the chat persona for the next turn
+//   (benchmark-heavy, short, peer-comparison or ambition-led); below the
+//   confidence threshold the neutral persona is used
+// - Live feasibility rules (api/rules/feasibility.json) re-run after every
+//   profile merge; contradictions come back as `flags` and the next turn
+//   challenges them until the numbers change or the user confirms them
 // ═══════════════════════════════════════════════════════════════════════════════
 
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// BENCHMARK DATA — loaded from local JSON snapshot library
-// ═══════════════════════════════════════════════════════════════════════════════
-
-let BENCHMARKS = null;
-function loadBenchmarks() {
-  if (BENCHMARKS) return BENCHMARKS;
-  try {
-    // Vercel: __dirname not available in ESM, use import.meta.url
-    let base;
-    try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api'; }
-    const raw = readFileSync(join(base, 'benchmarks', 'saas-stages.json'), 'utf-8');
-    BENCHMARKS = JSON.parse(raw);
-  } catch (e) {
-    console.warn('[Benchmarks] Could not load saas-stages.json:', e.message);
-    BENCHMARKS = { stages: {}, marketContext2026: {} };
-  }
-  return BENCHMARKS;
-}
+import { callLLM, providerMissingConfig } from './_lib/llm.js';
+import { loadSession, saveSession, newSessionId, diffProtectedState, SessionError } from './_lib/session-store.js';
+import { ingestAttachments } from './_lib/attachments.js';
+import { buildMetrics } from './_lib/metrics.js';
+import { getFlow, resolveFlowId, renderTemplate } from './_lib/flows.js';
+import { getStageData, resolveBusinessModel, currentBenchmarkVersion } from './_lib/benchmarks.js';
+import { runFeasibilityChecks } from './_lib/feasibility.js';
+import { classifyBuyer, isConfidentProfile } from './_lib/buyer-psychology.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STAGE RESOLUTION — maps free-text stage to canonical key
@@ -69,23 +66,23 @@ function resolveStage(rawStage) {
   return 'seed_startup'; // safe default
 }
 
-// Get the full playbook + benchmarks for a stage
-function getStagePlaybook(stageKey) {
-  const bm = loadBenchmarks();
-  return bm.stages?.[stageKey] || bm.stages?.seed_startup || null;
-}
-
-function getMarketContext() {
-  const bm = loadBenchmarks();
-  return bm.marketContext2026 || {};
+// Get the full playbook + benchmarks for a stage, from the pack matching the business model
+function getStagePlaybook(stageKey, businessModel, version) {
+  return getStageData(stageKey, resolveBusinessModel(businessModel), version);
 }
 
 // Format benchmarks into readable text for prompts
-function formatBenchmarksForPrompt(stageKey) {
-  const playbook = getStagePlaybook(stageKey);
+function formatBenchmarksForPrompt(stageKey, businessModel, version) {
+  const playbook = getStagePlaybook(stageKey, businessModel, version);
   if (!playbook) return '(No benchmark data available)';
 
-  const lines = [`STAGE: ${playbook.label}`, ''];
+  const lines = [`STAGE: ${playbook.label}`];
+  if (playbook.model !== 'saas') {
+    lines.push(`BUSINESS MODEL: ${playbook.modelLabel} — judge the company on these metrics, not SaaS ones`);
+    const fields = [...new Set(playbook.scorecard.map(m => m.field).filter(Boolean))];
+    lines.push(`MODEL METRICS TO COLLECT (profile_updates keys): ${fields.join(', ')}`);
+  }
+  lines.push('');
 
   // Benchmarks
   if (playbook.benchmarks) {
@@ -125,81 +122,30 @@ function formatBenchmarksForPrompt(stageKey) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// PHASES — each has a checklist, minimum turns, and depth topics
+// PHASES — defined by the session's discovery flow (api/flows/*.json)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const PHASES = {
-  welcome: {
-    display: 'welcome', next: 'company', minTurns: 1,
-    checklist: [],
-    description: 'Present findings from website scan, make assumptions, get confirmation/correction.'
-  },
-  company: {
-    display: 'company', next: 'gtm', minTurns: 4,
-    checklist: ['industry', 'growthTarget', 'businessModel', 'stage', 'revenue', 'teamSize', 'funding'],
-    depthTopics: [
-      'Industry/sector: exact vertical, sub-segment, and market size estimate',
-      'Primary business objective: the ONE measurable goal for the next 6-12 months (revenue target, customer count, funding round)',
-      'Current revenue number and month-over-month growth rate — exact figures',
-      'Team size and how many are in revenue-generating vs support roles — headcount split',
-      'Burn rate and runway — months of cash remaining at current spend',
-      'Revenue model and pricing: ACV, number of tiers, conversion rate from free to paid',
-      'Customer count: total active, paying, churned in last 90 days',
-      'Competitive landscape: how many direct competitors, win rate against them',
-      'Current tool stack: what they spend monthly on SaaS tools, what is manual vs automated'
-    ],
-    description: 'Deep-dive into company DNA: industry, primary objective, model, revenue, team, funding, systems.'
-  },
-  gtm: {
-    display: 'gtm', next: 'sales', minTurns: 4,
-    checklist: ['icpTitle', 'salesMotion', 'channels', 'avgDealSize'],
-    depthTopics: [
-      'ICP quantified: how many target companies exist, average contract value, decision-maker job title',
-      'Channel ROI: cost per lead by channel, conversion rates, which has the best CAC payback',
-      'Pipeline metrics: how many leads/month, qualified opportunities, pipeline value',
-      'Content/marketing spend and measurable output: leads generated, cost per MQL',
-      'Competitive win rate: % of deals won vs lost to specific competitors',
-      'Marketing and sales tooling: monthly spend, utilization rate, gaps costing revenue',
-      'Future GTM investment: planned budget increase, expected ROI, hiring timeline'
-    ],
-    description: 'Map Go-to-Market: current reality, ICP depth, channels, people, systems, positioning, lead gen.'
-  },
-  sales: {
-    display: 'sales', next: 'diagnosis', minTurns: 4,
-    checklist: ['salesProcess', 'whoCloses', 'mainBottleneck'],
-    depthTopics: [
-      'Sales process metrics: number of stages, conversion rate stage-to-stage, average days per stage',
-      'Founder dependency quantified: what % of deals require founder involvement, and at which stage',
-      'Win/loss: exact win rate %, top 3 reasons for lost deals with frequency',
-      'Ramp time: how many days for a new rep to reach quota, what % actually make it',
-      'Tech stack utilization: CRM adoption %, how many tools are shelfware, monthly cost',
-      'Post-sale economics: onboarding cost per customer, time to value, NRR %',
-      'Churn quantified: monthly churn rate %, revenue lost to churn per month, top reason with frequency',
-      'Planned hires: how many, which roles, expected ramp time and cost'
-    ],
-    description: 'Analyze Sales Engine: current reality, process, people, enablement, tools, retention, plans.'
-  },
-  diagnosis: {
-    display: 'diagnosis', next: 'pre_finish', minTurns: 2,
-    checklist: ['diagnosedProblems', 'userPriority'],
-    description: 'Present diagnosis, validate with user, get priority and context on past attempts.'
-  },
-  pre_finish: {
-    display: 'pre_finish', next: null, minTurns: 1,
-    checklist: [],
-    description: 'Final summary, offer report generation.'
-  }
-};
+function flowOf(S) {
+  return getFlow(S.flowId);
+}
 
-const PHASE_ORDER = ['welcome', 'company', 'gtm', 'sales', 'diagnosis', 'pre_finish'];
+function phaseOf(S) {
+  return flowOf(S).phases[S.currentPhase];
+}
+
+function isFilled(v) {
+  return Array.isArray(v) ? v.length > 0 : (typeof v === 'string' && v.trim() !== '');
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SESSION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function createSession() {
+function createSession(flowId = resolveFlowId()) {
+  const flow = getFlow(flowId);
   return {
-    currentPhase: 'welcome',
+    flowId: flow.id,
+    currentPhase: flow.order[0],
     phaseTurns: 0,        // turns spent IN current phase
     totalTurns: 0,
     welcomeDone: false,
@@ -209,6 +155,8 @@ function createSession() {
     transcript: [],
     // Resolved stage key — drives playbook selection (set after company phase)
     resolvedStage: null,
+    // Benchmark library version the session is scored against (api/benchmarks/versions.json)
+    benchmarkVersion: currentBenchmarkVersion(),
     // Buyer psychology profiling — running scores updated each turn
     buyerProfile: {
       scores: { operator: 0, visionary: 0, pragmatist: 0, validator: 0 },
@@ -222,7 +170,8 @@ function createSession() {
       companyName: '', website: '', industry: '', businessModel: '', stage: '',
       companyStage: '',    // Canonical: pre_seed_idea | seed_startup | early_scale | expansion_enterprise
       revenue: '', revenueGrowth: '', teamSize: '', teamRoles: '', funding: '',
-      runway: '', productDescription: '', pricingModel: '', pricingRange: '',
+      runway: '', burnRate: '', salesMarketingSpend: '',
+      productDescription: '', pricingModel: '', pricingRange: '',
       competitiveLandscape: '', differentiator: '',
       // Situational / People / Operating Model fields
       currentSituation: '',       // What is working, what is broken/stuck
@@ -244,14 +193,36 @@ function createSession() {
       mainBottleneck: '', secondaryBottleneck: '',
       churnRate: '', churnReasons: '', expansionRevenue: '',
       nrr: '',              // Net Revenue Retention (percentage, e.g. "110")
+      // Business-model metrics — asked only when the model's benchmark pack uses them
+      grossMargin: '', utilization: '', clientConcentration: '', retainerShare: '',
+      takeRate: '', liquidity: '', gmv: '', conversionRate: '', aov: '', repeatRate: '', returnRate: '',
       crm: '', tools: '', automationLevel: '',
       onboardingProcess: '', customerSuccess: '',
       teamEnablement: '',         // Training, playbooks, coaching quality
       diagnosedProblems: [], rootCauses: [], validatedProblems: [],
       userPriority: '', pastAttempts: '', constraints: '', additionalContext: '',
-      growthTarget: '', budgetLevel: '' // for feasibility checks
+      growthTarget: '', budgetLevel: '', // for feasibility checks
+      ...flow.profileFields // extra fields collected by non-default flows
     },
-    scrapedSummary: ''
+    // Typed view of the numeric profile fields (see _lib/metrics.js), rebuilt on every profile change
+    metrics: {},
+    // Live contradiction flags: one entry per rule, status open | confirmed | resolved
+    flags: [],
+    scrapedSummary: '',
+    // Uploaded files: { name, kind, fields extracted, error }
+    attachments: []
+  };
+}
+
+// What the browser gets back each turn: enough for the confirmation screen and
+// filenames, nothing that drives phase gating. The transcript stays server-side.
+function publicSessionView(S) {
+  return {
+    flowId: S.flowId,
+    currentPhase: S.currentPhase,
+    totalTurns: S.totalTurns,
+    resolvedStage: S.resolvedStage,
+    profile: S.profile
   };
 }
 
@@ -281,6 +252,7 @@ function buildProfileContext(session) {
     ['Revenue', p.revenue],
     ['Revenue Growth', p.revenueGrowth], ['Team Size', p.teamSize], ['Team Roles', p.teamRoles],
     ['Funding', p.funding], ['Runway', p.runway],
+    ['Net Burn', p.burnRate], ['S&M Spend', p.salesMarketingSpend],
     ['Product', p.productDescription], ['Pricing', `${p.pricingModel || ''} ${p.pricingRange || ''}`.trim()],
     ['Competitive Landscape', p.competitiveLandscape], ['Differentiator', p.differentiator],
     ['Current Situation', p.currentSituation], ['Org Structure', p.orgStructure],
@@ -319,12 +291,10 @@ function buildProfileContext(session) {
   }
 
   // Missing for CURRENT phase
-  const phase = PHASES[session.currentPhase];
+  const phase = phaseOf(session);
   if (phase?.checklist) {
     for (const k of phase.checklist) {
-      const v = p[k];
-      const empty = Array.isArray(v) ? v.length === 0 : (!v || v.trim() === '');
-      if (empty) missing.push(k);
+      if (!isFilled(p[k])) missing.push(k);
     }
   }
 
@@ -333,14 +303,7 @@ function buildProfileContext(session) {
   else lines.push('(nothing yet)');
 
   if (missing.length > 0) {
-    const labels = {
-      industry: 'Industry/Sector', growthTarget: 'Primary Business Objective',
-      businessModel: 'Business Model', stage: 'Stage', revenue: 'Revenue',
-      teamSize: 'Team Size', funding: 'Funding', icpTitle: 'ICP/Buyer',
-      salesMotion: 'Sales Motion', channels: 'Channels', avgDealSize: 'Deal Size',
-      salesProcess: 'Sales Process', whoCloses: 'Who Closes',
-      mainBottleneck: 'Bottleneck', diagnosedProblems: 'Diagnosis', userPriority: 'Priority'
-    };
+    const labels = flowOf(session).fieldLabels;
     lines.push('\nSTILL REQUIRED for ' + session.currentPhase.toUpperCase() + ':');
     missing.forEach(k => lines.push(`❓ ${labels[k] || k}`));
   }
@@ -369,6 +332,7 @@ function buildCollectedSummary(profile) {
       fields: [
         ['Revenue', p.revenue], ['Revenue Growth', p.revenueGrowth],
         ['Funding', p.funding], ['Runway', p.runway],
+        ['Net Burn', p.burnRate], ['S&M Spend', p.salesMarketingSpend],
         ['Budget Level', p.budgetLevel], ['Growth Target', p.growthTarget]
       ]
     },
@@ -441,100 +405,145 @@ function buildCollectedSummary(profile) {
 // BUYER PSYCHOLOGY PROFILING — running classification updated each turn
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const BUYER_KW = {
-  operator: [
-    'data', 'metrics', 'measure', 'track', 'percentage', 'ratio', 'formula',
-    'unit economics', 'benchmark', 'kpi', 'dashboard', 'analytics', 'spreadsheet',
-    'roi', 'model', 'calculate', 'quantify', 'numbers', 'process', 'documented',
-    'systematic', 'framework', 'methodology', 'structured', 'audit', 'funnel',
-    'dati', 'metriche', 'misurare', 'percentuale', 'calcolare', 'processo',
-    'documentato', 'strutturato', 'numeri', 'modello'
-  ],
-  visionary: [
-    'vision', 'strategy', 'transform', 'disrupt', 'market', 'opportunity',
-    'potential', 'scale', 'long-term', 'big picture', 'narrative', 'story',
-    'imagine', 'future', 'industry', 'revolution', 'category', 'position',
-    'brand', 'ecosystem', 'platform', 'moat', 'flywheel',
-    'visione', 'strategia', 'trasformare', 'opportunità', 'potenziale',
-    'lungo termine', 'futuro', 'settore', 'ecosistema', 'mercato'
-  ],
-  pragmatist: [
-    'quick', 'fast', 'now', 'immediately', 'this week', 'tomorrow', 'asap',
-    'just', 'simple', 'shortcut', 'hack', 'skip', 'prioritize', 'focus',
-    'action', 'execute', 'ship', 'launch', 'move', 'next step',
-    'practical', 'concrete', 'specific', 'bottom line',
-    'subito', 'veloce', 'adesso', 'questa settimana', 'domani', 'semplice',
-    'pratico', 'concreto', 'specifico', 'azione', 'priorità', 'focus'
-  ],
-  validator: [
-    'others', 'competitors', 'industry standard', 'best practice', 'benchmark',
-    'careful', 'safe', 'proven', 'validate', 'consensus', 'align',
-    'stakeholder', 'board', 'investors', 'comparable', 'case study',
-    'evidence', 'track record', 'similar companies', 'what do you see',
-    'altri', 'concorrenti', 'standard', 'rischio', 'sicuro', 'validare',
-    'consenso', 'investitori', 'aziende simili', 'cosa vedete', 'provato'
-  ]
-};
-
+// Scored by the shared engine (api/_lib/buyer-psychology.js) over the full transcript
 function updateBuyerProfile(session) {
-  const userMessages = session.transcript.filter(t => t.role === 'user').map(t => t.text || '');
-  const allText = userMessages.join(' ').toLowerCase();
-  const wordCount = allText.split(/\s+/).filter(Boolean).length;
-  const signals = [];
-
-  let scores = { operator: 0, visionary: 0, pragmatist: 0, validator: 0 };
-
-  // Response length
-  if (userMessages.length > 0) {
-    const avgLen = userMessages.reduce((s, m) => s + m.split(/\s+/).filter(Boolean).length, 0) / userMessages.length;
-    if (avgLen < 15) { scores.pragmatist += 15; signals.push('short responses'); }
-    else if (avgLen > 40) { scores.operator += 10; scores.validator += 5; signals.push('detailed responses'); }
-  }
+  return classifyBuyer(session.transcript, { profile: session.profile });
+}
 
-  // Numerical density
-  if (wordCount > 0) {
-    const nums = (allText.match(/\d+[%€$kKmM]?|\b\d+[.,]\d+/g) || []).length;
-    const density = nums / wordCount;
-    if (density > 0.08) { scores.operator += 20; signals.push('high number density'); }
-    else if (density > 0.04) { scores.operator += 8; scores.pragmatist += 5; }
-    else if (wordCount > 50) { scores.visionary += 10; }
+// How discovery adapts to each buyer type. minTurnsDelta shortens checklist
+// phases; maxWords caps every assistant message.
+const CHAT_PERSONAS = {
+  operator: {
+    maxWords: 80,
+    minTurnsDelta: 0,
+    instruction: `This founder thinks in numbers and systems (THE OPERATOR).
+- Every acknowledgment compares their figure to the stage benchmark: median, and where they sit (e.g. "4% churn — bottom quartile for Seed; median is 2.5%").
+- Follow-ups ask for the next metric in the chain (churn → NRR → expansion), the formula or the period behind a number.
+- Button labels are numeric ranges, not adjectives.`
+  },
+  visionary: {
+    maxWords: 80,
+    minTurnsDelta: 0,
+    instruction: `This founder thinks in markets and ambition (THE VISIONARY).
+- Tie each question to where they want to be in 12 months: "to reach X, what does Y need to be?".
+- Keep the context line strategic, then still ask for ONE number — vision gets sized, not explored.
+- Avoid stacking benchmarks; one reference point per message at most.`
+  },
+  pragmatist: {
+    maxWords: 50,
+    minTurnsDelta: -1,
+    instruction: `This founder is short on time and wants action (THE PRAGMATIST).
+- Skip the context line when the question is self-explanatory; go straight to the question.
+- Ask only what the diagnosis needs: no depth topics once the checklist is filled, no optional follow-ups.
+- Offer ready-made answers as buttons so they can reply with one click.`
+  },
+  validator: {
+    maxWords: 80,
+    minTurnsDelta: 0,
+    instruction: `This founder wants evidence and reassurance (THE VALIDATOR).
+- Acknowledge answers with a peer comparison: what companies at their stage and model typically report ("most Seed SaaS teams we see close in 30-45 days").
+- Frame questions as "how do you compare?" rather than "what's wrong?".
+- When a number is weak, say how common it is before sizing the gap.`
+  },
+  neutral: {
+    maxWords: 80,
+    minTurnsDelta: 0,
+    instruction: `Not enough signal yet to read this founder's buying style. Stay balanced: one benchmark reference when relevant, standard pacing, no assumptions about how much detail they want.`
   }
+};
+
+// The persona for this turn: the buyer profile's primary type, or neutral
+// while the classification is below the confidence bar
+function resolveChatPersona(buyerProfile) {
+  const { primary, confidence = 0 } = buyerProfile || {};
+  const confident = !!CHAT_PERSONAS[primary] && isConfidentProfile(buyerProfile);
+  const key = confident ? primary : 'neutral';
+  return { key, confidence, overridden: !confident && !!primary, ...CHAT_PERSONAS[key] };
+}
 
-  // Keyword matching
-  for (const [prof, keywords] of Object.entries(BUYER_KW)) {
-    let hits = 0;
-    for (const kw of keywords) {
-      const regex = new RegExp('\\b' + kw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'gi');
-      const matches = allText.match(regex);
-      if (matches) hits += matches.length;
+function phaseMinTurns(S, phase) {
+  // Only checklist phases are shortened; welcome, diagnosis and final keep their gates
+  if (phase.gate) return phase.minTurns;
+  return Math.max(1, phase.minTurns + resolveChatPersona(S.buyerProfile).minTurnsDelta);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIVE FLAGS — the "live" feasibility rules, re-run after every profile merge
+// A flag stays open while its rule fires, resolves when the numbers stop
+// contradicting each other, and is confirmed when the user says they are right.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FLAG_CONFIRM = 'flag_ok:';
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Returns the ids of flags raised (or re-opened) this turn
+function updateLiveFlags(S) {
+  if (!S.flags) S.flags = [];
+  const p = S.profile;
+  const stageKey = S.resolvedStage || resolveStage(p.companyStage || p.stage) || 'seed_startup';
+  const model = resolveBusinessModel(p.businessModel);
+  const firing = runFeasibilityChecks(p, S.metrics, getStagePlaybook(stageKey, p.businessModel, S.benchmarkVersion), { stageKey, model, live: true });
+  const raised = [];
+  for (const hit of firing) {
+    const flag = S.flags.find(f => f.id === hit.id);
+    if (!flag) {
+      S.flags.push({ ...hit, status: 'open', raisedTurn: S.totalTurns, challenged: false });
+      raised.push(hit.id);
+      continue;
+    }
+    Object.assign(flag, hit); // re-rendered with the latest numbers
+    if (flag.status === 'resolved') {
+      Object.assign(flag, { status: 'open', raisedTurn: S.totalTurns, challenged: false });
+      raised.push(hit.id);
+    }
+  }
+  const firingIds = new Set(firing.map(f => f.id));
+  for (const flag of S.flags) {
+    if (flag.status !== 'resolved' && !firingIds.has(flag.id)) {
+      flag.status = 'resolved';
+      flag.resolvedTurn = S.totalTurns;
     }
-    scores[prof] += hits * 3;
   }
+  if (raised.length) console.log(`[v12] Flags raised: ${raised.join(', ')}`);
+  return raised;
+}
+
+// The flag to put to the user this turn: the most severe open one not yet challenged
+function nextFlagToChallenge(S) {
+  return (S.flags || [])
+    .filter(f => f.status === 'open' && !f.challenged)
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.raisedTurn - b.raisedTurn)[0] || null;
+}
+
+function buildFlagsBlock(S, challenge) {
+  const pending = (S.flags || []).filter(f => f.status === 'open' && f !== challenge);
+  if (!challenge && !pending.length) return '';
+  let block = '';
+  if (challenge) {
+    block += `
+═══ LIVE CONTRADICTION FLAG — CHALLENGE THIS NOW (rule 16) ═══
+[${challenge.severity.toUpperCase()}] ${challenge.issue}
+${challenge.detail}
+This contradiction is THIS turn's topic: challenge it gently with the numbers and ask which figure is wrong.
+Buttons: offer the likely corrections, plus {"key": "${FLAG_CONFIRM}${challenge.id}", "label": "<'Both numbers are correct' in the user's language>"}.
+Put any corrected figure in profile_updates.
+`;
+  }
+  if (pending.length) {
+    block += `
+Already challenged, still open (do NOT ask again — the report will address them): ${pending.map(f => f.issue).join('; ')}
+`;
+  }
+  return block;
+}
 
-  // Time horizon
-  const shortPhrases = ['this week', 'this month', 'right now', 'immediately', 'next week', 'questa settimana', 'subito'];
-  const longPhrases = ['this year', 'next year', '12 months', 'long term', '3 years', 'quest\'anno', 'lungo termine'];
-  const shortHits = shortPhrases.reduce((c, p) => c + (allText.includes(p) ? 1 : 0), 0);
-  const longHits = longPhrases.reduce((c, p) => c + (allText.includes(p) ? 1 : 0), 0);
-  if (shortHits > longHits && shortHits >= 1) { scores.pragmatist += 10; signals.push('short time horizon'); }
-  else if (longHits > shortHits && longHits >= 1) { scores.visionary += 8; scores.operator += 3; signals.push('long time horizon'); }
-
-  // Risk language
-  const aversePhrases = ['careful', 'risk', 'safe', 'conservative', 'worried', 'cautious', 'attento', 'rischio', 'sicuro'];
-  const tolerantPhrases = ['move fast', 'aggressive', 'bold', 'experiment', 'fail fast', 'veloce', 'aggressivo', 'sperimentare'];
-  const av = aversePhrases.reduce((c, w) => c + (allText.includes(w) ? 1 : 0), 0);
-  const tol = tolerantPhrases.reduce((c, w) => c + (allText.includes(w) ? 1 : 0), 0);
-  if (av > tol && av >= 2) { scores.validator += 12; signals.push('risk-averse'); }
-  else if (tol > av && tol >= 1) { scores.pragmatist += 6; scores.visionary += 4; signals.push('risk-tolerant'); }
-
-  // Resolve
-  const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]);
-  const primary = sorted[0][0];
-  const secondary = sorted[1][0];
-  const total = sorted.reduce((s, [, v]) => s + v, 0);
-  const confidence = total > 0 ? Math.round(((sorted[0][1] - sorted[1][1]) / total) * 100) : 0;
-
-  return { scores, primary, secondary, confidence, signals };
+// What the browser shows: everything the user still has to resolve or has confirmed
+function publicFlags(S, raised) {
+  return (S.flags || [])
+    .filter(f => f.status !== 'resolved')
+    .map(({ id, type, severity, issue, detail, recommendation, status }) => ({
+      id, type, severity, issue, detail, recommendation, status, new: raised.includes(id)
+    }));
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -542,34 +551,25 @@ function updateBuyerProfile(session) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 function canAdvancePhase(S) {
-  const phase = PHASES[S.currentPhase];
+  const phase = phaseOf(S);
   if (!phase) return false;
 
   // Minimum turns gate
-  if (S.phaseTurns < phase.minTurns) return false;
+  if (S.phaseTurns < phaseMinTurns(S, phase)) return false;
 
   // Phase-specific gates
-  if (S.currentPhase === 'welcome') return S.welcomeDone;
-  if (S.currentPhase === 'pre_finish') return false;
-  if (S.currentPhase === 'diagnosis') {
+  if (phase.gate === 'welcome') return S.welcomeDone;
+  if (phase.gate === 'final') return false;
+  if (phase.gate === 'diagnosis') {
     return S.diagnosisPresented && S.diagnosisValidated && S.profile.userPriority !== '';
   }
 
-  // Normal phases: ALL checklist items must be filled
-  if (phase.checklist && phase.checklist.length > 0) {
-    const p = S.profile;
-    const allFilled = phase.checklist.every(k => {
-      const v = p[k];
-      return Array.isArray(v) ? v.length > 0 : (v && v.trim() !== '');
-    });
-    return allFilled;
-  }
-
-  return true;
+  // Checklist phases: ALL checklist items must be filled
+  return phase.checklist.every(k => isFilled(S.profile[k]));
 }
 
 function doAdvance(S) {
-  const phase = PHASES[S.currentPhase];
+  const phase = phaseOf(S);
   if (phase?.next) {
     S.currentPhase = phase.next;
     S.phaseTurns = 0;
@@ -623,29 +623,10 @@ async function scrapeLinkedIn(url, key) {
 // LLM CALL — sends transcript as readable text, NOT JSON history
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function callGemini(prompt, key) {
+async function callChatModel(prompt, phase) {
   // Single-turn call with full context in the prompt itself
-  // This avoids the multi-turn confusion where Gemini loses track
-  const r = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=${key}`,
-    {
-      method: 'POST', headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.75,
-          responseMimeType: "application/json",
-          maxOutputTokens: 4000
-        }
-      })
-    }
-  );
-  if (!r.ok) throw new Error(`Gemini ${r.status}: ${await r.text().catch(() => '?')}`);
-  const d = await r.json();
-  let t = d.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!t) throw new Error("Empty response from Gemini");
-  t = t.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-  return JSON.parse(t);
+  // This avoids the multi-turn confusion where the model loses track
+  return callLLM(prompt, { task: 'chat', fixture: phase, json: true, temperature: 0.75, maxTokens: 4000 });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -771,228 +752,45 @@ function getNextQuestionContext(profile, conversationLength) {
 
 function getPhasePrompt(S) {
   const p = S.profile;
-  const phase = PHASES[S.currentPhase];
-  const turnsLeft = (phase.minTurns || 1) - S.phaseTurns;
+  const phase = phaseOf(S);
+  const minTurns = phaseMinTurns(S, phase) || 1;
+  const turnsLeft = minTurns - S.phaseTurns;
 
   // Stage-aware benchmark injection
   const stageKey = S.resolvedStage || resolveStage(p.stage || p.companyStage) || 'seed_startup';
-  const stageBenchmarks = formatBenchmarksForPrompt(stageKey);
-  const stagePlaybook = getStagePlaybook(stageKey);
+  const stagePlaybook = getStagePlaybook(stageKey, p.businessModel, S.benchmarkVersion);
   const antiPatterns = stagePlaybook?.playbook?.antiPatterns || [];
-  const marketCtx = getMarketContext();
-  const stageQuestions = getQuestionSet(stageKey);
-
-  switch (S.currentPhase) {
-    case 'welcome': {
-      const hasWebsite = !!(S.scrapedSummary && S.scrapedSummary.trim() && !S.scrapedSummary.startsWith('USER DESCRIPTION:'));
-      const hasWebsiteOrDesc = !!(S.scrapedSummary && S.scrapedSummary.trim());
-
-      if (hasWebsite) {
-        return `PHASE: WELCOME (Turn ${S.phaseTurns + 1})
-
-YOUR TASK:
-- Reference 3-4 SPECIFIC things from their website data (headlines, pricing, features, CTAs — quote them)
-- Make 3 bold assumptions about: (a) their INDUSTRY/SECTOR, (b) their revenue model, (c) their target customer
-- Try to EXTRACT the industry from the website data and set profile_updates.industry
-- Ask them to validate: "Ho capito bene? Cosa devo correggere? E qual è il tuo obiettivo principale nei prossimi 6-12 mesi?" / "Did I get this right? And what's your primary goal for the next 6-12 months?"
-- Generate confirmation buttons that include industry-related options
-
-CRITICAL: Industry and primary objective are the FIRST things you need to establish. They shape the entire diagnostic.
-AFTER this turn, set phase_signals.welcome_done=true in your next response (when the user replies).
-This is your first impression — make it count. Show you did your homework.`;
-      }
-
-      // No website — stage-aware welcome
-      return `PHASE: WELCOME (Turn ${S.phaseTurns + 1})
-COMPANY STAGE: ${stagePlaybook?.label || stageKey}
-
-${hasWebsiteOrDesc ? 'The user provided a business description but no website.' : 'No website or description provided.'}
-
-YOUR TASK:
-${hasWebsiteOrDesc ? '- Reference what they described about their business' : '- Introduce yourself warmly and explain the diagnostic process'}
-- Acknowledge their stage: "${stagePlaybook?.label || 'Your stage'}" — and what that means for the diagnostic
-- Your FIRST question must establish: in che settore operi / what industry are you in? This is the #1 priority.
-- If the description already reveals the industry, extract it (set profile_updates.industry) and instead ask: qual è il tuo obiettivo principale nei prossimi 6-12 mesi? / What is your primary business goal for the next 6-12 months?
-- Generate relevant buttons (include industry-specific options if possible)
-
-PRIORITY ORDER for first questions: 1) Industry/sector 2) Primary objective 3) Everything else.
-AFTER this turn, set phase_signals.welcome_done=true in your next response (when the user replies).
-Make this warm and stage-appropriate. Pre-seed founders need encouragement, not interrogation.`;
-    }
-
-    case 'company':
-      return `PHASE: COMPANY DNA (Turn ${S.phaseTurns + 1} of minimum ${phase.minTurns})
-${turnsLeft > 0 ? `You need at least ${turnsLeft} more turn(s) in this phase.` : 'Can transition if all checklist items are filled.'}
-
-═══ BENCHMARKS ═══
-${stageBenchmarks}
-
-═══ STAGE-APPROPRIATE QUESTIONS (use as inspiration) ═══
-${stageQuestions.map((q, i) => `  ${i + 1}. ${q}`).join('\n')}
-
-DEPTH TOPICS (choose ONE per turn):
-${phase.depthTopics.map((t, i) => `  ${i + 1}. ${t}`).join('\n')}
-
-CHECKLIST (in PRIORITY ORDER — follow this sequence):
-${phase.checklist.map(k => {
-        const v = p[k]; const has = v && v.trim();
-        return has ? `  ✅ ${k}: ${v} (DONE)` : `  ❓ ${k}: NOT YET COLLECTED`;
-      }).join('\n')}
-
-═══ PRIORITY RULE ═══
-The checklist is ORDERED. You MUST collect items FROM TOP TO BOTTOM.
-- ❓ industry: FIRST. Without it, the entire diagnostic is blind. Ask immediately.
-- ❓ growthTarget: SECOND. The primary objective shapes every recommendation.
-- Then businessModel, stage, revenue, teamSize, funding in order.
-Do NOT skip ahead to revenue or teamSize if industry and growthTarget are still missing.
-
-THIS TURN — SINGLE-TOPIC INSTRUCTIONS:
-1. Look at the CHECKLIST above. Pick the FIRST ❓ item from the TOP (priority order).
-2. Write a bold **Topic Header** for that item (e.g. **Industry**, **Primary Objective**, **Revenue**).
-3. Write ONE sentence of context: explain WHY you need this NUMBER and how it feeds the diagnostic.
-4. Ask exactly ONE question — and it MUST demand a concrete answer: a number, a percentage, a currency amount, or a measurable fact. For industry: "In che settore operi esattamente?" / "What specific industry/vertical are you in?". For growthTarget: "Qual è il tuo obiettivo #1 misurabile nei prossimi 6-12 mesi?" / "What is your #1 measurable goal for the next 6-12 months?".
-5. If the user shared a number in their last message, briefly acknowledge it with a benchmark comparison before your question.
-6. If the user already described a problem qualitatively, do NOT ask them to elaborate. Instead, ask them to QUANTIFY it: "How often does this happen?", "How many customers are affected?", "What's the €/month impact?".
-7. When the user shares their stage, SET profile_updates.companyStage to one of: "pre_seed_idea", "seed_startup", "early_scale", "expansion_enterprise"
-8. Extract data into the matching profile fields, including: industry, growthTarget, currentSituation, orgStructure, decisionMaking, keyDependencies, teamMorale, systemsLandscape, roadmap, plannedChanges
-
-DO NOT ask about two topics. ONE topic, ONE question per message. Once a topic is answered, MOVE ON — never circle back.`;
-
-    case 'gtm':
-      return `PHASE: GO-TO-MARKET (Turn ${S.phaseTurns + 1} of minimum ${phase.minTurns})
-${turnsLeft > 0 ? `At least ${turnsLeft} more turn(s) needed.` : 'Can transition if checklist complete.'}
-
-COMPANY CONTEXT:
-Model: ${p.businessModel || '?'} | Stage: ${p.stage || '?'} (${stagePlaybook?.label || '?'}) | Revenue: ${p.revenue || '?'} | Team: ${p.teamSize || '?'}
-
-═══ BENCHMARKS ═══
-${stageBenchmarks}
-
-DEPTH TOPICS (choose ONE per turn):
-${phase.depthTopics.map((t, i) => `  ${i + 1}. ${t}`).join('\n')}
-
-CHECKLIST:
-${phase.checklist.map(k => {
-        const v = p[k]; const has = v && v.trim();
-        return has ? `  ✅ ${k}: ${v} (DONE)` : `  ❓ ${k}: NEEDED`;
-      }).join('\n')}
-
-THIS TURN — SINGLE-TOPIC INSTRUCTIONS:
-1. If this is the FIRST turn of GTM phase, start with a brief 1-sentence transition from company DNA, then move to your question.
-2. Look at the CHECKLIST. Pick the SINGLE most important ❓ item not yet collected.
-3. Write a bold **Topic Header** (e.g. **Ideal Customer**, **Sales Channels**, **Deal Size**).
-4. Write ONE sentence of context: why this NUMBER matters for their GTM diagnostic.
-5. Ask exactly ONE question that demands a MEASURABLE answer. Push for specificity and numbers: not "who is your customer" → "What's the job title and company size of your best 3 customers?". Not "which channels work" → "What % of your pipeline comes from each channel?". Not "how is lead gen" → "How many qualified leads per month, and what's the cost per lead?".
-6. If comparing to benchmarks, weave it naturally into the context line.
-7. If the user gave a qualitative answer last turn, don't ask them to elaborate — ask for the NUMBER behind it: "You said outbound is slow. How many outbound touches per week, and what's the reply rate?".
-8. FLAG ANTI-PATTERNS if detected: ${antiPatterns.slice(0, 3).join('; ')}
-9. Extract into: systemsLandscape, plannedChanges, teamMorale where relevant
-
-ONE topic, ONE question per message. Never combine two checklist items. Once a topic is sized, MOVE ON.`;
-
-    case 'sales':
-      return `PHASE: SALES ENGINE (Turn ${S.phaseTurns + 1} of minimum ${phase.minTurns})
-${turnsLeft > 0 ? `At least ${turnsLeft} more turn(s) needed.` : 'Can transition if checklist complete.'}
-
-CONTEXT:
-Model: ${p.businessModel || '?'} | ICP: ${p.icpTitle || '?'} | Motion: ${p.salesMotion || '?'} | Deal: ${p.avgDealSize || '?'}
-
-═══ BENCHMARKS ═══
-${stageBenchmarks}
-Recommended tech stack: ${stagePlaybook?.playbook?.techStack?.join(', ') || 'N/A'}
-
-DEPTH TOPICS (choose ONE per turn):
-${phase.depthTopics.map((t, i) => `  ${i + 1}. ${t}`).join('\n')}
-
-CHECKLIST:
-${phase.checklist.map(k => {
-        const v = p[k]; const has = v && v.trim();
-        return has ? `  ✅ ${k}: ${v} (DONE)` : `  ❓ ${k}: NEEDED`;
-      }).join('\n')}
-
-THIS TURN — SINGLE-TOPIC INSTRUCTIONS:
-1. Look at the CHECKLIST. Pick the SINGLE most important ❓ item not yet collected.
-2. Write a bold **Topic Header** (e.g. **Sales Process**, **Who Closes Deals**, **Main Bottleneck**).
-3. Write ONE sentence of context: why this NUMBER matters for the sales diagnostic.
-4. Ask exactly ONE question that demands a CONCRETE METRIC. Not "describe your sales process" → "How many stages, what's the average time from first call to close, and what % of deals stall at each stage?". Not "what's the biggest challenge" → "Where do you lose the most revenue today — and how much per month?". For bottleneck: make a hypothesis with a number, then ask for validation.
-5. Compare to benchmarks when relevant: win rate median ${stagePlaybook?.benchmarks?.winRate?.median || '?'}%, sales cycle median ${stagePlaybook?.benchmarks?.salesCycleDays?.median || '?'} days, CAC median €${stagePlaybook?.benchmarks?.cac?.median || '?'}
-6. If the user described a problem qualitatively in previous turns, DO NOT re-explore it. Ask: "How much does this cost you today?" or "What's the monthly revenue impact?".
-7. EXTRACT NRR: when user mentions NRR as a percentage (e.g. "110%"), set profile_updates.nrr. If they mention expansion in currency, use expansionRevenue instead.
-8. FLAG ANTI-PATTERNS: ${antiPatterns.slice(0, 3).join('; ')}
-9. Extract into: teamEnablement, keyDependencies, systemsLandscape, plannedChanges, nrr
-
-This is the last discovery phase before diagnosis. ONE topic, ONE question per message. Once sized, MOVE ON.`;
-
-    case 'diagnosis':
-      if (!S.diagnosisPresented) {
-        return `PHASE: DIAGNOSIS — PRESENT YOUR FINDINGS
-
-You have gathered enough data. NOW present your diagnostic.
-
-═══ STAGE-AWARE BENCHMARKS ═══
-${stageBenchmarks}
-
-═══ ANTI-PATTERNS FOR ${stagePlaybook?.label || 'THEIR STAGE'} ═══
-${antiPatterns.map(ap => `  ⛔ ${ap}`).join('\n')}
-
-STRUCTURE (follow exactly):
-1. Opening: "Ecco la mia diagnosi" / "Here is my diagnostic assessment"
-2. COMPANY SNAPSHOT: 4-5 sentences summarizing everything using ONLY ✅ confirmed data — include the human and operational reality, not just the numbers.
-3. THREE REVENUE PROBLEMS — for each:
-   - **Bold problem name** with a finding_id (F1, F2, F3)
-   - Why it exists (root cause — reference what USER told you specifically, including people/systems/process factors)
-   - Revenue impact (estimate with reasoning, or qualitative if no data)
-   - **Benchmark comparison**: compare their reality to stage benchmarks above
-   - Severity: 🔴 Critical / 🟡 High / 🟢 Medium
-   - **Anti-pattern check**: flag if this problem maps to a known anti-pattern for their stage
-   - **Operating model implication**: briefly note how this problem relates to their org structure, people, or systems
-4. OPERATING MODEL OBSERVATION: 2-3 sentences on how their current org structure, decision-making, and systems landscape either enable or constrain their revenue engine. Reference confirmed data about people, key dependencies, and tools.
-5. CORE HYPOTHESIS: one bold sentence connecting all three problems AND the operating model observation.
-6. Ask: "Does this resonate? What did I get right, and what did I miss?"
-
-Set phase_signals.diagnosis_presented = true
-Set profile_updates.diagnosedProblems = ["F1: Problem 1 name", "F2: Problem 2 name", "F3: Problem 3 name"]
-Set profile_updates.rootCauses = ["Cause 1", "Cause 2", "Cause 3"]
-
-THIS MUST BE YOUR LONGEST MESSAGE. At least 15 sentences.
-ONLY reference confirmed data. DO NOT invent metrics.`;
-      }
-      if (!S.diagnosisValidated) {
-        return `PHASE: DIAGNOSIS — VALIDATION
-
-User responded to your diagnosis. React to their feedback:
-- If they agreed: validate, suggest priority order, ask which is #1
-- If they disagreed: ask what's wrong, adjust, show flexibility
-- Ask: "Which problem is your #1 priority? And what have you already tried to fix it?"
-- Also ask about constraints: "Any budget or resource constraints I should factor in?"
-
-Set phase_signals.diagnosis_validated = true when they confirm
-Extract userPriority, constraints, and budgetLevel from their response
-For budgetLevel use: "limited", "moderate", "flexible"`;
-      }
-      return `Diagnosis complete. Transition to final summary.`;
-
-    case 'pre_finish':
-      return `PHASE: FINAL SUMMARY
-
-═══ STAGE-AWARE CONTEXT ═══
-Company Stage: ${stagePlaybook?.label || '?'}
-Focus for this stage: ${stagePlaybook?.playbook?.focus || '?'}
 
-Present complete picture using ONLY confirmed data:
-1. Company snapshot — include both the numbers AND the human/operational reality
-2. Three diagnosed problems in priority order (reference finding IDs: F1, F2, F3)
-3. For each problem, tease ONE actionable recommendation appropriate to their stage — connect it to people, process, or systems where relevant
-4. Operating Model snapshot: 2-3 sentences on how their current org design, decision flows, and systems either support or hinder growth
-5. Preview: "Your Strategic Growth Plan will include: strategic narrative, diagnostic findings with benchmark comparison, **Operating Model Design** (org structure recommendations, role clarity, decision-flow optimisation, systems architecture), 90-day roadmap with second-order effects, metrics dashboard, tool recommendations calibrated to your ${stagePlaybook?.label || ''} stage"
-6. Ask: "Ready to generate?"
-
-MUST include button: {"key":"generate_report","label":"📥 Generate Strategic Growth Plan"}
-Also: {"key":"add_context","label":"I want to add more context first"}`;
+  // Everything a flow template can reference — see api/_lib/flows.js for the syntax
+  const ctx = {
+    turn: S.phaseTurns + 1,
+    minTurns,
+    turnsLeft: Math.max(0, turnsLeft),
+    profile: p,
+    stageKey,
+    stageLabel: stagePlaybook?.label || stageKey,
+    stage: {
+      label: stagePlaybook?.label,
+      focus: stagePlaybook?.playbook?.focus,
+      techStack: stagePlaybook?.playbook?.techStack?.join(', '),
+      benchmarks: stagePlaybook?.benchmarks || {}
+    },
+    benchmarks: formatBenchmarksForPrompt(stageKey, p.businessModel, S.benchmarkVersion),
+    stageQuestions: getQuestionSet(stageKey).map((q, i) => `  ${i + 1}. ${q}`).join('\n'),
+    depthTopics: phase.depthTopics.map((t, i) => `  ${i + 1}. ${t}`).join('\n'),
+    checklist: phase.checklist.map(k => {
+      const v = p[k];
+      return isFilled(v) ? `  ✅ ${k}: ${v} (DONE)` : `  ❓ ${k}: ${phase.checklistPending}`;
+    }).join('\n'),
+    antiPatternsTop: antiPatterns.slice(0, 3).join('; '),
+    antiPatternsList: antiPatterns.map(ap => `  ⛔ ${ap}`).join('\n'),
+    hasWebsite: !!(S.scrapedSummary && S.scrapedSummary.trim() && !S.scrapedSummary.startsWith('USER DESCRIPTION:')),
+    hasWebsiteOrDesc: !!(S.scrapedSummary && S.scrapedSummary.trim()),
+    diagnosisPresented: S.diagnosisPresented,
+    diagnosisValidated: S.diagnosisValidated
+  };
 
-    default:
-      return 'Continue the conversation naturally.';
-  }
+  return renderTemplate(phase.prompt, ctx) || 'Continue the conversation naturally.';
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1007,33 +805,71 @@ export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
   try {
-    const { choice, history = [], contextData, sessionData: input, attachments = [] } = req.body;
-    const gKey = process.env.GEMINI_API_KEY;
+    const { choice, history = [], contextData, sessionId: inputId, revision, sessionData: claimed, attachments = [] } = req.body;
     const tKey = process.env.TAVILY_API_KEY;
-    if (!gKey) return res.status(200).json({ message: '⚠️ GEMINI_API_KEY missing.', options: [{ key: 'restart', label: 'Retry' }], session_data: null, current_phase: 'error' });
+    const llmMissing = providerMissingConfig();
+    if (llmMissing) return res.status(200).json({ message: `⚠️ ${llmMissing}.`, options: [{ key: 'restart', label: 'Retry' }], session_data: null, current_phase: 'error' });
 
-    let S = input || createSession();
+    // ══════════════════════════════════════════════════
+    // LOAD SESSION — state comes from the store, never from the client
+    // ══════════════════════════════════════════════════
+    let S, sessionId, baseRevision = null;
+    if (inputId && choice !== 'SNAPSHOT_INIT') {
+      try {
+        const loaded = await loadSession(inputId, revision);
+        S = loaded.state;
+        sessionId = loaded.id;
+        baseRevision = loaded.revision;
+      } catch (e) {
+        if (!(e instanceof SessionError)) throw e;
+        console.warn(`[v12] Session rejected: ${e.code}`);
+        if (e.code === 'session_revision_unknown') return res.status(e.status).json({ error: e.code, message: e.message });
+        return res.status(200).json({
+          step_id: 'error', message: '⚠️ This diagnostic session has expired. Please start a new one.',
+          mode: 'buttons', options: [{ key: 'restart', label: 'Start over' }],
+          allow_text: false, session_data: null, current_phase: 'error'
+        });
+      }
+      // Legacy clients still echo sessionData — it must match what we stored
+      const tampered = diffProtectedState(claimed, S);
+      if (tampered.length) {
+        console.warn(`[v12] Tampered session ${sessionId}: ${tampered.join(', ')}`);
+        return res.status(409).json({ error: 'session_tampered', fields: tampered });
+      }
+    } else if (claimed && choice !== 'SNAPSHOT_INIT') {
+      // Client-held state without a stored session can't be trusted
+      return res.status(409).json({ error: 'session_required', message: 'sessionId is required; client-supplied session state is not accepted' });
+    } else {
+      S = createSession(resolveFlowId(contextData?.flow));
+      sessionId = newSessionId();
+    }
     // Ensure asked_fields tracking array exists
     if (!S.askedFields) S.askedFields = [];
     S.totalTurns++;
     S.phaseTurns++;
 
-    // Process attachments if present
+    // Process attachments: extract tables/text, pre-fill metrics the user hasn't stated
     let attachmentContext = '';
+    let attachmentSummary = null;
     if (attachments && attachments.length > 0) {
-      attachmentContext = '\n\n═══ USER ATTACHED FILES ═══\n';
-      attachments.forEach((file, idx) => {
-        attachmentContext += `File ${idx + 1}: "${file.name}" (${file.type}, ${Math.round(file.size / 1024)} KB)\n`;
-        // For images, note that they can be analyzed; for documents, note content may need extraction
-        if (file.type.startsWith('image/')) {
-          attachmentContext += '  → Image file: User may be sharing visual context (screenshots, diagrams, analytics, etc.)\n';
-        } else if (file.type.includes('pdf')) {
-          attachmentContext += '  → PDF document: May contain reports, slides, documentation\n';
-        } else {
-          attachmentContext += '  → Document file: May contain business data, reports, or context\n';
-        }
-      });
-      attachmentContext += 'NOTE: Acknowledge the files and ask the user to briefly explain what they contain and why they shared them.\n';
+      const ingested = ingestAttachments(attachments);
+      attachmentContext = ingested.block;
+
+      const applied = [];
+      for (const [k, v] of Object.entries(ingested.profileUpdates)) {
+        if (!S.profile.hasOwnProperty(k) || (typeof S.profile[k] === 'string' && S.profile[k].trim())) continue;
+        S.profile[k] = v;
+        applied.push(k);
+      }
+      if (!S.attachments) S.attachments = [];
+      S.attachments.push(...ingested.files.map(f => ({
+        name: f.name, kind: f.kind, fields: Object.keys(f.metrics), error: f.error
+      })));
+      attachmentSummary = ingested.files.map(f => ({
+        name: f.name, kind: f.kind, error: f.error,
+        extracted: Object.fromEntries(Object.entries(f.metrics).map(([k, m]) => [k, m.value]))
+      }));
+      console.log(`[v12] Attachments: ${ingested.files.map(f => `${f.name}(${f.kind})`).join(', ')} → ${applied.join(', ') || 'no new fields'}`);
 
       // Store attachment metadata in session for reference
       if (!S.profile.additionalContext) S.profile.additionalContext = '';
@@ -1046,10 +882,12 @@ export default async function handler(req, res) {
     // ══════════════════════════════════════════════════
 
     if (choice === 'generate_report' || choice === 'update_and_generate') {
-      const depth = calculateDiagnosticDepth(S.profile, S.currentPhase);
+      const depth = calculateDiagnosticDepth(S);
+      const savedRevision = await saveSession(sessionId, S, baseRevision);
       return res.status(200).json({
         step_id: 'GENERATE', message: 'Generating...', mode: 'buttons', options: [],
-        allow_text: false, session_data: S, current_phase: 'finish',
+        allow_text: false, session_id: sessionId, session_revision: savedRevision,
+        session_data: publicSessionView(S), current_phase: 'finish',
         turn_count: S.totalTurns, confidence_state: calcConf(S),
         diagnostic_depth: depth
       });
@@ -1060,7 +898,7 @@ export default async function handler(req, res) {
     // ══════════════════════════════════════════════════
 
     if (choice === 'SNAPSHOT_INIT') {
-      S.currentPhase = 'welcome';
+      S.currentPhase = flowOf(S).order[0];
       S.phaseTurns = 0;
 
       // Resolve stage from intake form
@@ -1103,12 +941,17 @@ export default async function handler(req, res) {
         }
         S.scrapedSummary = sc;
       }
+    } else if (typeof choice === 'string' && choice.startsWith(FLAG_CONFIRM)) {
+      // The user stands by numbers a live flag questioned
+      const flag = (S.flags || []).find(f => f.id === choice.slice(FLAG_CONFIRM.length));
+      if (flag && flag.status === 'open') flag.status = 'confirmed';
+      S.transcript.push({ role: 'user', text: flag ? `The numbers behind "${flag.issue}" are correct as stated.` : choice });
     } else {
       // Record user message in transcript
       S.transcript.push({ role: 'user', text: choice });
 
       // Handle welcome_done on user's REPLY to welcome
-      if (S.currentPhase === 'welcome' && S.phaseTurns >= 1) {
+      if (phaseOf(S).gate === 'welcome' && S.phaseTurns >= 1) {
         S.welcomeDone = true;
       }
 
@@ -1152,10 +995,13 @@ export default async function handler(req, res) {
     // ══════════════════════════════════════════════════════════════════════════
     // CONTEXT-AWARE SEQUENCING — gate what the agent may ask about this turn
     // ══════════════════════════════════════════════════════════════════════════
-    const questionContext = getNextQuestionContext(S.profile, S.transcript.length);
+    const questionContext = flowOf(S).questionSequencing ? getNextQuestionContext(S.profile, S.transcript.length) : null;
     const sequencingDirective = questionContext
       ? `\n═══ QUESTION SEQUENCING DIRECTIVE (phase: ${questionContext.phase}, max ${questionContext.maxQuestions} questions) ═══\n${questionContext.instruction}\n`
       : '';
+    const challenge = choice !== 'SNAPSHOT_INIT' ? nextFlagToChallenge(S) : null;
+    const persona = resolveChatPersona(S.buyerProfile);
+    const flagsBlock = buildFlagsBlock(S, challenge);
 
     const fullPrompt = `You are the REVENUE ARCHITECT, a senior B2B revenue strategist and operating-model advisor (20+ years). You conduct deep discovery calls with founders and revenue leaders. Your style: **gentle** in tone, **clever** in connections, **concise** in questions.
 
@@ -1180,6 +1026,10 @@ Every word must add value. If a sentence only restates what the user said, DELET
 Once a problem area is understood (user confirmed it, or you have enough data to size it), STOP ASKING about it. Move to the NEXT topic immediately. Never ask a second clarifying question about the same issue. The user's time is limited — every question must unlock NEW information, not deepen what you already know.
 BANNED question patterns: "Can you tell me more about...", "How would you describe...", "Walk me through how that feels...", "What does that look like day to day?". REPLACE with: "How many?", "What percentage?", "How much does that cost you per month?", "What's the frequency?".
 
+═══ PERSONA ADAPTATION (buyer type: ${persona.key}${persona.key !== 'neutral' ? `, confidence ${persona.confidence}%` : ''}) ═══
+${persona.instruction}
+This adapts HOW you ask, never WHAT the checklist needs. The communication principle above still applies.
+
 ═══ LANGUAGE ═══
 Match the user's language exactly. If they write Italian, respond 100% in Italian. English → English.
 
@@ -1191,7 +1041,7 @@ ${profileCtx}
 
 ═══ COMPANY STAGE ═══
 Resolved: ${S.resolvedStage || 'not yet determined'}
-${S.resolvedStage ? formatBenchmarksForPrompt(S.resolvedStage) : '(Stage not yet identified — ask about it)'}
+${S.resolvedStage ? formatBenchmarksForPrompt(S.resolvedStage, S.profile.businessModel, S.benchmarkVersion) : '(Stage not yet identified — ask about it)'}
 
 ═══ WEBSITE SCAN DATA ═══
 ${S.scrapedSummary
@@ -1215,15 +1065,15 @@ BEFORE asking ANY question, scan the memory above. If the information is already
 - If Who Closes Deals was answered, do not ask "who handles sales" in a different way.
 - If Channels were discussed, do not ask "how do customers find you" — it's the same data.
 Violating this rule creates a terrible user experience.
-${sequencingDirective}
-${(S.totalTurns > 0 && S.totalTurns % 4 === 0 && S.currentPhase !== 'welcome' && S.currentPhase !== 'pre_finish') ? `
+${sequencingDirective}${flagsBlock}
+${(S.totalTurns > 0 && S.totalTurns % 4 === 0 && !['welcome', 'final'].includes(phaseOf(S).gate)) ? `
 ═══ ASSUMPTION VERIFICATION CHECK (every ~4 turns) ═══
 AFTER your main question this turn, append a brief assumption check at the end of your message.
 Use this format at the end: "Quick check — my current understanding:\n${buildAssumptionSummary(S.profile).map(a => '• ' + a).join('\n')}\nIs anything off?"
 Keep the check compact. Your main question with its topic header comes FIRST.
 ` : ''}
 
-${choice !== 'SNAPSHOT_INIT' ? `═══ USER'S LATEST MESSAGE ═══\n"${choice}"` : '═══ This is the FIRST message — welcome them ═══'}
+${choice !== 'SNAPSHOT_INIT' ? `═══ USER'S LATEST MESSAGE ═══\n"${S.transcript[S.transcript.length - 1].text}"` : '═══ This is the FIRST message — welcome them ═══'}
 
 ═══ RESPONSE FORMAT (valid JSON) ═══
 {
@@ -1243,7 +1093,7 @@ ${choice !== 'SNAPSHOT_INIT' ? `═══ USER'S LATEST MESSAGE ═══\n"${ch
 
 ═══ RESPONSE RULES ═══
 - EXACTLY 1 question per message. NEVER ask 2 or more questions.
-- Maximum 80 words per response. Every word must earn its place.
+- Maximum ${persona.maxWords} words per response. Every word must earn its place.
 - Each message MUST start with the short acknowledgment (if user just answered), then the bold **Topic Header**.
 - Each message MUST include a 1-sentence context line BEFORE the question.
 - NEVER rephrase, paraphrase, or summarize what the user just said. They know what they wrote.
@@ -1282,7 +1132,7 @@ When the user answers, they often reveal MULTIPLE data points in a single respon
 13. Flag ANTI-PATTERNS diplomatically if the user's behavior conflicts with their stage playbook.
 14. NUMBERS FIRST, THEN SITUATION: always get the metric before exploring why. If you already have the qualitative picture, skip straight to "how much does this cost you?".
 15. EXTRACT OPERATING MODEL DATA into: currentSituation, orgStructure, decisionMaking, keyDependencies, teamMorale, systemsLandscape, roadmap, plannedChanges, teamEnablement.
-16. GENTLE CHALLENGE: when something doesn't add up, challenge with a number — "You said churn is low but NRR is 85%. That means you're losing 15% annually — is that intentional?".
+16. GENTLE CHALLENGE: when something doesn't add up, challenge with a number — "You said churn is low but NRR is 85%. That means you're losing 15% annually — is that intentional?". A LIVE CONTRADICTION FLAG above always takes priority over the next checklist question.
 17. ANTI-LOOPING: if you catch yourself about to ask a question that explores the same problem area the user already described, STOP. Ask for the financial/metric dimension instead, or move to the next topic entirely.
 18. CONSULTANT MINDSET: every question you ask should help you SIZE the opportunity or the problem. Less "raccontami di più sul problema", more "quanto ti costa questo problema oggi?".`;
 
@@ -1293,7 +1143,8 @@ When the user answers, they often reveal MULTIPLE data points in a single respon
 
     let llm;
     try {
-      llm = await callGemini(fullPrompt, gKey);
+      llm = await callChatModel(fullPrompt, S.currentPhase);
+      if (challenge) challenge.challenged = true;
     } catch (e) {
       console.error(`[v11] LLM error:`, e.message);
       llm = buildFallback(S);
@@ -1314,6 +1165,7 @@ When the user answers, they often reveal MULTIPLE data points in a single respon
         }
       }
     }
+    S.metrics = buildMetrics(S.profile);
 
     // Process signals
     if (llm.phase_signals) {
@@ -1341,6 +1193,11 @@ When the user answers, they often reveal MULTIPLE data points in a single respon
       }
     }
 
+    // ══════════════════════════════════════════════════
+    // LIVE FLAGS — re-check contradictions against the merged profile
+    // ══════════════════════════════════════════════════
+    const raisedFlags = updateLiveFlags(S);
+
     // Record AI message in transcript
     const aiMsg = llm.message || '';
     S.transcript.push({ role: 'assistant', text: aiMsg });
@@ -1353,12 +1210,16 @@ When the user answers, they often reveal MULTIPLE data points in a single respon
     // ══════════════════════════════════════════════════
 
     const options = sanitizeOptions(llm.options, S);
-    const isFinish = S.currentPhase === 'pre_finish';
+    // The user must always be able to stand by numbers that were challenged
+    if (challenge?.challenged && challenge.status === 'open' && !options.some(o => o.key === FLAG_CONFIRM + challenge.id)) {
+      options.splice(Math.max(0, options.length - 1), 0, { key: FLAG_CONFIRM + challenge.id, label: 'These numbers are correct' });
+    }
+    const isFinish = phaseOf(S).gate === 'final';
     const hasGen = options.some(o => o.key === 'generate_report');
     const mode = (isFinish && hasGen) ? 'buttons' : 'mixed';
 
-    const depthScore = calculateDiagnosticDepth(S.profile, S.currentPhase);
-    console.log(`[v12] T${S.totalTurns} phase:${S.currentPhase} pt:${S.phaseTurns} stage:${S.resolvedStage || '?'} opts:${options.length} depth:${depthScore}%`);
+    const depthScore = calculateDiagnosticDepth(S);
+    console.log(`[v12] T${S.totalTurns} phase:${S.currentPhase} pt:${S.phaseTurns} stage:${S.resolvedStage || '?'} opts:${options.length} depth:${depthScore}% persona:${persona.key}${persona.overridden ? ' (low confidence)' : ''}`);
 
     // Build assumptions for the frontend "What I know" panel
     const assumptions = buildAssumptionSummary(S.profile);
@@ -1371,18 +1232,24 @@ When the user answers, they often reveal MULTIPLE data points in a single respon
       }))
       : null;
 
+    const savedRevision = await saveSession(sessionId, S, baseRevision);
+
     return res.status(200).json({
       step_id: S.currentPhase,
       message: aiMsg,
       mode, options,
       option_groups: optionGroups,
       allow_text: mode !== 'buttons',
-      session_data: S,
-      current_phase: PHASES[S.currentPhase]?.display || S.currentPhase,
+      session_id: sessionId,
+      session_revision: savedRevision,
+      session_data: publicSessionView(S),
+      current_phase: phaseOf(S)?.display || S.currentPhase,
       turn_count: S.totalTurns,
       confidence_state: calcConf(S),
       diagnostic_depth: depthScore,
-      assumptions
+      assumptions,
+      flags: publicFlags(S, raisedFlags),
+      attachments: attachmentSummary
     });
 
   } catch (e) {
@@ -1419,8 +1286,9 @@ function sanitizeOptions(raw, S) {
 }
 
 function getDefaults(S) {
-  if (S.currentPhase === 'welcome') return [{ key: 'correct', label: 'Yes, mostly correct' }, { key: 'partial', label: 'Partially — let me clarify' }, { key: 'wrong', label: 'Not quite right' }];
-  if (S.currentPhase === 'pre_finish') return [{ key: 'generate_report', label: '📥 Generate Strategic Growth Plan' }, { key: 'add_context', label: 'Add more context first' }];
+  const gate = phaseOf(S)?.gate;
+  if (gate === 'welcome') return [{ key: 'correct', label: 'Yes, mostly correct' }, { key: 'partial', label: 'Partially — let me clarify' }, { key: 'wrong', label: 'Not quite right' }];
+  if (gate === 'final') return [{ key: 'generate_report', label: '📥 Generate Strategic Growth Plan' }, { key: 'add_context', label: 'Add more context first' }];
   return [{ key: 'continue', label: 'Continue →' }, { key: 'explain', label: 'Let me explain in detail' }];
 }
 
@@ -1430,58 +1298,33 @@ function getDefaults(S) {
 
 function buildFallback(S) {
   const p = S.profile;
-  const checks = PHASES[S.currentPhase]?.checklist || [];
-  const missing = checks.find(k => { const v = p[k]; return Array.isArray(v) ? v.length === 0 : (!v || v.trim() === ''); });
-  const fb = {
-    businessModel: { m: "Let's talk about your revenue model. How do you charge customers?", o: [{ key: 'saas', label: 'SaaS subscription' }, { key: 'services', label: 'Services' }, { key: 'marketplace', label: 'Marketplace' }, { key: 'other', label: 'Other' }] },
-    stage: { m: "What growth stage are you at?", o: [{ key: 'pre', label: 'Pre-revenue' }, { key: 'early', label: 'Early (< €10K MRR)' }, { key: 'growing', label: 'Growing (€10-50K)' }, { key: 'scaling', label: 'Scaling (€50K+)' }] },
-    revenue: { m: "What's your current monthly recurring revenue?", o: [{ key: 'low', label: '< €5K MRR' }, { key: 'mid', label: '€5-20K MRR' }, { key: 'high', label: '€20-100K MRR' }, { key: 'top', label: '€100K+ MRR' }] },
-    teamSize: { m: "How large is your team?", o: [{ key: 'solo', label: '1-2 people' }, { key: 'small', label: '3-10' }, { key: 'mid', label: '10-50' }, { key: 'large', label: '50+' }] },
-    funding: { m: "What's your funding status?", o: [{ key: 'boot', label: 'Bootstrapped' }, { key: 'seed', label: 'Seed' }, { key: 'a', label: 'Series A+' }, { key: 'other', label: 'Other' }] },
-    icpTitle: { m: "Who is your ideal buyer?", o: [{ key: 'smb', label: 'SMB owners' }, { key: 'mid', label: 'Mid-market' }, { key: 'ent', label: 'Enterprise' }, { key: 'dev', label: 'Technical' }] },
-    salesMotion: { m: "How do you sell?", o: [{ key: 'in', label: 'Inbound' }, { key: 'out', label: 'Outbound' }, { key: 'plg', label: 'Product-led' }, { key: 'mix', label: 'Mix' }] },
-    channels: { m: "Which channels work best?", o: [{ key: 'seo', label: 'Content/SEO' }, { key: 'social', label: 'LinkedIn' }, { key: 'paid', label: 'Paid ads' }, { key: 'ref', label: 'Referrals' }] },
-    avgDealSize: { m: "What's your average deal size?", o: [{ key: 's', label: '< €1K' }, { key: 'm', label: '€1-10K' }, { key: 'l', label: '€10-50K' }, { key: 'xl', label: '€50K+' }] },
-    salesProcess: { m: "Describe your sales process.", o: [{ key: 'none', label: 'No process' }, { key: 'basic', label: 'Basic' }, { key: 'doc', label: 'Documented' }, { key: 'self', label: 'Self-serve' }] },
-    whoCloses: { m: "Who closes deals?", o: [{ key: 'f', label: 'Founder' }, { key: 'fm', label: 'Mostly founder' }, { key: 't', label: 'Sales team' }, { key: 's', label: 'Self-serve' }] },
-    mainBottleneck: { m: "Where's the biggest bottleneck?", o: [{ key: 'l', label: 'Lead gen' }, { key: 'c', label: 'Conversion' }, { key: 'ch', label: 'Churn' }, { key: 'sc', label: 'Scaling' }] }
-  };
-  const f = fb[missing] || { m: 'Tell me more about your business.', o: [{ key: 'c', label: 'Continue' }] };
-  return { message: f.m, options: f.o, profile_updates: {}, phase_signals: {} };
+  const flow = flowOf(S);
+  const checks = flow.phases[S.currentPhase]?.checklist || [];
+  const missing = checks.find(k => !isFilled(p[k]));
+  const q = flow.fallbackQuestions[missing];
+  if (!q) return { message: 'Tell me more about your business.', options: [{ key: 'c', label: 'Continue' }], profile_updates: {}, phase_signals: {} };
+  return { message: q.message, options: q.options, profile_updates: {}, phase_signals: {} };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // DIAGNOSTIC DEPTH — phase-aware scoring that stays in sync with phase dots
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Each phase gets a slice of 0-100%. Progress within a phase is based on
-// checklist field completion, so the percentage always matches the active dot.
-const PHASE_RANGES = {
-  welcome: { min: 0, max: 5 },
-  company: { min: 5, max: 30 },
-  gtm: { min: 30, max: 55 },
-  sales: { min: 55, max: 80 },
-  diagnosis: { min: 80, max: 95 },
-  pre_finish: { min: 95, max: 100 },
-};
-
-function calculateDiagnosticDepth(profile, currentPhase) {
-  const range = PHASE_RANGES[currentPhase] || PHASE_RANGES.welcome;
-  const phase = PHASES[currentPhase];
+// Each phase gets a slice of 0-100% (its `progress` range in the flow). Progress
+// within a phase is based on checklist field completion, so the percentage
+// always matches the active dot.
+function calculateDiagnosticDepth(S) {
+  const flow = flowOf(S);
+  const phase = flow.phases[S.currentPhase] || flow.phases[flow.order[0]];
+  const range = phase.progress;
 
   // If the phase has no checklist, return the min of the range
-  if (!phase || !phase.checklist || phase.checklist.length === 0) {
+  if (phase.checklist.length === 0) {
     return range.min;
   }
 
   // Calculate completion within this phase's checklist
-  let filled = 0;
-  for (const k of phase.checklist) {
-    const v = profile[k];
-    const has = Array.isArray(v) ? v.length > 0 : (v && typeof v === 'string' && v.trim() !== '');
-    if (has) filled++;
-  }
-
+  const filled = phase.checklist.filter(k => isFilled(S.profile[k])).length;
   const phaseProgress = filled / phase.checklist.length; // 0..1
   const pct = Math.round(range.min + phaseProgress * (range.max - range.min));
   return Math.min(pct, range.max);
@@ -1489,6 +1332,6 @@ function calculateDiagnosticDepth(profile, currentPhase) {
 
 // Backward-compatible wrapper used in responses
 function calcConf(S) {
-  const depth = calculateDiagnosticDepth(S.profile, S.currentPhase);
+  const depth = calculateDiagnosticDepth(S);
   return { total: depth };
 }
@@ -0,0 +1,61 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORT API — Strategic Growth Plan as PDF, DOCX or PPTX
+//
+// POST { sessionId, revision?, format: 'pdf' | 'docx' | 'pptx', encoding? }
+//
+// Renders the report /api/report stored on the session, so the files match
+// what the user saw regardless of browser print quirks. The response is the
+// file itself (Content-Disposition: attachment); encoding: 'base64' returns
+// { filename, mime, data } as JSON instead.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { loadSession, SessionError } from './_lib/session-store.js';
+import { renderExport, EXPORT_FORMATS } from './_lib/export.js';
+
+// ASCII fallback plus RFC 5987 form for non-ASCII company names
+function contentDisposition(filename) {
+  const ascii = filename.normalize('NFD').replace(/[^\x20-\x7e]/g, '').replace(/["\\]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { sessionId, revision, format = 'pdf', encoding } = req.body || {};
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'format_invalid', message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    let state;
+    try {
+      ({ state } = await loadSession(sessionId, revision));
+    } catch (e) {
+      if (e instanceof SessionError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    if (!state.report?.markdown) {
+      return res.status(404).json({ error: 'report_not_found', message: 'No report generated for this session yet' });
+    }
+
+    const { buffer, mime, filename } = renderExport(format, state.report);
+    console.log(`[Export] ${sessionId} → ${filename} (${buffer.length} bytes)`);
+
+    if (encoding === 'base64') {
+      return res.status(200).json({ filename, mime, data: buffer.toString('base64') });
+    }
+    res.setHeader('Content-Type', mime);
+    res.setHeader('Content-Disposition', contentDisposition(filename));
+    res.setHeader('Content-Length', buffer.length);
+    return res.status(200).end(buffer);
+
+  } catch (e) {
+    console.error('[Export]', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,238 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT SECTION API — regenerate or rewrite one section of the growth plan
+//
+// POST { sessionId, revision?, section, mode?, instructions? }
+//   section       id from the report payload's `sections` (e.g. quick_wins)
+//   mode          regenerate (default) — write the section again from the
+//                   original report prompt, optionally steered by instructions
+//                 rewrite — edit the current section per instructions
+//
+// The model returns only the report-document properties behind the section
+// (report-render.js REPORT_SECTIONS); they are validated against the schema,
+// merged into the stored document and the report is re-rendered, so every
+// other section stays as it was. Finding ids F1–F3 are fixed: a replacement
+// that fails the schema, renumbers findings, references unknown ids or breaks
+// a golden-thread rule in its own properties (length aside — a user may ask
+// for a shorter section) is retried once, then rejected (422) rather than saved.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { callLLM, providerMissingConfig } from './_lib/llm.js';
+import { loadSession, saveSession, SessionError } from './_lib/session-store.js';
+import { validateReportDocument, describeReportSchema, subSchema } from './_lib/report-schema.js';
+import { checkGoldenThread } from './_lib/golden-thread.js';
+import { checkReportNumbers } from './_lib/numeric-check.js';
+import { checkCitations } from './_lib/citation-check.js';
+import { REPORT_SECTIONS, renderReportSection, renderReportMarkdown, listRenderedSections } from './_lib/report-render.js';
+import { renderExport } from './_lib/export.js';
+
+const MODES = ['regenerate', 'rewrite'];
+const MAX_INSTRUCTIONS = 2000;
+
+// Sections that define the findings — they must keep every id
+const DEFINING_SECTIONS = ['executive_summary', 'diagnostic_findings'];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter(k => obj?.[k] !== undefined).map(k => [k, obj[k]]));
+
+function findingIdsIn(text) {
+  return new Set([...String(text || '').matchAll(/\bF(\d{1,2})\b/g)].map(m => `F${m[1]}`));
+}
+
+// Problems with a replacement section (empty array = fine)
+function checkFindingIds(sectionId, fragment, markdown, findings) {
+  const problems = [];
+  if (fragment.findings) {
+    const before = [...findings.keys()].join(', ');
+    const after = fragment.findings.map(f => f.id).join(', ');
+    if (before !== after) problems.push(`changes the finding ids (${before} → ${after})`);
+  }
+  const used = findingIdsIn(markdown);
+  problems.push(...[...used].filter(id => !findings.has(id)).map(id => `references unknown finding ${id}`));
+  if (DEFINING_SECTIONS.includes(sectionId)) {
+    for (const id of findings.keys()) {
+      if (!used.has(id)) problems.push(`drops finding ${id} (${findings.get(id)})`);
+    }
+  }
+  return problems;
+}
+
+// Golden-thread rules the replacement's own properties break
+function threadProblems(section, doc) {
+  return checkGoldenThread(doc)
+    .filter(v => v.rule !== 'under_length' && v.keys.some(k => section.keys.includes(k)))
+    .map(v => `breaks the golden thread: ${v.path} ${v.message}`);
+}
+
+function findingRules(findings, sectionId) {
+  const list = [...findings].map(([id, name]) => `- ${id}: ${name}`).join('\n');
+  const defining = DEFINING_SECTIONS.includes(sectionId)
+    ? '\nThis section defines the findings: keep every one of them, in this order, under the same id.'
+    : '';
+  return `FINDING IDS (golden thread) — fixed for this report:
+${list}
+Refer to findings only by these ids. Do not renumber, rename, merge or add findings (no F${findings.size + 1}).${defining}`;
+}
+
+function outputRules(section) {
+  return `OUTPUT: one JSON object with ONLY these properties: ${section.keys.map(k => `"${k}"`).join(', ')}. No code fences.
+${describeReportSchema(subSchema(section.keys))}`;
+}
+
+function regeneratePrompt(report, section, title, findings, instructions) {
+  return `${report.prompt}
+
+═══════════════════════════════════════════
+SECTION REGENERATION — write ONE section only
+═══════════════════════════════════════════
+The full Strategic Growth Plan has already been written (CURRENT REPORT DOCUMENT below). Write the "${title}" section again from scratch, following the REPORT CONTENT instructions above for it. Every other section stays exactly as it is, so stay consistent with their numbers and recommendations.
+
+${findingRules(findings, section.id)}
+${instructions ? `\nADDITIONAL INSTRUCTIONS FROM THE USER:\n${instructions}\n` : ''}
+${outputRules(section)}
+
+CURRENT REPORT DOCUMENT:
+${JSON.stringify(report.document)}`;
+}
+
+function rewritePrompt(report, section, title, findings, instructions) {
+  return `You are editing one section of a Strategic Growth Plan written by Revenue Architect by Panoramica.
+Apply the INSTRUCTIONS to the CURRENT SECTION ("${title}"). Keep its structure and every pre-computed number (costs, benchmarks, scenario figures) unless the instructions explicitly change them. Stay consistent with the rest of the report.
+
+${findingRules(findings, section.id)}
+
+INSTRUCTIONS:
+${instructions}
+
+CURRENT SECTION:
+${JSON.stringify(pick(report.document, section.keys), null, 2)}
+
+REST OF THE REPORT (context only — do not rewrite it):
+${report.markdown}
+
+${outputRules(section)}`;
+}
+
+// Model output → { fragment, merged, problems }
+function applyFragment(doc, section, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { problems: ['did not return a JSON object'] };
+  const fragment = pick(raw, section.keys);
+  const merged = { ...doc };
+  for (const key of section.keys) delete merged[key];
+  Object.assign(merged, fragment);
+  const { value, errors } = validateReportDocument(merged);
+  return { fragment: pick(value, section.keys), merged: value, problems: errors };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { sessionId, revision, section: sectionId, mode = 'regenerate' } = req.body || {};
+    const instructions = String(req.body?.instructions || '').trim().slice(0, MAX_INSTRUCTIONS);
+    const llmMissing = providerMissingConfig();
+    if (llmMissing) return res.status(500).json({ error: llmMissing });
+    if (!MODES.includes(mode)) return res.status(400).json({ error: 'mode_invalid', message: `mode must be one of: ${MODES.join(', ')}` });
+    if (mode === 'rewrite' && !instructions) return res.status(400).json({ error: 'instructions_required', message: 'rewrite needs instructions' });
+
+    let sessionData, sessionRevision;
+    try {
+      ({ state: sessionData, revision: sessionRevision } = await loadSession(sessionId, revision));
+    } catch (e) {
+      if (e instanceof SessionError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    const report = sessionData.report;
+    if (!report?.markdown) return res.status(404).json({ error: 'report_not_found', message: 'No report generated for this session yet' });
+    if (!report.document || !report.prompt) {
+      return res.status(409).json({ error: 'report_document_missing', message: 'This report predates section editing; generate it again first' });
+    }
+
+    const ctx = report.render_context;
+    const section = REPORT_SECTIONS.find(s => s.id === sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'section_not_found', sections: listRenderedSections(ctx) });
+    }
+    const { title } = renderReportSection(section, report.document, ctx);
+
+    const findings = new Map(report.document.findings.map(f => [f.id, f.name]));
+    const basePrompt = mode === 'regenerate'
+      ? regeneratePrompt(report, section, title, findings, instructions)
+      : rewritePrompt(report, section, title, findings, instructions);
+
+    let result, rendered, problems = [];
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const prompt = problems.length
+        ? `${basePrompt}\n\nYOUR PREVIOUS ATTEMPT WAS REJECTED: it ${problems.join('; ')}. Fix this.`
+        : basePrompt;
+      let raw = null;
+      try {
+        raw = await callLLM(prompt, { task: 'report_section', fixture: section.id, json: true, temperature: mode === 'rewrite' ? 0.3 : 0.4, maxTokens: 8000 });
+      } catch (e) {
+        if (!(e instanceof SyntaxError)) throw e;
+      }
+      result = applyFragment(report.document, section, raw);
+      if (!result.problems.length) {
+        rendered = renderReportSection(section, result.merged, ctx);
+        result.problems = [
+          ...checkFindingIds(section.id, result.fragment, rendered.markdown, findings),
+          ...threadProblems(section, result.merged)
+        ];
+      }
+      problems = result.problems;
+      if (!problems.length) break;
+      console.warn(`[Report Section] ${section.id} attempt ${attempt + 1} rejected: ${problems.join('; ')}`);
+    }
+    if (problems.length) {
+      return res.status(422).json({ error: 'section_invalid', problems, section: { id: section.id, title, fragment: result.fragment || null } });
+    }
+
+    // Figures quoted from the computed data and benchmark citations are
+    // reconciled as in the full report
+    const numeric = checkReportNumbers(result.merged, report.numeric_facts);
+    const citations = checkCitations(numeric.value, report.citation_library, { lang: ctx.lang });
+    const document = citations.value;
+    if (numeric.corrections.length || citations.rewritten.length) rendered = renderReportSection(section, document, ctx);
+    const md = renderReportMarkdown(document, ctx);
+    const violations = checkGoldenThread(document, { markdown: md });
+    const numericCheck = { corrections: numeric.corrections, flags: numeric.flags };
+    const citationCheck = { verified: citations.verified, rewritten: citations.rewritten };
+    sessionData.report = {
+      ...report,
+      markdown: md,
+      document,
+      violations,
+      numeric_check: numericCheck,
+      citation_check: citationCheck,
+      sectionEdits: [...(report.sectionEdits || []), { section: section.id, mode, instructions, at: new Date().toISOString() }]
+    };
+    sessionRevision = await saveSession(sessionId, sessionData, sessionRevision);
+    console.log(`[Report Section] ${sessionId} ${mode} ${section.id} (${rendered.markdown.length} chars)`);
+
+    let pdfBase64 = null;
+    try {
+      pdfBase64 = renderExport('pdf', sessionData.report).buffer.toString('base64');
+    } catch (e) {
+      console.warn('[Report Section] PDF export failed:', e.message);
+    }
+
+    return res.status(200).json({
+      report: md,
+      report_document: document,
+      violations,
+      numeric_check: numericCheck,
+      citation_check: citationCheck,
+      section: rendered,
+      sections: listRenderedSections(ctx),
+      filename: report.filename,
+      pdf_base64: pdfBase64,
+      session_revision: sessionRevision
+    });
+
+  } catch (e) {
+    console.error('[Report Section]', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
@@ -9,225 +9,103 @@
 // 5. Narrow Data Sources: benchmark library injected per stage
 // 6. Second-Order Effects: sequential roadmap (M1 → M2 → M3)
 // 7. Live Audit: Tavily API real-time market data
+// 8. Model calls go through api/_lib/llm.js (LLM_PROVIDER selects the vendor)
+// 9. Session loaded by id from api/_lib/session-store.js; only confirmation-
+//    screen fields may be edited by the client (profileEdits)
+// 10. Optional streaming (SSE / NDJSON): progress events per pre-computation
+//     step, markdown sections as the model writes them, then the full payload
+// 11. Finished report stored on the session (state.report); pdf_base64 and
+//     /api/export render PDF, DOCX and PPTX from it server-side
+// 12. Addressable sections: /api/report-section regenerates or rewrites one
+//     section from the stored prompt, keeping F1–F3 stable
+// 13. The model returns a JSON report document (api/_lib/report-schema.js),
+//     validated and repaired once; the markdown is rendered from it
+//     (api/_lib/report-render.js) and the document ships as report_document
+// 14. Golden-thread validator (api/_lib/golden-thread.js): orphaned items,
+//     missing trade-offs / handoffs / sections and under-length output get one
+//     targeted repair call; what remains is returned as `violations`
+// 15. Numeric consistency (api/_lib/numeric-check.js): totals, scenario
+//     projections, probabilities and scorecard figures quoted in the text are
+//     reconciled with the computed data — corrected or flagged (numeric_check)
+// 16. Citation check (api/_lib/citation-check.js): benchmark citations are
+//     matched against the library entry they name; unverifiable ones become
+//     "Panoramica estimate" (citation_check) and the report ends with a source
+//     appendix generated from the library metadata
+// 17. Feasibility checks are declarative rules (api/rules/feasibility.json,
+//     evaluated by api/_lib/feasibility.js); flags carry the rule id
+// 18. Flags the user confirmed in the chat (live flags) are marked confirmedByUser
+// 19. Buyer psychology comes from the shared engine (api/_lib/buyer-psychology.js)
+//     the chat persona uses, with lexicons per language in api/lexicons
+// 20. Archetype matching (api/_lib/archetypes.js) returns a per-dimension breakdown;
+//     weights and the confidence threshold live in archetypes.json "matching"
+// 21. Archetypes can also come from reviewed engagements (api/_lib/archetype-authoring.js,
+//     scripts/archetype-author.js); those may not have a 6-month outcome yet
+// 22. Scenario projections and success probabilities are simulated (Monte Carlo,
+//     api/_lib/scenario-simulation.js) with P10/P50/P90 per month over 12 months;
+//     SCENARIO_MODE=bands restores the fixed recovery bands
+// 23. The calculators are exported for /api/scenario, which recomputes financial
+//     impact, scenarios and scorecard for what-if overrides and hires without a model call
+// 24. Unit economics (CAC payback, LTV:CAC, burn multiple, magic number, Rule of 40,
+//     revenue per employee) are derived by api/_lib/unit-economics.js and scored in
+//     the scorecard, charts and dashboard with their formulas (unit_economics)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// BENCHMARK DATA
-// ═══════════════════════════════════════════════════════════════════════════════
-
-let BENCHMARKS = null;
-function loadBenchmarks() {
-  if (BENCHMARKS) return BENCHMARKS;
-  try {
-    let base;
-    try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api'; }
-    const raw = readFileSync(join(base, 'benchmarks', 'saas-stages.json'), 'utf-8');
-    BENCHMARKS = JSON.parse(raw);
-  } catch (e) {
-    console.warn('[Report] Could not load benchmarks:', e.message);
-    BENCHMARKS = { stages: {}, marketContext2026: {} };
-  }
-  return BENCHMARKS;
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// ARCHETYPE LIBRARY
-// ═══════════════════════════════════════════════════════════════════════════════
-
-let ARCHETYPES = null;
-function loadArchetypes() {
-  if (ARCHETYPES) return ARCHETYPES;
-  try {
-    let base;
-    try { base = dirname(fileURLToPath(import.meta.url)); } catch { base = process.cwd() + '/api'; }
-    const raw = readFileSync(join(base, 'benchmarks', 'archetypes.json'), 'utf-8');
-    ARCHETYPES = JSON.parse(raw);
-  } catch (e) {
-    console.warn('[Report] Could not load archetypes:', e.message);
-    ARCHETYPES = { archetypes: [] };
-  }
-  return ARCHETYPES;
-}
+import { callLLM, streamLLM, providerMissingConfig } from './_lib/llm.js';
+import { loadSession, saveSession, diffProtectedState, SessionError } from './_lib/session-store.js';
+import { streamFormat, openEventStream } from './_lib/event-stream.js';
+import { buildMetrics, metricNumber, describeMetric } from './_lib/metrics.js';
+import { benchmarkPosition } from './_lib/percentiles.js';
+import { loadBenchmarks, loadBenchmarkPack, getStageData, resolveBusinessModel, resolveBenchmarkVersion, benchmarkVersionInfo } from './_lib/benchmarks.js';
+import { renderExport } from './_lib/export.js';
+import { parseReportDocument, validateReportDocument, describeReportSchema, subSchema } from './_lib/report-schema.js';
+import { checkGoldenThread, repairKeys, formatViolation, MIN_REPORT_WORDS } from './_lib/golden-thread.js';
+import { checkReportNumbers } from './_lib/numeric-check.js';
+import { buildCitationLibrary, checkCitations, renderCitationAppendix } from './_lib/citation-check.js';
+import { runFeasibilityChecks } from './_lib/feasibility.js';
+import { classifyBuyer, isConfidentProfile } from './_lib/buyer-psychology.js';
+import { rankArchetypes, formatBreakdown } from './_lib/archetypes.js';
+import { simulationInputs, simulateScenarios, DEFAULT_RUNS } from './_lib/scenario-simulation.js';
+import { withUnitEconomics, withDerivedScorecard, deriveUnitEconomics } from './_lib/unit-economics.js';
+import { REPORT_SECTIONS, renderReportSection, renderReportMarkdown, listRenderedSections } from './_lib/report-render.js';
+import { reportingCurrency, currencySymbol, currencyUnit, formatMoney, convertCurrency, benchmarkInCurrency, loadFxRates } from './_lib/currency.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // COHORT PATTERN MATCHING — find archetypes that resemble this company
+// Scoring lives in api/_lib/archetypes.js; this builds the prompt block.
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function matchArchetypes(profile, stageKey) {
-  const lib = loadArchetypes();
-  const archetypes = lib.archetypes || [];
-  if (archetypes.length === 0) return { matches: [], block: '' };
-
-  const p = profile;
-  const num = (v) => {
-    if (!v) return null;
-    const s = String(v).replace(/[^0-9.,]/g, '').replace(',', '.');
-    const n = parseFloat(s);
-    return isNaN(n) ? null : n;
-  };
-
-  const mrr = num(p.revenue);
-  const teamSize = num(p.teamSize);
-  const normalizedStage = stageKey || 'seed_startup';
-
-  // Normalize text fields for keyword matching
-  const allText = [
-    p.mainBottleneck, p.secondaryBottleneck, p.salesMotion, p.whoCloses,
-    p.founderInvolvement, p.salesProcess, p.channels, p.leadGenMethod,
-    p.churnReasons, p.lostDealReasons, p.mainObjections, p.crm, p.tools,
-    p.automationLevel, p.currentSituation, p.keyDependencies,
-    ...(p.diagnosedProblems || []),
-    ...(p.rootCauses || [])
-  ].filter(Boolean).join(' ').toLowerCase();
-
-  // Score each archetype
-  const scored = archetypes.map(arch => {
-    let score = 0;
-    const reasons = [];
-
-    // ── Stage match (strong signal) ──
-    if (arch.profile.stages.includes(normalizedStage)) {
-      score += 30;
-      reasons.push('stage');
-    } else {
-      // Adjacent stage still gets partial credit
-      const stageOrder = ['pre_seed_idea', 'seed_startup', 'early_scale', 'expansion_enterprise'];
-      const userIdx = stageOrder.indexOf(normalizedStage);
-      const archIdxs = arch.profile.stages.map(s => stageOrder.indexOf(s));
-      if (archIdxs.some(i => Math.abs(i - userIdx) === 1)) {
-        score += 10;
-        reasons.push('adjacent_stage');
-      }
-    }
-
-    // ── MRR range match ──
-    if (mrr !== null && arch.profile.mrrRange) {
-      const { min, max } = arch.profile.mrrRange;
-      if (mrr >= min && mrr <= max) {
-        score += 20;
-        reasons.push('mrr_range');
-      } else if (mrr >= min * 0.5 && mrr <= max * 1.5) {
-        score += 8;
-        reasons.push('mrr_adjacent');
-      }
-    }
-
-    // ── Team size match ──
-    if (teamSize !== null && arch.profile.teamSize) {
-      const { min, max } = arch.profile.teamSize;
-      if (teamSize >= min && teamSize <= max) {
-        score += 15;
-        reasons.push('team_size');
-      } else if (teamSize >= min * 0.5 && teamSize <= max * 2) {
-        score += 5;
-        reasons.push('team_size_adjacent');
-      }
-    }
-
-    // ── Constraint pattern matching (strongest signal) ──
-    const constraintKeywords = {
-      founder_dependency: ['founder', 'founder-led', 'i close', 'i sell', 'only i', 'depend on me', 'key person'],
-      capacity_ceiling: ['capacity', 'bandwidth', 'too busy', 'overloaded', 'can\'t take more', 'maxed out'],
-      no_sales_process: ['no process', 'no playbook', 'ad hoc', 'informal', 'no documentation', 'gut feel'],
-      high_churn: ['churn', 'losing customers', 'cancellation', 'retention', 'leaving', 'churned'],
-      acquisition_over_retention: ['acquisition', 'new customers', 'growth over retention'],
-      weak_onboarding: ['onboarding', 'activation', 'time to value', 'drop off', 'first month'],
-      scaling_before_pmf: ['premature', 'too early', 'not ready', 'product market fit', 'pmf'],
-      high_cac: ['cac', 'acquisition cost', 'expensive', 'cost per lead', 'cost per customer'],
-      low_win_rate: ['win rate', 'conversion', 'close rate', 'losing deals'],
-      no_pipeline_visibility: ['no crm', 'no pipeline', 'spreadsheet', 'head', 'gut', 'don\'t know how many'],
-      no_crm_discipline: ['crm', 'not updated', 'empty crm', 'nobody uses'],
-      underpricing: ['pricing', 'too cheap', 'underpric', 'charge more', 'value based'],
-      too_many_channels: ['too many channels', 'everywhere', 'spread thin', 'scattered'],
-      plg_conversion_gap: ['free', 'freemium', 'trial', 'self-serve', 'conversion', 'sign up'],
-      delivery_over_sales: ['delivery', 'fulfillment', 'service', 'billable', 'client work'],
-      long_sales_cycle: ['long cycle', 'slow', 'takes forever', 'months to close', 'enterprise cycle'],
-      single_ae_dependency: ['one ae', 'single rep', 'one person selling', 'solo'],
-      no_expansion_motion: ['expansion', 'upsell', 'nrr', 'no upsell', 'flat revenue', 'no growth'],
-      outbound_only_dependency: ['outbound only', 'no inbound', 'cold only', 'all outbound'],
-      tool_sprawl: ['too many tools', 'disconnected', 'silos', 'manual reporting', 'fragmented'],
-      burn_rate_mismatch: ['burn', 'runway', 'cash', 'spending', 'overhired'],
-      strategic_drift: ['too many priorities', 'can\'t focus', 'everything', 'shifting priorities', 'post-funding'],
-      single_gtm_motion: ['same process', 'one size', 'no segmentation', 'all customers same'],
-      undefined_icp: ['icp', 'ideal customer', 'anyone', 'everyone', 'no target', 'broad'],
-      no_unit_economics: ['unit economics', 'don\'t know cac', 'don\'t know ltv', 'no metrics']
-    };
-
-    const constraintTypes = [
-      arch.constraintPattern.primary,
-      arch.constraintPattern.secondary,
-      arch.constraintPattern.tertiary
-    ];
-
-    for (const cType of constraintTypes) {
-      const keywords = constraintKeywords[cType] || [];
-      const matchCount = keywords.filter(kw => allText.includes(kw)).length;
-      if (matchCount > 0) {
-        const weight = cType === arch.constraintPattern.primary ? 25 : 12;
-        score += Math.min(weight, matchCount * (weight / 2));
-        reasons.push(cType);
-      }
-    }
-
-    // ── GTM motion match ──
-    if (p.salesMotion) {
-      const userMotion = p.salesMotion.toLowerCase();
-      const motionMatch = arch.profile.gtmMotion.some(m =>
-        userMotion.includes(m) || (m === 'founder-led' && userMotion.includes('founder'))
-      ) || arch.profile.salesMotion.some(m =>
-        userMotion.includes(m) || (m === 'founder-led' && userMotion.includes('founder'))
-      );
-      if (motionMatch) {
-        score += 10;
-        reasons.push('gtm_motion');
-      }
-    }
-
-    // ── Industry/vertical match ──
-    if (p.industry) {
-      const userIndustry = p.industry.toLowerCase();
-      const verticalMatch = arch.profile.verticals.some(v => {
-        const vNorm = v.replace(/_/g, ' ');
-        return userIndustry.includes(vNorm) || vNorm.includes('b2b_saas') && userIndustry.includes('saas');
-      });
-      if (verticalMatch) {
-        score += 5;
-        reasons.push('vertical');
-      }
-    }
-
-    return { archetype: arch, score, reasons };
-  });
-
-  // Sort by score descending, take top 3
-  scored.sort((a, b) => b.score - a.score);
-  const top = scored.filter(s => s.score >= 30).slice(0, 3);
+export function matchArchetypes(profile, metrics, stageKey) {
+  const ranking = rankArchetypes(profile, metrics, stageKey);
+  if (ranking.librarySize === 0) return { matches: [], candidates: [], block: '' };
+  const top = ranking.matches;
+  const candidates = ranking.candidates.map(({ archetype, ...c }) => c);
 
   if (top.length === 0) {
     return {
       matches: [],
+      candidates,
       block: '\n═══════════════════════════════════════════\n📊 COHORT PATTERN MATCHES\n═══════════════════════════════════════════\nNo strong archetype matches found for this profile. Use general stage benchmarks for recommendations.\n'
     };
   }
 
   // Build prompt block
   let block = '\n═══════════════════════════════════════════\n📊 COHORT PATTERN MATCHES (use in recommendations)\n═══════════════════════════════════════════\n';
-  block += `Matched ${top.length} archetype(s) from a library of ${archetypes.length} company patterns.\n\n`;
+  block += `Matched ${top.length} archetype(s) from a library of ${ranking.librarySize} company patterns.\n\n`;
 
   top.forEach((match, i) => {
     const a = match.archetype;
-    block += `PATTERN ${i + 1}: "${a.name}" (match score: ${match.score}, signals: ${match.reasons.join(', ')})\n`;
+    block += `PATTERN ${i + 1}: "${a.name}" (match confidence: ${match.confidence}% — ${formatBreakdown(match.breakdown)})\n`;
     block += `  Profile: ${a.profile.stages.join('/')} stage, ${a.profile.teamSize.min}-${a.profile.teamSize.max} people, €${a.profile.mrrRange.min.toLocaleString('de-DE')}-€${a.profile.mrrRange.max.toLocaleString('de-DE')} MRR, ${a.profile.gtmMotion.join('/')}\n`;
     block += `  Constraint Pattern: ${a.constraintPattern.description}\n`;
     block += `  Intervention Sequence:\n`;
     a.intervention.sequence.forEach(step => { block += `    → ${step}\n`; });
     block += `  Key Action: ${a.intervention.keyAction}\n`;
     block += `  90-Day Outcome: ${a.outcome.days90}\n`;
-    block += `  6-Month Outcome: ${a.outcome.months6}\n`;
+    // Engagement-sourced archetypes get their 6-month outcome at the later check-in
+    if (a.outcome.months6) block += `  6-Month Outcome: ${a.outcome.months6}\n`;
     block += `  Key Lesson: ${a.keyLesson}\n\n`;
   });
 
@@ -239,12 +117,16 @@ function matchArchetypes(profile, stageKey) {
 
   return {
     matches: top.map(m => ({
-      id: m.archetype.id,
-      name: m.archetype.name,
+      id: m.id,
+      name: m.name,
       score: m.score,
+      confidence: m.confidence,
       reasons: m.reasons,
-      keyLesson: m.archetype.keyLesson
+      breakdown: m.breakdown,
+      keyLesson: m.archetype.keyLesson,
+      outcome: m.archetype.outcome
     })),
+    candidates,
     block
   };
 }
@@ -253,84 +135,6 @@ function matchArchetypes(profile, stageKey) {
 // BUYER PSYCHOLOGY PROFILING — classifies decision-making style from conversation
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const BUYER_KEYWORDS = {
-  operator: [
-    'data', 'metrics', 'measure', 'track', 'percentage', 'ratio', 'formula',
-    'unit economics', 'benchmark', 'kpi', 'dashboard', 'analytics', 'spreadsheet',
-    'roi', 'model', 'calculate', 'quantify', 'numbers', 'process', 'documented',
-    'systematic', 'framework', 'methodology', 'structured', 'audit', 'funnel',
-    'cohort', 'margin', 'conversion rate', 'payback',
-    // Italian
-    'dati', 'metriche', 'misurare', 'percentuale', 'rapporto', 'calcolare',
-    'processo', 'documentato', 'strutturato', 'numeri', 'margine', 'modello'
-  ],
-  visionary: [
-    'vision', 'strategy', 'transform', 'disrupt', 'market', 'opportunity',
-    'potential', 'scale', 'long-term', 'big picture', 'narrative', 'story',
-    'imagine', 'future', 'industry', 'revolution', 'movement', 'category',
-    'position', 'brand', 'ecosystem', 'platform', 'moat', 'flywheel',
-    'network effect', 'paradigm', 'thesis', 'landscape',
-    // Italian
-    'visione', 'strategia', 'trasformare', 'opportunità', 'potenziale',
-    'lungo termine', 'futuro', 'settore', 'ecosistema', 'mercato', 'posizionamento'
-  ],
-  pragmatist: [
-    'quick', 'fast', 'now', 'immediately', 'this week', 'tomorrow', 'asap',
-    'just', 'simple', 'shortcut', 'hack', 'skip', 'prioritize', 'focus',
-    'action', 'execute', 'ship', 'launch', 'move', 'next step',
-    'practical', 'concrete', 'specific', 'what exactly', 'how exactly',
-    'bottom line', 'get it done', 'start',
-    // Italian
-    'subito', 'veloce', 'adesso', 'questa settimana', 'domani', 'semplice',
-    'pratico', 'concreto', 'specifico', 'azione', 'priorità', 'focus', 'lanciare'
-  ],
-  validator: [
-    'others', 'competitors', 'industry standard', 'best practice', 'benchmark',
-    'careful', 'safe', 'proven', 'validate', 'consensus',
-    'align', 'stakeholder', 'board', 'investors', 'comparable', 'case study',
-    'evidence', 'track record', 'reference', 'similar companies', 'what do you see',
-    'what have you seen', 'other companies', 'typical', 'normal',
-    // Italian
-    'altri', 'concorrenti', 'standard', 'rischio', 'sicuro', 'validare',
-    'team', 'consenso', 'investitori', 'aziende simili', 'cosa vedete', 'provato'
-  ]
-};
-
-const BLAME_EXTERNAL = [
-  'market', 'economy', 'competition', 'competitor', 'timing', 'luck',
-  'team can\'t', 'they don\'t', 'customers don\'t', 'hard to find', 'nobody wants',
-  'saturated', 'crowded', 'noisy',
-  'mercato', 'economia', 'concorrenza', 'il team non', 'i clienti non'
-];
-const BLAME_INTERNAL = [
-  'our process', 'we should', 'i need to', 'we haven\'t', 'my fault',
-  'we failed', 'we missed', 'our mistake', 'we didn\'t', 'i didn\'t',
-  'we lack', 'our weakness', 'we dropped',
-  'il nostro processo', 'dovremmo', 'devo', 'non abbiamo', 'il mio errore'
-];
-
-const TIME_SHORT = [
-  'this week', 'this month', 'right now', 'immediately', 'next 30 days',
-  'next week', 'today', 'by friday', 'monday',
-  'questa settimana', 'questo mese', 'subito', 'prossimi 30 giorni', 'oggi'
-];
-const TIME_LONG = [
-  'this year', 'next year', '12 months', 'long term', '3 years', '5 years',
-  'in a year', 'annual', 'roadmap', 'over time', 'eventually',
-  'quest\'anno', 'prossimo anno', '12 mesi', 'lungo termine', 'nel tempo'
-];
-
-const RISK_AVERSE = [
-  'careful', 'risk', 'safe', 'conservative', 'worried', 'concerned',
-  'cautious', 'stable', 'predictable', 'proven', 'afraid', 'uncertain',
-  'attento', 'rischio', 'sicuro', 'preoccupato', 'stabile', 'provato'
-];
-const RISK_TOLERANT = [
-  'move fast', 'aggressive', 'bold', 'bet', 'experiment', 'try',
-  'test', 'iterate', 'fail fast', 'pivot', 'disrupt', 'break',
-  'veloce', 'aggressivo', 'sperimentare', 'provare', 'testare'
-];
-
 const ADAPTATION_INSTRUCTIONS = {
   operator: `
 ADAPTATION — THE OPERATOR (data-driven, process-focused buyer)
@@ -339,7 +143,7 @@ This buyer thinks in spreadsheets and systems. They want to see the math before
 SEQUENCING ADJUSTMENTS:
 1. Before/After Summary: LEAD with this. Make the numbers prominent and precise. Add a "Methodology" footnote explaining how each target was calculated.
 2. Financial Impact Analysis boxes: Make these the ANCHOR of every finding section. Expand the formula explanations. Show your work.
-3. Benchmark Scorecard: ELEVATE this section. Add percentile context. This buyer will spend 5 minutes on this table.
+3. Benchmark Scorecard: ELEVATE this section. Add the pre-computed peer-rank context. This buyer will spend 5 minutes on this table.
 4. Strategic Narrative: COMPRESS to 60% of normal length. Remove analogies. Keep it factual and causal.
 5. 90-Day Roadmap: EXPAND with specific KPI targets per week. Add "How to Measure" column. This buyer needs to see the measurement mechanism.
 6. Operating Model Design: EXPAND. This buyer cares deeply about process design, decision flows, and systems architecture.
@@ -404,124 +208,10 @@ SEQUENCING ADJUSTMENTS:
 TONE: Reassuring, evidence-based, collaborative. Use "companies at your stage typically..." language. Frame recommendations as "validated approaches". Address objections preemptively.`
 };
 
+// Shared engine (api/_lib/buyer-psychology.js), blended with the chat's running profile
 function classifyBuyerPsychology(transcript, profile, runningProfile) {
-  const userMessages = (transcript || []).filter(t => t.role === 'user').map(t => t.text || '');
-  const allUserText = userMessages.join(' ').toLowerCase();
-  const wordCount = allUserText.split(/\s+/).filter(Boolean).length;
-  const signals = [];
-
-  let scores = { operator: 0, visionary: 0, pragmatist: 0, validator: 0 };
-
-  // ── A. Response Length ──
-  if (userMessages.length > 0) {
-    const avgLen = userMessages.reduce((s, m) => s + m.split(/\s+/).filter(Boolean).length, 0) / userMessages.length;
-    if (avgLen < 15) {
-      scores.pragmatist += 15;
-      signals.push(`Short avg response (${Math.round(avgLen)} words) → action-oriented`);
-    } else if (avgLen > 40) {
-      scores.operator += 10;
-      scores.validator += 5;
-      signals.push(`Long avg response (${Math.round(avgLen)} words) → detail-oriented`);
-    }
-  }
-
-  // ── B. Numerical Density ──
-  if (wordCount > 0) {
-    const nums = (allUserText.match(/\d+[%€$kKmM]?|\b\d+[.,]\d+/g) || []).length;
-    const density = nums / wordCount;
-    if (density > 0.08) {
-      scores.operator += 20;
-      signals.push(`High number density (${(density * 100).toFixed(1)}%) → data-driven`);
-    } else if (density > 0.04) {
-      scores.operator += 8;
-      scores.pragmatist += 5;
-    } else if (wordCount > 50) {
-      scores.visionary += 10;
-      signals.push('Low number density → narrative-oriented');
-    }
-  }
-
-  // ── C. Keyword Matching ──
-  for (const [profile, keywords] of Object.entries(BUYER_KEYWORDS)) {
-    let hits = 0;
-    for (const kw of keywords) {
-      const regex = new RegExp('\\b' + kw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'gi');
-      const matches = allUserText.match(regex);
-      if (matches) hits += matches.length;
-    }
-    if (hits > 0) {
-      scores[profile] += hits * 3;
-      if (hits >= 3) signals.push(`${hits} ${profile} keywords detected`);
-    }
-  }
-
-  // ── D. Blame Attribution ──
-  const extCount = BLAME_EXTERNAL.reduce((c, phrase) => c + (allUserText.includes(phrase.toLowerCase()) ? 1 : 0), 0);
-  const intCount = BLAME_INTERNAL.reduce((c, phrase) => c + (allUserText.includes(phrase.toLowerCase()) ? 1 : 0), 0);
-  if (extCount > intCount && extCount >= 2) {
-    scores.visionary += 5;
-    signals.push('External blame attribution → big-picture thinker');
-  } else if (intCount > extCount && intCount >= 2) {
-    scores.operator += 5;
-    signals.push('Internal blame attribution → process-focused');
-  }
-
-  // ── E. Time Horizon ──
-  const shortCount = TIME_SHORT.reduce((c, p) => c + (allUserText.includes(p.toLowerCase()) ? 1 : 0), 0);
-  const longCount = TIME_LONG.reduce((c, p) => c + (allUserText.includes(p.toLowerCase()) ? 1 : 0), 0);
-  if (shortCount > longCount && shortCount >= 2) {
-    scores.pragmatist += 10;
-    signals.push('Short time horizon → action-oriented');
-  } else if (longCount > shortCount && longCount >= 2) {
-    scores.visionary += 8;
-    scores.operator += 3;
-    signals.push('Long time horizon → strategic thinker');
-  }
-
-  // ── F. Risk Language ──
-  const averse = RISK_AVERSE.reduce((c, w) => c + (allUserText.includes(w.toLowerCase()) ? 1 : 0), 0);
-  const tolerant = RISK_TOLERANT.reduce((c, w) => c + (allUserText.includes(w.toLowerCase()) ? 1 : 0), 0);
-  if (averse > tolerant && averse >= 2) {
-    scores.validator += 12;
-    signals.push('Risk-averse language → consensus-seeker');
-  } else if (tolerant > averse && tolerant >= 2) {
-    scores.pragmatist += 6;
-    scores.visionary += 4;
-    signals.push('Risk-tolerant language → bias to action');
-  }
-
-  // ── G. Question Style ──
-  const askData = (allUserText.match(/how (much|many)|what(?:'s| is) the (number|percentage|rate|cost|average)/gi) || []).length;
-  const askOpinion = (allUserText.match(/what do you (think|recommend|suggest)|what would you|in your (experience|opinion)/gi) || []).length;
-  const askExamples = (allUserText.match(/example|case study|who else|other companies|similar|what have you seen/gi) || []).length;
-  if (askData > 0) { scores.operator += askData * 5; signals.push(`Asks for data (${askData}x)`); }
-  if (askOpinion > 0) { scores.visionary += askOpinion * 4; }
-  if (askExamples > 0) { scores.validator += askExamples * 5; signals.push(`Asks for examples/precedent (${askExamples}x)`); }
-
-  // ── H. Profile Field Signals ──
-  const priority = (profile.userPriority || '').toLowerCase();
-  const constraints = (profile.constraints || '').toLowerCase();
-  if (/this week|immediately|asap|fast|subito|quick/.test(priority)) scores.pragmatist += 8;
-  if (/long.?term|year|strategic|vision/.test(priority)) scores.visionary += 8;
-  if (/risk|careful|safe|proven|rischio/.test(constraints)) scores.validator += 8;
-  if (/data|process|systematic|measure/.test(priority)) scores.operator += 8;
-
-  // ── Incorporate running profile (30% weight) ──
-  if (runningProfile && runningProfile.scores) {
-    const runMax = Math.max(...Object.values(runningProfile.scores), 1);
-    const curMax = Math.max(...Object.values(scores), 1);
-    for (const key of Object.keys(scores)) {
-      const normalized = (runningProfile.scores[key] / runMax) * curMax * 0.3;
-      scores[key] += Math.round(normalized);
-    }
-  }
-
-  // ── Resolve ──
-  const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]);
-  const primary = sorted[0][0];
-  const secondary = sorted[1][0];
-  const total = sorted.reduce((s, [, v]) => s + v, 0);
-  const confidence = total > 0 ? Math.round(((sorted[0][1] - sorted[1][1]) / total) * 100) : 0;
+  const result = classifyBuyer(transcript, { profile, runningProfile });
+  const { scores, primary, secondary, confidence, signals } = result;
 
   const labels = {
     operator: 'The Operator (data-driven, process-focused)',
@@ -539,20 +229,20 @@ function classifyBuyerPsychology(transcript, profile, runningProfile) {
   if (signals.length > 0) block += `Signals: ${signals.join('; ')}\n`;
   block += '\n';
 
-  if (confidence >= 20 && total >= 10) {
+  if (isConfidentProfile(result)) {
     block += ADAPTATION_INSTRUCTIONS[primary];
   } else {
     block += 'ADAPTATION: Insufficient conversational signal for confident profiling. Use default balanced presentation — give equal weight to all report sections. Do not skew emphasis in any direction.';
   }
 
-  return { primary, secondary, scores, confidence, signals, block };
+  return { primary, secondary, scores, confidence, signals, languages: result.languages, block };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STAGE RESOLUTION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function resolveStage(rawStage) {
+export function resolveStage(rawStage) {
   if (!rawStage) return 'seed_startup';
   const s = rawStage.toLowerCase().replace(/[^a-z0-9\s]/g, '');
   const map = {
@@ -569,124 +259,39 @@ function resolveStage(rawStage) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// PRE-ANALYSIS GUARDRAIL — flags contradictions and feasibility issues
+// SCORECARD METRICS — declared per business model in the benchmark pack
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function runFeasibilityChecks(profile, stageData) {
-  const flags = [];
-  const p = profile;
-
-  // 1. Budget vs. ambition mismatch
-  if (p.budgetLevel === 'limited' && p.growthTarget) {
-    const growthNum = parseInt(p.growthTarget.replace(/[^0-9]/g, ''));
-    if (growthNum > 100) {
-      flags.push({
-        type: 'contradiction', severity: 'high',
-        issue: 'High growth target with limited budget',
-        detail: `Growth target "${p.growthTarget}" paired with "limited" budget is unrealistic without external funding or radical efficiency gains.`,
-        recommendation: 'Either adjust growth expectations to 30-50% or identify budget reallocation opportunities.'
-      });
-    }
-  }
-
-  // 2. Stage vs. tool mismatch
-  if (stageData) {
-    const stageLabel = stageData.label;
-    const maxToolSpend = stageData.playbook?.budgetGuidance?.toolSpend?.max;
-    const tools = (p.tools || '').toLowerCase();
-    const crm = (p.crm || '').toLowerCase();
-
-    if (['pre_seed_idea'].includes(resolveStage(p.companyStage || p.stage))) {
-      if (/salesforce|hubspot pro|hubspot enterprise|marketo|outreach|salesloft|gong|6sense/.test(tools + crm)) {
-        flags.push({
-          type: 'anti_pattern', severity: 'medium',
-          issue: `Enterprise-grade tools at ${stageLabel} stage`,
-          detail: `Tools like Salesforce/Marketo/Gong are over-engineered for a ${stageLabel} company. Maximum recommended tool spend: €${maxToolSpend || '200'}/mo.`,
-          recommendation: 'Downgrade to founder-appropriate tools: Google Sheets, Notion, HubSpot Free.'
-        });
-      }
-    }
-  }
-
-  // 3. Team size vs. sales motion mismatch
-  const teamNum = parseInt((p.teamSize || '0').replace(/[^0-9]/g, ''));
-  if (teamNum <= 5 && /outbound|abm|account.based/.test((p.salesMotion || '').toLowerCase())) {
-    flags.push({
-      type: 'contradiction', severity: 'medium',
-      issue: 'Outbound/ABM motion with tiny team',
-      detail: `Team of ${teamNum} running outbound/ABM is unsustainable. ABM requires dedicated SDRs, content, and ops.`,
-      recommendation: 'Focus on founder-led inbound or PLG until team grows to 10+.'
-    });
-  }
-
-  // 4. Revenue vs. funding gap
-  if (p.funding && p.revenue) {
-    const isBoot = /bootstrap|self.funded|no funding/i.test(p.funding);
-    const mrr = parseInt((p.revenue || '0').replace(/[^0-9]/g, ''));
-    if (isBoot && mrr < 5000 && teamNum > 5) {
-      flags.push({
-        type: 'risk', severity: 'high',
-        issue: 'Cash runway concern',
-        detail: `Bootstrapped with <€5K MRR and ${teamNum} team members. Burn likely exceeds revenue significantly.`,
-        recommendation: 'Urgent: reduce to core team (founder + 1-2) or close bridge funding within 60 days.'
-      });
-    }
-  }
-
-  // 5. Founder dependency + scaling ambition
-  if (p.whoCloses && p.mainBottleneck) {
-    const founderCloses = /founder|ceo|co-founder|io|myself/i.test(p.whoCloses);
-    const scalingBottleneck = /scaling|growth|capacity/i.test(p.mainBottleneck);
-    if (founderCloses && scalingBottleneck) {
-      flags.push({
-        type: 'structural', severity: 'high',
-        issue: 'Founder bottleneck blocks scaling',
-        detail: 'Founder is the only closer while scaling is the identified bottleneck. These are directly connected.',
-        recommendation: 'First hire should be an AE who can own the sales process end-to-end, not an SDR.'
-      });
-    }
-  }
-
-  // 6. Churn vs. acquisition focus
-  if (p.churnRate && p.mainBottleneck) {
-    const churnNum = parseFloat((p.churnRate || '0').replace(/[^0-9.]/g, ''));
-    const focusOnLeads = /lead|acquisition|pipeline|traffic/i.test(p.mainBottleneck);
-    if (churnNum > 5 && focusOnLeads) {
-      flags.push({
-        type: 'contradiction', severity: 'high',
-        issue: 'Leaky bucket: high churn with acquisition focus',
-        detail: `Monthly churn of ${churnNum}% means the bucket is leaking. Focusing on lead gen without fixing retention is burning money.`,
-        recommendation: 'Fix retention first: aim for <3% monthly churn before scaling acquisition.'
-      });
-    }
-  }
-
-  return flags;
+// Pack definitions plus derived unit economics (api/_lib/unit-economics.js),
+// with display units resolved for the reporting currency
+function scorecardMetrics(stageData, currency, daysUnit = ' days') {
+  const units = { percent: '%', money: currencyUnit(currency), days: daysUnit, months: ' mo', multiple: 'x' };
+  return withDerivedScorecard(stageData?.scorecard, stageData?.benchmarks).map(m => ({ ...m, unit: units[m.unit] ?? '' }));
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // BENCHMARK SCORECARD — compare user metrics to stage benchmarks w/ visual gauge
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function buildBenchmarkScorecard(profile, stageData) {
+export function buildBenchmarkScorecard(profile, metrics, stageData) {
   if (!stageData?.benchmarks) return '';
   const bm = stageData.benchmarks;
   const p = profile;
-  const lines = [`## Benchmark Scorecard — ${stageData.label} Stage\n`];
-  lines.push('| Metric | Your Value | Stage Median | Good | Assessment | Visual | Source |');
-  lines.push('|--------|-----------|-------------|------|------------|--------|--------|');
-
-  // Helper: parse a numeric value from user input
-  const num = (v) => {
-    if (!v) return null;
-    const s = String(v).replace(/[^0-9.,]/g, '').replace(',', '.');
-    const n = parseFloat(s);
-    return isNaN(n) ? null : n;
-  };
-
-  // Helper: generate visual gauge (5-block bar)
-  const gauge = (userVal, median, good, bad, lowerIsBetter = false) => {
+  const currency = reportingCurrency(metrics);
+  const title = stageData.model && stageData.model !== 'saas' ? `${stageData.modelLabel} · ${stageData.label}` : `${stageData.label} Stage`;
+  const lines = [`## Benchmark Scorecard — ${title}\n`];
+  lines.push('| Metric | Your Value | Peer Position | Stage Median | Good | Assessment | Visual | Source |');
+  lines.push('|--------|-----------|-----------|-------------|------|------------|--------|--------|');
+
+  // Helper: generate visual gauge (5-block bar) — from the peer percentile when
+  // the benchmark publishes a distribution, otherwise from the median/good/bad ratio
+  const gauge = (userVal, median, good, bad, lowerIsBetter = false, position = null) => {
     if (userVal === null || median === null) return '—';
+    if (position?.basis === 'percentile') {
+      const filled = Math.max(1, Math.round(position.standing / 20));
+      const dot = position.standing >= 50 ? '🟢' : position.standing >= 25 ? '🟡' : '🔴';
+      return dot.repeat(filled) + '⚪'.repeat(5 - filled);
+    }
     let ratio;
     if (lowerIsBetter) {
       // For metrics where lower is better (churn, CAC, burn multiple)
@@ -720,36 +325,34 @@ function buildBenchmarkScorecard(profile, stageData) {
     }
   };
 
-  // Map user fields to benchmark keys
-  const metrics = [
-    { key: 'churnMonthly', label: 'Monthly Churn', userField: p.churnRate, unit: '%', lowerBetter: true },
-    { key: 'cac', label: 'CAC', userField: p.cac, unit: '€', lowerBetter: true },
-    { key: 'ltv', label: 'LTV', userField: p.ltv, unit: '€', lowerBetter: false },
-    { key: 'salesCycleDays', label: 'Sales Cycle', userField: p.salesCycle, unit: ' days', lowerBetter: true },
-    { key: 'avgDealSize', label: 'Avg Deal Size', userField: p.avgDealSize, unit: '€', lowerBetter: false },
-    { key: 'winRate', label: 'Win Rate', userField: p.winRate, unit: '%', lowerBetter: false },
-    { key: 'netRevenueRetention', label: 'Net Revenue Retention', userField: p.nrr, unit: '%', lowerBetter: false },
-    { key: 'burnMultiple', label: 'Burn Multiple', userField: null, unit: 'x', lowerBetter: true },
-    { key: 'grossMargin', label: 'Gross Margin', userField: null, unit: '%', lowerBetter: false },
-  ];
+  const metricDefs = scorecardMetrics(stageData, currency);
 
   let scorecardRows = 0;
-  for (const m of metrics) {
-    const bmData = bm[m.key];
+  const derivedNotes = [];
+  for (const m of metricDefs) {
+    const bmData = benchmarkInCurrency(bm[m.key], currency);
     if (!bmData || bmData.median === null || bmData.median === undefined) continue;
-    const userVal = num(m.userField);
+    const userVal = metricNumber(metrics, m.field, { period: m.period, currency });
     const med = bmData.median;
     const good = bmData.good;
     const bad = bmData.bad;
 
-    const userDisplay = userVal !== null ? `${userVal}${m.unit}` : '*Not disclosed*';
+    const stated = metrics?.[m.field];
+    const rangeNote = stated && stated.low !== stated.high ? ` (${describeMetric(stated)})` : '';
+    const derived = stated?.derived && userVal !== null;
+    if (derived) derivedNotes.push(`> † ${m.label} = ${stated.formula}${stated.note ? ` (${stated.note})` : ''}`);
+    const userDisplay = userVal !== null ? `${userVal}${m.unit}${derived ? ' †' : ''}${rangeNote}` : '*Not disclosed*';
     const medDisplay = `${med}${m.unit}`;
     const goodDisplay = good !== undefined ? `${good}${m.unit}` : '—';
-    const visual = gauge(userVal, med, good, bad, m.lowerBetter);
+    const position = userVal !== null ? benchmarkPosition(userVal, bmData, m.lowerBetter) : null;
+    const rankDisplay = !position ? '—'
+      : position.basis === 'percentile' ? `Beats ${position.standing}% (${position.rank})`
+        : position.band.replace(/^./, c => c.toUpperCase());
+    const visual = gauge(userVal, med, good, bad, m.lowerBetter, position);
     const assessment = assess(userVal, med, good, bad, m.lowerBetter);
     const sourceDisplay = bmData.source || '—';
 
-    lines.push(`| ${m.label} | ${userDisplay} | ${medDisplay} | ${goodDisplay} | ${assessment} | ${visual} | ${sourceDisplay} |`);
+    lines.push(`| ${m.label} | ${userDisplay} | ${rankDisplay} | ${medDisplay} | ${goodDisplay} | ${assessment} | ${visual} | ${sourceDisplay} |`);
     scorecardRows++;
   }
 
@@ -757,40 +360,62 @@ function buildBenchmarkScorecard(profile, stageData) {
 
   lines.push('');
   lines.push('> 🟢 = strong / at or above good threshold | 🟡 = near median | 🔴 = below median or critical | ⚪ = room to grow');
+  lines.push('> Peer Position = share of stage peers you outperform where the source publishes a p10–p90 distribution; otherwise your value against the stage median and good/bad thresholds');
+  if (derivedNotes.length) lines.push('>', '> † Derived from your other figures:  ', ...derivedNotes.map(n => `${n}  `));
   lines.push('');
 
   return lines.join('\n');
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// BENCHMARK POSITIONS — computed peer positions the report may quote
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function buildBenchmarkPositions(metrics, stageData) {
+  const currency = reportingCurrency(metrics);
+  const positions = [];
+  for (const m of scorecardMetrics(stageData, currency)) {
+    const bmData = benchmarkInCurrency(stageData?.benchmarks?.[m.key], currency);
+    const value = metricNumber(metrics, m.field, { period: m.period, currency });
+    const pos = value !== null ? benchmarkPosition(value, bmData, m.lowerBetter) : null;
+    if (!pos) continue;
+    positions.push({
+      key: m.key, label: m.label, value, unit: m.unit, lowerBetter: m.lowerBetter,
+      median: bmData.median, good: bmData.good ?? null, bad: bmData.bad ?? null, source: bmData.source || null, ...pos
+    });
+  }
+
+  if (positions.length === 0) {
+    return { positions, block: '\n═══════════════════════════════════════════\n📍 BENCHMARK POSITIONS\n═══════════════════════════════════════════\nNo disclosed metric has a stage benchmark. Do NOT state percentiles.\n' };
+  }
+  let block = '\n═══════════════════════════════════════════\n📍 BENCHMARK POSITIONS (computed — quote exactly)\n═══════════════════════════════════════════\n';
+  for (const pos of positions) {
+    const source = pos.source ? ` — ${pos.source}` : '';
+    if (pos.basis === 'percentile') {
+      block += `${pos.label}: ${pos.value}${pos.unit} → p${pos.percentile} of ${stageData.label} peers; beats ${pos.standing}% (${pos.band})${source}\n`;
+    } else {
+      // No published distribution: median and thresholds only, no percentile
+      const thresholds = [pos.good !== null && `good ${pos.good}${pos.unit}`, pos.bad !== null && `bad ${pos.bad}${pos.unit}`].filter(Boolean).join(', ');
+      block += `${pos.label}: ${pos.value}${pos.unit} → ${pos.band} (stage median ${pos.median}${pos.unit}${thresholds ? `; ${thresholds}` : ''}) — NO PERCENTILE${source}\n`;
+    }
+  }
+  return { positions, block };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CHART DATA BUILDER — structured data for frontend Chart.js rendering
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function buildChartData(profile, stageData) {
+export function buildChartData(profile, metrics, stageData) {
   if (!stageData?.benchmarks) return null;
   const bm = stageData.benchmarks;
   const p = profile;
+  const currency = reportingCurrency(metrics);
 
-  const num = (v) => {
-    if (v === null || v === undefined) return null;
-    if (typeof v === 'number') return v;
-    const s = String(v).replace(/[^0-9.,]/g, '').replace(',', '.');
-    if (s === '') return null;
-    const n = parseFloat(s);
-    return isNaN(n) ? null : n;
-  };
-
-  // Metrics definition (same as scorecard)
-  const metricDefs = [
-    { key: 'churnMonthly', label: 'Monthly Churn', userField: p.churnRate, unit: '%', lowerBetter: true },
-    { key: 'cac', label: 'CAC', userField: p.cac, unit: '€', lowerBetter: true },
-    { key: 'ltv', label: 'LTV', userField: p.ltv, unit: '€', lowerBetter: false },
-    { key: 'salesCycleDays', label: 'Sales Cycle', userField: p.salesCycle, unit: 'days', lowerBetter: true },
-    { key: 'avgDealSize', label: 'Avg Deal Size', userField: p.avgDealSize, unit: '€', lowerBetter: false },
-    { key: 'winRate', label: 'Win Rate', userField: p.winRate, unit: '%', lowerBetter: false },
-    { key: 'netRevenueRetention', label: 'NRR', userField: p.nrr, unit: '%', lowerBetter: false },
-    { key: 'grossMargin', label: 'Gross Margin', userField: null, unit: '%', lowerBetter: false },
-  ];
+  // Metrics definition (same as scorecard, short labels)
+  const metricDefs = scorecardMetrics(stageData, currency, 'days')
+    .filter(m => m.charts !== false)
+    .map(m => ({ ...m, label: m.shortLabel || m.label }));
 
   // Build radar data: normalize user vs median to 0-100 scale (100 = best)
   const radarLabels = [];
@@ -806,12 +431,14 @@ function buildChartData(profile, stageData) {
   const barUnits = [];
   let barRawUser = [];
   let barRawMedian = [];
+  const barStanding = [];
+  const barPosition = [];
 
   for (const m of metricDefs) {
-    const bmData = bm[m.key];
+    const bmData = benchmarkInCurrency(bm[m.key], currency);
     if (!bmData || bmData.median === null || bmData.median === undefined) continue;
 
-    const userVal = num(m.userField);
+    const userVal = metricNumber(metrics, m.field, { period: m.period, currency });
     const med = bmData.median;
     const good = bmData.good;
 
@@ -842,6 +469,9 @@ function buildChartData(profile, stageData) {
     // Also store raw values for tooltips
     barRawUser.push(userVal);
     barRawMedian.push(med);
+    const position = userVal !== null ? benchmarkPosition(userVal, bmData, m.lowerBetter) : null;
+    barStanding.push(position?.standing ?? null);
+    barPosition.push(position?.basis === 'thresholds' ? position.band : null);
 
     // For radar chart: only metrics where user has data
     if (userVal !== null) {
@@ -891,7 +521,11 @@ function buildChartData(profile, stageData) {
       },
       units: barUnits,
       rawUser: barRawUser,
-      rawMedian: barRawMedian
+      rawMedian: barRawMedian,
+      // Share of stage peers the company beats (null: not disclosed or no published distribution)
+      standing: barStanding,
+      // Position against the median and thresholds where there is no standing ("below median")
+      position: barPosition
     }
   };
 }
@@ -900,36 +534,20 @@ function buildChartData(profile, stageData) {
 // DASHBOARD DATA BUILDER — structured data for interactive 90-day tracking
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function buildDashboardData(profile, stageData) {
+export function buildDashboardData(profile, metrics, stageData) {
   if (!stageData?.benchmarks) return null;
   const bm = stageData.benchmarks;
   const p = profile;
+  const currency = reportingCurrency(metrics);
 
-  const num = (v) => {
-    if (v === null || v === undefined) return null;
-    if (typeof v === 'number') return v;
-    const s = String(v).replace(/[^0-9.,]/g, '').replace(',', '.');
-    if (s === '') return null;
-    const n = parseFloat(s);
-    return isNaN(n) ? null : n;
-  };
-
-  const metricDefs = [
-    { key: 'churnMonthly', label: 'Monthly Churn', userField: p.churnRate, unit: '%', lowerBetter: true },
-    { key: 'cac', label: 'Customer Acquisition Cost', userField: p.cac, unit: '€', lowerBetter: true },
-    { key: 'ltv', label: 'Lifetime Value', userField: p.ltv, unit: '€', lowerBetter: false },
-    { key: 'salesCycleDays', label: 'Sales Cycle', userField: p.salesCycle, unit: 'days', lowerBetter: true },
-    { key: 'avgDealSize', label: 'Avg Deal Size', userField: p.avgDealSize, unit: '€', lowerBetter: false },
-    { key: 'winRate', label: 'Win Rate', userField: p.winRate, unit: '%', lowerBetter: false },
-    { key: 'netRevenueRetention', label: 'Net Revenue Retention', userField: p.nrr, unit: '%', lowerBetter: false },
-    { key: 'grossMargin', label: 'Gross Margin', userField: null, unit: '%', lowerBetter: false },
-  ];
+  const metricDefs = scorecardMetrics(stageData, currency, 'days')
+    .map(m => ({ ...m, label: m.longLabel || m.label }));
 
-  const metrics = [];
+  const tracked = [];
   for (const m of metricDefs) {
-    const bmData = bm[m.key];
+    const bmData = benchmarkInCurrency(bm[m.key], currency);
     if (!bmData || bmData.median === null || bmData.median === undefined) continue;
-    const userVal = num(m.userField);
+    const userVal = metricNumber(metrics, m.field, { period: m.period, currency });
     if (userVal === null) continue; // Dashboard only tracks metrics with known current values
 
     const med = bmData.median;
@@ -957,7 +575,9 @@ function buildDashboardData(profile, stageData) {
     }
     healthScore = Math.max(0, Math.min(100, healthScore));
 
-    metrics.push({
+    const position = benchmarkPosition(userVal, bmData, m.lowerBetter);
+
+    tracked.push({
       key: m.key,
       label: m.label,
       unit: m.unit,
@@ -967,17 +587,21 @@ function buildDashboardData(profile, stageData) {
       good,
       bad,
       target90Day: target90,
-      healthScore
+      healthScore,
+      percentile: position?.percentile ?? null,
+      standing: position?.standing ?? null,
+      position: position?.band ?? null,
+      ...(metrics[m.field]?.derived && { formula: metrics[m.field].formula })
     });
   }
 
-  if (metrics.length === 0) return null;
+  if (tracked.length === 0) return null;
 
   return {
     companyName: p.companyName || 'Company',
     stageLabel: stageData.label,
     generatedAt: new Date().toISOString(),
-    metrics
+    metrics: tracked
   };
 }
 
@@ -985,42 +609,40 @@ function buildDashboardData(profile, stageData) {
 // FINANCIAL TRANSLATION ENGINE — converts findings into monthly revenue impact
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function buildFinancialImpact(profile, stageData) {
-  const num = (v) => {
-    if (!v) return null;
-    const s = String(v).replace(/[^0-9.,]/g, '').replace(',', '.');
-    const n = parseFloat(s);
-    return isNaN(n) ? null : n;
-  };
-
+export function buildFinancialImpact(profile, metrics, stageData) {
   const p = profile;
-  const bm = stageData?.benchmarks || {};
+  // Everything is computed in the company's own currency; EUR benchmarks are converted
+  const currency = reportingCurrency(metrics);
+  const money = v => formatMoney(v, currency);
+  const bm = Object.fromEntries(Object.entries(stageData?.benchmarks || {}).map(([k, v]) => [k, benchmarkInCurrency(v, currency)]));
   const impacts = [];
   let totalMonthly = 0;
 
   // Parse core financial metrics
-  const mrr = num(p.revenue);
-  const acv = num(p.avgDealSize);
-  const teamSize = num(p.teamSize);
-  const winRate = num(p.winRate);
-  const churnRate = num(p.churnRate);
-  const nrr = num(p.nrr);
-  const salesCycle = num(p.salesCycle);
-
-  // Derive ACV/12 for monthly deal value (if ACV looks annual, divide; if monthly, use as-is)
-  // Heuristic: if avgDealSize > 12x MRR and MRR exists, it's likely annual
+  const mrr = metricNumber(metrics, 'revenue', { period: 'monthly', currency });
+  const acv = metricNumber(metrics, 'avgDealSize', { currency });
+  const teamSize = metricNumber(metrics, 'teamSize');
+  const winRate = metricNumber(metrics, 'winRate');
+  const churnRate = metricNumber(metrics, 'churnRate');
+  const nrr = metricNumber(metrics, 'nrr');
+  const salesCycle = metricNumber(metrics, 'salesCycle');
+
+  // Which constraints apply depends on the business model's benchmark pack
+  const levers = new Set(stageData?.financialLevers?.length ? stageData.financialLevers : ['delivery_capacity', 'win_rate', 'sales_cycle', 'churn', 'nrr']);
+
+  // Monthly value of a deal: ACV/12 unless the user stated a monthly or one-off deal size
   const monthlyDealValue = acv
-    ? (mrr && acv > mrr * 3 ? acv / 12 : acv)
+    ? metricNumber(metrics, 'avgDealSize', { period: 'monthly', currency })
     : (mrr && teamSize ? mrr / Math.max(teamSize, 1) : null);
 
   // Use stage medians as fallback for calculations
   const medianWinRate = bm.winRate?.median || 25;
   const medianChurn = bm.churnMonthly?.median || 3;
-  const medianAcv = bm.avgDealSize?.median || 10000;
+  const medianAcv = bm.avgDealSize?.median || Math.round(convertCurrency(10000, 'EUR', currency));
 
   // ── 1. DELIVERY CONSTRAINT (capacity ceiling) ──
   // If team is small and revenue exists, estimate capacity gap
-  if (mrr && teamSize) {
+  if (levers.has('delivery_capacity') && mrr && teamSize) {
     // Revenue per person — compare to stage benchmark
     const revPerPerson = mrr / teamSize;
     const benchmarkRevPerPerson = bm.revenuePerEmployee?.median
@@ -1035,9 +657,9 @@ function buildFinancialImpact(profile, stageData) {
         impacts.push({
           type: 'delivery_constraint',
           label: 'Delivery / Capacity Constraint',
-          formula: `(Team of ${teamSize} × €${Math.round(benchmarkRevPerPerson).toLocaleString('de-DE')}/person stage median) – Current MRR €${mrr.toLocaleString('de-DE')}`,
+          formula: `(Team of ${teamSize} × ${money(benchmarkRevPerPerson)}/person stage median) – Current MRR ${money(mrr)}`,
           monthlyImpact: gap,
-          explanation: `At your stage, the median revenue per team member is ~€${Math.round(benchmarkRevPerPerson).toLocaleString('de-DE')}/mo. Your team of ${teamSize} could support ~€${Math.round(potentialMrr).toLocaleString('de-DE')}/mo in MRR, but you're at €${mrr.toLocaleString('de-DE')}/mo — a gap of €${gap.toLocaleString('de-DE')}/mo in unrealized capacity.`
+          explanation: `At your stage, the median revenue per team member is ~${money(benchmarkRevPerPerson)}/mo. Your team of ${teamSize} could support ~${money(potentialMrr)}/mo in MRR, but you're at ${money(mrr)}/mo — a gap of ${money(gap)}/mo in unrealized capacity.`
         });
         totalMonthly += gap;
       }
@@ -1046,7 +668,7 @@ function buildFinancialImpact(profile, stageData) {
 
   // ── 2. GTM CONSTRAINT (pipeline/win rate gap) ──
   // If win rate is below median, calculate lost revenue
-  if (winRate !== null && mrr) {
+  if (levers.has('win_rate') && winRate !== null && mrr) {
     const effectiveWinRate = winRate / 100;
     const medianRate = medianWinRate / 100;
 
@@ -1064,9 +686,10 @@ function buildFinancialImpact(profile, stageData) {
           impacts.push({
             type: 'gtm_constraint',
             label: 'GTM / Pipeline Constraint (Win Rate Gap)',
-            formula: `Pipeline of ~${Math.round(estimatedPipeline)} opps/mo × (${medianWinRate}% median – ${winRate}% actual) × €${Math.round(monthlyDealValue || medianAcv / 12).toLocaleString('de-DE')}/deal`,
+            metric: 'winRate',
+            formula: `Pipeline of ~${Math.round(estimatedPipeline)} opps/mo × (${medianWinRate}% median – ${winRate}% actual) × ${money(monthlyDealValue || medianAcv / 12)}/deal`,
             monthlyImpact: gap,
-            explanation: `Your win rate of ${winRate}% is below the ${stageData?.label || 'stage'} median of ${medianWinRate}%. Closing at the median rate on your existing pipeline would generate ~€${gap.toLocaleString('de-DE')}/mo in additional revenue.`
+            explanation: `Your win rate of ${winRate}% is below the ${stageData?.label || 'stage'} median of ${medianWinRate}%. Closing at the median rate on your existing pipeline would generate ~${money(gap)}/mo in additional revenue.`
           });
           totalMonthly += gap;
         }
@@ -1075,7 +698,7 @@ function buildFinancialImpact(profile, stageData) {
   }
 
   // ── 3. GTM CONSTRAINT (sales cycle drag) ──
-  if (salesCycle !== null && mrr && bm.salesCycleDays?.median) {
+  if (levers.has('sales_cycle') && salesCycle !== null && mrr && bm.salesCycleDays?.median) {
     const medianCycle = bm.salesCycleDays.median;
     if (salesCycle > medianCycle * 1.3) {
       // Longer cycle = fewer deals closed per period
@@ -1086,9 +709,9 @@ function buildFinancialImpact(profile, stageData) {
         impacts.push({
           type: 'gtm_constraint',
           label: 'GTM Constraint (Sales Cycle Drag)',
-          formula: `Current MRR €${mrr.toLocaleString('de-DE')} × (1 – ${medianCycle}d median / ${salesCycle}d actual cycle)`,
+          formula: `Current MRR ${money(mrr)} × (1 – ${medianCycle}d median / ${salesCycle}d actual cycle)`,
           monthlyImpact: gap,
-          explanation: `Your sales cycle of ${salesCycle} days is ${Math.round((salesCycle / medianCycle - 1) * 100)}% longer than the ${stageData?.label || 'stage'} median of ${medianCycle} days. Faster cycles at the same pipeline would unlock ~€${gap.toLocaleString('de-DE')}/mo in accelerated revenue.`
+          explanation: `Your sales cycle of ${salesCycle} days is ${Math.round((salesCycle / medianCycle - 1) * 100)}% longer than the ${stageData?.label || 'stage'} median of ${medianCycle} days. Faster cycles at the same pipeline would unlock ~${money(gap)}/mo in accelerated revenue.`
         });
         totalMonthly += gap;
       }
@@ -1096,7 +719,7 @@ function buildFinancialImpact(profile, stageData) {
   }
 
   // ── 4. CHURN / VALUE CONSTRAINT ──
-  if (churnRate !== null && mrr) {
+  if (levers.has('churn') && churnRate !== null && mrr) {
     const monthlyChurnRevenue = Math.round(mrr * (churnRate / 100));
     const medianChurnRevenue = Math.round(mrr * (medianChurn / 100));
 
@@ -1106,9 +729,10 @@ function buildFinancialImpact(profile, stageData) {
         impacts.push({
           type: 'churn_constraint',
           label: 'Churn / Retention Constraint',
-          formula: `MRR €${mrr.toLocaleString('de-DE')} × (${churnRate}% actual – ${medianChurn}% median churn)`,
+          metric: 'churnRate',
+          formula: `MRR ${money(mrr)} × (${churnRate}% actual – ${medianChurn}% median churn)`,
           monthlyImpact: excessChurn,
-          explanation: `At ${churnRate}% monthly churn, you're losing ~€${monthlyChurnRevenue.toLocaleString('de-DE')}/mo. Reducing to the ${stageData?.label || 'stage'} median of ${medianChurn}% would save €${excessChurn.toLocaleString('de-DE')}/mo — that's €${(excessChurn * 12).toLocaleString('de-DE')} per year in retained revenue.`
+          explanation: `At ${churnRate}% monthly churn, you're losing ~${money(monthlyChurnRevenue)}/mo. Reducing to the ${stageData?.label || 'stage'} median of ${medianChurn}% would save ${money(excessChurn)}/mo — that's ${money(excessChurn * 12)} per year in retained revenue.`
         });
         totalMonthly += excessChurn;
       }
@@ -1117,16 +741,17 @@ function buildFinancialImpact(profile, stageData) {
       impacts.push({
         type: 'churn_constraint',
         label: 'Churn / Retention Cost (At Benchmark)',
-        formula: `MRR €${mrr.toLocaleString('de-DE')} × ${churnRate}% monthly churn`,
+        metric: 'churnRate',
+        formula: `MRR ${money(mrr)} × ${churnRate}% monthly churn`,
         monthlyImpact: monthlyChurnRevenue,
-        explanation: `Your churn rate of ${churnRate}% is near the ${stageData?.label || 'stage'} median, but still costs €${monthlyChurnRevenue.toLocaleString('de-DE')}/mo in lost revenue (€${(monthlyChurnRevenue * 12).toLocaleString('de-DE')}/yr).`
+        explanation: `Your churn rate of ${churnRate}% is near the ${stageData?.label || 'stage'} median, but still costs ${money(monthlyChurnRevenue)}/mo in lost revenue (${money(monthlyChurnRevenue * 12)}/yr).`
       });
       // Don't add at-median churn to total gap — it's not excess
     }
   }
 
   // ── 5. NRR EXPANSION GAP ──
-  if (nrr !== null && mrr && bm.netRevenueRetention?.median) {
+  if (levers.has('nrr') && nrr !== null && mrr && bm.netRevenueRetention?.median) {
     const medianNrr = bm.netRevenueRetention.median;
     if (nrr < medianNrr) {
       const nrrGap = (medianNrr - nrr) / 100;
@@ -1135,15 +760,96 @@ function buildFinancialImpact(profile, stageData) {
         impacts.push({
           type: 'expansion_constraint',
           label: 'Expansion Revenue Gap (NRR)',
-          formula: `MRR €${mrr.toLocaleString('de-DE')} × (${medianNrr}% median NRR – ${nrr}% actual NRR)`,
+          formula: `MRR ${money(mrr)} × (${medianNrr}% median NRR – ${nrr}% actual NRR)`,
           monthlyImpact: monthlyGap,
-          explanation: `Your NRR of ${nrr}% falls below the ${stageData?.label || 'stage'} median of ${medianNrr}%. Reaching the median would mean €${monthlyGap.toLocaleString('de-DE')}/mo in additional expansion revenue.`
+          explanation: `Your NRR of ${nrr}% falls below the ${stageData?.label || 'stage'} median of ${medianNrr}%. Reaching the median would mean ${money(monthlyGap)}/mo in additional expansion revenue.`
         });
         totalMonthly += monthlyGap;
       }
     }
   }
 
+  // ── 6. UTILIZATION GAP (agencies / services) ──
+  // Same team and rates, more billable hours: revenue scales with utilization
+  const utilization = metricNumber(metrics, 'utilization');
+  if (levers.has('utilization') && utilization && mrr && bm.utilization?.median) {
+    const medianUtil = bm.utilization.median;
+    if (utilization < medianUtil) {
+      const gap = Math.round(mrr * (medianUtil / utilization - 1));
+      if (gap > 0) {
+        impacts.push({
+          type: 'delivery_constraint',
+          label: 'Billable Utilization Gap',
+          formula: `Monthly revenue ${money(mrr)} × (${medianUtil}% median / ${utilization}% actual utilization – 1)`,
+          monthlyImpact: gap,
+          explanation: `Your team bills ${utilization}% of its available hours against a ${stageData?.label || 'stage'} median of ${medianUtil}%. At median utilization the same team and rates would bill ~${money(gap)}/mo more.`
+        });
+        totalMonthly += gap;
+      }
+    }
+  }
+
+  // ── 7. TAKE RATE GAP (marketplaces) ──
+  const takeRate = metricNumber(metrics, 'takeRate');
+  if (levers.has('take_rate') && takeRate && bm.takeRate?.median) {
+    const medianTake = bm.takeRate.median;
+    // GMV stated, or implied by net revenue ÷ take rate
+    const gmv = metricNumber(metrics, 'gmv', { period: 'monthly', currency }) || (mrr ? mrr / (takeRate / 100) : null);
+    if (gmv && takeRate < medianTake) {
+      const gap = Math.round(gmv * (medianTake - takeRate) / 100);
+      if (gap > 0) {
+        impacts.push({
+          type: 'monetization_constraint',
+          label: 'Take Rate Gap',
+          formula: `Monthly GMV ${money(gmv)} × (${medianTake}% median – ${takeRate}% actual take rate)`,
+          monthlyImpact: gap,
+          explanation: `You keep ${takeRate}% of GMV; the ${stageData?.label || 'stage'} median is ${medianTake}%. Closing the gap on current volume (through value-added services, not a flat fee increase) is worth ~${money(gap)}/mo.`
+        });
+        totalMonthly += gap;
+      }
+    }
+  }
+
+  // ── 8. CONVERSION GAP (e-commerce store / free → paid) ──
+  const conversionRate = metricNumber(metrics, 'conversionRate');
+  if (levers.has('conversion') && conversionRate && mrr && bm.conversionRate?.median) {
+    const medianConv = bm.conversionRate.median;
+    if (conversionRate < medianConv) {
+      const gap = Math.round(mrr * (medianConv / conversionRate - 1));
+      if (gap > 0) {
+        impacts.push({
+          type: 'gtm_constraint',
+          label: 'Conversion Rate Gap',
+          formula: `Monthly revenue ${money(mrr)} × (${medianConv}% median / ${conversionRate}% actual conversion – 1)`,
+          monthlyImpact: gap,
+          explanation: `You convert ${conversionRate}% against a ${stageData?.label || 'stage'} median of ${medianConv}%. Converting the same traffic at the median would add ~${money(gap)}/mo.`
+        });
+        totalMonthly += gap;
+      }
+    }
+  }
+
+  // ── 9. REPEAT PURCHASE GAP (e-commerce, marketplaces) ──
+  const repeatRate = metricNumber(metrics, 'repeatRate');
+  if (levers.has('repeat_rate') && repeatRate !== null && mrr && bm.repeatRate?.median) {
+    const medianRepeat = bm.repeatRate.median;
+    if (repeatRate < medianRepeat) {
+      // Repeat revenue share moves from actual to median on a base of new-customer revenue
+      const newRevenue = mrr * (1 - repeatRate / 100);
+      const gap = Math.round(newRevenue / (1 - medianRepeat / 100) - mrr);
+      if (gap > 0) {
+        impacts.push({
+          type: 'churn_constraint',
+          label: 'Repeat Purchase Gap',
+          formula: `New-customer revenue ${money(newRevenue)} ÷ (1 – ${medianRepeat}% median repeat share) – current ${money(mrr)}`,
+          monthlyImpact: gap,
+          explanation: `Your repeat rate of ${repeatRate}% trails the ${stageData?.label || 'stage'} median of ${medianRepeat}%. With the same acquisition, bringing repeat business up to the median share of revenue adds ~${money(gap)}/mo.`
+        });
+        totalMonthly += gap;
+      }
+    }
+  }
+
   // Build the output block for the prompt
   if (impacts.length === 0 && mrr) {
     return {
@@ -1164,38 +870,40 @@ function buildFinancialImpact(profile, stageData) {
   }
 
   let block = '\n═══════════════════════════════════════════\n💰 FINANCIAL IMPACT ANALYSIS (pre-computed — embed in report)\n═══════════════════════════════════════════\n';
-  block += `Total Estimated Cost of Identified Constraints: €${totalMonthly.toLocaleString('de-DE')}/month (€${(totalMonthly * 12).toLocaleString('de-DE')}/year)\n\n`;
+  block += `Total Estimated Cost of Identified Constraints: ${money(totalMonthly)}/month (${money(totalMonthly * 12)}/year)\n\n`;
 
   impacts.forEach((imp, i) => {
     block += `IMPACT ${i + 1}: ${imp.label}\n`;
     block += `  Formula: ${imp.formula}\n`;
-    block += `  Monthly Impact: €${imp.monthlyImpact.toLocaleString('de-DE')}/month (€${(imp.monthlyImpact * 12).toLocaleString('de-DE')}/year)\n`;
+    block += `  Monthly Impact: ${money(imp.monthlyImpact)}/month (${money(imp.monthlyImpact * 12)}/year)\n`;
     block += `  ${imp.explanation}\n\n`;
   });
 
   block += `INSTRUCTION: For EACH diagnostic finding (F1, F2, F3), include a highlighted box at the end:\n`;
-  block += `"💰 Estimated Monthly Impact: €X,XXX/month in unrealized revenue. Over 12 months, this constraint costs approximately €XX,XXX if unresolved."\n`;
+  block += `"💰 Estimated Monthly Impact: ${currencySymbol(currency)}X,XXX/month in unrealized revenue. Over 12 months, this constraint costs approximately ${currencySymbol(currency)}XX,XXX if unresolved."\n`;
   block += `Map each finding to the most relevant impact calculation above. If a finding maps to multiple impacts, sum them.\n`;
-  block += `In the report SUMMARY, include the total: "Total estimated cost of identified constraints: €${totalMonthly.toLocaleString('de-DE')}/month (€${(totalMonthly * 12).toLocaleString('de-DE')}/year)."\n`;
+  block += `In the report SUMMARY, include the total: "Total estimated cost of identified constraints: ${money(totalMonthly)}/month (${money(totalMonthly * 12)}/year)."\n`;
 
-  return { block, impacts, totalMonthly, totalAnnual: totalMonthly * 12 };
+  return { block, impacts, totalMonthly, totalAnnual: totalMonthly * 12, currency };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SCENARIO MODELING — 3 paths (conservative, base case, aggressive)
+//
+// mode 'bands': projections are the recovery bands applied to the impact base,
+// probabilities are calibrated by hand. mode 'simulation' (default, see
+// SCENARIO_MODE): both come from api/_lib/scenario-simulation.js — P10–P90 at
+// day 90 and the simulated chance of adding the band's floor over doing nothing.
+// targets ({ churnRate, winRate }) and hires are what-ifs from /api/scenario;
+// they only exist in the simulation.
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch, feasibilityFlags) {
+export function buildScenarioModeling(profile, metrics, stageData, financialImpact, cohortMatch, feasibilityFlags, { mode = 'simulation', targets, hires = [] } = {}) {
   const p = profile;
-  const num = (v) => {
-    if (!v) return null;
-    const s = String(v).replace(/[^0-9.,]/g, '').replace(',', '.');
-    const n = parseFloat(s);
-    return isNaN(n) ? null : n;
-  };
-
-  const mrr = num(p.revenue);
-  const teamSize = num(p.teamSize);
+  const currency = reportingCurrency(metrics);
+  const money = v => formatMoney(v, currency);
+  const mrr = metricNumber(metrics, 'revenue', { period: 'monthly', currency });
+  const teamSize = metricNumber(metrics, 'teamSize');
   const stageKey = stageData?.label || 'Startup';
 
   // ── Early exit: no MRR ──
@@ -1204,7 +912,7 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
     const qualBlock = isPreSeed
       ? `\n${'═'.repeat(43)}\n🎯 SCENARIO MODELING DATA\n${'═'.repeat(43)}\nPre-revenue stage. Scenarios should focus on:\n  1. Conservative: Validate with 3 design partners before building. Target: 1 paying pilot in 90 days.\n  2. Base Case: Build MVP in Month 1, onboard 2 design partners in Month 2, convert 1 to paid in Month 3.\n  3. Aggressive: Parallel build + sell. Target: 3 paid pilots in 90 days. Requires co-founder or contractor.\nINSTRUCTION: Write qualitative scenarios using milestones (design partners, pilots, first revenue) instead of MRR projections.\n`
       : `\n${'═'.repeat(43)}\n🎯 SCENARIO MODELING DATA\n${'═'.repeat(43)}\nRevenue not disclosed. Use qualitative scenario framing based on bottleneck resolution speed.\nINSTRUCTION: Write scenarios using qualitative milestones instead of MRR projections. Reference confirmed constraints and diagnosed problems.\n`;
-    return { block: qualBlock, scenarios: null, decisionModel: null, constraintPriority: [] };
+    return { block: qualBlock, scenarios: null, decisionModel: null, constraintPriority: [], simulation: null };
   }
 
   // ── Rank constraints by financial impact ──
@@ -1266,7 +974,7 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
 
   // ── Impact base for projections ──
   const totalImpact = financialImpact.totalMonthly || 0;
-  const growthPct = num(p.growthTarget);
+  const growthPct = metricNumber(metrics, 'growthTarget');
   const fallbackImpact = growthPct ? mrr * (Math.min(growthPct, 300) / 100) : mrr * 0.30;
   const impactBase = totalImpact > 0 ? totalImpact : fallbackImpact;
 
@@ -1277,11 +985,11 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
 
   // Archetype calibration
   const matches = cohortMatch?.matches || [];
-  if (matches.length > 0 && matches[0].score >= 50) {
+  if (matches.length > 0 && matches[0].confidence >= 40) {
     probConservative += 5;
     probBaseCase += 8;
     probAggressive += 5;
-  } else if (matches.length > 0 && matches[0].score >= 30) {
+  } else if (matches.length > 0) {
     probConservative += 3;
     probBaseCase += 5;
     probAggressive += 3;
@@ -1308,6 +1016,85 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
   probBaseCase = clampProb(probBaseCase);
   probAggressive = clampProb(probAggressive);
 
+  // ── Simulation: the same adjustments become stall risk instead of fixed odds ──
+  let simulation = null;
+  if (mode === 'simulation') {
+    const stallRisk = { Conservative: 0.05, 'Base Case': 0.10, Aggressive: 0.20 };
+    for (const f of flags) {
+      if (f.severity === 'high') { stallRisk.Aggressive += 0.05; stallRisk['Base Case'] += 0.03; }
+      else if (f.severity === 'medium') stallRisk.Aggressive += 0.03;
+    }
+    if (isBoot && mrr < 10000) stallRisk.Aggressive += 0.05;
+    if (matches.length > 0 && matches[0].confidence >= 40) for (const k in stallRisk) stallRisk[k] -= 0.02;
+
+    // Monthly value of a deal a new hire closes, as in the financial impact
+    const dealValue = metricNumber(metrics, 'avgDealSize', { period: 'monthly', currency })
+      ?? (benchmarkInCurrency(stageData?.benchmarks?.avgDealSize, currency)?.median || convertCurrency(10000, 'EUR', currency)) / 12;
+    const inputs = simulationInputs({
+      mrr,
+      metrics,
+      benchmarks: stageData?.benchmarks,
+      impacts: rankedConstraints,
+      fallbackImpact: totalImpact > 0 ? 0 : fallbackImpact,
+      matches,
+      targets,
+      hires,
+      dealValue
+    });
+    const paths = [['Conservative', conservative, 3], ['Base Case', baseCase, 3], ['Aggressive', aggressive, 2]]
+      .map(([name, band, rampMonths]) => ({
+        name,
+        band,
+        rampMonths,
+        targetGain: impactBase * band.low,
+        stallRisk: Math.round(Math.max(0.02, Math.min(0.5, stallRisk[name])) * 100) / 100
+      }));
+    const results = simulateScenarios(inputs, paths);
+    simulation = {
+      runs: DEFAULT_RUNS,
+      drivers: {
+        recoverableImpact: Math.round(inputs.recoverableImpact),
+        churn: inputs.churn,
+        winRate: inputs.winRate,
+        monthlyGrowth: inputs.growth,
+        archetypes: inputs.archetypes,
+        hires: inputs.hires
+      },
+      paths: results.map((r, i) => ({ ...r, stallRisk: paths[i].stallRisk }))
+    };
+    const simProb = name => Math.max(1, Math.min(99, results.find(r => r.name === name).successProbability));
+    probConservative = simProb('Conservative');
+    probBaseCase = simProb('Base Case');
+    probAggressive = simProb('Aggressive');
+  }
+  const simPath = name => simulation?.paths.find(p => p.name === name) || null;
+
+  // Day-90 projection: the band on the impact base, or the simulated P10–P90
+  const projection = (band, sim) => {
+    if (!sim) {
+      return {
+        mrrCurrent: mrr,
+        mrrGainLow: Math.round(impactBase * band.low),
+        mrrGainHigh: Math.round(impactBase * band.high),
+        mrrProjectedLow: Math.round(mrr + impactBase * band.low),
+        mrrProjectedHigh: Math.round(mrr + impactBase * band.high),
+        changePercentLow: Math.round((impactBase * band.low / mrr) * 100),
+        changePercentHigh: Math.round((impactBase * band.high / mrr) * 100)
+      };
+    }
+    const { p10, p90 } = sim.day90;
+    return {
+      mrrCurrent: mrr,
+      mrrGainLow: Math.round(p10 - mrr),
+      mrrGainHigh: Math.round(p90 - mrr),
+      mrrProjectedLow: p10,
+      mrrProjectedHigh: p90,
+      changePercentLow: Math.round(((p10 - mrr) / mrr) * 100),
+      changePercentHigh: Math.round(((p90 - mrr) / mrr) * 100),
+      simulation: sim
+    };
+  };
+
   // ── Build 3 scenarios ──
   const f1 = rankedConstraints[0] || null;
   const f2 = rankedConstraints[1] || null;
@@ -1321,19 +1108,15 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
   const scenarios = [
     {
       name: 'Conservative',
-      mrrCurrent: mrr,
-      mrrGainLow: Math.round(impactBase * conservative.low),
-      mrrGainHigh: Math.round(impactBase * conservative.high),
-      mrrProjectedLow: Math.round(mrr + impactBase * conservative.low),
-      mrrProjectedHigh: Math.round(mrr + impactBase * conservative.high),
-      changePercentLow: Math.round((impactBase * conservative.low / mrr) * 100),
-      changePercentHigh: Math.round((impactBase * conservative.high / mrr) * 100),
+      ...projection(conservative, simPath('Conservative')),
       riskLevel: 'Low',
       successProbability: probConservative,
       focus: `Fix ${f1Label} exclusively for 60 days before expanding`,
       assumptions: [
         `Focus 100% on ${f1Label} for first 60 days — no new GTM or channel experiments`,
-        `No new hires; ${teamDesc} reallocates internally`,
+        hires.length
+          ? `Planned hires only (${hires.map(h => `${h.count} ${h.role || 'hire'}${h.count > 1 && !h.role ? 's' : ''} in month ${h.month}`).join(', ')}); otherwise ${teamDesc} reallocates internally`
+          : `No new hires; ${teamDesc} reallocates internally`,
         `Add 1 client from existing network or referrals only`,
         `${f2Label} addressed only in Month 3 after foundation is stable`,
         isBoot ? 'Bootstrapped — zero additional cash outlay beyond current operations' : `Budget: ${budget || 'current allocation'} — no increase`
@@ -1346,13 +1129,7 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
     },
     {
       name: 'Base Case',
-      mrrCurrent: mrr,
-      mrrGainLow: Math.round(impactBase * baseCase.low),
-      mrrGainHigh: Math.round(impactBase * baseCase.high),
-      mrrProjectedLow: Math.round(mrr + impactBase * baseCase.low),
-      mrrProjectedHigh: Math.round(mrr + impactBase * baseCase.high),
-      changePercentLow: Math.round((impactBase * baseCase.low / mrr) * 100),
-      changePercentHigh: Math.round((impactBase * baseCase.high / mrr) * 100),
+      ...projection(baseCase, simPath('Base Case')),
       riskLevel: 'Moderate',
       successProbability: probBaseCase,
       focus: `Productize ${f1Label} fix in Month 1, launch ${f2Label} intervention in Month 2`,
@@ -1371,13 +1148,7 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
     },
     {
       name: 'Aggressive',
-      mrrCurrent: mrr,
-      mrrGainLow: Math.round(impactBase * aggressive.low),
-      mrrGainHigh: Math.round(impactBase * aggressive.high),
-      mrrProjectedLow: Math.round(mrr + impactBase * aggressive.low),
-      mrrProjectedHigh: Math.round(mrr + impactBase * aggressive.high),
-      changePercentLow: Math.round((impactBase * aggressive.low / mrr) * 100),
-      changePercentHigh: Math.round((impactBase * aggressive.high / mrr) * 100),
+      ...projection(aggressive, simPath('Aggressive')),
       riskLevel: 'High',
       successProbability: probAggressive,
       focus: `Parallel execution: ${f1Label} + ${f2Label} simultaneously from Day 1`,
@@ -1421,24 +1192,38 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
   block += `🎯 SCENARIO MODELING DATA (pre-computed — use in Scenario Modeling section)\n`;
   block += `${'═'.repeat(43)}\n\n`;
 
-  block += `Current MRR: €${mrr.toLocaleString('de-DE')}/mo\n`;
-  block += `Total Addressable Financial Impact: €${(totalImpact > 0 ? totalImpact : 0).toLocaleString('de-DE')}/mo\n`;
-  block += `Impact Base Used for Projections: €${Math.round(impactBase).toLocaleString('de-DE')}/mo${totalImpact === 0 ? ' (estimated — no constraint-level data)' : ''}\n`;
+  block += `Current MRR: ${money(mrr)}/mo\n`;
+  block += `Total Addressable Financial Impact: ${money(totalImpact > 0 ? totalImpact : 0)}/mo\n`;
+  block += `Impact Base Used for Projections: ${money(impactBase)}/mo${totalImpact === 0 ? ' (estimated — no constraint-level data)' : ''}\n`;
 
   if (rankedConstraints.length > 0) {
     block += `\nConstraint Priority Order (fix in this sequence):\n`;
     rankedConstraints.forEach((c, i) => {
-      block += `  ${i + 1}. ${c.label}: €${c.monthlyImpact.toLocaleString('de-DE')}/mo impact\n`;
+      block += `  ${i + 1}. ${c.label}: ${money(c.monthlyImpact)}/mo impact\n`;
     });
   }
 
   block += '\n';
+  const signed = v => `${v >= 0 ? '+' : ''}${v}%`;
+  if (simulation) {
+    block += `Projections are a Monte Carlo simulation (${simulation.runs} runs) sampling constraint recovery, churn and win-rate changes from the stage benchmarks${simulation.drivers.archetypes ? ' and matched archetype outcomes' : ''}. Ranges are P10–P90 (8 in 10 outcomes fall inside), P50 is the median.\n\n`;
+  }
   scenarios.forEach(s => {
     block += `SCENARIO: ${s.name}${s.name === 'Base Case' ? ' (RECOMMENDED)' : ''}\n`;
-    block += `  MRR Projection: €${s.mrrProjectedLow.toLocaleString('de-DE')} – €${s.mrrProjectedHigh.toLocaleString('de-DE')}/mo\n`;
-    block += `  MRR Change: +${s.changePercentLow}% – +${s.changePercentHigh}%\n`;
-    block += `  Risk Level: ${s.riskLevel}\n`;
-    block += `  Success Probability: ~${s.successProbability}%\n`;
+    if (s.simulation) {
+      const { day90, month12, trajectory, targetGain } = s.simulation;
+      block += `  MRR Projection (day 90, P10–P90): ${money(s.mrrProjectedLow)} – ${money(s.mrrProjectedHigh)}/mo · median ${money(day90.p50)}/mo\n`;
+      block += `  MRR Change: ${signed(s.changePercentLow)} – ${signed(s.changePercentHigh)}\n`;
+      block += `  12-Month MRR (P10 / P50 / P90): ${money(month12.p10)} / ${money(month12.p50)} / ${money(month12.p90)}/mo\n`;
+      block += `  Median path: ${trajectory.map(t => `M${t.month} ${money(t.p50)}`).join(' · ')}\n`;
+      block += `  Risk Level: ${s.riskLevel}\n`;
+      block += `  Success Probability: ~${s.successProbability}% (simulated chance the plan adds at least ${money(targetGain)}/mo over doing nothing by day 90)\n`;
+    } else {
+      block += `  MRR Projection: ${money(s.mrrProjectedLow)} – ${money(s.mrrProjectedHigh)}/mo\n`;
+      block += `  MRR Change: ${signed(s.changePercentLow)} – ${signed(s.changePercentHigh)}\n`;
+      block += `  Risk Level: ${s.riskLevel}\n`;
+      block += `  Success Probability: ~${s.successProbability}%\n`;
+    }
     block += `  Focus: ${s.focus}\n`;
     block += `  Assumptions:\n`;
     s.assumptions.forEach(a => { block += `    • ${a}\n`; });
@@ -1452,7 +1237,7 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
   block += `    → Success probability: ~${decisionModel.sequentialPath.probability}%\n`;
   block += `  Parallel Path (Aggressive): ${decisionModel.parallelPath.action}\n`;
   block += `    → Success probability: ~${decisionModel.parallelPath.probability}%\n`;
-  block += `  Key Insight: Fixing ${f1Label}${f1 ? ` (€${f1.monthlyImpact.toLocaleString('de-DE')}/mo)` : ''} before ${f2Label} increases overall success probability by ~${probDelta} percentage points.\n`;
+  block += `  Key Insight: Fixing ${f1Label}${f1 ? ` (${money(f1.monthlyImpact)}/mo)` : ''} before ${f2Label} increases overall success probability by ~${probDelta} percentage points.\n`;
 
   if (matches.length > 0) {
     block += '\nARCHETYPE CALIBRATION:\n';
@@ -1469,12 +1254,55 @@ function buildScenarioModeling(profile, stageData, financialImpact, cohortMatch,
   }
 
   block += `\nINSTRUCTION: Write the Scenario Modeling section using EXACTLY these pre-computed values. All MRR projections, probabilities, and percentages must match the data above. Write assumptions in the company's specific context. For the decision model, use natural language like: "If you fix [X] before [Y], the probability of [positive outcome] is ~[Z]%." Do NOT invent different numbers.\n`;
+  if (simulation) {
+    block += `Present projections as ranges (P10–P90) with the median as the expected value, and say they are simulated outcomes, not guarantees. Mention the 12-month range for the recommended path.\n`;
+  }
 
   return {
     block,
     scenarios,
     decisionModel,
-    constraintPriority: rankedConstraints.map(c => ({ type: c.type, label: c.label, monthlyImpact: c.monthlyImpact }))
+    constraintPriority: rankedConstraints.map(c => ({ type: c.type, label: c.label, monthlyImpact: c.monthlyImpact })),
+    simulation
+  };
+}
+
+// Response shapes for the computed data, shared with /api/scenario
+export function summarizeFinancialImpact(financialImpact, currency) {
+  return {
+    currency,
+    total_monthly: financialImpact.totalMonthly,
+    total_annual: financialImpact.totalAnnual,
+    constraints: financialImpact.impacts.map(i => ({
+      type: i.type,
+      label: i.label,
+      monthly: i.monthlyImpact,
+      annual: i.monthlyImpact * 12
+    }))
+  };
+}
+
+export function scenarioData(scenarioModeling, currency) {
+  if (!scenarioModeling.scenarios) return null;
+  return {
+    currency,
+    scenarios: scenarioModeling.scenarios.map(s => ({
+      name: s.name,
+      mrrCurrent: s.mrrCurrent,
+      mrrProjectedLow: s.mrrProjectedLow,
+      mrrProjectedHigh: s.mrrProjectedHigh,
+      changePercentLow: s.changePercentLow,
+      changePercentHigh: s.changePercentHigh,
+      riskLevel: s.riskLevel,
+      successProbability: s.successProbability,
+      focus: s.focus,
+      assumptions: s.assumptions,
+      keyDependencies: s.keyDependencies
+    })),
+    decisionModel: scenarioModeling.decisionModel,
+    constraintPriority: scenarioModeling.constraintPriority,
+    // P10/P50/P90 per month for each path (null with SCENARIO_MODE=bands)
+    simulation: scenarioModeling.simulation
   };
 }
 
@@ -1556,14 +1384,17 @@ async function liveAudit(companyName, industry, stage, tavilyKey) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export function buildConfirmationScreen(profile) {
+  // Ranges, bounds and hedged numbers ("5-10", "about 30k") parse with low confidence
+  const metrics = buildMetrics(profile);
+  const vague = field => metrics[field] ? metrics[field].confidence < 0.8 : false;
   const criticalParams = [
     { label: 'Company', value: profile.companyName, field: 'companyName', editable: true },
     { label: 'Industry', value: profile.industry, field: 'industry', editable: true },
     { label: 'Stage', value: profile.companyStage || profile.stage, field: 'stage', editable: true },
     { label: 'Team Size', value: profile.teamSize, field: 'teamSize', editable: true,
-      requiresExact: /\d+[-–]\d+/.test(profile.teamSize || '') },
+      requiresExact: vague('teamSize') },
     { label: 'Monthly Revenue', value: profile.revenue, field: 'revenue', editable: true,
-      requiresExact: /range|approx|about|~/i.test((profile.revenue || '').toLowerCase()) },
+      requiresExact: vague('revenue') },
     { label: 'Main Bottleneck', value: profile.mainBottleneck, field: 'mainBottleneck', editable: true },
     { label: 'Primary Goal', value: profile.userPriority, field: 'userPriority', editable: true },
   ];
@@ -1573,6 +1404,185 @@ export function buildConfirmationScreen(profile) {
   return { params: criticalParams, needsClarification };
 }
 
+// Applies user corrections from the confirmation screen. Only fields the screen
+// marks editable are accepted; everything else in the session is server-owned.
+function applyProfileEdits(session, edits) {
+  if (!edits || typeof edits !== 'object') return [];
+  const editable = new Set(buildConfirmationScreen(session.profile).params.filter(p => p.editable).map(p => p.field));
+  const applied = [];
+  for (const [field, value] of Object.entries(edits)) {
+    if (!editable.has(field) || typeof value !== 'string') continue;
+    const v = value.trim().slice(0, 500);
+    if (!v || v === session.profile[field]) continue;
+    session.profile[field] = v;
+    applied.push(field);
+  }
+  if (applied.includes('stage')) {
+    const stageKey = resolveStage(session.profile.stage);
+    if (stageKey) {
+      session.resolvedStage = stageKey;
+      session.profile.companyStage = stageKey;
+    }
+  }
+  return applied;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENT SECTION STREAMER — renders report sections while the JSON streams
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Tracks the top-level members of the streamed JSON object. Each member is
+// parsed on its own once it closes; a section is emitted when all its keys
+// have arrived or a later section's key shows its turn has passed.
+function createDocumentSectionStreamer(ctx, onSection) {
+  const doc = {};
+  let buf = '', pos = 0, depth = 0, inString = false, escaped = false, memberStart = -1;
+  let next = 0;
+
+  function emitReady(final) {
+    while (next < REPORT_SECTIONS.length) {
+      const section = REPORT_SECTIONS[next];
+      const passed = REPORT_SECTIONS.slice(next + 1).some(s => s.keys.some(k => k in doc));
+      if (!final && !passed && !section.keys.every(k => k in doc)) return;
+      try {
+        onSection({ index: next, level: 2, ...renderReportSection(section, doc, ctx) });
+      } catch { /* malformed records — the validated document renders it in full */ }
+      next++;
+    }
+  }
+
+  function closeMember(end) {
+    if (memberStart < 0) return;
+    try {
+      Object.assign(doc, JSON.parse(`{${buf.slice(memberStart, end)}}`));
+    } catch { /* reported by the final validation */ }
+    memberStart = -1;
+    emitReady(false);
+  }
+
+  return {
+    push(delta) {
+      buf += delta;
+      for (; pos < buf.length; pos++) {
+        const ch = buf[pos];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+          inString = true;
+          if (depth === 1 && memberStart < 0) memberStart = pos;
+        } else if (ch === '{' || ch === '[') {
+          depth++;
+        } else if (ch === '}' || ch === ']') {
+          if (--depth === 0) closeMember(pos);
+        } else if (ch === ',' && depth === 1) {
+          closeMember(pos);
+        }
+      }
+    },
+    finish() {
+      emitReady(true);
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NUMERIC FACTS — the computed figures the report text must quote exactly
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function buildNumericFacts({ currency, financialImpact, scenarioModeling, stageData, positions }) {
+  const byKey = Object.fromEntries(positions.map(pos => [pos.key, pos]));
+  return {
+    currency,
+    totalMonthly: financialImpact.totalMonthly,
+    constraints: financialImpact.impacts.map(i => ({ label: i.label, monthly: i.monthlyImpact })),
+    scenarios: (scenarioModeling.scenarios || []).map(s => ({
+      name: s.name,
+      mrrCurrent: s.mrrCurrent,
+      mrrLow: s.mrrProjectedLow,
+      mrrHigh: s.mrrProjectedHigh,
+      pctLow: s.changePercentLow,
+      pctHigh: s.changePercentHigh,
+      probability: s.successProbability
+    })),
+    probabilityDelta: scenarioModeling.decisionModel?.probabilityDelta ?? null,
+    benchmarks: scorecardMetrics(stageData, currency).map(m => ({
+      label: m.label,
+      unit: m.unit,
+      median: benchmarkInCurrency(stageData?.benchmarks?.[m.key], currency)?.median ?? null,
+      basis: byKey[m.key]?.basis,
+      percentile: byKey[m.key]?.percentile,
+      standing: byKey[m.key]?.standing
+    }))
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT DOCUMENT REQUESTS — JSON generation and the single repair pass
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function requestReportDocument(prompt) {
+  try {
+    return parseReportDocument(await callLLM(prompt, { task: 'report', json: true, temperature: 0.4, maxTokens: 24000 }));
+  } catch (e) {
+    if (e instanceof SyntaxError) return { value: null, errors: [`response is not valid JSON (${e.message})`] };
+    throw e;
+  }
+}
+
+function repairPrompt(prompt, { value, errors }) {
+  return `${prompt}
+
+═══════════════════════════════════════════
+YOUR PREVIOUS JSON WAS REJECTED BY THE VALIDATOR
+═══════════════════════════════════════════
+${errors.slice(0, 30).map(e => `- ${e}`).join('\n')}
+${value ? `\nPREVIOUS JSON (keep what is valid, fix only the problems above):\n${JSON.stringify(value)}\n` : ''}
+Return the complete corrected JSON object.`;
+}
+
+function goldenThreadRepairPrompt(prompt, doc, violations, keys) {
+  return `${prompt}
+
+═══════════════════════════════════════════
+GOLDEN THREAD REPAIR — rewrite only the listed properties
+═══════════════════════════════════════════
+The report below was written but breaks these rules:
+${violations.map(v => `- ${formatViolation(v)}`).join('\n')}
+
+Rewrite ONLY these properties of the document so every rule holds: ${keys.map(k => `"${k}"`).join(', ')}. Keep the finding ids F1-F${doc.findings.length}, every pre-computed number and everything that already satisfies the rules. Stay consistent with the rest of the document.
+
+OUTPUT: one JSON object with ONLY those properties. No code fences.
+${describeReportSchema(subSchema(keys))}
+
+CURRENT REPORT DOCUMENT:
+${JSON.stringify(doc)}`;
+}
+
+// Targeted repair → the merged, schema-valid document, or null when the
+// model's fragment is unusable. Best effort: the document already passed
+// validation, so a failed call (invalid JSON, provider error, timeout) ships
+// it unrepaired with its violations instead of failing the report.
+async function repairGoldenThread(prompt, doc, violations, keys) {
+  let raw;
+  try {
+    raw = await callLLM(goldenThreadRepairPrompt(prompt, doc, violations, keys), { task: 'report_repair', json: true, temperature: 0.3, maxTokens: 12000 });
+  } catch (e) {
+    console.warn(`[Report v12] Golden thread repair failed: ${e instanceof SyntaxError ? 'invalid JSON' : e.message}`);
+    return null;
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const merged = { ...doc };
+  for (const key of keys) if (raw[key] !== undefined) merged[key] = raw[key];
+  const { value, errors } = validateReportDocument(merged);
+  if (errors.length) {
+    console.warn(`[Report v12] Golden thread repair rejected: ${errors.slice(0, 5).join('; ')}`);
+    return null;
+  }
+  return value;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // DIRECT QUOTE EXTRACTION — pull notable user statements for report personalization
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1697,25 +1707,79 @@ export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
   if (req.method === 'OPTIONS') return res.status(200).end();
 
+  let stream = null;
   try {
-    const { sessionData } = req.body;
-    const geminiKey = process.env.GEMINI_API_KEY;
+    const { sessionId, revision, sessionData: claimed, profileEdits } = req.body;
     const tavilyKey = process.env.TAVILY_API_KEY;
-    if (!geminiKey) return res.status(500).json({ error: 'API key missing' });
+    const llmMissing = providerMissingConfig();
+    if (llmMissing) return res.status(500).json({ error: llmMissing });
+
+    // ── Session: load by id, reject forged state, apply confirmation edits ──
+    let sessionData, sessionRevision;
+    try {
+      ({ state: sessionData, revision: sessionRevision } = await loadSession(sessionId, revision));
+    } catch (e) {
+      if (e instanceof SessionError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+    const tampered = diffProtectedState(claimed, sessionData);
+    if (tampered.length) {
+      console.warn(`[Report v12] Tampered session ${sessionId}: ${tampered.join(', ')}`);
+      return res.status(409).json({ error: 'session_tampered', fields: tampered });
+    }
+    const editedFields = applyProfileEdits(sessionData, profileEdits);
+    if (editedFields.length) {
+      sessionRevision = await saveSession(sessionId, sessionData, sessionRevision);
+      console.log(`[Report v12] Confirmation edits: ${editedFields.join(', ')}`);
+    }
 
     const p = sessionData?.profile || {};
+    // Re-derive from the (possibly edited) profile so every calculator reads the same numbers
+    const metrics = buildMetrics(p);
+    sessionData.metrics = metrics;
+    const currency = reportingCurrency(metrics);
     const companyName = p.companyName || 'Company';
     const today = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
 
+    function has(v) {
+      if (Array.isArray(v)) return v.length > 0 ? v.join('; ') : null;
+      return (v && typeof v === 'string' && v.trim()) ? v.trim() : null;
+    }
+
+    // ── Context Sufficiency Gate ──
+    const MINIMUM_REQUIRED_FIELDS = [
+      'companyName', 'industry', 'stage', 'revenue', 'mainBottleneck', 'teamSize'
+    ];
+    const missingCritical = MINIMUM_REQUIRED_FIELDS.filter(f => !has(p[f]));
+    if (missingCritical.length > 2) {
+      return res.status(400).json({
+        error: 'insufficient_context',
+        missing: missingCritical,
+        message: `Report quality requires: ${missingCritical.join(', ')}`
+      });
+    }
+
+    // ── Streaming: from here on every step reports progress ──
+    const format = streamFormat(req);
+    if (format) stream = openEventStream(res, format);
+    const progress = (step, label, data = {}) => stream?.emit('progress', { step, label, ...data });
+
     // ── Stage Resolution ──
     const stageKey = sessionData?.resolvedStage || resolveStage(p.companyStage || p.stage);
-    const bm = loadBenchmarks();
-    const stageData = bm.stages?.[stageKey] || bm.stages?.seed_startup;
-    const marketCtx = bm.marketContext2026 || {};
+    const businessModel = resolveBusinessModel(p.businessModel);
+    // Score against the library version the session started on, so the report is reproducible
+    const benchmarkVersion = resolveBenchmarkVersion(sessionData?.benchmarkVersion);
+    const stageData = getStageData(stageKey, businessModel, benchmarkVersion);
+    // The market context describes the SaaS market; other models go without it
+    const marketCtx = ['saas', 'usage_api'].includes(businessModel) ? loadBenchmarks(benchmarkVersion).marketContext2026 || {} : {};
 
     // ── Pre-Analysis Guardrail ──
-    const feasibilityFlags = runFeasibilityChecks(p, stageData);
-    console.log(`[Report v12] Stage: ${stageKey}, Flags: ${feasibilityFlags.length}`);
+    // Flags the user already stood by in the chat are real figures, not data errors
+    const confirmedInChat = new Set((sessionData?.flags || []).filter(f => f.status === 'confirmed').map(f => f.id));
+    const feasibilityFlags = runFeasibilityChecks(p, metrics, stageData, { stageKey, model: businessModel })
+      .map(f => (confirmedInChat.has(f.id) ? { ...f, confirmedByUser: true } : f));
+    console.log(`[Report v12] Stage: ${stageKey}, Model: ${businessModel}, Benchmarks: ${benchmarkVersion}, Flags: ${feasibilityFlags.length}`);
+    progress('feasibility', 'Feasibility checks', { stage: stageKey, business_model: businessModel, benchmark_version: benchmarkVersion, feasibility_flags: feasibilityFlags });
 
     // ── Live Market Audit ──
     let liveData = null;
@@ -1724,26 +1788,37 @@ export default async function handler(req, res) {
     } catch (e) {
       console.warn('[Report v12] Live audit skipped:', e.message);
     }
+    progress('live_audit', 'Live market audit', { available: !!liveData });
 
     // ── Benchmark Scorecard ──
-    const scorecardBlock = buildBenchmarkScorecard(p, stageData);
+    // Scorecard, percentiles, charts and dashboard also score the derived unit economics
+    const scoredMetrics = withUnitEconomics(metrics);
+    const unitEconomics = deriveUnitEconomics(metrics);
+    const scorecardBlock = buildBenchmarkScorecard(p, scoredMetrics, stageData);
 
     // ── Chart Data for frontend rendering ──
-    const chartData = buildChartData(p, stageData);
+    const chartData = buildChartData(p, scoredMetrics, stageData);
+
+    // ── Peer percentiles for every disclosed metric ──
+    const benchmarkPositions = buildBenchmarkPositions(scoredMetrics, stageData);
 
     // ── Dashboard Data for interactive 90-day tracking ──
-    const dashboardData = buildDashboardData(p, stageData);
+    const dashboardData = buildDashboardData(p, scoredMetrics, stageData);
+    progress('scorecard', 'Benchmark scorecard', { chart_data: chartData });
 
     // ── Operating Model Context ──
     const operatingModelBlock = buildOperatingModelContext(p);
 
     // ── Financial Impact Analysis ──
-    const financialImpact = buildFinancialImpact(p, stageData);
+    const financialImpact = buildFinancialImpact(p, metrics, stageData);
     const financialBlock = financialImpact.block;
+    progress('financial_impact', 'Financial impact', { total_monthly: financialImpact.totalMonthly, total_annual: financialImpact.totalAnnual });
 
     // ── Cohort Pattern Matching ──
-    const cohortMatch = matchArchetypes(p, stageKey);
+    const cohortMatch = matchArchetypes(p, metrics, stageKey);
     const cohortBlock = cohortMatch.block;
+    console.log(`[Report v12] Cohort: ${cohortMatch.candidates.slice(0, 3).map(c => `${c.id} ${c.confidence}%`).join(', ') || 'no archetypes'} → ${cohortMatch.matches.length} match(es)`);
+    progress('cohort_match', 'Cohort pattern match', { cohort_matches: cohortMatch.matches });
 
     // ── Buyer Psychology Classification ──
     const buyerPsych = classifyBuyerPsychology(
@@ -1755,21 +1830,20 @@ export default async function handler(req, res) {
     console.log(`[Report v12] Buyer: ${buyerPsych.primary} (${buyerPsych.confidence}% confidence)`);
 
     // ── Scenario Modeling ──
-    const scenarioModeling = buildScenarioModeling(p, stageData, financialImpact, cohortMatch, feasibilityFlags);
+    const scenarioMode = (process.env.SCENARIO_MODE || 'simulation').toLowerCase().trim() === 'bands' ? 'bands' : 'simulation';
+    const scenarioModeling = buildScenarioModeling(p, metrics, stageData, financialImpact, cohortMatch, feasibilityFlags, { mode: scenarioMode });
     const scenarioBlock = scenarioModeling.block;
-    console.log(`[Report v12] Scenarios: ${scenarioModeling.scenarios ? scenarioModeling.scenarios.length : 0} paths`);
+    console.log(`[Report v12] Scenarios: ${scenarioModeling.scenarios ? scenarioModeling.scenarios.length : 0} paths` +
+      (scenarioModeling.simulation ? ` (simulated, ${scenarioModeling.simulation.runs} runs)` : ''));
+    progress('scenarios', 'Scenario modeling', { paths: scenarioModeling.scenarios?.length || 0 });
 
     // ── Build confirmed/unknown split ──
-    function has(v) {
-      if (Array.isArray(v)) return v.length > 0 ? v.join('; ') : null;
-      return (v && typeof v === 'string' && v.trim()) ? v.trim() : null;
-    }
-
     const allFields = {
       'Company': p.companyName, 'Website': p.website, 'Industry': p.industry,
       'Business Model': p.businessModel, 'Stage': p.stage, 'Company Stage': p.companyStage,
       'Revenue': p.revenue, 'Revenue Growth': p.revenueGrowth, 'Team Size': p.teamSize,
       'Team Roles': p.teamRoles, 'Funding': p.funding, 'Runway': p.runway,
+      'Net Burn': p.burnRate, 'S&M Spend': p.salesMarketingSpend,
       'Product': p.productDescription, 'Pricing Model': p.pricingModel, 'Pricing Range': p.pricingRange,
       'Competitive Landscape': p.competitiveLandscape, 'Differentiator': p.differentiator,
       'ICP Buyer': p.icpTitle, 'ICP Company Size': p.icpCompanySize,
@@ -1784,6 +1858,10 @@ export default async function handler(req, res) {
       'Main Bottleneck': p.mainBottleneck, 'Secondary Bottleneck': p.secondaryBottleneck,
       'Churn Rate': p.churnRate, 'Churn Reasons': p.churnReasons,
       'Expansion Revenue': p.expansionRevenue, 'NRR': p.nrr,
+      'Gross Margin': p.grossMargin, 'Billable Utilization': p.utilization,
+      'Top-Client Revenue Share': p.clientConcentration, 'Retainer Share': p.retainerShare,
+      'Take Rate': p.takeRate, 'Liquidity': p.liquidity, 'GMV': p.gmv,
+      'Conversion Rate': p.conversionRate, 'AOV': p.aov, 'Repeat Rate': p.repeatRate, 'Return Rate': p.returnRate,
       'CRM': p.crm, 'Tools': p.tools, 'Automation Level': p.automationLevel,
       'Onboarding': p.onboardingProcess, 'Customer Success': p.customerSuccess,
       'Diagnosed Problems': p.diagnosedProblems, 'Root Causes': p.rootCauses,
@@ -1800,19 +1878,6 @@ export default async function handler(req, res) {
       else unknown.push(label);
     }
 
-    // ── Context Sufficiency Gate ──
-    const MINIMUM_REQUIRED_FIELDS = [
-      'companyName', 'industry', 'stage', 'revenue', 'mainBottleneck', 'teamSize'
-    ];
-    const missingCritical = MINIMUM_REQUIRED_FIELDS.filter(f => !has(p[f]));
-    if (missingCritical.length > 2) {
-      return res.status(400).json({
-        error: 'insufficient_context',
-        missing: missingCritical,
-        message: `Report quality requires: ${missingCritical.join(', ')}`
-      });
-    }
-
     // ── Transcript ──
     let transcript = '(no conversation recorded)';
     if (sessionData?.transcript?.length > 0) {
@@ -1829,15 +1894,18 @@ export default async function handler(req, res) {
     // ── Language ──
     const allUserText = (sessionData?.transcript || []).filter(t => t.role === 'user').map(t => t.text).join(' ');
     const itCount = (allUserText.match(/\b(che|sono|abbiamo|nostro|nostra|clienti|vendite|azienda|problema|siamo|facciamo|questo|anche|molto|come|alla|delle|della)\b/gi) || []).length;
-    const lang = itCount > 5
-      ? 'The user spoke ITALIAN throughout the conversation. Write the ENTIRE report in Italian — every heading, every sentence, everything.'
-      : 'Write in the language the user used. Default to English.';
+    const reportLang = itCount > 5 ? 'it' : 'en';
+    const lang = reportLang === 'it'
+      ? 'The user spoke ITALIAN throughout the conversation. Write the ENTIRE report in Italian — every sentence, everything. JSON property names and enum values stay in English.'
+      : 'Write in the language the user used. Default to English. JSON property names and enum values stay in English.';
 
     // ── Format benchmarks ──
     let benchmarkBlock = '(No stage-specific benchmarks available)';
     if (stageData?.benchmarks) {
-      const lines = [`Stage: ${stageData.label}`];
-      for (const [metric, data] of Object.entries(stageData.benchmarks)) {
+      const lines = [`Stage: ${stageData.label} (benchmark library v${benchmarkVersion})`];
+      if (businessModel !== 'saas') lines.push(`Business model: ${stageData.modelLabel} — score the company on these metrics, not SaaS ones`);
+      for (const [metric, entry] of Object.entries(stageData.benchmarks)) {
+        const data = benchmarkInCurrency(entry, currency);
         if (data.median !== null && data.median !== undefined) {
           const cur = data.currency ? ` ${data.currency}` : '';
           const unit = data.unit === 'percent' ? '%' : cur;
@@ -1854,7 +1922,7 @@ export default async function handler(req, res) {
     // ── Guardrail block ──
     let guardrailBlock = '';
     if (feasibilityFlags.length > 0) {
-      guardrailBlock = `\n═══════════════════════════════════════════\n⚠️ PRE-ANALYSIS GUARDRAIL — FEASIBILITY FLAGS\n(Address these EXPLICITLY in the report. Do NOT ignore them.)\n═══════════════════════════════════════════\n${feasibilityFlags.map((f, i) => `FLAG ${i + 1} [${f.severity.toUpperCase()}] — ${f.type}\nIssue: ${f.issue}\nDetail: ${f.detail}\nRecommended Action: ${f.recommendation}\n`).join('\n')}\nThese flags represent DATA-DRIVEN contradictions detected in the user's profile.\nYou MUST address each flag in the "Risk Mitigation" or "Diagnostic Findings" section.\nDo not hallucinate solutions that ignore these constraints.`;
+      guardrailBlock = `\n═══════════════════════════════════════════\n⚠️ PRE-ANALYSIS GUARDRAIL — FEASIBILITY FLAGS\n(Address these EXPLICITLY in the report. Do NOT ignore them.)\n═══════════════════════════════════════════\n${feasibilityFlags.map((f, i) => `FLAG ${i + 1} [${f.severity.toUpperCase()}] — ${f.type}\nIssue: ${f.issue}\nDetail: ${f.detail}\nRecommended Action: ${f.recommendation}\n${f.confirmedByUser ? 'User confirmed these figures during discovery: treat them as accurate and address the consequence, not the data.\n' : ''}`).join('\n')}\nThese flags represent DATA-DRIVEN contradictions detected in the user's profile.\nYou MUST address each flag in the "Risk Mitigation" or "Diagnostic Findings" section.\nDo not hallucinate solutions that ignore these constraints.`;
     }
 
     // ── Playbook block ──
@@ -1881,7 +1949,7 @@ export default async function handler(req, res) {
     const prompt = `Generate a Strategic Growth Plan for ${companyName}.
 
 ROLE: Senior B2B revenue strategist. McKinsey-caliber analysis, but practical and actionable.
-OUTPUT: Pure Markdown. No JSON, no code fences. Clean Markdown only.
+OUTPUT: ONE JSON object matching the REPORT DOCUMENT SCHEMA at the end of this prompt. No code fences, no text outside the JSON. Prose fields are Markdown strings.
 LANGUAGE: ${lang}
 
 ═══════════════════════════════════════════
@@ -1895,15 +1963,18 @@ CONFIRMED PROFILE DATA (extracted from conversation)
 ═══════════════════════════════════════════
 ${confirmed.join('\n')}
 
+REPORTING CURRENCY: ${currency}. Write every money amount in ${currency} (${currencySymbol(currency).trim()}). Benchmarks and pre-computed figures below are already converted${currency !== 'EUR' ? ` from EUR at the local FX table of ${loadFxRates().asOf || 'n/a'}` : ''}.
+
 ═══════════════════════════════════════════
 UNKNOWN FIELDS (NOT provided by user — DO NOT INVENT)
 ═══════════════════════════════════════════
 ${unknown.join(', ')}
 
 ═══════════════════════════════════════════
-STAGE-SPECIFIC BENCHMARKS (KBCM, Statista, Pavilion, OpenView, Bessemer)
+${businessModel === 'saas' ? 'STAGE-SPECIFIC BENCHMARKS (KBCM, Statista, Pavilion, OpenView, Bessemer)' : `STAGE-SPECIFIC BENCHMARKS — ${(stageData?.modelLabel || businessModel).toUpperCase()}`}
 ═══════════════════════════════════════════
 ${benchmarkBlock}
+${benchmarkPositions.block}
 ${playbookBlock}
 ${marketBlock}
 ${guardrailBlock}
@@ -1934,15 +2005,16 @@ ${sessionData?.scrapedSummary
     : '(Website not provided — base analysis on conversation data only)'}
 
 ═══════════════════════════════════════════
-REPORT STRUCTURE — v12 STRATEGIC NARRATIVE FORMAT
+REPORT CONTENT — v12 STRATEGIC NARRATIVE FORMAT
 ═══════════════════════════════════════════
+Each section below names the JSON property (→ "key") it is written into. The
+system renders the report from your JSON: it adds every "## " section heading,
+the findings, recommendations, roadmap, risk, tool and quick-win layouts, the
+💰 impact boxes, the feasibility flags and the pre-computed benchmark
+scorecard. Markdown properties hold the section BODY only — never start them
+with a "## " heading. Use "### " for subsections.
 
-# Strategic Growth Plan
-## ${companyName} | ${today}
-
----
-
-## Executive Summary
+## Executive Summary → "executive_summary" (markdown)
 
 This is the ONE PAGE that gets forwarded to co-founders, investors, or board members. It must stand completely alone — someone reading ONLY this page should understand the full picture.
 
@@ -1965,12 +2037,11 @@ RULES for Executive Summary:
 - No filler, no methodology explanation, no disclaimers.
 - Write for a time-poor executive who will spend 30 seconds on this page.
 - Use bold formatting for the headline cost figure and the projected outcome.
+- Finding names must match "findings" exactly.
 
----
-
-## Before/After Transformation Summary
+## Before/After Transformation Summary → "before_after" (markdown)
 
-Create this compact 2-column comparison IMMEDIATELY — this is the first thing leadership will look at:
+A compact 2-column comparison — this is the first thing leadership will look at:
 
 | Dimension | Today | In 90 Days |
 |-----------|-------|------------|
@@ -1982,20 +2053,16 @@ Create this compact 2-column comparison IMMEDIATELY — this is the first thing
 | **Cost of constraints** | **€X,XXX/month unrealized** | **Recovered through plan execution** |
 
 Use ONLY confirmed data for "Today." Use 90-day targets from the roadmap for "In 90 Days."
-If a metric is unknown, use the stage median and label it "(est. \${${stageData?.label || 'stage'}} median)".
+If a metric is unknown, use the stage median and label it "(est. ${stageData?.label || 'stage'} median)".
 For the "Cost of constraints" row, use the TOTAL from the FINANCIAL IMPACT ANALYSIS section above.
 
----
-
-## Strategic Narrative
-
-Replace the generic "Executive Summary" with a STRATEGIC NARRATIVE using this framework:
+## Strategic Narrative → "strategic_narrative" (markdown, four ### subsections)
 
 ### The Current State
 Describe where ${companyName} stands today using ONLY confirmed data. Revenue, team, model, GTM motion, tools. Be precise and factual. Reference the stage benchmarks: "At the ${stageData?.label || 'current'} stage, the median [metric] is [X] — ${companyName} is [above/below/at] this benchmark."
 
 ### The Hard Truth
-State the 3 diagnosed problems bluntly. Each one gets a finding_id (F1, F2, F3). Connect them into a CAUSAL CHAIN — explain how F1 causes F2 which amplifies F3. This is where you show systems thinking. Reference what the user actually said in conversation.
+State the 3 diagnosed problems bluntly, by finding_id (F1, F2, F3). Connect them into a CAUSAL CHAIN — explain how F1 causes F2 which amplifies F3. This is where you show systems thinking. Reference what the user actually said in conversation.
 
 ### The Unlock
 The core hypothesis: what ONE strategic shift would break the negative cycle? This should be connected to the user's stated priority: "${has(p.userPriority) || 'not specified'}". Explain the mechanism — how this unlock cascades into solving the other problems.
@@ -2003,9 +2070,7 @@ The core hypothesis: what ONE strategic shift would break the negative cycle? Th
 ### The Risk of Inaction
 What happens if ${companyName} does nothing? Project forward 6-12 months with specific consequences. Use stage benchmarks to quantify: "Companies at ${stageData?.label || 'this'} stage with >X% churn typically [outcome]." Be direct and evidence-based, not alarmist.
 
----
-
-## Company Profile
+## Company Profile → "company_profile" (markdown)
 
 | Dimension | Current State | Stage Benchmark (${stageData?.label || 'N/A'}) | Assessment |
 |-----------|--------------|----------------------------------------------|------------|
@@ -2013,48 +2078,35 @@ What happens if ${companyName} does nothing? Project forward 6-12 months with sp
 
 Key comparisons: Burn Multiple, CAC, LTV:CAC ratio, churn, Magic Number, Revenue per Employee.
 
----
-
-## ICP & Go-to-Market
+## ICP & Go-to-Market → "icp_gtm" (markdown)
 
 Analyze their ICP, positioning, and channel effectiveness using confirmed data.
 Apply April Dunford framework and Jobs-to-be-Done where data allows.
 If ICP is vague, flag it as a finding.
 Compare to stage-appropriate GTM patterns from the playbook above.
 
----
-
-## Diagnostic Findings
-
-For each of the ${(p.diagnosedProblems || []).length || 3} diagnosed problems:
-
-### Finding F[N]: [Problem Name]
-- **finding_id:** F[N] (used for golden thread traceability)
-- **Severity:** 🔴/🟡/🟢
-- **Evidence:** Reference what the user ACTUALLY said in the conversation
-- **Root Cause:** Why this problem exists (reference confirmed data)
-- **Stage Benchmark Comparison:** Compare to ${stageData?.label || 'stage'} benchmarks
-- **Revenue Impact:** Estimate only if you have data to support it
-- **Anti-Pattern Check:** Does this map to any known anti-pattern for their stage?
-
-> 💰 **Estimated Monthly Impact: €X,XXX/month** in unrealized revenue. Over 12 months, this constraint costs approximately **€XX,XXX** if unresolved.
-
-(Use the pre-computed FINANCIAL IMPACT ANALYSIS data above to fill in real numbers. Map each finding to the relevant constraint type. If no pre-computed data is available for this finding, estimate conservatively using confirmed metrics and label as estimate.)
+## Diagnostic Findings → "findings" (array, one record per finding)
 
-${feasibilityFlags.length > 0 ? `### ⚠️ Feasibility Flags (System-Detected Contradictions)\n${feasibilityFlags.map((f, i) => `**Flag ${i + 1}: ${f.issue}** [${f.severity.toUpperCase()}]\n${f.detail}\n→ ${f.recommendation}`).join('\n\n')}` : ''}
+One record for each of the ${(p.diagnosedProblems || []).length || 3} diagnosed problems, ids F1, F2, F3 in order:
+- id / name: the finding_id used for golden thread traceability, and the problem name
+- severity: "red" | "yellow" | "green"
+- evidence: reference what the user ACTUALLY said in the conversation
+- root_cause: why this problem exists (reference confirmed data)
+- benchmark_comparison: compare to ${stageData?.label || 'stage'} benchmarks
+- revenue_impact: estimate only if you have data to support it
+- anti_pattern: does this map to any known anti-pattern for their stage?
+- monthly_impact: the monthly cost of this constraint, a plain number in ${currency}, from the pre-computed FINANCIAL IMPACT ANALYSIS. Map each finding to the relevant constraint type. If no pre-computed figure fits, estimate conservatively from confirmed metrics and say so in revenue_impact; null if there is no basis at all.
 
----
+The system adds the "💰 Estimated Monthly Impact" box from monthly_impact, and lists the system-detected feasibility flags under the findings.
 
-## Root Cause Analysis — Causal Chain
+## Root Cause Analysis — Causal Chain → "root_cause" (markdown)
 
 Systems thinking: F1 → causes/amplifies → F2 → which leads to → F3.
 Reference confirmed data only.
 
----
+## Strategic Recommendations → "recommendations" (array, priorities 1-3)
 
-## Strategic Recommendations
-
-CRITICAL: Every recommendation MUST trace back to a parent finding via finding_id. No orphaned recommendations.
+CRITICAL: Every recommendation MUST trace back to a parent finding via parent_finding_id. No orphaned recommendations.
 
 CREATIVITY MANDATE: Go BEYOND classic GTM playbooks. The user is paying for strategic insight they cannot Google. For each priority:
 - Start with the OBVIOUS play (what any consultant would say), then ELEVATE IT with a creative twist that fits their specific situation.
@@ -2064,44 +2116,22 @@ CREATIVITY MANDATE: Go BEYOND classic GTM playbooks. The user is paying for stra
 - Reference real-world unconventional tactics: co-opetition strategies, community-led motions, reverse trials, customer-as-channel models, founder-brand plays, micro-partnerships, content flywheels, signal-based outbound, dark social strategies, product-led narratives, etc.
 - If the company's stage/resources suggest a traditional play won't work, propose the scrappy alternative that will.
 
-### Priority 1: [Based on user's stated priority: "${has(p.userPriority) || 'not specified'}"] — Weeks 1-4
-- **parent_finding_id:** F[N]
-- **the_obvious_play:** What the standard playbook says
-- **the_creative_edge:** The non-obvious twist or unconventional approach that makes this recommendation uniquely powerful for THIS company
-- **trade_off / negative_externality:** What is the downside or tension?
-- **resources_required:** [people needed (FTE or hours/week), tools (with monthly cost), budget range €X-Y]
-- **success_metric:** One measurable KPI that proves this priority is working by end of its window
-- **prerequisite_for:** What does completing this enable in Priority 2?
-- Week-by-week plan with specific actions, deliverables, success metrics
-
-> 📊 **Pattern Match:** We've observed this constraint pattern in similar companies ([matching profile description from COHORT PATTERN MATCHES above]). [Key insight]. [Quantified outcome from the archetype].
-
-### Priority 2 — Weeks 4-8
-- **parent_finding_id:** F[N]
-- **the_obvious_play:** [standard approach]
-- **the_creative_edge:** [the unconventional angle]
-- **trade_off / negative_externality:** [specific tension]
-- **resources_required:** [people needed (FTE or hours/week), tools (with monthly cost), budget range €X-Y]
-- **success_metric:** One measurable KPI that proves this priority is working by end of its window
-- **depends_on:** What from Priority 1 must be done first?
-- **prerequisite_for:** What does this enable in Priority 3?
-
-> 📊 **Pattern Match:** [Use the most relevant archetype for this priority. Describe the pattern naturally.]
-
-### Priority 3 — Weeks 8-12
-- **parent_finding_id:** F[N]
-- **the_obvious_play:** [standard approach]
-- **the_creative_edge:** [the unconventional angle]
-- **trade_off / negative_externality:** [specific tension]
-- **resources_required:** [people needed (FTE or hours/week), tools (with monthly cost), budget range €X-Y]
-- **success_metric:** One measurable KPI that proves this priority is working by end of its window
-- **depends_on:** What from Priority 2 must be done first?
-
-> 📊 **Pattern Match:** [Use the most relevant archetype for this priority. Describe the pattern naturally.]
-
----
-
-## Cost of Inaction (30/60/90 Days)
+Per record:
+- priority / title / weeks: Priority 1 is based on the user's stated priority ("${has(p.userPriority) || 'not specified'}") in Weeks 1-4; Priority 2 in Weeks 4-8; Priority 3 in Weeks 8-12
+- parent_finding_id: F1, F2 or F3
+- obvious_play: what the standard playbook says
+- creative_edge: the non-obvious twist or unconventional approach that makes this recommendation uniquely powerful for THIS company
+- trade_off: what is the downside or tension (the negative externality)?
+- resources_required: people needed (FTE or hours/week), tools (with monthly cost), budget range €X-Y
+- success_metric: one measurable KPI that proves this priority is working by the end of its window
+- depends_on (Priorities 2-3): what from the previous priority must be done first?
+- prerequisite_for (Priorities 1-2): what does completing this enable in the next priority?
+- plan: week-by-week actions with deliverables and success metrics, one string per week
+- pattern_match: "We've observed this constraint pattern in similar companies ([matching profile description from COHORT PATTERN MATCHES above]). [Key insight]. [Quantified outcome from the archetype]." Use the most relevant archetype for each priority; omit when no strong match exists.
+
+## Cost of Inaction (30/60/90 Days) → "cost_of_inaction" (markdown)
+
+Open with:
 
 > 💰 **Total estimated cost of identified constraints: €X,XXX/month (€XX,XXX/year).**
 > This single number represents the revenue your company leaves on the table every month these constraints remain unresolved.
@@ -2116,32 +2146,17 @@ Based on the diagnosed findings, calculate what staying in the current state cos
 
 Use ONLY confirmed metrics for calculations. If a metric is unknown, use the stage median benchmark and label clearly: "(est. based on ${stageData?.label || 'stage'} median)".
 Be specific and data-grounded. This section creates legitimate urgency, not fear — anchor every claim in numbers.
-Reference the per-finding financial impact boxes from the Diagnostic Findings section to build cumulative cost projections.
-
----
-
-## 90-Day Roadmap — Sequential with Second-Order Effects
+Build the cumulative cost projections from the per-finding monthly_impact figures.
 
-### Month 1: Foundation (Weeks 1-4)
-| Week | Focus | Actions | Deliverable | KPI | Enables (→) |
-|------|-------|---------|-------------|-----|-------------|
-[4 rows. "Enables" column shows what this action sets up for Month 2]
+## 90-Day Roadmap — Sequential with Second-Order Effects → "roadmap" (array of 3 months)
 
-**Month 1 → Month 2 Handoff:** What completed work from M1 makes M2 possible?
+- Month 1: Foundation (weeks 1-4), Month 2: Acceleration (weeks 5-8), Month 3: Scale (weeks 9-12)
+- rows: 4 per month, one per week (week = 1-12), each with focus, actions, deliverable and kpi
+- enables (Months 1-2): what this row sets up for the next month
+- depends_on (Months 2-3): what from the previous month this row builds on
+- handoff (Months 1-2): what completed work makes the next month possible
 
-### Month 2: Acceleration (Weeks 5-8)
-| Week | Focus | Actions | Deliverable | KPI | Depends On (←) | Enables (→) |
-|------|-------|---------|-------------|-----|-----------------|-------------|
-[4 rows]
-
-### Month 3: Scale (Weeks 9-12)
-| Week | Focus | Actions | Deliverable | KPI | Depends On (←) |
-|------|-------|---------|-------------|-----|-----------------|
-[4 rows]
-
----
-
-## Scenario Modeling — 3 Paths Forward
+## Scenario Modeling — 3 Paths Forward → "scenario_modeling" (markdown)
 
 Present three scenarios for ${companyName}'s 90-day trajectory. Use the pre-computed SCENARIO MODELING DATA above for ALL numbers — do not invent different projections.
 
@@ -2187,12 +2202,9 @@ Present three scenarios for ${companyName}'s 90-day trajectory. Use the pre-comp
 
 All numbers in this table MUST match the SCENARIO MODELING DATA block exactly. Frame the comparison around ${companyName}'s specific situation, not generic advice.
 
----
+## Benchmark Scorecard — ${companyName} vs. ${stageData?.label || 'Stage'} Median → "benchmark_narrative", "market_context" (markdown)
 
-## Benchmark Scorecard — ${companyName} vs. ${stageData?.label || 'Stage'} Median
-
-Embed the pre-computed BENCHMARK SCORECARD above as-is (it contains visual gauge indicators and full source citations).
-Then ADD a brief narrative (3-5 sentences) interpreting the scorecard:
+The system places the pre-computed BENCHMARK SCORECARD (visual gauges and full source citations) at the top of this section. ${scorecardBlock ? '' : 'No scorecard could be computed, so open "benchmark_narrative" with a comparison table built from the available metrics. '}In "benchmark_narrative" write a brief narrative (3-5 sentences) interpreting the scorecard:
 - Which metrics are strengths?
 - Which are critical gaps?
 - How do the gaps connect to the diagnosed findings (F1, F2, F3)?
@@ -2200,16 +2212,12 @@ Then ADD a brief narrative (3-5 sentences) interpreting the scorecard:
 
 IMPORTANT: The report includes a visual Performance Radar chart and Health Score bar chart rendered alongside this text (generated by the system from the same benchmark data). Reference these charts explicitly in your narrative: "As shown in the Performance Radar above..." or "The Health Score comparison illustrates..." This makes the visual and textual elements feel integrated, not separate.
 
-### Market Context Illustration
-
-Using the MARKET CONTEXT 2026 data and LIVE MARKET DATA (if available), write a brief section (3-4 sentences) placing ${companyName} within the broader market:
+In "market_context", using the MARKET CONTEXT 2026 data and LIVE MARKET DATA (if available), write a brief illustration (3-4 sentences) placing ${companyName} within the broader market:
 - Industry growth trajectory and what it means for their timing
 - How their GTM motion compares to market trends (self-serve preference, AI adoption, RevOps maturity)
 - One insight from market data that directly impacts their 90-day plan
 
----
-
-## Operating Model Design
+## Operating Model Design → "operating_model" (markdown)
 
 Using the OPERATING MODEL DATA collected during discovery, design a target operating model for ${companyName}.
 
@@ -2237,68 +2245,42 @@ Describe the RECOMMENDED operating model for ${companyName} at the end of the 90
 
 Connect EVERY operating model recommendation to a parent_finding_id (F1, F2, F3) and show how the new operating model resolves the diagnosed problems.
 
----
-
-## Metrics Dashboard
+## Metrics Dashboard → "metrics_dashboard" (markdown)
 
 | Metric | Current | ${stageData?.label || 'Stage'} Median | 90-Day Target | How to Track | Source |
 |--------|---------|--------------------------------------|---------------|-------------|--------|
 
----
-
-## Risk Mitigation
-
-| Risk | Probability | Impact | Mitigation | parent_finding_id |
-|------|------------|--------|------------|-------------------|
-[4-5 risks. Include feasibility flags. Every risk traces to a finding.]
+## Risk Mitigation → "risks" (array)
 
----
+4-5 risks, each with probability and impact ("low" | "medium" | "high"), a mitigation and the parent_finding_id it traces to. Include the feasibility flags.
 
-## Recommended Tools — Stage-Calibrated
+## Recommended Tools — Stage-Calibrated → "tools", "workflows" (arrays)
 
 Do NOT just list tools. For each tool, show HOW it fits into a workflow — the trigger, the action, and the outcome. The user needs to see their future operating rhythm, not a shopping list.
 
-| Category | Tool | ~Cost/mo | Why | Stage Fit |
-|----------|------|----------|-----|----------|
-[Tools appropriate for ${stageData?.label || 'their'} stage. Max ~€${stageData?.playbook?.budgetGuidance?.toolSpend?.max || '?'}/mo total]
-
-### Workflow Architecture
-
-For each major tool combination above, describe the WORKFLOW it enables. Use this format:
+"tools": tools appropriate for the ${stageData?.label || 'their'} stage — category, tool, monthly_cost (plain number in ${currency}), why, stage_fit. Max ~€${stageData?.playbook?.budgetGuidance?.toolSpend?.max || '?'}/mo total.
 
-**Workflow: [Name — e.g. "Signal-to-Meeting Pipeline"]**
-→ Trigger: [What starts the workflow — e.g. "Lead scores above 50 in HubSpot" or "Champion visits pricing page 3x"]
-→ Action Chain: [What happens automatically and what requires human input — e.g. "Auto-enrich via Clay → Slack alert to AE → Personalized sequence via Instantly"]
-→ Owner: [Who is responsible for this workflow]
-→ Outcome: [What success looks like — e.g. "Qualified meeting booked within 48h of trigger"]
-→ Connects To: [Next workflow in the chain — e.g. "feeds into Deal Progression workflow"]
-
-Design 3-4 core workflows that form the OPERATING BACKBONE — these should chain together into a coherent system, not sit in isolation. Show how data flows between workflows.
+"workflows": 3-4 core workflows that form the OPERATING BACKBONE — they should chain together into a coherent system, not sit in isolation. Per workflow:
+- name: e.g. "Signal-to-Meeting Pipeline"
+- trigger: what starts the workflow — e.g. "Lead scores above 50 in HubSpot" or "Champion visits pricing page 3x"
+- action_chain: what happens automatically and what requires human input — e.g. "Auto-enrich via Clay → Slack alert to AE → Personalized sequence via Instantly"
+- owner: who is responsible for this workflow
+- outcome: what success looks like — e.g. "Qualified meeting booked within 48h of trigger"
+- connects_to: the next workflow in the chain — e.g. "feeds into Deal Progression workflow"
 
 IMPORTANT: Keep workflow descriptions conceptual and outcome-oriented. Do NOT write step-by-step setup instructions or click-by-click guides. The user should understand WHAT the machine looks like when running, not how to build it.
 
----
-
-## Quick Wins
-
-| # | Action | parent_finding_id | Expected Impact | Effort | Creative Angle |
-|---|--------|-------------------|-----------------|--------|----------------|
-[5 high-impact actions executable this week. At least 2 should be NON-OBVIOUS — things competitors aren't doing. The "Creative Angle" column should explain WHY this is smarter than the standard approach.]
+## Quick Wins → "quick_wins" (array)
 
----
+5 high-impact actions executable this week, each with parent_finding_id, expected_impact, effort ("low" | "medium" | "high") and creative_angle. At least 2 should be NON-OBVIOUS — things competitors aren't doing. The creative_angle should explain WHY this is smarter than the standard approach.
 
-## Next Steps
+## Next Steps → "next_steps" (markdown)
 
 1. Immediate (This week)
 2. Short-term (Weeks 2-4)
 3. Medium-term (Month 2-3)
 4. Ongoing cadence
 
----
-
-*Generated by Revenue Architect by Panoramica — Validated Market Audit*
-*Benchmark Sources: KBCM SaaS Survey, Statista, Pavilion/BenchSights, OpenView, Bessemer Cloud Index*
-
 ═══════════════════════════════════════════
 ANTI-HALLUCINATION RULES
 ═══════════════════════════════════════════
@@ -2307,7 +2289,7 @@ ANTI-HALLUCINATION RULES
 3. Estimates MUST be labeled: "~€X (estimated based on [your reasoning])"
 4. If a section lacks data, say so: "This section requires additional data. Based on what we know..."
 5. Every diagnostic finding MUST cite evidence from the conversation.
-6. Minimum 3000 words.
+6. Minimum ${MIN_REPORT_WORDS} words.
 7. Write for the company's leadership team — professional, specific, actionable.
 8. GOLDEN THREAD: Every recommendation, quick win, and risk MUST have a parent_finding_id (F1, F2, or F3). No orphaned recommendations.
 9. TRADE-OFFS: Every priority must include a negative_externality.
@@ -2317,83 +2299,187 @@ ANTI-HALLUCINATION RULES
 19. TOOL WORKFLOWS: When recommending tools, ALWAYS describe the workflow they enable — trigger, action chain, owner, outcome. A tool without a workflow is shelfware. Show 3-4 interconnected workflows that form the company's new operating backbone.
 20. ACTIONABLE ≠ GENERIC: "Improve your sales process" is not actionable. "Run a 2-week pipeline audit where your AE records every objection verbatim, then cluster them into 3 categories to build an objection-handling playbook" is actionable. Every recommendation must pass the test: could someone START executing this tomorrow morning?
 12. FEASIBILITY FLAGS: Address detected contradictions explicitly. Do not produce a roadmap that ignores them.
-13. Use NARROW BENCHMARK DATA from KBCM, Statista, Pavilion. Cite the FULL source including year and sample size for EVERY benchmark number. Format: "Stage Median: €80k (KBCM 2024 SaaS Survey, n=400, Seed cohort)." If a benchmark is a composite or estimate, say so explicitly: "(Panoramica estimate based on KBCM + OpenView data)."
-14. BENCHMARK SCORECARD: Embed the pre-computed scorecard with visual gauges. Add narrative interpretation connecting gaps to findings.
+13. Use NARROW BENCHMARK DATA from KBCM, Statista, Pavilion. Cite the FULL source including year and sample size for EVERY benchmark number, exactly as it appears next to that number in the BENCHMARK DATA or MARKET CONTEXT block — citations that do not match the benchmark library are rewritten as "Panoramica estimate". Format: "Stage Median: €80k (KBCM 2024 SaaS Survey, n=400, Seed cohort)." If a benchmark is a composite or estimate, say so explicitly: "(Panoramica estimate based on KBCM + OpenView data)."
+14. BENCHMARK SCORECARD: The system embeds the pre-computed scorecard with visual gauges. Add narrative interpretation connecting gaps to findings.
 15. OPERATING MODEL: Use confirmed operating model data to design a concrete target model. For gaps, flag them as assessment areas. Every OM recommendation must trace to a finding_id.
 16. MARKET ILLUSTRATIONS: When citing market data (SaaS market size, AI adoption, RevOps trends), frame it as context that impacts the company's specific situation. Don't just cite — connect it to their 90-day plan.
-17. For companies with disclosed metrics, generate a BENCHMARK POSITION narrative: "Your [metric] of [X] places you in the [top/bottom] [N]th percentile for ${stageData?.label || 'your'} stage companies (source: [benchmark])." Use this to validate urgency.
-21. FINANCIAL IMPACT: Every diagnostic finding MUST end with a highlighted "💰 Estimated Monthly Impact" box showing the euro cost of that constraint per month and per year. Use the pre-computed FINANCIAL IMPACT ANALYSIS data. The Cost of Inaction section MUST open with the total figure. Think in euros — leadership reads euros, not severity emojis.
-22. COHORT PATTERN MATCHING: Every strategic priority MUST end with a "📊 Pattern Match" callout using the COHORT PATTERN MATCHES data above. Describe matching companies naturally (e.g., "similar B2B SaaS companies with 5-10 people at seed stage") — do NOT use archetype IDs or quote them verbatim. Include the quantified outcome and key lesson. If no strong match exists for a priority, omit the pattern match for that one.
+17. For companies with disclosed metrics, generate a BENCHMARK POSITION narrative using ONLY the pre-computed BENCHMARK POSITIONS block: "Your [metric] of [X] beats [standing]% of ${stageData?.label || 'your'} stage peers ([band]; source: [benchmark])." For positions marked NO PERCENTILE state only where the value sits against the stage median and the good/bad thresholds ("Your churn of 4% is above the 3% stage median") — no percentile, "beats X%" or "top/bottom N%". Never estimate a percentile that is not in that block. Use this to validate urgency.
+21. FINANCIAL IMPACT: Every diagnostic finding MUST carry its monthly_impact from the pre-computed FINANCIAL IMPACT ANALYSIS data — the system turns it into the "💰 Estimated Monthly Impact" box (per month and per year). The Cost of Inaction section MUST open with the total figure. Think in euros — leadership reads euros, not severity emojis.
+22. COHORT PATTERN MATCHING: Every strategic priority MUST carry a pattern_match (rendered as the "📊 Pattern Match" callout) using the COHORT PATTERN MATCHES data above. Describe matching companies naturally (e.g., "similar B2B SaaS companies with 5-10 people at seed stage") — do NOT use archetype IDs or quote them verbatim. Include the quantified outcome and key lesson. If no strong match exists for a priority, omit the pattern match for that one.
 23. BUYER PSYCHOLOGY: Follow the BUYER PSYCHOLOGY PROFILE adaptation instructions EXACTLY. Do NOT mention the buyer profile classification to the user — it should be invisible. The report structure stays identical; only the emphasis, length, and sequencing of sections change. If adaptation says "COMPRESS" a section, cut it to 40-60% of default length. If it says "EXPAND", add 50% more detail and depth. If it says "ELEVATE", move the section earlier in its parent section and add extra interpretive detail.
 24. SCENARIO MODELING: Use the pre-computed SCENARIO MODELING DATA for ALL numbers in the Scenario Modeling section. Do NOT generate different MRR projections, probabilities, or percentages — they must match the data block exactly. The comparison table must use the pre-computed values. Frame each scenario with company-specific context from the confirmed profile data. If scenario data says "qualitative only", write milestone-based scenarios without inventing revenue numbers.
-25. DIRECT QUOTES: If CUSTOMER DIRECT QUOTES are provided above, weave at least 3 of them verbatim into the report. Use the format: 'As you described it, "[exact quote]."' Place them in the Strategic Narrative (The Hard Truth), Diagnostic Findings (Evidence), and Recommendations sections. This makes the report feel personally crafted, not template-generated.`;
-
-    const resp = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=${geminiKey}`,
-      {
-        method: 'POST', headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ role: 'user', parts: [{ text: prompt }] }],
-          generationConfig: { temperature: 0.4, maxOutputTokens: 20000 }
-        })
+25. DIRECT QUOTES: If CUSTOMER DIRECT QUOTES are provided above, weave at least 3 of them verbatim into the report. Use the format: 'As you described it, "[exact quote]."' Place them in the Strategic Narrative (The Hard Truth), Diagnostic Findings (Evidence), and Recommendations sections. This makes the report feel personally crafted, not template-generated.
+
+═══════════════════════════════════════════
+REPORT DOCUMENT SCHEMA (return exactly one object of this shape)
+═══════════════════════════════════════════
+${describeReportSchema()}`;
+
+    progress('generating', 'Writing Strategic Growth Plan');
+    const citationLibrary = buildCitationLibrary({
+      stageData,
+      packMeta: loadBenchmarkPack(businessModel, benchmarkVersion).meta,
+      marketContext: marketCtx,
+      currency,
+      versionInfo: benchmarkVersionInfo(benchmarkVersion)
+    });
+    const renderCtx = {
+      company: companyName,
+      stageLabel: stageData?.label || 'Stage',
+      currency,
+      lang: reportLang,
+      scorecard: scorecardBlock,
+      feasibilityFlags,
+      citationAppendix: renderCitationAppendix(citationLibrary, reportLang)
+    };
+    let generated;
+    if (stream) {
+      // Sections are rendered from the partial document as their properties
+      // close; the final `complete` event carries the validated report.
+      let raw = '';
+      const sections = createDocumentSectionStreamer(renderCtx, section => stream.emit('section', section));
+      for await (const delta of streamLLM(prompt, { task: 'report', json: true, temperature: 0.4, maxTokens: 24000 })) {
+        raw += delta;
+        sections.push(delta);
       }
-    );
+      sections.finish();
+      generated = parseReportDocument(raw);
+    } else {
+      generated = await requestReportDocument(prompt);
+    }
 
-    if (!resp.ok) throw new Error(`Gemini ${resp.status}`);
-    const data = await resp.json();
-    let md = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!md) throw new Error('Empty report');
-    md = md.replace(/^```(?:markdown)?\s*/i, '').replace(/\s*```$/i, '').trim();
+    // ── Schema validation: one repair call, then fail rather than render a broken plan ──
+    if (generated.errors.length) {
+      console.warn(`[Report v12] Report document invalid (${generated.errors.length}): ${generated.errors.slice(0, 5).join('; ')}`);
+      progress('repairing', 'Repairing report structure', { errors: generated.errors.length });
+      generated = await requestReportDocument(repairPrompt(prompt, generated));
+      if (generated.errors.length) throw new Error(`Report failed schema validation: ${generated.errors.slice(0, 5).join('; ')}`);
+    }
+    let reportDoc = generated.value;
 
     // ── QA Pass: eliminate structural redundancy ──
-    md = qaCleanup(md);
+    let md = qaCleanup(renderReportMarkdown(reportDoc, renderCtx));
+
+    // ── Golden thread: one targeted repair of the offending properties; the
+    //    repair is kept only if it leaves fewer violations ──
+    const threadOpts = { findingCount: (p.diagnosedProblems || []).length || 3 };
+    let violations = checkGoldenThread(reportDoc, { ...threadOpts, markdown: md });
+    const keys = repairKeys(violations);
+    if (keys.length) {
+      console.warn(`[Report v12] Golden thread violations (${violations.length}): ${violations.slice(0, 5).map(formatViolation).join('; ')}`);
+      progress('repairing', 'Repairing golden thread', { violations: violations.length, keys });
+      const repaired = await repairGoldenThread(prompt, reportDoc, violations, keys);
+      if (repaired) {
+        const repairedMd = qaCleanup(renderReportMarkdown(repaired, renderCtx));
+        const remaining = checkGoldenThread(repaired, { ...threadOpts, markdown: repairedMd });
+        if (remaining.length < violations.length) {
+          reportDoc = repaired;
+          md = repairedMd;
+          violations = remaining;
+        }
+      }
+    }
+    if (violations.length) console.warn(`[Report v12] Shipping with ${violations.length} golden thread violation(s)`);
+
+    // ── Numeric consistency: quoted figures must match the computed data ──
+    const numericFacts = buildNumericFacts({ currency, financialImpact, scenarioModeling, stageData, positions: benchmarkPositions.positions });
+    const numeric = checkReportNumbers(reportDoc, numericFacts);
+    if (numeric.corrections.length) {
+      reportDoc = numeric.value;
+      md = qaCleanup(renderReportMarkdown(reportDoc, renderCtx));
+    }
+    const numericCheck = { corrections: numeric.corrections, flags: numeric.flags };
+    if (numeric.corrections.length || numeric.flags.length) {
+      console.warn(`[Report v12] Numeric check: ${numeric.corrections.length} corrected, ${numeric.flags.length} flagged`);
+    }
+
+    // ── Citations: every cited benchmark must come from the library entry it names ──
+    const citations = checkCitations(reportDoc, citationLibrary, { lang: reportLang });
+    if (citations.rewritten.length) {
+      reportDoc = citations.value;
+      md = qaCleanup(renderReportMarkdown(reportDoc, renderCtx));
+      console.warn(`[Report v12] Citation check: ${citations.rewritten.length} of ${citations.rewritten.length + citations.verified.length} rewritten as Panoramica estimate`);
+    }
+    const citationCheck = { verified: citations.verified, rewritten: citations.rewritten };
+
+    const filename = `Growth_Plan_${companyName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}`;
+    const financialImpactSummary = summarizeFinancialImpact(financialImpact, currency);
+
+    // ── The 90-day tracker shows the plan next to the metrics ──
+    if (dashboardData) dashboardData.plan = { roadmap: reportDoc.roadmap, quick_wins: reportDoc.quick_wins };
+
+    // ── Keep the report on the session: exports render from this record and
+    //    section regeneration reuses the prompt (same benchmarks, same live audit)
+    //    and re-renders from the document ──
+    sessionData.report = {
+      markdown: md,
+      document: reportDoc,
+      render_context: renderCtx,
+      violations,
+      numeric_check: numericCheck,
+      numeric_facts: numericFacts,
+      citation_check: citationCheck,
+      citation_library: citationLibrary,
+      prompt,
+      company: companyName,
+      filename,
+      generatedAt: new Date().toISOString(),
+      benchmark_version: benchmarkVersionInfo(benchmarkVersion),
+      chart_data: chartData,
+      financial_impact: financialImpactSummary
+    };
+    sessionRevision = await saveSession(sessionId, sessionData, sessionRevision);
+
+    let pdfBase64 = null;
+    try {
+      pdfBase64 = renderExport('pdf', sessionData.report).buffer.toString('base64');
+    } catch (e) {
+      console.warn('[Report v12] PDF export failed:', e.message);
+    }
 
-    return res.status(200).json({
+    const payload = {
       report: md,
-      filename: `Growth_Plan_${companyName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}`,
-      pdf_base64: null,
+      report_document: reportDoc,
+      violations,
+      numeric_check: numericCheck,
+      citation_check: citationCheck,
+      sections: listRenderedSections(renderCtx),
+      filename,
+      pdf_base64: pdfBase64,
+      session_revision: sessionRevision,
       feasibility_flags: feasibilityFlags,
       stage: stageKey,
+      business_model: businessModel,
+      benchmark_positions: benchmarkPositions.positions,
+      benchmark_version: benchmarkVersionInfo(benchmarkVersion),
+      unit_economics: unitEconomics,
       chart_data: chartData,
       dashboard_data: dashboardData,
-      financial_impact: {
-        total_monthly: financialImpact.totalMonthly,
-        total_annual: financialImpact.totalAnnual,
-        constraints: financialImpact.impacts.map(i => ({
-          type: i.type,
-          label: i.label,
-          monthly: i.monthlyImpact,
-          annual: i.monthlyImpact * 12
-        }))
-      },
+      financial_impact: financialImpactSummary,
       cohort_matches: cohortMatch.matches,
+      // Runners-up with their breakdowns, to see why they lost
+      cohort_candidates: cohortMatch.candidates.slice(0, 6),
       buyer_profile: {
         primary: buyerPsych.primary,
         secondary: buyerPsych.secondary,
         confidence: buyerPsych.confidence,
         signals: buyerPsych.signals
       },
-      scenario_data: scenarioModeling.scenarios ? {
-        scenarios: scenarioModeling.scenarios.map(s => ({
-          name: s.name,
-          mrrCurrent: s.mrrCurrent,
-          mrrProjectedLow: s.mrrProjectedLow,
-          mrrProjectedHigh: s.mrrProjectedHigh,
-          changePercentLow: s.changePercentLow,
-          changePercentHigh: s.changePercentHigh,
-          riskLevel: s.riskLevel,
-          successProbability: s.successProbability,
-          focus: s.focus,
-          assumptions: s.assumptions,
-          keyDependencies: s.keyDependencies
-        })),
-        decisionModel: scenarioModeling.decisionModel,
-        constraintPriority: scenarioModeling.constraintPriority
-      } : null
-    });
+      scenario_data: scenarioData(scenarioModeling, currency)
+    };
+
+    if (stream) {
+      stream.emit('complete', payload);
+      return stream.end();
+    }
+    return res.status(200).json(payload);
 
   } catch (e) {
     console.error('[Report v12]', e);
+    if (stream) {
+      stream.emit('error', { error: e.message });
+      return stream.end();
+    }
     return res.status(500).json({ error: e.message });
   }
 }
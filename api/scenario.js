@@ -0,0 +1,171 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCENARIO API — what-if recomputation of the report's numbers, no model call
+//
+// POST { sessionId, revision?, overrides?, hires? }
+//   overrides  metric values to try, in the field's canonical unit
+//              ({ churnRate: 2, winRate: 30, salesCycle: 45 }; money in the
+//              reporting currency, deal size per year)
+//   hires      planned hires [{ count, month, role?, rampMonths?, dealsPerMonth? }]
+//              — e.g. { role: 'AE', count: 2, month: 2 }
+//
+// Runs the report's calculators on the session profile:
+//   financial impact, unit economics, scorecard, positions, chart and dashboard
+//       data are recomputed with the overrides applied (where the company would stand)
+//   scenarios
+//       start from the current metrics; churn and win-rate overrides become the
+//       targets the simulated plan moves toward and hires add bookings once
+//       ramped. What-ifs need the simulation, so this ignores SCENARIO_MODE.
+// `changes` compares totals, probabilities and median MRR with the same
+// calculation without overrides. Nothing is saved to the session.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { loadSession, SessionError } from './_lib/session-store.js';
+import { buildMetrics, withMetricOverrides, METRIC_FIELDS } from './_lib/metrics.js';
+import { getStageData, resolveBusinessModel, resolveBenchmarkVersion, benchmarkVersionInfo } from './_lib/benchmarks.js';
+import { runFeasibilityChecks } from './_lib/feasibility.js';
+import { reportingCurrency } from './_lib/currency.js';
+import { HORIZON_MONTHS } from './_lib/scenario-simulation.js';
+import { withUnitEconomics, deriveUnitEconomics } from './_lib/unit-economics.js';
+import {
+  resolveStage, matchArchetypes, buildFinancialImpact, buildScenarioModeling, buildBenchmarkScorecard,
+  buildBenchmarkPositions, buildChartData, buildDashboardData, summarizeFinancialImpact, scenarioData
+} from './report.js';
+
+const MAX_HIRES = 10;
+// Percentages that can legitimately exceed 100
+const UNBOUNDED_PERCENT = ['nrr', 'revenueGrowth', 'growthTarget'];
+
+const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+// Request body → { overrides, hires, problems }
+function parseWhatIf(body) {
+  const problems = [];
+  const overrides = {};
+  const rawOverrides = body.overrides ?? {};
+  if (typeof rawOverrides !== 'object' || Array.isArray(rawOverrides)) {
+    problems.push('overrides must be an object of metric → number');
+  } else {
+    for (const [field, value] of Object.entries(rawOverrides)) {
+      const spec = METRIC_FIELDS[field];
+      if (!spec) { problems.push(`unknown metric "${field}"`); continue; }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) { problems.push(`${field} must be a number ≥ 0`); continue; }
+      if (spec.unit === 'percent' && value > 100 && !UNBOUNDED_PERCENT.includes(field)) { problems.push(`${field} must be at most 100 (%)`); continue; }
+      overrides[field] = value;
+    }
+  }
+
+  const hires = [];
+  const rawHires = body.hires ?? [];
+  if (!Array.isArray(rawHires) || rawHires.length > MAX_HIRES) {
+    problems.push(`hires must be a list of at most ${MAX_HIRES} entries`);
+  } else {
+    rawHires.forEach((h, i) => {
+      const errors = [];
+      if (!isInt(h?.count, 1, 50)) errors.push('count must be a whole number 1-50');
+      if (!isInt(h?.month, 1, HORIZON_MONTHS)) errors.push(`month must be 1-${HORIZON_MONTHS}`);
+      if (h?.rampMonths != null && !isInt(h.rampMonths, 1, HORIZON_MONTHS)) errors.push(`rampMonths must be 1-${HORIZON_MONTHS}`);
+      if (h?.dealsPerMonth != null && !(typeof h.dealsPerMonth === 'number' && h.dealsPerMonth >= 0 && h.dealsPerMonth <= 50)) errors.push('dealsPerMonth must be 0-50');
+      if (errors.length) { problems.push(`hires[${i}]: ${errors.join(', ')}`); return; }
+      hires.push({
+        role: typeof h.role === 'string' && h.role.trim() ? h.role.trim().slice(0, 40) : null,
+        count: h.count,
+        month: h.month,
+        ...(h.rampMonths != null && { rampMonths: h.rampMonths }),
+        ...(h.dealsPerMonth != null && { dealsPerMonth: h.dealsPerMonth })
+      });
+    });
+  }
+  return { overrides, hires, problems };
+}
+
+// Baseline vs what-if for the figures a slider moves
+function compare(baseline, whatIf) {
+  const pair = (a, b) => ({ baseline: a, what_if: b, change: a != null && b != null ? Math.round((b - a) * 100) / 100 : null });
+  const paths = name => [baseline, whatIf].map(s => s.scenarios?.find(x => x.name === name));
+  const simPaths = name => [baseline, whatIf].map(s => s.simulation?.paths.find(x => x.name === name));
+  return {
+    total_monthly: pair(baseline.financialImpact.totalMonthly, whatIf.financialImpact.totalMonthly),
+    scenarios: (whatIf.scenarios || []).map(({ name }) => {
+      const [b, w] = paths(name);
+      const [bs, ws] = simPaths(name);
+      return {
+        name,
+        successProbability: pair(b?.successProbability, w?.successProbability),
+        mrrDay90Median: pair(bs?.day90.p50, ws?.day90.p50),
+        mrrMonth12Median: pair(bs?.month12.p50, ws?.month12.p50)
+      };
+    })
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const startedAt = Date.now();
+    const { sessionId, revision } = req.body || {};
+    const { overrides, hires, problems } = parseWhatIf(req.body || {});
+    if (problems.length) return res.status(400).json({ error: 'what_if_invalid', problems });
+
+    let sessionData, sessionRevision;
+    try {
+      ({ state: sessionData, revision: sessionRevision } = await loadSession(sessionId, revision));
+    } catch (e) {
+      if (e instanceof SessionError) return res.status(e.status).json({ error: e.code, message: e.message });
+      throw e;
+    }
+
+    // ── Same stage, pack and benchmark version as the report ──
+    const p = sessionData?.profile || {};
+    const metrics = buildMetrics(p);
+    const whatIfMetrics = withMetricOverrides(metrics, overrides);
+    const currency = reportingCurrency(metrics);
+    const stageKey = sessionData?.resolvedStage || resolveStage(p.companyStage || p.stage);
+    const businessModel = resolveBusinessModel(p.businessModel);
+    const benchmarkVersion = resolveBenchmarkVersion(sessionData?.benchmarkVersion);
+    const stageData = getStageData(stageKey, businessModel, benchmarkVersion);
+
+    // ── Scenarios: from the current state, baseline and with the what-ifs ──
+    const feasibilityFlags = runFeasibilityChecks(p, metrics, stageData, { stageKey, model: businessModel });
+    const cohortMatch = matchArchetypes(p, metrics, stageKey);
+    const financialImpact = buildFinancialImpact(p, metrics, stageData);
+    const baseline = buildScenarioModeling(p, metrics, stageData, financialImpact, cohortMatch, feasibilityFlags);
+    const scenarios = buildScenarioModeling(p, metrics, stageData, financialImpact, cohortMatch, feasibilityFlags, {
+      targets: { churnRate: overrides.churnRate, winRate: overrides.winRate },
+      hires
+    });
+
+    // ── Everything else: where the company would stand with the overrides ──
+    const whatIfImpact = buildFinancialImpact(p, whatIfMetrics, stageData);
+    const scoredMetrics = withUnitEconomics(whatIfMetrics);
+    const changes = compare({ ...baseline, financialImpact }, { ...scenarios, financialImpact: whatIfImpact });
+
+    const tried = [...Object.entries(overrides).map(([k, v]) => `${k}=${v}`), ...hires.map(h => `${h.count} ${h.role || 'hire'} @M${h.month}`)];
+    console.log(`[Scenario] ${sessionId} what-if: ${tried.join(', ') || 'none'} (${Date.now() - startedAt}ms)`);
+
+    return res.status(200).json({
+      overrides,
+      hires,
+      stage: stageKey,
+      business_model: businessModel,
+      benchmark_version: benchmarkVersionInfo(benchmarkVersion),
+      financial_impact: summarizeFinancialImpact(whatIfImpact, currency),
+      scenario_data: scenarioData(scenarios, currency),
+      unit_economics: deriveUnitEconomics(whatIfMetrics),
+      scorecard: buildBenchmarkScorecard(p, scoredMetrics, stageData),
+      benchmark_positions: buildBenchmarkPositions(scoredMetrics, stageData).positions,
+      chart_data: buildChartData(p, scoredMetrics, stageData),
+      dashboard_data: buildDashboardData(p, scoredMetrics, stageData),
+      changes,
+      session_revision: sessionRevision
+    });
+
+  } catch (e) {
+    console.error('[Scenario]', e);
+    return res.status(500).json({ error: e.message });
+  }
+}
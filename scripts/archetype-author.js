@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// ARCHETYPE AUTHOR — grow the archetype library from completed engagements
+//
+//   node scripts/archetype-author.js draft <session> <dashboard.json> [--redact "Jane Doe,Client Co"] [--name "The ..."]
+//   node scripts/archetype-author.js list [--status pending|approved|rejected]
+//   node scripts/archetype-author.js show <candidate-id>
+//   node scripts/archetype-author.js approve <candidate-id> [--name "..."] [--lesson "..."] [--months6 "..."] [--reviewer you]
+//   node scripts/archetype-author.js reject <candidate-id> [--reason "..."] [--reviewer you]
+//
+// <session> is a session id (read from SESSION_STORE, so kv, file or sqlite) or a
+// JSON file holding the session state or a session-store record.
+// <dashboard.json> is the 90-day dashboard's "Export JSON" download.
+// Candidates can be edited in their queue file before approval; approval fails
+// while required fields are missing or identifying text remains.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync, existsSync } from 'fs';
+import { loadSession } from '../api/_lib/session-store.js';
+import {
+  draftArchetype, enqueueCandidate, listCandidates, loadCandidate, approveCandidate, rejectCandidate,
+  validateCandidate, queueDir, QUEUE_STATUSES
+} from '../api/_lib/archetype-authoring.js';
+
+const [command, ...args] = process.argv.slice(2);
+const VALUE_OPTIONS = ['redact', 'name', 'status', 'lesson', 'months6', 'reviewer', 'reason'];
+const option = name => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : null; };
+const positional = args.filter((a, i) => !a.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]?.slice(2)));
+
+const fail = message => { console.error(message); process.exit(1); };
+
+const readJson = path => {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (e) {
+    return fail(`Could not read ${path}: ${e.message}`);
+  }
+};
+
+// Session state from a file (state, { state } or a stored record) or the session store
+async function readSession(ref) {
+  if (existsSync(ref)) {
+    const data = readJson(ref);
+    if (Array.isArray(data.history)) {
+      const state = data.history[data.history.length - 1]?.state;
+      return { id: data.id || null, state: state && data.report ? { ...state, report: data.report } : state };
+    }
+    return { id: data.id || null, state: data.state || data };
+  }
+  try {
+    const { id, state } = await loadSession(ref);
+    return { id, state };
+  } catch (e) {
+    return fail(`No session file or stored session "${ref}": ${e.message}`);
+  }
+}
+
+function printRecord(r) {
+  const c = r.candidate;
+  console.log(`${r.id} · ${r.status}${r.archetypeId ? ` → ${r.archetypeId}` : ''} · ${c.name || '(unnamed)'}`);
+  console.log(`  Profile:      ${c.profile.stages.join('/')} · team ${c.profile.teamSize ? `${c.profile.teamSize.min}-${c.profile.teamSize.max}` : '?'}` +
+    ` · MRR ${c.profile.mrrRange ? `€${c.profile.mrrRange.min.toLocaleString('de-DE')}-€${c.profile.mrrRange.max.toLocaleString('de-DE')}` : '?'}` +
+    ` · ${c.profile.gtmMotion.join('/') || '?'} · ${c.profile.verticals.join('/') || '?'}`);
+  console.log(`  Constraints:  ${[c.constraintPattern.primary, c.constraintPattern.secondary, c.constraintPattern.tertiary].map(t => t || '?').join(' → ')}`);
+  console.log(`                ${c.constraintPattern.description}`);
+  console.log('  Intervention:');
+  for (const step of c.intervention.sequence) console.log(`    → ${step}`);
+  console.log(`  Key action:   ${c.intervention.keyAction || '—'}`);
+  console.log(`  90 days:      ${c.outcome.days90 || '—'}`);
+  if (c.outcome.keyMetric) console.log(`  Key metric:   ${c.outcome.keyMetric} ${c.outcome.metricBefore} → ${c.outcome.metricAfter}`);
+  console.log(`  Key lesson:   ${c.keyLesson || '—'}`);
+  if (r.evidence?.closest?.length) {
+    console.log(`  Closest:      ${r.evidence.closest.map(a => `${a.id} ${a.name} ${a.confidence}%`).join(' · ')}`);
+  }
+  const redactions = Object.entries(r.evidence?.redactions || {});
+  if (redactions.length) console.log(`  Redacted:     ${redactions.map(([k, n]) => `${n} ${k}`).join(', ')}`);
+  for (const w of r.warnings || []) console.log(`  ⚠ ${w}`);
+  if (r.status === 'pending') {
+    const errors = validateCandidate(c, { terms: r.redact || [] });
+    if (errors.length) console.log(`  Before approval: ${errors.join('; ')}`);
+  }
+  if (r.reason) console.log(`  Rejected: ${r.reason}`);
+}
+
+switch (command) {
+  case 'draft': {
+    const [sessionRef, dashboardFile] = positional;
+    if (!sessionRef || !dashboardFile) fail('Usage: archetype-author.js draft <session> <dashboard.json> [--redact "a,b"] [--name "..."]');
+    const { id, state } = await readSession(sessionRef);
+    if (!state?.profile) fail(`"${sessionRef}" has no session profile`);
+    const draft = draftArchetype(state, readJson(dashboardFile), {
+      extraTerms: (option('redact') || '').split(',').map(s => s.trim()).filter(Boolean),
+      name: option('name')
+    });
+    const { record, path } = enqueueCandidate(draft, { sessionId: id });
+    printRecord(record);
+    console.log(`\nQueued in ${path}`);
+    break;
+  }
+
+  case 'list': {
+    const status = option('status');
+    if (status && !QUEUE_STATUSES.includes(status)) fail(`--status must be one of: ${QUEUE_STATUSES.join(', ')}`);
+    const records = listCandidates({ status });
+    console.log(`${records.length} candidate(s) in ${queueDir()}${status ? ` (${status})` : ''}`);
+    for (const r of records) {
+      console.log(`  ${r.id}  ${r.status.padEnd(8)} ${(r.candidate.name || '(unnamed)').padEnd(32)} ${r.candidate.constraintPattern.primary || '?'}${r.archetypeId ? ` → ${r.archetypeId}` : ''}`);
+    }
+    break;
+  }
+
+  case 'show': {
+    if (!positional[0]) fail('Usage: archetype-author.js show <candidate-id>');
+    try { printRecord(loadCandidate(positional[0])); } catch (e) { fail(e.message); }
+    break;
+  }
+
+  case 'approve': {
+    if (!positional[0]) fail('Usage: archetype-author.js approve <candidate-id> [--name] [--lesson] [--months6]');
+    let result;
+    try {
+      result = approveCandidate(positional[0], {
+        edits: { name: option('name'), keyLesson: option('lesson'), months6: option('months6') },
+        reviewer: option('reviewer')
+      });
+    } catch (e) {
+      fail(e.message);
+    }
+    if (!result.approved) fail(`Not approved:\n${result.errors.map(e => `  - ${e}`).join('\n')}`);
+    console.log(`${positional[0]} approved as ${result.archetypeId} "${result.record.candidate.name}" — added to archetypes.json`);
+    break;
+  }
+
+  case 'reject': {
+    if (!positional[0]) fail('Usage: archetype-author.js reject <candidate-id> [--reason "..."]');
+    try {
+      rejectCandidate(positional[0], { reason: option('reason'), reviewer: option('reviewer') });
+    } catch (e) {
+      fail(e.message);
+    }
+    console.log(`${positional[0]} rejected`);
+    break;
+  }
+
+  default:
+    console.log('Usage: node scripts/archetype-author.js draft|list|show|approve|reject ...');
+    console.log('  draft <session> <dashboard.json> [--redact "a,b"] [--name "..."]   queue a candidate');
+    console.log('  list [--status pending|approved|rejected]');
+    console.log('  show <candidate-id>');
+    console.log('  approve <candidate-id> [--name "..."] [--lesson "..."] [--months6 "..."] [--reviewer you]');
+    console.log('  reject <candidate-id> [--reason "..."] [--reviewer you]');
+    process.exit(command ? 1 : 0);
+}
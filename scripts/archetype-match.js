@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// ARCHETYPE MATCH — explain how a profile scores against the archetype library
+//
+//   node scripts/archetype-match.js                          library + matching config
+//   node scripts/archetype-match.js <profile.json>           ranking with breakdowns
+//   node scripts/archetype-match.js <profile.json> --archetype A01
+//        [--stage seed_startup] [--weights weights.json] [--all] [--json]
+//
+// --weights takes { "weights": { "stage": 20, ... }, "minConfidence": 30 } and
+// re-ranks with it, so a weight change can be tried before editing the library.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { loadArchetypes, matchingConfig, rankArchetypes } from '../api/_lib/archetypes.js';
+import { buildMetrics } from '../api/_lib/metrics.js';
+
+const args = process.argv.slice(2);
+const option = name => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : null; };
+const asJson = args.includes('--json');
+const [file] = args.filter((a, i) => !a.startsWith('--') && !args[i - 1]?.match(/^--(archetype|stage|weights)$/));
+
+const readJson = path => {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (e) {
+    console.error(`Could not read ${path}: ${e.message}`);
+    process.exit(1);
+  }
+};
+
+const lib = loadArchetypes();
+const overrides = option('weights') ? readJson(option('weights')) : undefined;
+const cfg = matchingConfig(lib, overrides);
+
+if (!file) {
+  console.log(`Archetype library v${lib.meta?.version || '?'} (${(lib.archetypes || []).length} archetypes)`);
+  console.log(`  Weights: ${Object.entries(cfg.weights).map(([k, v]) => `${k} ${v}`).join(' · ')}`);
+  console.log(`  Match at ≥ ${cfg.minConfidence}% confidence, top ${cfg.maxMatches}\n`);
+  for (const a of lib.archetypes || []) {
+    const own = a.matchWeights ? ` (weights: ${Object.entries(a.matchWeights).map(([k, v]) => `${k} ${v}`).join(', ')})` : '';
+    console.log(`  ${a.id}  ${a.name.padEnd(28)} ${a.constraintPattern.primary}${own}`);
+  }
+  console.log('\nUsage: node scripts/archetype-match.js <profile.json> [--archetype <id>] [--stage <key>] [--weights <file>] [--all] [--json]');
+  process.exit(0);
+}
+
+const profile = readJson(file);
+const stageKey = option('stage') || profile.resolvedStage || profile.companyStage || 'seed_startup';
+const ranking = rankArchetypes(profile, buildMetrics(profile), stageKey, { overrides });
+const archetypeId = option('archetype');
+if (archetypeId && !ranking.candidates.some(c => c.id === archetypeId)) {
+  console.error(`Unknown archetype "${archetypeId}". Known: ${ranking.candidates.map(c => c.id).join(', ')}`);
+  process.exit(1);
+}
+
+const matchIds = new Set(ranking.matches.map(m => m.id));
+const shown = archetypeId
+  ? ranking.candidates.filter(c => c.id === archetypeId)
+  : args.includes('--all') ? ranking.candidates : ranking.candidates.slice(0, Math.max(ranking.matches.length, 5));
+
+if (asJson) {
+  console.log(JSON.stringify({
+    stage: stageKey,
+    minConfidence: cfg.minConfidence,
+    weights: cfg.weights,
+    matches: [...matchIds],
+    candidates: shown.map(({ archetype, ...c }) => ({ ...c, matched: matchIds.has(c.id) }))
+  }, null, 2));
+  process.exit(0);
+}
+
+console.log(`Stage ${stageKey} · match at ≥ ${cfg.minConfidence}% · ${ranking.matches.length} match(es)\n`);
+for (const c of shown) {
+  const rank = ranking.candidates.indexOf(c) + 1;
+  console.log(`  ${matchIds.has(c.id) ? '✔' : '·'} #${rank} ${c.id} ${c.name} — ${c.confidence}% (${c.score}/${c.maxScore})`);
+  for (const b of c.breakdown) {
+    console.log(`      ${b.dimension.padEnd(12)} ${String(b.points).padStart(5)}/${String(b.weight).padEnd(3)} ${b.evidence}`);
+  }
+}
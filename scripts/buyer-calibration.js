@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUYER CALIBRATION — score the buyer-psychology engine on the labelled corpus
+//
+//   node scripts/buyer-calibration.js                        default weights
+//   node scripts/buyer-calibration.js --weights tuned.json   compare against defaults
+//        [--lang it] [--misses] [--json]
+//
+// Precision per archetype = correct / predicted as that archetype. "Confident"
+// counts only predictions above the adaptation bar (isConfidentProfile), the
+// ones that actually change the chat persona and the report.
+// The corpus lives in api/lexicons/calibration.json; a weights file holds any
+// subset of DEFAULT_WEIGHTS ({ "keyword": 4, "riskAverse": { "validator": 15 } }).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { classifyBuyer, isConfidentProfile, ARCHETYPES, DEFAULT_WEIGHTS } from '../api/_lib/buyer-psychology.js';
+
+const args = process.argv.slice(2);
+const option = name => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : null; };
+const asJson = args.includes('--json');
+const lang = option('lang');
+
+const corpusFile = join(dirname(fileURLToPath(import.meta.url)), '..', 'api', 'lexicons', 'calibration.json');
+const corpus = JSON.parse(readFileSync(corpusFile, 'utf-8')).transcripts
+  .filter(t => !lang || t.lang === lang);
+if (!corpus.length) {
+  console.error(`No calibration transcripts${lang ? ` for language "${lang}"` : ''}.`);
+  process.exit(1);
+}
+
+let candidate = null;
+const weightsFile = option('weights');
+if (weightsFile) {
+  try {
+    candidate = JSON.parse(readFileSync(weightsFile, 'utf-8'));
+  } catch (e) {
+    console.error(`Could not read ${weightsFile}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+const ratio = (a, b) => (b ? Math.round((a / b) * 1000) / 10 : null);
+
+function evaluate(weights) {
+  const results = corpus.map(t => {
+    const transcript = t.messages.map(text => ({ role: 'user', text }));
+    const r = classifyBuyer(transcript, { profile: t.profile || {}, weights });
+    return { id: t.id, lang: t.lang, label: t.label, predicted: r.primary, confidence: r.confidence, confident: isConfidentProfile(r), languages: r.languages };
+  });
+  const confusion = Object.fromEntries(ARCHETYPES.map(a => [a, Object.fromEntries(ARCHETYPES.map(b => [b, 0]))]));
+  for (const r of results) confusion[r.label][r.predicted]++;
+  const perArchetype = Object.fromEntries(ARCHETYPES.map(a => {
+    const predicted = results.filter(r => r.predicted === a);
+    const confident = predicted.filter(r => r.confident);
+    return [a, {
+      labelled: results.filter(r => r.label === a).length,
+      predicted: predicted.length,
+      precision: ratio(predicted.filter(r => r.label === a).length, predicted.length),
+      recall: ratio(confusion[a][a], results.filter(r => r.label === a).length),
+      confidentPrecision: ratio(confident.filter(r => r.label === a).length, confident.length)
+    }];
+  }));
+  const perLanguage = {};
+  for (const r of results) {
+    const l = (perLanguage[r.lang] ||= { total: 0, correct: 0, detected: 0 });
+    l.total++;
+    if (r.predicted === r.label) l.correct++;
+    if (r.languages[0] === r.lang) l.detected++;
+  }
+  return {
+    accuracy: ratio(results.filter(r => r.predicted === r.label).length, results.length),
+    coverage: ratio(results.filter(r => r.confident).length, results.length),
+    perArchetype,
+    perLanguage: Object.fromEntries(Object.entries(perLanguage).map(([l, v]) => [l, { ...v, accuracy: ratio(v.correct, v.total) }])),
+    confusion,
+    misses: results.filter(r => r.predicted !== r.label)
+  };
+}
+
+const baseline = evaluate(DEFAULT_WEIGHTS);
+const tuned = candidate ? evaluate({ ...DEFAULT_WEIGHTS, ...candidate }) : null;
+
+if (asJson) {
+  console.log(JSON.stringify({ transcripts: corpus.length, language: lang || 'all', default: baseline, candidate: tuned }, null, 2));
+  process.exit(0);
+}
+
+const pct = v => (v === null ? '   —  ' : `${v.toFixed(1).padStart(5)}%`);
+const delta = (a, b) => (a === null || b === null ? '' : ` (${b - a >= 0 ? '+' : ''}${(b - a).toFixed(1)})`);
+
+console.log(`Buyer calibration · ${corpus.length} transcripts · ${lang || 'all languages'}\n`);
+console.log(`  ${'archetype'.padEnd(12)} ${'n'.padStart(3)} ${'precision'.padStart(10)} ${'recall'.padStart(8)} ${'confident'.padStart(10)}${tuned ? '   candidate precision' : ''}`);
+for (const a of ARCHETYPES) {
+  const b = baseline.perArchetype[a];
+  const t = tuned?.perArchetype[a];
+  console.log(`  ${a.padEnd(12)} ${String(b.labelled).padStart(3)} ${pct(b.precision).padStart(10)} ${pct(b.recall).padStart(8)} ${pct(b.confidentPrecision).padStart(10)}${t ? `   ${pct(t.precision)}${delta(b.precision, t.precision)}` : ''}`);
+}
+console.log(`\n  Accuracy ${pct(baseline.accuracy)}${tuned ? ` → ${pct(tuned.accuracy)}${delta(baseline.accuracy, tuned.accuracy)}` : ''}` +
+  ` · confident on ${pct(baseline.coverage)} of transcripts${tuned ? ` → ${pct(tuned.coverage)}` : ''}`);
+
+console.log('\n  Per language (accuracy · language detected):');
+for (const [l, v] of Object.entries(baseline.perLanguage)) {
+  console.log(`    ${l}  ${pct(v.accuracy)} · ${v.detected}/${v.total}${tuned ? `   candidate ${pct(tuned.perLanguage[l].accuracy)}` : ''}`);
+}
+
+console.log('\n  Confusion (rows = label, columns = predicted):');
+console.log(`    ${''.padEnd(11)}${ARCHETYPES.map(a => a.slice(0, 5).padStart(7)).join('')}`);
+for (const a of ARCHETYPES) {
+  console.log(`    ${a.padEnd(11)}${ARCHETYPES.map(b => String(baseline.confusion[a][b]).padStart(7)).join('')}`);
+}
+
+if (args.includes('--misses')) {
+  const misses = (tuned || baseline).misses;
+  console.log(`\n  Misclassified${tuned ? ' (candidate)' : ''}: ${misses.length}`);
+  for (const m of misses) console.log(`    ${m.id.padEnd(20)} ${m.label} → ${m.predicted} (${m.confidence}%)`);
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// DIFF BENCHMARKS — which benchmark values moved between two library versions
+//
+//   node scripts/diff-benchmarks.js                     list versions
+//   node scripts/diff-benchmarks.js <from> <to>         all packs
+//   node scripts/diff-benchmarks.js <from> <to> --model saas --json
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { listBenchmarkVersions, diffBenchmarkVersions, BUSINESS_MODELS } from '../api/_lib/benchmarks.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const modelIdx = args.indexOf('--model');
+const model = modelIdx >= 0 ? args[modelIdx + 1] : null;
+const [from, to] = args.filter((a, i) => !a.startsWith('--') && (modelIdx < 0 || i !== modelIdx + 1));
+
+const versions = listBenchmarkVersions();
+
+if (!from || !to) {
+  console.log('Benchmark versions:');
+  for (const v of versions) console.log(`  ${v.id}  effective ${v.effectiveDate || '?'}  ${v.notes || ''}`);
+  console.log('\nUsage: node scripts/diff-benchmarks.js <from> <to> [--model <key>] [--json]');
+  process.exit(0);
+}
+
+for (const v of [from, to]) {
+  if (!versions.some(x => x.id === v)) {
+    console.error(`Unknown benchmark version "${v}". Known: ${versions.map(x => x.id).join(', ')}`);
+    process.exit(1);
+  }
+}
+if (model && !BUSINESS_MODELS[model]) {
+  console.error(`Unknown model "${model}". Known: ${Object.keys(BUSINESS_MODELS).join(', ')}`);
+  process.exit(1);
+}
+
+const changes = diffBenchmarkVersions(from, to, model ? [model] : undefined);
+
+if (asJson) {
+  console.log(JSON.stringify({ from, to, changes }, null, 2));
+  process.exit(0);
+}
+
+const fmt = v => (v === null || v === undefined ? '—' : String(v));
+const delta = ([a, b]) => (typeof a === 'number' && typeof b === 'number' && a !== 0
+  ? ` (${b > a ? '+' : ''}${(((b - a) / Math.abs(a)) * 100).toFixed(1)}%)`
+  : '');
+
+console.log(`Benchmarks ${from} → ${to}: ${changes.length} change(s)\n`);
+let lastModel = null;
+for (const c of changes) {
+  if (c.model !== lastModel) {
+    console.log(`■ ${BUSINESS_MODELS[c.model].label}`);
+    lastModel = c.model;
+  }
+  const where = `  ${c.stage} · ${c.metric}`;
+  if (c.change !== 'changed') {
+    console.log(`${where}  ${c.change.toUpperCase()}`);
+    continue;
+  }
+  const parts = Object.entries(c.values).map(([f, pair]) => `${f} ${fmt(pair[0])} → ${fmt(pair[1])}${delta(pair)}`);
+  const prov = Object.entries(c.provenance).map(([f, pair]) => `${f}: ${fmt(pair[0])} → ${fmt(pair[1])}`);
+  console.log(`${where}  ${parts.join(', ') || '(values unchanged)'}`);
+  if (prov.length) console.log(`      ${prov.join('; ')}`);
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEASIBILITY RULES — list the guardrail rules or run them against one profile
+//
+//   node scripts/feasibility-rules.js                          list rules
+//   node scripts/feasibility-rules.js <profile.json>           every rule
+//   node scripts/feasibility-rules.js <profile.json> --rule leaky_bucket
+//        [--stage seed_startup] [--model saas] [--json]
+//
+// The profile file holds confirmed-profile fields as the user stated them
+// ({ "churnRate": "7%", "mainBottleneck": "lead generation", ... }).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { readFileSync } from 'fs';
+import { loadFeasibilityRules, buildFeasibilityFacts, evaluateRule } from '../api/_lib/feasibility.js';
+import { buildMetrics } from '../api/_lib/metrics.js';
+import { getStageData, resolveBusinessModel } from '../api/_lib/benchmarks.js';
+
+const args = process.argv.slice(2);
+const option = name => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : null; };
+const asJson = args.includes('--json');
+const [file] = args.filter((a, i) => !a.startsWith('--') && !args[i - 1]?.match(/^--(rule|stage|model)$/));
+
+const rules = loadFeasibilityRules();
+
+if (!file) {
+  console.log(`Feasibility rules (${rules.length}):`);
+  for (const r of rules) {
+    const scope = [r.live && 'live', r.stages && `stages: ${r.stages.join(', ')}`, r.models && `models: ${r.models.join(', ')}`].filter(Boolean).join('; ');
+    console.log(`  ${r.id.padEnd(28)} ${r.severity.padEnd(6)} ${r.type.padEnd(13)} ${scope}`);
+  }
+  console.log('\nUsage: node scripts/feasibility-rules.js <profile.json> [--rule <id>] [--stage <key>] [--model <key>] [--json]');
+  process.exit(0);
+}
+
+let profile;
+try {
+  profile = JSON.parse(readFileSync(file, 'utf-8'));
+} catch (e) {
+  console.error(`Could not read ${file}: ${e.message}`);
+  process.exit(1);
+}
+
+const ruleId = option('rule');
+const selected = ruleId ? rules.filter(r => r.id === ruleId) : rules;
+if (!selected.length) {
+  console.error(`Unknown rule "${ruleId}". Known: ${rules.map(r => r.id).join(', ')}`);
+  process.exit(1);
+}
+
+const stageKey = option('stage') || profile.resolvedStage || 'seed_startup';
+const model = resolveBusinessModel(option('model') || profile.businessModel);
+const facts = buildFeasibilityFacts(profile, buildMetrics(profile), getStageData(stageKey, model), { stageKey, model });
+const results = selected.map(rule => ({ id: rule.id, flag: evaluateRule(rule, facts) }));
+
+if (asJson) {
+  console.log(JSON.stringify({ stage: stageKey, model, metrics: facts.metrics, results }, null, 2));
+  process.exit(0);
+}
+
+console.log(`Stage ${stageKey} · model ${model}\n`);
+for (const { id, flag } of results) {
+  if (!flag) { console.log(`  ·  ${id}`); continue; }
+  console.log(`  ⚑  ${id} [${flag.severity.toUpperCase()}] ${flag.issue}`);
+  console.log(`       ${flag.detail}`);
+  console.log(`       → ${flag.recommendation}`);
+}
@@ -0,0 +1,90 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEASIBILITY RULES — each rule of api/rules/feasibility.json on its own
+//
+// Every rule gets a profile that should raise it and one that should not, run
+// through the same metrics and stage data the report uses. A rule added to the
+// JSON without cases here fails the "every rule has cases" test.
+//
+//   npm test
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFeasibilityRules, buildFeasibilityFacts, evaluateRule } from '../api/_lib/feasibility.js';
+import { buildMetrics } from '../api/_lib/metrics.js';
+import { getStageData } from '../api/_lib/benchmarks.js';
+
+const rules = loadFeasibilityRules();
+
+function flagFor(id, profile, stageKey = 'seed_startup') {
+  const rule = rules.find(r => r.id === id);
+  assert.ok(rule, `rule ${id} is loaded`);
+  const facts = buildFeasibilityFacts(profile, buildMetrics(profile), getStageData(stageKey, 'saas'), { stageKey, model: 'saas' });
+  return evaluateRule(rule, facts);
+}
+
+// id → { raises: [[profile, stage?]], passes: [[profile, stage?]] }
+const CASES = {
+  budget_vs_growth: {
+    raises: [[{ budgetLevel: 'limited', growthTarget: '200% growth this year' }]],
+    passes: [[{ budgetLevel: 'moderate', growthTarget: '200% growth this year' }], [{ budgetLevel: 'limited', growthTarget: '40%' }]]
+  },
+  enterprise_tools_early: {
+    raises: [[{ tools: 'Salesforce, Gong' }, 'pre_seed_idea']],
+    passes: [[{ tools: 'Notion, HubSpot Free' }, 'pre_seed_idea'], [{ tools: 'Salesforce, Gong' }, 'seed_startup']]
+  },
+  outbound_tiny_team: {
+    raises: [[{ teamSize: '3', salesMotion: 'Outbound' }]],
+    passes: [[{ teamSize: '12', salesMotion: 'Outbound' }], [{ teamSize: '3', salesMotion: 'Inbound' }]]
+  },
+  bootstrapped_burn: {
+    raises: [[{ revenue: '€3K MRR', funding: 'Bootstrapped', teamSize: '8' }]],
+    passes: [[{ revenue: '€3K MRR', funding: 'Bootstrapped', teamSize: '3' }], [{ revenue: '€3K MRR', funding: 'Seed round', teamSize: '8' }]]
+  },
+  founder_bottleneck: {
+    raises: [[{ whoCloses: 'The founder', mainBottleneck: 'Scaling sales capacity' }]],
+    passes: [[{ whoCloses: 'Two AEs', mainBottleneck: 'Scaling sales capacity' }], [{ whoCloses: 'The founder', mainBottleneck: 'Churn' }]]
+  },
+  leaky_bucket: {
+    raises: [[{ churnRate: '7%', mainBottleneck: 'Lead generation' }]],
+    passes: [[{ churnRate: '3%', mainBottleneck: 'Lead generation' }], [{ churnRate: '7%', mainBottleneck: 'Onboarding' }]]
+  },
+  low_churn_vs_nrr: {
+    // 1.5% monthly ≈ 16.6% a year → churn alone leaves ~83% NRR
+    raises: [[{ churnRate: '1.5%', nrr: '70%' }], [{ churnRate: 'very low', nrr: '80%' }]],
+    passes: [[{ churnRate: '1.5%', nrr: '90%' }], [{ churnRate: '4%', nrr: '70%' }], [{ churnRate: 'very low', nrr: '98%' }]]
+  },
+  high_nrr_high_churn: {
+    // 5% monthly ≈ 46% a year → churn alone leaves ~54% NRR
+    raises: [[{ churnRate: '5%', nrr: '120%' }]],
+    passes: [[{ churnRate: '5%', nrr: '80%' }], [{ churnRate: '2%', nrr: '120%' }]]
+  },
+  ltv_below_cac: {
+    raises: [[{ ltv: '€2,000', cac: '€3,000' }]],
+    passes: [[{ ltv: '€12,000', cac: '€3,000' }], [{ cac: '€3,000' }]]
+  },
+  enterprise_deal_short_cycle: {
+    raises: [[{ avgDealSize: '€60,000', salesCycle: '14 days' }]],
+    passes: [[{ avgDealSize: '€60,000', salesCycle: '90 days' }], [{ avgDealSize: '€8,000', salesCycle: '14 days' }]]
+  }
+};
+
+test('every rule has cases', () => {
+  assert.ok(rules.length > 0, 'rules load');
+  assert.deepEqual(rules.map(r => r.id).sort(), Object.keys(CASES).sort());
+});
+
+for (const [id, { raises, passes }] of Object.entries(CASES)) {
+  test(id, () => {
+    for (const [profile, stage] of raises) {
+      const flag = flagFor(id, profile, stage);
+      assert.ok(flag, `${id} raised for ${JSON.stringify(profile)}`);
+      for (const key of ['issue', 'detail', 'recommendation']) {
+        assert.ok(flag[key] && !/{{/.test(flag[key]), `${id} ${key} is rendered`);
+      }
+    }
+    for (const [profile, stage] of passes) {
+      assert.equal(flagFor(id, profile, stage), null, `${id} not raised for ${JSON.stringify(profile)}`);
+    }
+  });
+}